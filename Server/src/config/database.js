@@ -6,7 +6,25 @@
 const mongoose = require('mongoose');
 
 /**
- * Connect to MongoDB database
+ * Make sure the server supports transactions, which checkout,
+ * cancellation, returns and invoicing rely on. A standalone mongod
+ * does not; a replica set (even a single node) or sharded cluster does.
+ * @param {mongoose.Connection} connection
+ * @returns {Promise<void>}
+ */
+const assertTransactionSupport = async (connection) => {
+  const hello = await connection.db.admin().command({ hello: 1 });
+
+  if (!hello.setName && hello.msg !== 'isdbgrid') {
+    throw new Error(
+      'MongoDB must run as a replica set, as transactions are required. ' +
+      'For local development start mongod with --replSet rs0 and run rs.initiate() once'
+    );
+  }
+};
+
+/**
+ * Connect to MongoDB database. Exits if the server cannot run transactions.
  * @returns {Promise<void>}
  */
 const connectDatabase = async () => {
@@ -16,6 +34,8 @@ const connectDatabase = async () => {
       // but included for clarity
     });
 
+    await assertTransactionSupport(connection.connection);
+
     console.log(`MongoDB Connected: ${connection.connection.host}`);
     return connection;
   } catch (error) {
@@ -4,12 +4,23 @@
  * user management.
  */
 
+const mongoose = require('mongoose');
 const User = require('../models/User.model');
 const Product = require('../models/Product.model');
 const Category = require('../models/Category.model');
 const Order = require('../models/Order.model');
-const { sendSuccess, sendCreated, sendNotFound, sendError, sendPaginated } = require('../utils/response');
+const Coupon = require('../models/Coupon.model');
+const Review = require('../models/Review.model');
+const ReturnRequest = require('../models/ReturnRequest.model');
+const ShippingZone = require('../models/ShippingZone.model');
+const Invoice = require('../models/Invoice.model');
+const CartRecovery = require('../models/CartRecovery.model');
+const { getProvider } = require('../services/payments');
+const { getOrIssueInvoice, issueCreditNotes } = require('../services/invoices');
+const { invalidateSearchIndex } = require('../services/search');
+const { sendSuccess, sendCreated, sendNotFound, sendError, sendPaginated, sendPdf } = require('../utils/response');
 const { parsePaginationParams, calculatePagination } = require('../utils/pagination');
+const { BadRequestError, ConflictError } = require('../utils/errors');
 
 // Dashboard
 
@@ -78,6 +89,7 @@ const createProduct = async (req, res, next) => {
     const product = await Product.create(productData);
 
     await product.populate('category', 'name slug');
+    invalidateSearchIndex();
 
     return sendCreated(res, 'Product created successfully', { product });
   } catch (error) {
@@ -103,6 +115,7 @@ const updateProduct = async (req, res, next) => {
     if (!product) {
       return sendNotFound(res, 'Product');
     }
+    invalidateSearchIndex();
 
     return sendSuccess(res, 200, 'Product updated', { product });
   } catch (error) {
@@ -128,6 +141,7 @@ const deleteProduct = async (req, res, next) => {
     if (!product) {
       return sendNotFound(res, 'Product');
     }
+    invalidateSearchIndex();
 
     return sendSuccess(res, 200, 'Product deleted');
   } catch (error) {
@@ -175,6 +189,7 @@ const getAllProducts = async (req, res, next) => {
 const createCategory = async (req, res, next) => {
   try {
     const category = await Category.create(req.body);
+    invalidateSearchIndex();
 
     return sendCreated(res, 'Category created successfully', { category });
   } catch (error) {
@@ -200,6 +215,7 @@ const updateCategory = async (req, res, next) => {
     if (!category) {
       return sendNotFound(res, 'Category');
     }
+    invalidateSearchIndex();
 
     return sendSuccess(res, 200, 'Category updated', { category });
   } catch (error) {
@@ -227,6 +243,7 @@ const deleteCategory = async (req, res, next) => {
     if (!category) {
       return sendNotFound(res, 'Category');
     }
+    invalidateSearchIndex();
 
     return sendSuccess(res, 200, 'Category deleted');
   } catch (error) {
@@ -299,20 +316,37 @@ const updateOrderStatus = async (req, res, next) => {
     const { id } = req.params;
     const { status, note, trackingNumber, carrier } = req.body;
 
-    const order = await Order.findById(id);
+    const current = await Order.findById(id);
 
-    if (!order) {
+    if (!current) {
       return sendNotFound(res, 'Order');
     }
 
-    // Update status
-    order.updateStatus(status, note);
-
-    // Update shipping details if provided
-    if (trackingNumber) order.shipping.trackingNumber = trackingNumber;
-    if (carrier) order.shipping.carrier = carrier;
-
-    await order.save();
+    // Side effects (restock, coupon release) commit with the status change.
+    // The claim only matches while the order is still in the status seen
+    // here, so a concurrent change cannot run the same effects twice
+    const session = await mongoose.startSession();
+    let order;
+
+    try {
+      await session.withTransaction(async () => {
+        order = await Order.claim({ _id: id, status: current.status }, { session });
+        if (!order) {
+          throw new ConflictError('The order was changed meanwhile; please try again');
+        }
+
+        // Illegal transitions and failed guards throw a 400
+        await order.updateStatus(status, note, { by: req.user._id, reason: note, session });
+
+        // Update shipping details if provided
+        if (trackingNumber) order.shipping.trackingNumber = trackingNumber;
+        if (carrier) order.shipping.carrier = carrier;
+
+        await order.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
 
     return sendSuccess(res, 200, 'Order status updated', { order });
   } catch (error) {
@@ -336,9 +370,10 @@ const updatePaymentStatus = async (req, res, next) => {
       return sendNotFound(res, 'Order');
     }
 
-    order.payment.status = status;
-    if (transactionId) order.payment.transactionId = transactionId;
-    if (status === 'completed') order.payment.paidAt = new Date();
+    // Manual override (e.g. COD collected); transitions are still enforced
+    if (!order.setPaymentStatus(status, { transactionId })) {
+      return sendError(res, 400, `Payment is already ${status}`);
+    }
 
     await order.save();
 
@@ -348,6 +383,921 @@ const updatePaymentStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Create a shipment for some order lines
+ * @route   POST /api/admin/orders/:id/shipments
+ * @access  Admin
+ */
+const createShipment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { itemIds, carrier, trackingNumber, estimatedDelivery, note } = req.body;
+
+    const order = await Order.findById(id);
+
+    if (!order) {
+      return sendNotFound(res, 'Order');
+    }
+
+    const shipment = order.createShipment({
+      itemIds,
+      carrier,
+      trackingNumber,
+      estimatedDelivery,
+      note
+    });
+
+    await order.save();
+
+    return sendCreated(res, 'Shipment created', { shipment, order });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update shipment status (or add a tracking event)
+ * @route   PUT /api/admin/orders/:id/shipments/:shipmentId/status
+ * @access  Admin
+ */
+const updateShipmentStatus = async (req, res, next) => {
+  try {
+    const { id, shipmentId } = req.params;
+    const { status, note, location, carrier, trackingNumber } = req.body;
+
+    const order = await Order.findById(id);
+
+    if (!order) {
+      return sendNotFound(res, 'Order');
+    }
+
+    const shipment = await order.updateShipmentStatus(shipmentId, status, {
+      note,
+      location,
+      carrier,
+      trackingNumber
+    });
+
+    await order.save();
+
+    return sendSuccess(res, 200, 'Shipment updated', { shipment, order });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Coupon Management
+
+/**
+ * @desc    Get all coupons
+ * @route   GET /api/admin/coupons
+ * @access  Admin
+ */
+const getAllCoupons = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePaginationParams(req.query);
+    const { isActive, code } = req.query;
+
+    const filter = {};
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (code) filter.code = { $regex: code, $options: 'i' };
+
+    const totalItems = await Coupon.countDocuments(filter);
+
+    const coupons = await Coupon.find(filter)
+      .select('-redemptions')
+      .skip(skip)
+      .limit(limit)
+      .sort({ createdAt: -1 });
+
+    const pagination = calculatePagination(totalItems, page, limit);
+
+    return sendPaginated(res, 'Coupons retrieved', coupons, pagination);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single coupon with redemptions
+ * @route   GET /api/admin/coupons/:id
+ * @access  Admin
+ */
+const getCouponById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const coupon = await Coupon.findById(id)
+      .populate('redemptions.user', 'name email')
+      .populate('redemptions.order', 'orderNumber status');
+
+    if (!coupon) {
+      return sendNotFound(res, 'Coupon');
+    }
+
+    return sendSuccess(res, 200, 'Coupon retrieved', { coupon });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create coupon
+ * @route   POST /api/admin/coupons
+ * @access  Admin
+ */
+const createCoupon = async (req, res, next) => {
+  try {
+    const { redemptions, usedCount, ...couponData } = req.body;
+
+    const existingCoupon = await Coupon.findByCode(couponData.code);
+    if (existingCoupon) {
+      return sendError(res, 400, 'A coupon with this code already exists');
+    }
+
+    const coupon = await Coupon.create({
+      ...couponData,
+      createdBy: req.user._id
+    });
+
+    return sendCreated(res, 'Coupon created successfully', { coupon });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update coupon
+ * @route   PUT /api/admin/coupons/:id
+ * @access  Admin
+ */
+const updateCoupon = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { redemptions, usedCount, createdBy, ...updates } = req.body;
+
+    const coupon = await Coupon.findById(id);
+
+    if (!coupon) {
+      return sendNotFound(res, 'Coupon');
+    }
+
+    // Save through the document so cross-field validators see the full coupon
+    coupon.set(updates);
+    await coupon.save();
+
+    return sendSuccess(res, 200, 'Coupon updated', { coupon });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete coupon (deactivates if already redeemed)
+ * @route   DELETE /api/admin/coupons/:id
+ * @access  Admin
+ */
+const deleteCoupon = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const coupon = await Coupon.findById(id);
+
+    if (!coupon) {
+      return sendNotFound(res, 'Coupon');
+    }
+
+    // Keep redeemed coupons for order history
+    if (coupon.usedCount > 0) {
+      coupon.isActive = false;
+      await coupon.save();
+      return sendSuccess(res, 200, 'Coupon has redemptions and was deactivated instead');
+    }
+
+    await coupon.deleteOne();
+
+    return sendSuccess(res, 200, 'Coupon deleted');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Review Moderation
+
+/**
+ * @desc    Get review moderation queue
+ * @route   GET /api/admin/reviews
+ * @access  Admin
+ */
+const getModerationQueue = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePaginationParams(req.query);
+    const { status = 'pending', product } = req.query;
+
+    const filter = { status };
+    if (product) filter.product = product;
+
+    const totalItems = await Review.countDocuments(filter);
+
+    // Oldest pending first so nothing waits forever
+    const reviews = await Review.find(filter)
+      .populate('user', 'name email')
+      .populate('product', 'name slug')
+      .skip(skip)
+      .limit(limit)
+      .sort({ createdAt: status === 'pending' ? 1 : -1 });
+
+    const pagination = calculatePagination(totalItems, page, limit);
+
+    return sendPaginated(res, 'Reviews retrieved', reviews, pagination);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve or reject a review
+ * @route   PUT /api/admin/reviews/:id/moderate
+ * @access  Admin
+ */
+const moderateReview = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status, note } = req.body;
+
+    const review = await Review.findById(id);
+    if (!review) {
+      return sendNotFound(res, 'Review');
+    }
+
+    const previousStatus = review.status;
+
+    review.status = status;
+    review.moderation = {
+      moderatedBy: req.user._id,
+      moderatedAt: new Date(),
+      note
+    };
+    await review.save();
+
+    // Aggregate only changes when a review enters or leaves "approved"
+    if (previousStatus === 'approved' || status === 'approved') {
+      await Review.recalculateProductRating(review.product);
+    }
+
+    return sendSuccess(res, 200, `Review ${status}`, { review });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Return Management
+
+// A receive claim this old belongs to a request that never finished
+const RECEIVE_CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Refund the refund lines of a received return through the order's
+ * payment provider. COD orders (and payments never taken online) are
+ * refunded manually and stay pending until a reference is recorded.
+ * @param {Object} returnRequest - ReturnRequest document
+ * @param {Object} order - Order document
+ * @param {string} [reference] - Manual refund reference (bank transfer, UPI, etc.)
+ */
+const issueReturnRefund = async (returnRequest, order, reference) => {
+  const amount = returnRequest.calculateRefundAmount(order);
+  if (amount <= 0) return;
+
+  const { payment } = order;
+  const provider = payment.method !== 'cod' && payment.transactionId
+    ? getProvider(payment.provider)
+    : null;
+
+  if (!provider) {
+    const status = reference ? 'processed' : 'pending';
+    returnRequest.refund = {
+      amount,
+      provider: 'manual',
+      refundId: reference,
+      status,
+      processedAt: reference ? new Date() : undefined
+    };
+    if (reference) {
+      order.recordRefund({ refundId: reference, amount, status });
+    }
+  } else {
+    try {
+      // Keyed by the RMA so a repeated call cannot refund the return twice
+      const result = await provider.refund({
+        paymentId: payment.transactionId,
+        amount,
+        notes: { rmaNumber: returnRequest.rmaNumber, orderNumber: order.orderNumber },
+        idempotencyKey: returnRequest.rmaNumber
+      });
+      const status = result.status === 'processed' ? 'processed' : 'pending';
+
+      returnRequest.refund = {
+        amount,
+        provider: provider.name,
+        refundId: result.refundId,
+        status,
+        processedAt: status === 'processed' ? new Date() : undefined
+      };
+      order.recordRefund({ refundId: result.refundId, amount, status });
+    } catch (error) {
+      returnRequest.refund = {
+        amount,
+        provider: provider.name,
+        status: 'failed',
+        note: error.message
+      };
+    }
+  }
+
+  const { refund } = returnRequest;
+  const step = refund.status === 'failed' ? 'refund_failed' : 'refund_initiated';
+  order.statusHistory.push({
+    status: refund.status === 'processed' ? 'refunded' : step,
+    date: new Date(),
+    note: `₹${amount} for return ${returnRequest.rmaNumber} (${refund.provider})`
+  });
+};
+
+/**
+ * Whether a return's refund needs no further admin action
+ * (done, or in the payment provider's hands)
+ * @param {Object} [refund] - Return refund record
+ * @returns {boolean}
+ */
+const isRefundSettled = (refund) => {
+  if (!refund) return true;
+  return refund.status === 'processed' || (refund.status === 'pending' && refund.provider !== 'manual');
+};
+
+/**
+ * Create a zero-value replacement order for the exchange lines of a return.
+ * Stock for the new sizes was already reserved when the return was approved.
+ * @param {Object} returnRequest - ReturnRequest document
+ * @param {Object} order - Original order document
+ * @param {Object} [options] - { session } for use inside a transaction
+ * @returns {Promise<Object>} Replacement order
+ */
+const createExchangeOrder = async (returnRequest, order, { session } = {}) => {
+  const items = returnRequest.exchangeItems.map((item) => {
+    const original = order.items.id(item.orderItem);
+    return {
+      product: item.product,
+      name: item.name,
+      image: original ? original.image : undefined,
+      variant: item.exchangeVariant,
+      quantity: item.quantity,
+      price: item.price,
+      total: item.price * item.quantity
+    };
+  });
+  const value = items.reduce((sum, item) => sum + item.total, 0);
+
+  const exchangeOrder = new Order({
+    user: order.user,
+    items,
+    shippingAddress: order.shippingAddress.toObject(),
+    billingAddress: order.billingAddress ? order.billingAddress.toObject() : undefined,
+    payment: { method: order.payment.method, status: 'completed', amountPaid: 0 },
+    pricing: { subtotal: value, discount: value, total: 0 },
+    status: 'confirmed',
+    notes: { internal: `Exchange for return ${returnRequest.rmaNumber} (order ${order.orderNumber})` }
+  });
+  await exchangeOrder.save({ session });
+
+  return exchangeOrder;
+};
+
+/**
+ * Refund, restock and close a return the caller has claimed ("receiving")
+ * @param {Object} returnRequest - Claimed ReturnRequest document
+ * @param {Object} details - { items, note, refundReference, by }
+ * @returns {Promise<Object>} Updated ReturnRequest document
+ */
+const completeReceipt = async (returnRequest, { items, note, refundReference, by }) => {
+  const id = returnRequest._id;
+  let order = await Order.findById(returnRequest.order);
+
+  // Refund first and store the result straight away: the gateway call
+  // cannot be rolled back, so a retry must find it. Refunds with an ID
+  // are never issued again; failed ones are retried.
+  const { refund } = returnRequest;
+  if (returnRequest.refundItems.length > 0 && !(refund && refund.refundId)) {
+    await issueReturnRefund(returnRequest, order, refundReference);
+    await returnRequest.save();
+    await order.save();
+  }
+
+  // Restock, replacement order and status changes commit together
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      // Reload on every attempt; the transaction body may be retried
+      returnRequest = await ReturnRequest.findById(id).session(session);
+      order = await Order.findById(returnRequest.order).session(session);
+
+      if (returnRequest.status !== 'receiving') {
+        throw new BadRequestError('Only approved returns can be received');
+      }
+
+      // Inspect each line; unlisted lines are assumed to be in good condition
+      for (const item of returnRequest.items) {
+        if (item.restocked) continue;
+
+        const inspected = items.find((i) => i.itemId === item._id.toString());
+        item.condition = inspected && inspected.condition ? inspected.condition : 'good';
+
+        if (item.condition === 'good') {
+          item.restocked = await Product.adjustVariantStock(
+            item.product,
+            item.variant,
+            item.quantity,
+            { session }
+          );
+        }
+      }
+
+      const restockedCount = returnRequest.items.filter((item) => item.restocked).length;
+      returnRequest.setStatus('received', note, by);
+      order.statusHistory.push({
+        status: 'return_received',
+        date: new Date(),
+        note: `Return ${returnRequest.rmaNumber} received; ${restockedCount} line(s) restocked`
+      });
+
+      if (returnRequest.exchangeItems.length > 0 && !returnRequest.exchangeOrder) {
+        const exchangeOrder = await createExchangeOrder(returnRequest, order, { session });
+        returnRequest.exchangeOrder = exchangeOrder._id;
+        order.statusHistory.push({
+          status: 'exchange_created',
+          date: new Date(),
+          note: `Replacement order ${exchangeOrder.orderNumber} for return ${returnRequest.rmaNumber}`
+        });
+      }
+
+      // Completed unless the refund still needs attention
+      if (isRefundSettled(returnRequest.refund)) {
+        returnRequest.setStatus('completed', undefined, by);
+      }
+      await returnRequest.save({ session });
+
+      // Lines fully back with us are returned; once every kept line is, so is the order
+      const returned = await ReturnRequest.find({
+        order: order._id,
+        status: { $in: ['received', 'completed'] }
+      })
+        .select('items.orderItem items.quantity')
+        .session(session);
+      const returnedQty = (itemId) => returned.reduce(
+        (sum, request) => sum + request.items
+          .filter((i) => i.orderItem.toString() === itemId.toString())
+          .reduce((s, i) => s + i.quantity, 0),
+        0
+      );
+      order.items.forEach((item) => {
+        if (item.status !== 'cancelled' && returnedQty(item._id) >= item.quantity) {
+          item.status = 'returned';
+        }
+      });
+      if (order.deriveStatus() === 'returned') {
+        await order.updateStatus('returned', `All items returned (${returnRequest.rmaNumber})`, {
+          by,
+          session
+        });
+      }
+
+      await order.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // The refund stands even if its credit note has to be issued later
+  await issueCreditNotes(order).catch((error) => console.error('Credit note error:', error.message));
+
+  return returnRequest;
+};
+
+/**
+ * @desc    Get all return requests
+ * @route   GET /api/admin/returns
+ * @access  Admin
+ */
+const getAllReturns = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePaginationParams(req.query);
+    const { status } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+
+    const totalItems = await ReturnRequest.countDocuments(filter);
+
+    const returnRequests = await ReturnRequest.find(filter)
+      .populate('user', 'name email')
+      .populate('order', 'orderNumber')
+      .skip(skip)
+      .limit(limit)
+      .sort({ createdAt: -1 });
+
+    const pagination = calculatePagination(totalItems, page, limit);
+
+    return sendPaginated(res, 'Return requests retrieved', returnRequests, pagination);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single return request
+ * @route   GET /api/admin/returns/:id
+ * @access  Admin
+ */
+const getReturnById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const returnRequest = await ReturnRequest.findById(id)
+      .populate('user', 'name email phone')
+      .populate('order', 'orderNumber status payment pricing')
+      .populate('exchangeOrder', 'orderNumber status');
+
+    if (!returnRequest) {
+      return sendNotFound(res, 'Return request');
+    }
+
+    return sendSuccess(res, 200, 'Return request retrieved', { returnRequest });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve a return request (reserves stock for exchanges)
+ * @route   PUT /api/admin/returns/:id/approve
+ * @access  Admin
+ */
+const approveReturn = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body;
+
+    const returnRequest = await ReturnRequest.findById(id);
+    if (!returnRequest) {
+      return sendNotFound(res, 'Return request');
+    }
+
+    if (returnRequest.status !== 'requested') {
+      return sendError(res, 400, `Return request is already ${returnRequest.status}`);
+    }
+
+    // Hold the replacement sizes; undo the holds if any size has run out
+    const reserved = [];
+    for (const item of returnRequest.exchangeItems) {
+      const ok = await Product.adjustVariantStock(item.product, item.exchangeVariant, -item.quantity);
+      if (!ok) {
+        for (const held of reserved) {
+          await Product.adjustVariantStock(held.product, held.exchangeVariant, held.quantity);
+        }
+        return sendError(
+          res,
+          409,
+          `${item.name} in size ${item.exchangeVariant.size} is out of stock; offer a refund instead`
+        );
+      }
+      reserved.push(item);
+    }
+
+    returnRequest.setStatus('approved', note, req.user._id);
+    await returnRequest.save();
+
+    const order = await Order.findById(returnRequest.order);
+    order.statusHistory.push({
+      status: 'return_approved',
+      date: new Date(),
+      note: `Return ${returnRequest.rmaNumber} approved; awaiting pickup`
+    });
+    await order.save();
+
+    return sendSuccess(res, 200, 'Return request approved', { returnRequest });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reject a return request
+ * @route   PUT /api/admin/returns/:id/reject
+ * @access  Admin
+ */
+const rejectReturn = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const returnRequest = await ReturnRequest.findById(id);
+    if (!returnRequest) {
+      return sendNotFound(res, 'Return request');
+    }
+
+    if (returnRequest.status !== 'requested') {
+      return sendError(res, 400, `Return request is already ${returnRequest.status}`);
+    }
+
+    returnRequest.rejectionReason = reason;
+    returnRequest.setStatus('rejected', reason, req.user._id);
+    await returnRequest.save();
+
+    const order = await Order.findById(returnRequest.order);
+    order.statusHistory.push({
+      status: 'return_rejected',
+      date: new Date(),
+      note: `Return ${returnRequest.rmaNumber} rejected: ${reason}`
+    });
+    await order.save();
+
+    return sendSuccess(res, 200, 'Return request rejected', { returnRequest });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark returned items received, restock them, then refund/exchange
+ * @route   PUT /api/admin/returns/:id/receive
+ * @access  Admin
+ */
+const receiveReturn = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { items = [], note, refundReference } = req.body;
+
+    // Claim the return so concurrent or repeated calls cannot refund it twice.
+    // A claim left behind by a crashed request can be taken over once stale
+    let returnRequest = await ReturnRequest.findOneAndUpdate(
+      {
+        _id: id,
+        $or: [
+          { status: 'approved' },
+          { status: 'receiving', updatedAt: { $lt: new Date(Date.now() - RECEIVE_CLAIM_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { status: 'receiving' } },
+      { new: true }
+    );
+    if (!returnRequest) {
+      const exists = await ReturnRequest.exists({ _id: id });
+      if (!exists) {
+        return sendNotFound(res, 'Return request');
+      }
+      return sendError(res, 400, 'Only approved returns can be received');
+    }
+
+    try {
+      returnRequest = await completeReceipt(returnRequest, { items, note, refundReference, by: req.user._id });
+    } catch (error) {
+      // Release the claim; the refund (if any) is stored, so a retry does not repeat it
+      await ReturnRequest.updateOne({ _id: id, status: 'receiving' }, { $set: { status: 'approved' } });
+      throw error;
+    }
+
+    return sendSuccess(res, 200, 'Return received', { returnRequest });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Retry a failed refund or record a manual (COD) refund
+ * @route   PUT /api/admin/returns/:id/refund
+ * @access  Admin
+ */
+const refundReturn = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reference } = req.body;
+
+    const returnRequest = await ReturnRequest.findById(id);
+    if (!returnRequest) {
+      return sendNotFound(res, 'Return request');
+    }
+
+    const { refund } = returnRequest;
+    if (!refund || refund.status === 'processed') {
+      return sendError(res, 400, 'This return has no outstanding refund');
+    }
+
+    if (refund.status === 'pending' && refund.provider !== 'manual') {
+      return sendError(res, 400, 'Refund is being processed by the payment provider');
+    }
+
+    if (refund.provider === 'manual' && !reference) {
+      return sendError(res, 400, 'Please provide the refund reference');
+    }
+
+    const order = await Order.findById(returnRequest.order);
+
+    await issueReturnRefund(returnRequest, order, reference);
+
+    if (isRefundSettled(returnRequest.refund) && returnRequest.status === 'received') {
+      returnRequest.setStatus('completed', undefined, req.user._id);
+    }
+
+    await returnRequest.save();
+    await order.save();
+
+    await issueCreditNotes(order).catch((error) => console.error('Credit note error:', error.message));
+
+    if (returnRequest.refund.status === 'failed') {
+      return sendError(res, 502, `Refund failed: ${returnRequest.refund.note}`);
+    }
+
+    return sendSuccess(res, 200, 'Refund recorded', { returnRequest });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Shipping Zone Management
+
+/**
+ * @desc    Get all shipping zones
+ * @route   GET /api/admin/shipping-zones
+ * @access  Admin
+ */
+const getAllShippingZones = async (req, res, next) => {
+  try {
+    const zones = await ShippingZone.find().sort({ priority: -1, name: 1 });
+
+    return sendSuccess(res, 200, 'Shipping zones retrieved', { zones });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create shipping zone
+ * @route   POST /api/admin/shipping-zones
+ * @access  Admin
+ */
+const createShippingZone = async (req, res, next) => {
+  try {
+    const zone = await ShippingZone.create(req.body);
+
+    return sendCreated(res, 'Shipping zone created successfully', { zone });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update shipping zone
+ * @route   PUT /api/admin/shipping-zones/:id
+ * @access  Admin
+ */
+const updateShippingZone = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const zone = await ShippingZone.findByIdAndUpdate(
+      id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!zone) {
+      return sendNotFound(res, 'Shipping zone');
+    }
+
+    return sendSuccess(res, 200, 'Shipping zone updated', { zone });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete shipping zone
+ * @route   DELETE /api/admin/shipping-zones/:id
+ * @access  Admin
+ */
+const deleteShippingZone = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const zone = await ShippingZone.findByIdAndDelete(id);
+
+    if (!zone) {
+      return sendNotFound(res, 'Shipping zone');
+    }
+
+    return sendSuccess(res, 200, 'Shipping zone deleted');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Invoice Management
+
+/**
+ * @desc    Get all invoices and credit notes
+ * @route   GET /api/admin/invoices
+ * @access  Admin
+ */
+const getAllInvoices = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePaginationParams(req.query);
+    const { type, from, to } = req.query;
+
+    const filter = {};
+    if (type) filter.type = type;
+    if (from || to) {
+      filter.issuedAt = {};
+      if (from) filter.issuedAt.$gte = new Date(from);
+      if (to) filter.issuedAt.$lte = new Date(to);
+    }
+
+    const totalItems = await Invoice.countDocuments(filter);
+
+    const invoices = await Invoice.find(filter)
+      .select('-lines')
+      .populate('order', 'orderNumber')
+      .populate('originalInvoice', 'invoiceNumber')
+      .skip(skip)
+      .limit(limit)
+      .sort({ issuedAt: -1 });
+
+    const pagination = calculatePagination(totalItems, page, limit);
+
+    return sendPaginated(res, 'Invoices retrieved', invoices, pagination);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download the tax invoice for an order
+ * @route   GET /api/admin/orders/:id/invoice
+ * @access  Admin
+ */
+const getOrderInvoice = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return sendNotFound(res, 'Order');
+    }
+
+    const invoice = await getOrIssueInvoice(order);
+
+    return sendPdf(res, invoice.pdf, invoice.fileName);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download an invoice or credit note
+ * @route   GET /api/admin/invoices/:id/pdf
+ * @access  Admin
+ */
+const getInvoicePdf = async (req, res, next) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id).select('+pdf');
+
+    if (!invoice) {
+      return sendNotFound(res, 'Invoice');
+    }
+
+    return sendPdf(res, invoice.pdf, invoice.fileName);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Cart Recovery
+
+/**
+ * @desc    Get abandoned cart recovery rate and recovered revenue
+ * @route   GET /api/admin/reports/cart-recovery
+ * @access  Admin
+ */
+const getCartRecoveryReport = async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+
+    const report = await CartRecovery.getReport({ from, to });
+
+    return sendSuccess(res, 200, 'Cart recovery report retrieved', { report });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // User Management
 
 /**
@@ -477,6 +1427,29 @@ module.exports = {
   getOrderById,
   updateOrderStatus,
   updatePaymentStatus,
+  createShipment,
+  updateShipmentStatus,
+  getAllCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  getModerationQueue,
+  moderateReview,
+  getAllReturns,
+  getReturnById,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn,
+  getAllShippingZones,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone,
+  getAllInvoices,
+  getOrderInvoice,
+  getInvoicePdf,
+  getCartRecoveryReport,
   getAllUsers,
   getUserById,
   updateUserStatus,
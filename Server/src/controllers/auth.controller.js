@@ -4,11 +4,91 @@
  */
 
 const User = require('../models/User.model');
-const { generateUserToken, setTokenCookie, clearTokenCookie } = require('../utils/jwt');
+const Session = require('../models/Session.model');
+const Cart = require('../models/Cart.model');
+const {
+  generateUserToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  setTokenCookie,
+  clearTokenCookie,
+  setRefreshTokenCookie,
+  clearRefreshTokenCookie,
+  getGuestCartId,
+  clearGuestCartCookie
+} = require('../utils/jwt');
 const { sendSuccess, sendCreated, sendError } = require('../utils/response');
 const { AppError } = require('../utils/errors');
+const { sendEmail, escapeHtml } = require('../utils/email');
+const { notify } = require('../services/notifications');
 const bcrypt = require("bcryptjs");
 
+/**
+ * Start a new device session and set access/refresh cookies
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - User document
+ * @returns {Promise<{ token: string, refreshToken: string }>}
+ */
+const startSession = async (req, res, user) => {
+  const { session, refreshToken } = await Session.createForUser(user._id, {
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+
+  const token = generateUserToken(user, session._id);
+  setTokenCookie(res, token);
+  setRefreshTokenCookie(res, refreshToken, session.expiresAt);
+
+  return { token, refreshToken };
+};
+
+/**
+ * Merge the guest cart named by the guestCart cookie into the user's cart.
+ * Never fails the login: problems are logged and the guest cart is kept.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - User document
+ * @returns {Promise<Object|null>} Merge summary, or null if there was nothing to merge
+ */
+const mergeGuestCart = async (req, res, user) => {
+  const cartId = getGuestCartId(req);
+  if (!cartId) return null;
+
+  try {
+    const guestCart = await Cart.findOne({ _id: cartId, user: { $exists: false } });
+    if (!guestCart) {
+      clearGuestCartCookie(res);
+      return null;
+    }
+
+    const cart = await Cart.getOrCreateCart(user._id);
+    const summary = await cart.mergeGuestCart(guestCart);
+    await cart.save();
+    await guestCart.deleteOne();
+    clearGuestCartCookie(res);
+
+    return summary;
+  } catch (error) {
+    console.error('Guest cart merge error:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Queue an email with a signed verification link for the user
+ * @param {Object} user - User document
+ * @returns {Promise<Object|null>} Queued notification
+ */
+const queueVerificationEmail = (user) => {
+  const token = generateEmailVerificationToken(user);
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+  return notify('verify_email', {
+    user,
+    data: { verifyUrl: `${apiUrl}/api/auth/verify-email/${token}` }
+  });
+};
 
 /**
  * @desc    Register a new user
@@ -32,16 +112,26 @@ const register = async (req, res, next) => {
       password
     });
 
-    // Generate JWT token
-    const token = generateUserToken(user);
+    // Queue the verification link; the notification worker sends it, so a
+    // slow or unreachable mail server does not hold up registration
+    try {
+      await queueVerificationEmail(user);
+    } catch (error) {
+      console.error('Verification email error:', error.message);
+    }
+
+    // Start session and set auth cookies
+    const { token, refreshToken } = await startSession(req, res, user);
 
-    // Set token cookie
-    setTokenCookie(res, token);
+    // Carry over anything added to the cart before signing up
+    const cartMerge = await mergeGuestCart(req, res, user);
 
     // Send response
     return sendCreated(res, 'Registration successful', {
       user: user.toPublicProfile(),
-      token
+      token,
+      refreshToken,
+      cartMerge
     });
   } catch (error) {
     next(error);
@@ -79,16 +169,18 @@ const login = async (req, res, next) => {
     user.lastLogin = new Date();
     await user.save({ validateBeforeSave: false });
 
-    // Generate JWT token
-    const token = generateUserToken(user);
+    // Start session and set auth cookies
+    const { token, refreshToken } = await startSession(req, res, user);
 
-    // Set token cookie
-    setTokenCookie(res, token);
+    // Carry over anything added to the cart before logging in
+    const cartMerge = await mergeGuestCart(req, res, user);
 
     // Send response
     return sendSuccess(res, 200, 'Login successful', {
       user: user.toPublicProfile(),
-      token
+      token,
+      refreshToken,
+      cartMerge
     });
   } catch (error) {
     next(error);
@@ -102,8 +194,15 @@ const login = async (req, res, next) => {
  */
 const logout = async (req, res, next) => {
   try {
-    // Clear token cookie
+    // Revoke this device's session
+    await Session.updateOne(
+      { _id: req.sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
+
+    // Clear auth cookies
     clearTokenCookie(res);
+    clearRefreshTokenCookie(res);
 
     return sendSuccess(res, 200, 'Logged out successfully');
   } catch (error) {
@@ -154,8 +253,11 @@ const updatePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device
+    await Session.revokeAllForUser(user._id, 'password_changed', req.sessionId);
+
     // Generate new token
-    const token = generateUserToken(user);
+    const token = generateUserToken(user, req.sessionId);
     setTokenCookie(res, token);
 
     return sendSuccess(res, 200, 'Password updated successfully', { token });
@@ -165,23 +267,247 @@ const updatePassword = async (req, res, next) => {
 };
 
 /**
- * @desc    Refresh token
+ * @desc    Rotate refresh token and issue a new access token
  * @route   POST /api/auth/refresh-token
- * @access  Private
+ * @access  Public (requires refresh token cookie or body)
  */
 const refreshToken = async (req, res, next) => {
   try {
-    const user = await User.findById(req.user._id);
+    const presentedToken = (req.cookies && req.cookies.refreshToken) || req.body.refreshToken;
+
+    if (!presentedToken) {
+      return sendError(res, 401, 'Refresh token is required');
+    }
+
+    const result = await Session.rotate(presentedToken, {
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+
+    if (!result || result.reuseDetected) {
+      clearTokenCookie(res);
+      clearRefreshTokenCookie(res);
+      return sendError(
+        res,
+        401,
+        result && result.reuseDetected
+          ? 'Refresh token has already been used. Please log in again.'
+          : 'Invalid or expired refresh token. Please log in again.'
+      );
+    }
+
+    const { session } = result;
+    const user = await User.findById(session.user);
 
     if (!user || !user.isActive) {
+      session.revoke('user_revoked');
+      await session.save();
       return sendError(res, 401, 'User not found or inactive');
     }
 
-    // Generate new token
-    const token = generateUserToken(user);
+    // Generate new token pair
+    const token = generateUserToken(user, session._id);
     setTokenCookie(res, token);
+    setRefreshTokenCookie(res, result.refreshToken, session.expiresAt);
+
+    return sendSuccess(res, 200, 'Token refreshed', {
+      token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List active sessions (devices)
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    return sendSuccess(res, 200, 'Sessions retrieved', {
+      sessions: sessions.map((session) => session.toPublicSession(req.sessionId))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke a session (sign out a device)
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+const revokeSession = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const session = await Session.findOne({ _id: id, user: req.user._id });
+
+    if (!session || !session.isActive) {
+      return sendError(res, 404, 'Session not found');
+    }
+
+    session.revoke('user_revoked');
+    await session.save();
+
+    // Revoking the current device is a logout
+    if (id === req.sessionId.toString()) {
+      clearTokenCookie(res);
+      clearRefreshTokenCookie(res);
+    }
+
+    return sendSuccess(res, 200, 'Session revoked');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Request a password reset email
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    // Same response whether or not the account exists
+    const genericMessage = 'If an account exists for this email, a password reset link has been sent';
+
+    const user = await User.findByEmail(email);
+    if (!user || !user.isActive) {
+      return sendSuccess(res, 200, genericMessage);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+    const resetUrl = `${clientUrl}/reset-password/${resetToken}`;
+    const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\nWe received a request to reset your password. ` +
+          `Use the link below to choose a new one. It expires in ${expiresInMinutes} minutes.\n\n` +
+          `${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+          '<p>We received a request to reset your password. ' +
+          `Use the link below to choose a new one. It expires in ${expiresInMinutes} minutes.</p>` +
+          `<p><a href="${escapeHtml(resetUrl)}">Reset password</a></p>` +
+          '<p>If you did not request this, you can ignore this email.</p>'
+      });
+    } catch (error) {
+      // Don't leave a usable token behind if the email never went out
+      user.clearPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+      return next(new AppError('There was an error sending the email. Please try again later.', 500));
+    }
+
+    return sendSuccess(res, 200, genericMessage);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reset password using emailed token
+ * @route   POST /api/auth/reset-password/:token
+ * @access  Public
+ */
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+    const { password } = req.body;
+
+    const user = await User.findByPasswordResetToken(token);
+    if (!user) {
+      return sendError(res, 400, 'Password reset link is invalid or has expired');
+    }
+
+    // Set new password and burn the token
+    user.password = password;
+    user.clearPasswordResetToken();
+    await user.save();
+
+    // Sign out every device, then log in with the new password
+    await Session.revokeAllForUser(user._id, 'password_changed');
+    const { token: authToken, refreshToken: newRefreshToken } = await startSession(req, res, user);
+
+    return sendSuccess(res, 200, 'Password has been reset successfully', {
+      user: user.toPublicProfile(),
+      token: authToken,
+      refreshToken: newRefreshToken
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Verify email address from signed link
+ * @route   GET /api/auth/verify-email/:token
+ * @access  Public
+ */
+const verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+
+    let decoded;
+    try {
+      decoded = verifyEmailVerificationToken(token);
+    } catch (error) {
+      return sendError(res, 400, 'Verification link is invalid or has expired');
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || user.email !== decoded.email) {
+      return sendError(res, 400, 'Verification link is invalid or has expired');
+    }
+
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    return sendSuccess(res, 200, 'Email verified successfully', {
+      user: user.toPublicProfile()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resend email verification link
+ * @route   POST /api/auth/resend-verification
+ * @access  Private
+ */
+const resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.isEmailVerified) {
+      return sendError(res, 400, 'Your email is already verified');
+    }
+
+    try {
+      await queueVerificationEmail(user);
+    } catch (error) {
+      return next(new AppError('There was an error sending the email. Please try again later.', 500));
+    }
 
-    return sendSuccess(res, 200, 'Token refreshed', { token });
+    return sendSuccess(res, 200, 'Verification email sent');
   } catch (error) {
     next(error);
   }
@@ -193,5 +519,11 @@ module.exports = {
   logout,
   getMe,
   updatePassword,
-  refreshToken
+  refreshToken,
+  getSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
 };
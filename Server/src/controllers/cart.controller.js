@@ -4,18 +4,94 @@
 
 const Cart = require('../models/Cart.model');
 const Product = require('../models/Product.model');
+const Coupon = require('../models/Coupon.model');
+const CartRecovery = require('../models/CartRecovery.model');
 const { sendSuccess, sendNotFound, sendError } = require('../utils/response');
+const {
+  generateGuestCartToken,
+  getGuestCartId,
+  setGuestCartCookie,
+  verifyCartRestoreToken
+} = require('../utils/jwt');
+const { recordRestore } = require('../services/cartRecovery');
 
 /**
- * @desc    Get user's cart
+ * Find the shopper's cart: the user's cart when logged in, otherwise
+ * the guest cart named by the signed guestCart cookie. Guests' cookies
+ * are renewed so an active cart does not expire.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Cart|null>}
+ */
+const findCart = async (req, res) => {
+  if (req.user) {
+    return Cart.findOne({ user: req.user._id });
+  }
+
+  const cartId = getGuestCartId(req);
+  const cart = cartId ? await Cart.findOne({ _id: cartId, user: { $exists: false } }) : null;
+  if (cart) {
+    setGuestCartCookie(res, generateGuestCartToken(cart._id));
+  }
+
+  return cart;
+};
+
+/**
+ * Find the shopper's cart, creating it if needed. A new guest cart
+ * gets a cookie naming it.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Cart>}
+ */
+const findOrCreateCart = async (req, res) => {
+  const cart = await findCart(req, res);
+  if (cart) return cart;
+
+  if (req.user) {
+    return Cart.create({ user: req.user._id, items: [] });
+  }
+
+  const guestCart = await Cart.create({ items: [] });
+  setGuestCartCookie(res, generateGuestCartToken(guestCart._id));
+  return guestCart;
+};
+
+/**
+ * Populate product details for cart lines and saved items. Saved items
+ * carry their product's variants so they can show current price and stock.
+ * @param {Cart} cart - Cart document
+ * @returns {Promise<Cart>}
+ */
+const populateCart = (cart) => cart.populate([
+  { path: 'items.product', select: 'name slug images price salePrice totalStock' },
+  { path: 'savedItems.product', select: 'name slug images price salePrice totalStock status variants' }
+]);
+
+/**
+ * @desc    Get the shopper's cart
  * @route   GET /api/cart
- * @access  Private
+ * @access  Public (guest cart via cookie)
  */
 const getCart = async (req, res, next) => {
   try {
-    const cart = await Cart.getOrCreateCart(req.user._id);
+    // Guests get a stored cart on their first add, not on every visit
+    const cart = req.user
+      ? await findOrCreateCart(req, res)
+      : (await findCart(req, res)) || new Cart({ items: [] });
+
+    // Reconcile lines with current prices and stock
+    let warnings = [];
+    if (!cart.isNew) {
+      warnings = await cart.revalidate();
+      if (cart.isModified()) {
+        await cart.save();
+      }
+    }
 
-    return sendSuccess(res, 200, 'Cart retrieved successfully', { cart });
+    await populateCart(cart);
+
+    return sendSuccess(res, 200, 'Cart retrieved successfully', { cart, warnings });
   } catch (error) {
     next(error);
   }
@@ -24,7 +100,7 @@ const getCart = async (req, res, next) => {
 /**
  * @desc    Add item to cart
  * @route   POST /api/cart/items
- * @access  Private
+ * @access  Public (guest cart via cookie)
  */
 const addToCart = async (req, res, next) => {
   try {
@@ -50,16 +126,13 @@ const addToCart = async (req, res, next) => {
     }
 
     // Get or create cart
-    let cart = await Cart.findOne({ user: req.user._id });
-    if (!cart) {
-      cart = await Cart.create({ user: req.user._id, items: [] });
-    }
+    const cart = await findOrCreateCart(req, res);
 
     // Determine price (use variant price if exists, otherwise product price)
     const itemPrice = productVariant.price || product.salePrice || product.price;
 
     // Add item to cart
-    cart.addItem({
+    await cart.addItem({
       product: productId,
       variant: {
         size: variant.size,
@@ -73,10 +146,7 @@ const addToCart = async (req, res, next) => {
     await cart.save();
 
     // Populate product details for response
-    await cart.populate({
-      path: 'items.product',
-      select: 'name slug images price salePrice totalStock'
-    });
+    await populateCart(cart);
 
     return sendSuccess(res, 200, 'Item added to cart', { cart });
   } catch (error) {
@@ -87,14 +157,14 @@ const addToCart = async (req, res, next) => {
 /**
  * @desc    Update cart item quantity
  * @route   PUT /api/cart/items/:itemId
- * @access  Private
+ * @access  Public (guest cart via cookie)
  */
 const updateCartItem = async (req, res, next) => {
   try {
     const { itemId } = req.params;
     const { quantity } = req.body;
 
-    const cart = await Cart.findOne({ user: req.user._id });
+    const cart = await findCart(req, res);
     if (!cart) {
       return sendNotFound(res, 'Cart');
     }
@@ -117,13 +187,10 @@ const updateCartItem = async (req, res, next) => {
     }
 
     // Update quantity (removes item if quantity is 0)
-    cart.updateItemQuantity(itemId, quantity);
+    await cart.updateItemQuantity(itemId, quantity);
     await cart.save();
 
-    await cart.populate({
-      path: 'items.product',
-      select: 'name slug images price salePrice totalStock'
-    });
+    await populateCart(cart);
 
     return sendSuccess(res, 200, 'Cart updated', { cart });
   } catch (error) {
@@ -134,13 +201,13 @@ const updateCartItem = async (req, res, next) => {
 /**
  * @desc    Remove item from cart
  * @route   DELETE /api/cart/items/:itemId
- * @access  Private
+ * @access  Public (guest cart via cookie)
  */
 const removeFromCart = async (req, res, next) => {
   try {
     const { itemId } = req.params;
 
-    const cart = await Cart.findOne({ user: req.user._id });
+    const cart = await findCart(req, res);
     if (!cart) {
       return sendNotFound(res, 'Cart');
     }
@@ -150,13 +217,10 @@ const removeFromCart = async (req, res, next) => {
       return sendNotFound(res, 'Cart item');
     }
 
-    cart.removeItem(itemId);
+    await cart.removeItem(itemId);
     await cart.save();
 
-    await cart.populate({
-      path: 'items.product',
-      select: 'name slug images price salePrice totalStock'
-    });
+    await populateCart(cart);
 
     return sendSuccess(res, 200, 'Item removed from cart', { cart });
   } catch (error) {
@@ -164,19 +228,135 @@ const removeFromCart = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Move a cart item to the saved-for-later list
+ * @route   POST /api/cart/items/:itemId/save-for-later
+ * @access  Public (guest cart via cookie)
+ */
+const saveForLater = async (req, res, next) => {
+  try {
+    const { itemId } = req.params;
+
+    const cart = await findCart(req, res);
+    if (!cart) {
+      return sendNotFound(res, 'Cart');
+    }
+
+    if (!cart.items.id(itemId)) {
+      return sendNotFound(res, 'Cart item');
+    }
+
+    await cart.saveForLater(itemId);
+    await cart.save();
+
+    await populateCart(cart);
+
+    return sendSuccess(res, 200, 'Item saved for later', { cart });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Move a saved item back to the cart
+ * @route   POST /api/cart/saved/:itemId/move-to-cart
+ * @access  Public (guest cart via cookie)
+ */
+const moveToCart = async (req, res, next) => {
+  try {
+    const { itemId } = req.params;
+
+    const cart = await findCart(req, res);
+    if (!cart) {
+      return sendNotFound(res, 'Cart');
+    }
+
+    const saved = cart.savedItems.id(itemId);
+    if (!saved) {
+      return sendNotFound(res, 'Saved item');
+    }
+
+    // Validate the product and variant are still on sale with stock
+    const product = await Product.findById(saved.product);
+    if (!product || product.status !== 'active') {
+      return sendError(res, 400, 'This product is no longer available');
+    }
+
+    const productVariant = product.variants.find(
+      (v) => v.size === saved.variant.size && v.color === saved.variant.color
+    );
+
+    if (!productVariant) {
+      return sendError(res, 400, 'Selected size/color combination is not available');
+    }
+
+    // The saved quantity joins any cart line for the same variant
+    const inCart = cart.findItem(saved);
+    const quantity = saved.quantity + (inCart ? inCart.quantity : 0);
+
+    if (productVariant.stock < quantity) {
+      const message = inCart
+        ? `Only ${productVariant.stock} items available in stock; ${inCart.quantity} already in your cart`
+        : `Only ${productVariant.stock} items available in stock`;
+      return sendError(res, 400, message);
+    }
+
+    // Price the line afresh; the saved item kept no price
+    const itemPrice = productVariant.price || product.salePrice || product.price;
+
+    await cart.moveToCart(itemId, itemPrice);
+    await cart.save();
+
+    await populateCart(cart);
+
+    return sendSuccess(res, 200, 'Item moved to cart', { cart });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a saved item
+ * @route   DELETE /api/cart/saved/:itemId
+ * @access  Public (guest cart via cookie)
+ */
+const removeSavedItem = async (req, res, next) => {
+  try {
+    const { itemId } = req.params;
+
+    const cart = await findCart(req, res);
+    if (!cart) {
+      return sendNotFound(res, 'Cart');
+    }
+
+    if (!cart.savedItems.id(itemId)) {
+      return sendNotFound(res, 'Saved item');
+    }
+
+    cart.savedItems.pull(itemId);
+    await cart.save();
+
+    await populateCart(cart);
+
+    return sendSuccess(res, 200, 'Saved item removed', { cart });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Clear cart
  * @route   DELETE /api/cart
- * @access  Private
+ * @access  Public (guest cart via cookie)
  */
 const clearCart = async (req, res, next) => {
   try {
-    const cart = await Cart.findOne({ user: req.user._id });
+    const cart = await findCart(req, res);
     if (!cart) {
       return sendNotFound(res, 'Cart');
     }
 
-    cart.clearCart();
+    await cart.clearCart();
     await cart.save();
 
     return sendSuccess(res, 200, 'Cart cleared', { cart });
@@ -188,42 +368,40 @@ const clearCart = async (req, res, next) => {
 /**
  * @desc    Apply coupon to cart
  * @route   POST /api/cart/apply-coupon
- * @access  Private
+ * @access  Public (guest cart via cookie)
  */
 const applyCoupon = async (req, res, next) => {
   try {
     const { couponCode } = req.body;
 
-    const cart = await Cart.findOne({ user: req.user._id });
+    const cart = await findCart(req, res);
     if (!cart) {
       return sendNotFound(res, 'Cart');
     }
 
-    // TODO: Implement coupon validation logic
-    // For now, simple percentage discount
-    const validCoupons = {
-      'FIRST10': 10,
-      'SAVE20': 20,
-      'DESIGNER15': 15
-    };
+    if (!couponCode) {
+      return sendError(res, 400, 'Coupon code is required');
+    }
 
-    const discount = validCoupons[couponCode.toUpperCase()];
-    if (!discount) {
+    const coupon = await Coupon.findByCode(couponCode);
+    if (!coupon) {
       return sendError(res, 400, 'Invalid coupon code');
     }
 
-    // Calculate discount amount
-    cart.couponCode = couponCode.toUpperCase();
-    cart.discount = Math.round((cart.subtotal * discount) / 100);
-    cart.calculateTotals();
+    // Apply and validate against the current cart contents
+    cart.couponCode = coupon.code;
+    await cart.calculateTotals();
+
+    const { couponResult } = cart.$locals;
+    if (!couponResult || !couponResult.valid) {
+      return sendError(res, 400, couponResult ? couponResult.message : 'Invalid coupon code');
+    }
+
     await cart.save();
 
-    await cart.populate({
-      path: 'items.product',
-      select: 'name slug images price salePrice totalStock'
-    });
+    await populateCart(cart);
 
-    return sendSuccess(res, 200, `Coupon applied! ${discount}% off`, { cart });
+    return sendSuccess(res, 200, `Coupon applied! ${coupon.label}`, { cart });
   } catch (error) {
     next(error);
   }
@@ -232,24 +410,21 @@ const applyCoupon = async (req, res, next) => {
 /**
  * @desc    Remove coupon from cart
  * @route   DELETE /api/cart/coupon
- * @access  Private
+ * @access  Public (guest cart via cookie)
  */
 const removeCoupon = async (req, res, next) => {
   try {
-    const cart = await Cart.findOne({ user: req.user._id });
+    const cart = await findCart(req, res);
     if (!cart) {
       return sendNotFound(res, 'Cart');
     }
 
     cart.couponCode = undefined;
     cart.discount = 0;
-    cart.calculateTotals();
+    await cart.calculateTotals();
     await cart.save();
 
-    await cart.populate({
-      path: 'items.product',
-      select: 'name slug images price salePrice totalStock'
-    });
+    await populateCart(cart);
 
     return sendSuccess(res, 200, 'Coupon removed', { cart });
   } catch (error) {
@@ -257,12 +432,155 @@ const removeCoupon = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get delivery methods available for an address
+ * @route   GET /api/cart/shipping-methods
+ * @access  Public (guest cart via cookie)
+ */
+const getShippingMethods = async (req, res, next) => {
+  try {
+    const { zipCode, state, paymentMethod } = req.query;
+
+    const cart = await findCart(req, res);
+    if (!cart || cart.items.length === 0) {
+      return sendError(res, 400, 'Your cart is empty');
+    }
+
+    // Price against this address without changing the saved choice
+    cart.shippingSelection = { zipCode, state, paymentMethod };
+    await cart.calculateTotals();
+
+    const quote = cart.$locals.shippingQuote;
+
+    return sendSuccess(res, 200, 'Shipping methods retrieved', {
+      serviceable: quote.serviceable,
+      zone: quote.zone,
+      methods: quote.methods,
+      message: quote.message
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Choose delivery address and method for the cart
+ * @route   PUT /api/cart/shipping
+ * @access  Public (guest cart via cookie)
+ */
+const setShippingMethod = async (req, res, next) => {
+  try {
+    const { zipCode, state, method, paymentMethod } = req.body;
+
+    const cart = await findCart(req, res);
+    if (!cart || cart.items.length === 0) {
+      return sendError(res, 400, 'Your cart is empty');
+    }
+
+    cart.shippingSelection = { zipCode, state, method, paymentMethod };
+    await cart.calculateTotals();
+
+    const quote = cart.$locals.shippingQuote;
+    if (!quote.serviceable) {
+      return sendError(res, 400, quote.message);
+    }
+
+    await cart.save();
+
+    await populateCart(cart);
+
+    return sendSuccess(res, 200, quote.message || 'Shipping method updated', {
+      cart,
+      methods: quote.methods
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept changed prices in the cart
+ * @route   POST /api/cart/acknowledge-price-changes
+ * @access  Public (guest cart via cookie)
+ */
+const acknowledgePriceChanges = async (req, res, next) => {
+  try {
+    const cart = await findCart(req, res);
+    if (!cart) {
+      return sendNotFound(res, 'Cart');
+    }
+
+    cart.acknowledgePriceChanges();
+    await cart.save();
+
+    await populateCart(cart);
+
+    return sendSuccess(res, 200, 'Price changes acknowledged', { cart });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Restore a cart from an abandoned cart reminder link
+ * @route   POST /api/cart/restore
+ * @access  Private (link opened by a guest is recorded, then asks to log in)
+ */
+const restoreCart = async (req, res, next) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyCartRestoreToken(req.body.token);
+    } catch (error) {
+      return sendError(res, 400, 'This link is invalid or has expired');
+    }
+
+    const recovery = await CartRecovery.findById(decoded.recoveryId);
+    if (!recovery) {
+      return sendError(res, 400, 'This link is invalid or has expired');
+    }
+
+    await recordRestore(recovery, decoded.step);
+
+    if (!req.user) {
+      return sendError(res, 401, 'Please log in to restore your cart');
+    }
+    if (!recovery.user.equals(req.user._id)) {
+      return sendError(res, 403, 'This link belongs to a different account');
+    }
+
+    // Put back what was in the bag; lines still there are left as they are
+    const cart = await findOrCreateCart(req, res);
+    const restored = await cart.mergeLines(recovery.items, { combine: false });
+
+    if (recovery.couponCode && !cart.couponCode) {
+      cart.couponCode = recovery.couponCode;
+    }
+
+    const warnings = await cart.revalidate();
+    await cart.save();
+
+    await populateCart(cart);
+
+    return sendSuccess(res, 200, 'Cart restored', { cart, restored, warnings });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getCart,
   addToCart,
   updateCartItem,
   removeFromCart,
+  saveForLater,
+  moveToCart,
+  removeSavedItem,
   clearCart,
   applyCoupon,
-  removeCoupon
+  removeCoupon,
+  getShippingMethods,
+  setShippingMethod,
+  acknowledgePriceChanges,
+  restoreCart
 };
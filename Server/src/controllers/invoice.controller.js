@@ -0,0 +1,87 @@
+/**
+ * Handles invoice and credit note downloads for customers.
+ */
+
+const Order = require('../models/Order.model');
+const Invoice = require('../models/Invoice.model');
+const { getOrIssueInvoice, issueCreditNotes } = require('../services/invoices');
+const { sendSuccess, sendNotFound, sendPdf } = require('../utils/response');
+
+/**
+ * @desc    Download the GST tax invoice for an order
+ * @route   GET /api/orders/:id/invoice
+ * @access  Private
+ */
+const getOrderInvoice = async (req, res, next) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!order) {
+      return sendNotFound(res, 'Order');
+    }
+
+    const invoice = await getOrIssueInvoice(order);
+
+    return sendPdf(res, invoice.pdf, invoice.fileName);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List credit notes issued against an order
+ * @route   GET /api/orders/:id/credit-notes
+ * @access  Private
+ */
+const getOrderCreditNotes = async (req, res, next) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!order) {
+      return sendNotFound(res, 'Order');
+    }
+
+    // Catch up on refunds processed since the last issue
+    await issueCreditNotes(order);
+
+    const creditNotes = await Invoice.find({ order: order._id, type: 'credit_note' })
+      .select('invoiceNumber issuedAt totals refund.refundId originalInvoice')
+      .sort({ issuedAt: 1 });
+
+    return sendSuccess(res, 200, 'Credit notes retrieved', { creditNotes });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download a credit note
+ * @route   GET /api/orders/:id/credit-notes/:noteId
+ * @access  Private
+ */
+const getOrderCreditNote = async (req, res, next) => {
+  try {
+    const { id, noteId } = req.params;
+
+    const creditNote = await Invoice.findOne({
+      _id: noteId,
+      order: id,
+      user: req.user._id,
+      type: 'credit_note'
+    }).select('+pdf');
+
+    if (!creditNote) {
+      return sendNotFound(res, 'Credit note');
+    }
+
+    return sendPdf(res, creditNote.pdf, creditNote.fileName);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getOrderInvoice,
+  getOrderCreditNotes,
+  getOrderCreditNote
+};
@@ -3,11 +3,17 @@
  * order management for users.
  */
 
+const mongoose = require('mongoose');
 const Order = require('../models/Order.model');
 const Cart = require('../models/Cart.model');
 const Product = require('../models/Product.model');
+const Coupon = require('../models/Coupon.model');
 const { sendSuccess, sendCreated, sendNotFound, sendError, sendPaginated } = require('../utils/response');
 const { parsePaginationParams, calculatePagination } = require('../utils/pagination');
+const { BadRequestError, InsufficientStockError, CartChangedError } = require('../utils/errors');
+const { createPaymentIntent } = require('../services/payments');
+const { notifyOrderEvent } = require('../services/notifications');
+const { recordConversion } = require('../services/cartRecovery');
 
 /**
  * @desc    Create order (checkout)
@@ -16,7 +22,7 @@ const { parsePaginationParams, calculatePagination } = require('../utils/paginat
  */
 const createOrder = async (req, res, next) => {
   try {
-    const { shippingAddress, billingAddress, paymentMethod, notes } = req.body;
+    const { shippingAddress, billingAddress, paymentMethod, shippingMethod, notes } = req.body;
 
     // Get user's cart
     const cart = await Cart.findOne({ user: req.user._id }).populate({
@@ -28,23 +34,37 @@ const createOrder = async (req, res, next) => {
       return sendError(res, 400, 'Your cart is empty');
     }
 
-    // Validate stock availability and prepare order items
+    // Reconcile lines with current prices and stock, re-validate the coupon,
+    // price delivery and work out GST for the address
+    cart.shippingSelection = {
+      zipCode: shippingAddress.zipCode,
+      state: shippingAddress.state,
+      method: shippingMethod || cart.shippingSelection.method,
+      paymentMethod
+    };
+    const warnings = await cart.revalidate();
+
+    // Save the reconciled cart; the shopper reviews (and acknowledges
+    // price changes) before trying again
+    if (warnings.length > 0) {
+      await cart.save();
+      throw new CartChangedError(warnings);
+    }
+
+    const { shippingQuote } = cart.$locals;
+    if (!shippingQuote.serviceable) {
+      return sendError(res, 400, shippingQuote.message);
+    }
+    if (shippingMethod && shippingQuote.selected.code !== shippingMethod) {
+      return sendError(res, 400, shippingQuote.message);
+    }
+
+    // Prepare order items (snapshot at time of order)
+    const { taxResult } = cart.$locals;
     const orderItems = [];
     for (const item of cart.items) {
       const product = item.product;
-      
-      // Find variant
-      const variant = product.variants.find(
-        (v) => v.size === item.variant.size && v.color === item.variant.color
-      );
-
-      if (!variant || variant.stock < item.quantity) {
-        return sendError(
-          res, 
-          400, 
-          `Insufficient stock for ${product.name} (${item.variant.size}/${item.variant.color})`
-        );
-      }
+      const lineTax = taxResult.lines.find((line) => line.key === item._id.toString());
 
       orderItems.push({
         product: product._id,
@@ -57,58 +77,159 @@ const createOrder = async (req, res, next) => {
         },
         quantity: item.quantity,
         price: item.price,
-        total: item.price * item.quantity
+        total: item.price * item.quantity,
+        status: 'pending',
+        tax: {
+          hsnCode: lineTax.hsnCode,
+          discount: lineTax.discount,
+          taxableValue: lineTax.taxableValue,
+          rate: lineTax.rate,
+          cgst: lineTax.cgst,
+          sgst: lineTax.sgst,
+          igst: lineTax.igst,
+          amount: lineTax.amount
+        }
       });
     }
 
-    // Create order
-    const order = await Order.create({
-      user: req.user._id,
-      items: orderItems,
-      shippingAddress,
-      billingAddress: billingAddress || shippingAddress,
-      payment: {
-        method: paymentMethod,
-        status: paymentMethod === 'cod' ? 'pending' : 'processing'
-      },
-      pricing: {
-        subtotal: cart.subtotal,
-        discount: cart.discount,
-        couponCode: cart.couponCode,
-        shipping: cart.shipping,
-        tax: cart.tax,
-        total: cart.total
-      },
-      notes: {
-        customer: notes
+    // Snapshot lines and pricing; the transaction body may be retried
+    const cartLines = cart.items.map((item) => ({
+      itemId: item._id,
+      product: item.product,
+      variant: { size: item.variant.size, color: item.variant.color },
+      quantity: item.quantity
+    }));
+    const pricing = {
+      subtotal: cart.subtotal,
+      discount: cart.discount,
+      couponCode: cart.couponCode,
+      shipping: cart.shipping,
+      codCharge: cart.codCharge,
+      tax: cart.tax,
+      total: cart.total,
+      taxDetails: {
+        sellerState: taxResult.sellerState,
+        placeOfSupply: taxResult.placeOfSupply,
+        interState: taxResult.interState,
+        cgst: taxResult.totals.cgst,
+        sgst: taxResult.totals.sgst,
+        igst: taxResult.totals.igst
       }
-    });
+    };
+
+    const { selected } = shippingQuote;
+    const shipping = {
+      method: selected.code,
+      methodName: selected.name,
+      zone: shippingQuote.zone,
+      estimatedDelivery: new Date(Date.now() + selected.estimatedDays.max * 24 * 60 * 60 * 1000)
+    };
+
+    // Coupon, stock, order and cart either all commit or all roll back
+    const session = await mongoose.startSession();
+    let order;
 
-    // Reduce stock for each item
-    for (const item of cart.items) {
-      await Product.updateOne(
-        { 
-          _id: item.product._id,
-          'variants.size': item.variant.size,
-          'variants.color': item.variant.color
-        },
-        { 
-          $inc: { 
-            'variants.$.stock': -item.quantity,
-            totalStock: -item.quantity
-          } 
+    try {
+      await session.withTransaction(async () => {
+        const orderId = new mongoose.Types.ObjectId();
+
+        // Record the coupon redemption against the new order
+        if (pricing.couponCode) {
+          const coupon = await Coupon.findByCode(pricing.couponCode).session(session);
+          const redeemed = coupon && await Coupon.redeem(coupon._id, {
+            user: req.user._id,
+            order: orderId,
+            discount: pricing.discount
+          }, { session });
+
+          if (!redeemed) {
+            throw new BadRequestError('This coupon has reached its usage limit');
+          }
         }
-      );
+
+        // Reserve stock; each decrement only succeeds if enough is left
+        const shortLines = [];
+        for (const item of cartLines) {
+          const reserved = await Product.adjustVariantStock(
+            item.product._id,
+            item.variant,
+            -item.quantity,
+            { session }
+          );
+
+          if (!reserved) {
+            const current = await Product.findById(item.product._id)
+              .select('variants')
+              .session(session);
+            const variant = current && current.variants.find(
+              (v) => v.size === item.variant.size && v.color === item.variant.color
+            );
+
+            shortLines.push({
+              itemId: item.itemId,
+              product: item.product._id,
+              name: item.product.name,
+              size: item.variant.size,
+              color: item.variant.color,
+              requested: item.quantity,
+              available: variant ? variant.stock : 0
+            });
+          }
+        }
+
+        if (shortLines.length > 0) {
+          throw new InsufficientStockError(shortLines);
+        }
+
+        // Create order
+        [order] = await Order.create([{
+          _id: orderId,
+          user: req.user._id,
+          items: orderItems,
+          shippingAddress,
+          billingAddress: billingAddress || shippingAddress,
+          payment: {
+            method: paymentMethod,
+            status: 'pending'
+          },
+          pricing,
+          shipping,
+          notes: {
+            customer: notes
+          }
+        }], { session });
+
+        // Clear user's cart
+        await cart.clearCart();
+        await cart.save({ session });
+      });
+    } finally {
+      await session.endSession();
     }
 
-    // Clear user's cart
-    cart.clearCart();
-    await cart.save();
+    // Confirmation email goes out from the queue; never fail checkout over it
+    notifyOrderEvent(order, 'order_placed', {}, { once: true })
+      .catch((error) => console.error('Notification error:', error.message));
+
+    // Credit the cart reminder that brought the shopper back, if any
+    recordConversion(order, cart._id)
+      .catch((error) => console.error('Cart recovery error:', error.message));
+
+    // Online payments are confirmed by the gateway webhook
+    let paymentIntent = null;
+    if (paymentMethod !== 'cod') {
+      try {
+        paymentIntent = await createPaymentIntent(order);
+      } catch (error) {
+        // Order stands; the client can retry via /api/payments/orders/:id/intent
+        console.error('Payment intent error:', error.message);
+      }
+    }
 
     // Populate order for response
     await order.populate('user', 'name email');
 
-    return sendCreated(res, 'Order placed successfully', { order });
+    return sendCreated(res, 'Order placed successfully', { order, paymentIntent });
   } catch (error) {
     next(error);
   }
@@ -156,7 +277,7 @@ const getOrder = async (req, res, next) => {
 
     // Find by order number or ID
     let order;
-    if (id.startsWith('ORD-')) {
+    if (!mongoose.isValidObjectId(id)) {
       order = await Order.findOne({ 
         orderNumber: id, 
         user: req.user._id 
@@ -179,48 +300,67 @@ const getOrder = async (req, res, next) => {
 };
 
 /**
- * @desc    Cancel order
+ * @desc    Cancel order, or selected lines of it
  * @route   PUT /api/orders/:id/cancel
  * @access  Private
  */
 const cancelOrder = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { reason } = req.body;
+    const { reason, itemIds } = req.body;
 
-    const order = await Order.findOne({ _id: id, user: req.user._id });
+    const partial = Boolean(itemIds && itemIds.length > 0);
 
-    if (!order) {
+    const current = await Order.findOne({ _id: id, user: req.user._id });
+
+    if (!current) {
       return sendNotFound(res, 'Order');
     }
 
-    if (!order.canCancel) {
+    if (partial) {
+      // Checks each line, so unshipped lines of a partly shipped order can still go
+      current.getCancellableItems(itemIds);
+    } else if (!current.canCancel) {
+      // Not once any parcel has left the warehouse
       return sendError(res, 400, 'This order cannot be cancelled');
     }
 
-    // Cancel order
-    order.cancel(reason, req.user._id);
+    // Stock, coupon and order either all commit or all roll back; a
+    // concurrent cancel of the same order waits, then finds nothing to cancel
+    const session = await mongoose.startSession();
+    let order;
 
-    // Restore stock
-    for (const item of order.items) {
-      await Product.updateOne(
-        { 
-          _id: item.product,
-          'variants.size': item.variant.size,
-          'variants.color': item.variant.color
-        },
-        { 
-          $inc: { 
-            'variants.$.stock': item.quantity,
-            totalStock: item.quantity
-          } 
+    try {
+      await session.withTransaction(async () => {
+        order = await Order.claim(
+          { _id: id, user: req.user._id, ...Order.cancellableFilter(itemIds) },
+          { session }
+        );
+        if (!order) {
+          throw new BadRequestError(partial
+            ? 'These items can no longer be cancelled'
+            : 'This order cannot be cancelled');
         }
-      );
+
+        if (partial) {
+          // Restocks the lines and re-prices the order; cancels it outright if nothing is left
+          await order.cancelItems(itemIds, reason, req.user._id, { session });
+        } else {
+          // Cancel order (restores stock and releases the coupon)
+          await order.cancel(reason, req.user._id, { session });
+        }
+
+        await order.save({ session });
+      });
+    } finally {
+      await session.endSession();
     }
 
-    await order.save();
+    const message = order.status === 'cancelled'
+      ? 'Order cancelled successfully'
+      : 'Items cancelled successfully';
 
-    return sendSuccess(res, 200, 'Order cancelled successfully', { order });
+    return sendSuccess(res, 200, message, { order });
   } catch (error) {
     next(error);
   }
@@ -236,16 +376,33 @@ const trackOrder = async (req, res, next) => {
     const { id } = req.params;
 
     const order = await Order.findOne({ _id: id, user: req.user._id })
-      .select('orderNumber status statusHistory shipping');
+      .select('orderNumber status statusHistory shipping shipments items');
 
     if (!order) {
       return sendNotFound(res, 'Order');
     }
 
+    // One timeline per parcel
+    const shipments = order.shipments.map((shipment) => ({
+      _id: shipment._id,
+      carrier: shipment.carrier,
+      trackingNumber: shipment.trackingNumber,
+      status: shipment.status,
+      estimatedDelivery: shipment.estimatedDelivery,
+      shippedAt: shipment.shippedAt,
+      deliveredAt: shipment.deliveredAt,
+      items: shipment.items
+        .map((itemId) => order.items.id(itemId))
+        .filter(Boolean)
+        .map((item) => ({ _id: item._id, name: item.name, variant: item.variant, quantity: item.quantity })),
+      timeline: shipment.events
+    }));
+
     return sendSuccess(res, 200, 'Order tracking info', {
       orderNumber: order.orderNumber,
       status: order.status,
       shipping: order.shipping,
+      shipments,
       timeline: order.statusHistory
     });
   } catch (error) {
@@ -296,7 +453,7 @@ const reorder = async (req, res, next) => {
       const quantity = Math.min(item.quantity, variant.stock);
       const itemPrice = variant.price || product.salePrice || product.price;
 
-      cart.addItem({
+      await cart.addItem({
         product: product._id,
         variant: item.variant,
         quantity,
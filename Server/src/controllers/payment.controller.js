@@ -0,0 +1,207 @@
+/**
+ * Handles payment intents and signed payment
+ * gateway webhooks.
+ */
+
+const Order = require('../models/Order.model');
+const WebhookEvent = require('../models/WebhookEvent.model');
+const ReturnRequest = require('../models/ReturnRequest.model');
+const { getProvider, createPaymentIntent } = require('../services/payments');
+const { issueCreditNotes } = require('../services/invoices');
+const { sendSuccess, sendNotFound, sendError } = require('../utils/response');
+
+/**
+ * Apply a normalized gateway event to an order's payment
+ * @param {Object} order - Order document
+ * @param {Object} event - Normalized provider event
+ * @param {Object} provider - Payment provider
+ * @returns {Promise<string>} Processing note
+ */
+const applyPaymentEvent = async (order, event, provider) => {
+  const { payment } = order;
+
+  switch (event.type) {
+    case 'payment.authorized': {
+      // A retry after a failed capture finds the payment already processing
+      const resuming = payment.status === 'processing' && payment.transactionId === event.paymentId;
+      if (!resuming) {
+        if (!order.canTransitionPayment('processing')) {
+          return `Ignored: payment already ${payment.status}`;
+        }
+        order.setPaymentStatus('processing', { transactionId: event.paymentId });
+        await order.save();
+      }
+
+      if (payment.captureRequestedFor === event.paymentId) {
+        return 'Ignored: capture already requested';
+      }
+
+      // Capture right away; the captured webhook completes the payment.
+      // If capture throws, the event is released and the retry lands here again
+      await provider.capture({ paymentId: event.paymentId, amount: order.pricing.total });
+      payment.captureRequestedFor = event.paymentId;
+      await order.save();
+      return 'Payment authorized and capture requested';
+    }
+
+    case 'payment.captured': {
+      if (event.amount !== undefined && Math.abs(event.amount - order.pricing.total) > 0.01) {
+        payment.failureReason = `Amount mismatch: expected ${order.pricing.total}, received ${event.amount}`;
+        await order.save();
+        return payment.failureReason;
+      }
+      if (!order.canTransitionPayment('completed')) {
+        return `Ignored: payment already ${payment.status}`;
+      }
+      order.setPaymentStatus('completed', {
+        transactionId: event.paymentId,
+        amount: event.amount
+      });
+      await order.save();
+      return 'Payment completed';
+    }
+
+    case 'payment.failed': {
+      if (!order.canTransitionPayment('failed')) {
+        return `Ignored: payment already ${payment.status}`;
+      }
+      order.setPaymentStatus('failed', {
+        transactionId: event.paymentId,
+        reason: event.reason
+      });
+      await order.save();
+      return 'Payment failed';
+    }
+
+    case 'refund.processed': {
+      const recorded = order.recordRefund({
+        refundId: event.refundId,
+        amount: event.amount || 0
+      });
+      if (!recorded) {
+        return `Ignored: refund ${event.refundId} already recorded`;
+      }
+      await order.save();
+
+      // Settle the return that issued this refund, if any
+      if (event.refundId) {
+        await ReturnRequest.updateOne(
+          { order: order._id, 'refund.refundId': event.refundId },
+          { $set: { 'refund.status': 'processed', 'refund.processedAt': new Date() } }
+        );
+      }
+
+      // The refund stands even if its credit note has to be issued later
+      await issueCreditNotes(order).catch((error) => console.error('Credit note error:', error.message));
+      return `Refund of ${event.amount} recorded`;
+    }
+
+    default:
+      return `Ignored: unsupported event ${event.type}`;
+  }
+};
+
+/**
+ * @desc    Create (or recreate) a payment intent for an unpaid order
+ * @route   POST /api/payments/orders/:id/intent
+ * @access  Private
+ */
+const createIntent = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const order = await Order.findOne({ _id: id, user: req.user._id });
+
+    if (!order) {
+      return sendNotFound(res, 'Order');
+    }
+
+    if (order.payment.method === 'cod') {
+      return sendError(res, 400, 'Cash on delivery orders do not need online payment');
+    }
+
+    if (!['pending', 'failed'].includes(order.payment.status)) {
+      return sendError(res, 400, `Payment is already ${order.payment.status}`);
+    }
+
+    if (order.status === 'cancelled') {
+      return sendError(res, 400, 'This order has been cancelled');
+    }
+
+    const paymentIntent = await createPaymentIntent(order);
+
+    return sendSuccess(res, 200, 'Payment intent created', { paymentIntent });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Receive payment gateway webhook
+ * @route   POST /api/payments/webhook/:provider
+ * @access  Public (HMAC-signed)
+ */
+const handleWebhook = async (req, res, next) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return sendNotFound(res, 'Payment provider');
+    }
+
+    if (!provider.verifySignature(req.rawBody, req.headers)) {
+      return sendError(res, 401, 'Invalid webhook signature');
+    }
+
+    const event = provider.parseEvent(req.body, req.headers);
+    if (!event) {
+      return sendSuccess(res, 200, 'Event ignored');
+    }
+
+    // Claim the event; redeliveries are acknowledged without reprocessing
+    let webhookEvent;
+    try {
+      webhookEvent = await WebhookEvent.create({
+        source: provider.name,
+        eventId: event.id,
+        type: event.type,
+        payload: req.body
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return sendSuccess(res, 200, 'Event already processed');
+      }
+      throw error;
+    }
+
+    try {
+      const order = await Order.findOne({
+        'payment.provider': provider.name,
+        'payment.providerOrderId': event.providerOrderId
+      });
+
+      if (!order) {
+        webhookEvent.status = 'ignored';
+        webhookEvent.note = 'No order matches this payment';
+        await webhookEvent.save();
+        return sendSuccess(res, 200, 'Event ignored');
+      }
+
+      webhookEvent.order = order._id;
+      webhookEvent.note = await applyPaymentEvent(order, event, provider);
+      await webhookEvent.save();
+
+      return sendSuccess(res, 200, 'Event processed');
+    } catch (error) {
+      // Release the event so the provider's retry is processed
+      await WebhookEvent.deleteOne({ _id: webhookEvent._id });
+      throw error;
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createIntent,
+  handleWebhook
+};
@@ -7,9 +7,74 @@ const Product = require('../models/Product.model');
 const Category = require('../models/Category.model');
 const { sendSuccess, sendCreated, sendNotFound, sendPaginated } = require('../utils/response');
 const { parsePaginationParams, parseSortParams, calculatePagination } = require('../utils/pagination');
+const { suggest, correctQuery, expandSynonyms } = require('../services/search');
 
 /**
- * @desc    Get all products with filtering, sorting, and pagination
+ * Escape a value for use inside a regular expression
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a comma-separated query value (e.g. "S,M,L")
+ * @param {string} value
+ * @returns {string[]}
+ */
+const parseList = (value) => String(value).split(',').map((v) => v.trim()).filter(Boolean);
+
+/**
+ * Build the sidebar filter clauses from the query string, keyed by facet.
+ * Several values for one facet match any of them.
+ * @param {Object} query - Request query
+ * @returns {Object} Clauses for price, brand, size, color, material, discount
+ */
+const buildFacetFilters = (query) => {
+  const clauses = {};
+
+  // Price range filter
+  if (query.minPrice || query.maxPrice) {
+    clauses.price = { price: {} };
+    if (query.minPrice) clauses.price.price.$gte = parseFloat(query.minPrice);
+    if (query.maxPrice) clauses.price.price.$lte = parseFloat(query.maxPrice);
+  }
+
+  // Brand filter (partial match)
+  if (query.brand) {
+    clauses.brand = {
+      brand: { $in: parseList(query.brand).map((brand) => new RegExp(escapeRegex(brand), 'i')) }
+    };
+  }
+
+  // Size filter
+  if (query.size) {
+    clauses.size = { 'variants.size': { $in: parseList(query.size) } };
+  }
+
+  // Color filter (partial match)
+  if (query.color) {
+    clauses.color = {
+      'variants.color': { $in: parseList(query.color).map((color) => new RegExp(escapeRegex(color), 'i')) }
+    };
+  }
+
+  // Material filter
+  if (query.material) {
+    clauses.material = {
+      material: { $in: parseList(query.material).map((material) => new RegExp(`^${escapeRegex(material)}$`, 'i')) }
+    };
+  }
+
+  // Discount band filter ("30" = 30% and above)
+  if (query.discount) {
+    clauses.discount = { discountPercent: { $gte: parseFloat(query.discount) || 0 } };
+  }
+
+  return clauses;
+};
+
+/**
+ * @desc    Get all products with filtering, sorting, pagination and facet counts
  * @route   GET /api/products
  * @access  Public
  */
@@ -23,61 +88,46 @@ const getAllProducts = async (req, res, next) => {
       rating: true
     });
 
-    // Build filter query
-    const filter = { status: 'active' };
+    // Build filter query; sidebar facet filters are kept apart for the counts
+    const baseFilter = { status: 'active' };
+    const facetFilters = buildFacetFilters(req.query);
 
     // Category filter
     if (req.query.category) {
       const category = await Category.findOne({ slug: req.query.category });
       if (category) {
-        filter.category = category._id;
+        baseFilter.category = category._id;
       }
     }
 
-    // Price range filter
-    if (req.query.minPrice || req.query.maxPrice) {
-      filter.price = {};
-      if (req.query.minPrice) filter.price.$gte = parseFloat(req.query.minPrice);
-      if (req.query.maxPrice) filter.price.$lte = parseFloat(req.query.maxPrice);
-    }
-
     // On sale filter
     if (req.query.onSale === 'true') {
-      filter.salePrice = { $exists: true, $gt: 0 };
+      baseFilter.salePrice = { $exists: true, $gt: 0 };
     }
 
     // Featured filter
     if (req.query.featured === 'true') {
-      filter.isFeatured = true;
+      baseFilter.isFeatured = true;
     }
 
     // New arrivals filter
     if (req.query.newArrivals === 'true') {
-      filter.isNewArrival = true;
-    }
-
-    // Brand filter
-    if (req.query.brand) {
-      filter.brand = { $regex: req.query.brand, $options: 'i' };
-    }
-
-    // Size filter
-    if (req.query.size) {
-      filter['variants.size'] = req.query.size;
-    }
-
-    // Color filter
-    if (req.query.color) {
-      filter['variants.color'] = { $regex: req.query.color, $options: 'i' };
+      baseFilter.isNewArrival = true;
     }
 
     // In stock filter
     if (req.query.inStock === 'true') {
-      filter.totalStock = { $gt: 0 };
+      baseFilter.totalStock = { $gt: 0 };
     }
 
-    // Get total count
-    const totalItems = await Product.countDocuments(filter);
+    const clauses = Object.values(facetFilters);
+    const filter = clauses.length > 0 ? { ...baseFilter, $and: clauses } : baseFilter;
+
+    // Get total count and sidebar counts
+    const [totalItems, facets] = await Promise.all([
+      Product.countDocuments(filter),
+      Product.getFacets(baseFilter, facetFilters)
+    ]);
 
     // Get products
     const products = await Product.find(filter)
@@ -90,7 +140,7 @@ const getAllProducts = async (req, res, next) => {
 
     const pagination = calculatePagination(totalItems, page, limit);
 
-    return sendPaginated(res, 'Products retrieved successfully', products, pagination);
+    return sendPaginated(res, 'Products retrieved successfully', products, pagination, { facets });
   } catch (error) {
     next(error);
   }
@@ -137,13 +187,21 @@ const searchProducts = async (req, res, next) => {
       return sendSuccess(res, 200, 'Search results', { products: [], pagination: {} });
     }
 
-    // Text search
-    const filter = {
-      $text: { $search: q },
+    // Text search, with synonyms (kurti also finds kurta)
+    const textFilter = (text) => ({
+      $text: { $search: expandSynonyms(text) },
       status: 'active'
-    };
+    });
 
-    const totalItems = await Product.countDocuments(filter);
+    let filter = textFilter(q);
+    let totalItems = await Product.countDocuments(filter);
+
+    // Nothing found: retry with the spelling corrected ("lehnga" -> "lehenga")
+    const didYouMean = totalItems === 0 ? await correctQuery(q) : null;
+    if (didYouMean) {
+      filter = textFilter(didYouMean);
+      totalItems = await Product.countDocuments(filter);
+    }
 
     const products = await Product.find(filter, { score: { $meta: 'textScore' } })
       .populate('category', 'name slug')
@@ -155,7 +213,36 @@ const searchProducts = async (req, res, next) => {
 
     const pagination = calculatePagination(totalItems, page, limit);
 
-    return sendPaginated(res, 'Search results', products, pagination);
+    return sendPaginated(res, 'Search results', products, pagination, { didYouMean });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Suggest products, categories, brands and tags as the user types
+ * @route   GET /api/products/suggest?q=
+ * @access  Public
+ */
+const getSuggestions = async (req, res, next) => {
+  try {
+    const q = (req.query.q || '').trim();
+    const limit = Math.min(parseInt(req.query.limit) || 5, 10);
+
+    if (q.length < 2) {
+      return sendSuccess(res, 200, 'Suggestions retrieved', {
+        query: q,
+        didYouMean: null,
+        products: [],
+        categories: [],
+        brands: [],
+        tags: []
+      });
+    }
+
+    const suggestions = await suggest(q, { limit });
+
+    return sendSuccess(res, 200, 'Suggestions retrieved', suggestions);
   } catch (error) {
     next(error);
   }
@@ -297,6 +384,7 @@ module.exports = {
   getAllProducts,
   getProduct,
   searchProducts,
+  getSuggestions,
   getFeaturedProducts,
   getNewArrivals,
   getBestSellers,
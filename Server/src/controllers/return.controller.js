@@ -0,0 +1,165 @@
+/**
+ * Handles customer return and exchange requests.
+ */
+
+const Order = require('../models/Order.model');
+const Product = require('../models/Product.model');
+const ReturnRequest = require('../models/ReturnRequest.model');
+const { sendSuccess, sendCreated, sendNotFound, sendError } = require('../utils/response');
+
+/**
+ * Days after delivery within which returns are accepted
+ * @returns {number}
+ */
+const getReturnWindowDays = () => parseInt(process.env.RETURN_WINDOW_DAYS) || 7;
+
+/**
+ * @desc    Request a return or exchange for delivered items
+ * @route   POST /api/orders/:id/returns
+ * @access  Private
+ */
+const createReturnRequest = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const order = await Order.findOne({ _id: id, user: req.user._id });
+
+    if (!order) {
+      return sendNotFound(res, 'Order');
+    }
+
+    if (order.status !== 'delivered') {
+      return sendError(res, 400, 'Only delivered orders can be returned');
+    }
+
+    const deliveredAt = order.shipping.deliveredAt || order.updatedAt;
+    const windowEnds = new Date(deliveredAt.getTime() + getReturnWindowDays() * 24 * 60 * 60 * 1000);
+    if (new Date() > windowEnds) {
+      return sendError(res, 400, `Returns are accepted within ${getReturnWindowDays()} days of delivery`);
+    }
+
+    // Items arrive as a JSON string when photos are uploaded (multipart)
+    let { items } = req.body;
+    if (typeof items === 'string') {
+      try {
+        items = JSON.parse(items);
+      } catch (error) {
+        return sendError(res, 400, 'Items must be a valid JSON array');
+      }
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return sendError(res, 400, 'Select at least one item to return');
+    }
+
+    const alreadyReturned = await ReturnRequest.getReturnedQuantities(order._id);
+    const returnItems = [];
+
+    for (const requested of items) {
+      const orderItem = order.items.id(requested.itemId);
+      if (!orderItem) {
+        return sendError(res, 400, `Item ${requested.itemId} is not part of this order`);
+      }
+      if (order.getItemStatus(orderItem) !== 'delivered') {
+        return sendError(res, 400, `${orderItem.name} was not delivered and cannot be returned`);
+      }
+
+      const quantity = parseInt(requested.quantity) || 1;
+      const remaining = orderItem.quantity - (alreadyReturned.get(orderItem._id.toString()) || 0);
+      if (quantity < 1 || quantity > remaining) {
+        return sendError(res, 400, `Only ${remaining} of ${orderItem.name} can be returned`);
+      }
+
+      const returnItem = {
+        orderItem: orderItem._id,
+        product: orderItem.product,
+        name: orderItem.name,
+        variant: orderItem.variant,
+        quantity,
+        price: orderItem.price,
+        reason: requested.reason,
+        comment: requested.comment,
+        resolution: requested.resolution || 'refund'
+      };
+
+      // Exchanges are for another size in the same color
+      if (returnItem.resolution === 'exchange') {
+        if (!requested.exchangeSize || requested.exchangeSize === orderItem.variant.size) {
+          return sendError(res, 400, `Choose a different size to exchange ${orderItem.name}`);
+        }
+
+        const product = await Product.findById(orderItem.product).select('variants');
+        const exchangeVariant = product && product.variants.find(
+          (v) => v.size === requested.exchangeSize && v.color === orderItem.variant.color
+        );
+        if (!exchangeVariant) {
+          return sendError(
+            res,
+            400,
+            `${orderItem.name} is not available in size ${requested.exchangeSize}`
+          );
+        }
+
+        returnItem.exchangeVariant = {
+          size: exchangeVariant.size,
+          color: exchangeVariant.color,
+          sku: exchangeVariant.sku
+        };
+      }
+
+      returnItems.push(returnItem);
+    }
+
+    const photos = (req.files || []).map((file) => `/uploads/returns/${file.filename}`);
+
+    const returnRequest = new ReturnRequest({
+      order: order._id,
+      user: req.user._id,
+      items: returnItems,
+      photos
+    });
+    returnRequest.setStatus('requested', req.body.note, req.user._id);
+    await returnRequest.save();
+
+    order.statusHistory.push({
+      status: 'return_requested',
+      date: new Date(),
+      note: `Return ${returnRequest.rmaNumber} requested for ${returnItems.length} item(s)`
+    });
+    await order.save();
+
+    return sendCreated(res, 'Return request submitted', { returnRequest });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get return requests for an order
+ * @route   GET /api/orders/:id/returns
+ * @access  Private
+ */
+const getOrderReturns = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const order = await Order.findOne({ _id: id, user: req.user._id }).select('_id');
+
+    if (!order) {
+      return sendNotFound(res, 'Order');
+    }
+
+    const returnRequests = await ReturnRequest.find({ order: order._id })
+      .populate('exchangeOrder', 'orderNumber status')
+      .sort({ createdAt: -1 });
+
+    return sendSuccess(res, 200, 'Return requests retrieved', { returnRequests });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createReturnRequest,
+  getOrderReturns
+};
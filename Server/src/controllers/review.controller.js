@@ -0,0 +1,220 @@
+/**
+ * Handles product reviews and helpful votes.
+ */
+
+const Review = require('../models/Review.model');
+const Product = require('../models/Product.model');
+const Order = require('../models/Order.model');
+const { sendSuccess, sendCreated, sendNotFound, sendError, sendPaginated } = require('../utils/response');
+const { parsePaginationParams, calculatePagination } = require('../utils/pagination');
+
+/**
+ * @desc    Create a review for a product
+ * @route   POST /api/products/:id/reviews
+ * @access  Private
+ */
+const createReview = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { rating, title, comment } = req.body;
+
+    const product = await Product.findById(id);
+    if (!product || product.status !== 'active') {
+      return sendNotFound(res, 'Product');
+    }
+
+    const existingReview = await Review.findOne({ product: id, user: req.user._id });
+    if (existingReview) {
+      return sendError(res, 400, 'You have already reviewed this product');
+    }
+
+    // Link to a delivered order line if the user bought this product
+    const deliveredOrder = await Order.findOne({
+      user: req.user._id,
+      status: 'delivered',
+      'items.product': id
+    })
+      .select('items')
+      .sort({ createdAt: -1 });
+
+    const orderItem = deliveredOrder
+      ? deliveredOrder.items.find((item) => item.product.toString() === id)
+      : null;
+
+    const photos = (req.files || []).map((file) => `/uploads/reviews/${file.filename}`);
+
+    const review = await Review.create({
+      user: req.user._id,
+      product: id,
+      order: deliveredOrder ? deliveredOrder._id : undefined,
+      orderItem: orderItem ? orderItem._id : undefined,
+      rating,
+      title,
+      comment,
+      photos,
+      isVerifiedBuyer: Boolean(deliveredOrder)
+    });
+
+    return sendCreated(res, 'Review submitted and awaiting moderation', { review });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get approved reviews for a product
+ * @route   GET /api/products/:id/reviews
+ * @access  Public
+ */
+const getProductReviews = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { page, limit, skip } = parsePaginationParams(req.query);
+
+    const filter = { product: id, status: 'approved' };
+
+    if (req.query.verified === 'true') {
+      filter.isVerifiedBuyer = true;
+    }
+    if (req.query.rating) {
+      filter.rating = parseInt(req.query.rating);
+    }
+    if (req.query.withPhotos === 'true') {
+      filter['photos.0'] = { $exists: true };
+    }
+
+    // Sort: newest (default), helpful, highest, lowest
+    const sortOptions = {
+      newest: { createdAt: -1 },
+      helpful: { helpfulCount: -1, createdAt: -1 },
+      highest: { rating: -1, createdAt: -1 },
+      lowest: { rating: 1, createdAt: -1 }
+    };
+    const sort = sortOptions[req.query.sort] || sortOptions.newest;
+
+    const totalItems = await Review.countDocuments(filter);
+
+    const reviews = await Review.find(filter)
+      .populate('user', 'name avatar')
+      .skip(skip)
+      .limit(limit)
+      .sort(sort);
+
+    const pagination = calculatePagination(totalItems, page, limit);
+    const viewerId = req.user ? req.user._id : null;
+
+    return sendPaginated(
+      res,
+      'Reviews retrieved',
+      reviews.map((review) => review.toPublicReview(viewerId)),
+      pagination
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get rating summary for a product
+ * @route   GET /api/products/:id/reviews/summary
+ * @access  Public
+ */
+const getReviewSummary = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const product = await Product.findById(id).select('rating numReviews');
+    if (!product) {
+      return sendNotFound(res, 'Product');
+    }
+
+    const breakdown = await Review.getRatingBreakdown(id);
+
+    return sendSuccess(res, 200, 'Review summary retrieved', {
+      rating: product.rating,
+      numReviews: product.numReviews,
+      breakdown
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Toggle helpful vote on a review
+ * @route   POST /api/products/:id/reviews/:reviewId/helpful
+ * @access  Private
+ */
+const toggleHelpfulVote = async (req, res, next) => {
+  try {
+    const { id, reviewId } = req.params;
+    const userId = req.user._id;
+
+    const review = await Review.findOne({ _id: reviewId, product: id, status: 'approved' });
+    if (!review) {
+      return sendNotFound(res, 'Review');
+    }
+
+    if (review.user.toString() === userId.toString()) {
+      return sendError(res, 400, 'You cannot vote on your own review');
+    }
+
+    // Add the vote if absent, otherwise remove it
+    let updated = await Review.findOneAndUpdate(
+      { _id: reviewId, helpfulVotes: { $ne: userId } },
+      { $push: { helpfulVotes: userId }, $inc: { helpfulCount: 1 } },
+      { new: true }
+    );
+
+    if (!updated) {
+      updated = await Review.findOneAndUpdate(
+        { _id: reviewId, helpfulVotes: userId },
+        { $pull: { helpfulVotes: userId }, $inc: { helpfulCount: -1 } },
+        { new: true }
+      );
+    }
+
+    return sendSuccess(res, 200, 'Vote recorded', {
+      review: updated.toPublicReview(userId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete own review
+ * @route   DELETE /api/products/:id/reviews/:reviewId
+ * @access  Private
+ */
+const deleteReview = async (req, res, next) => {
+  try {
+    const { id, reviewId } = req.params;
+
+    const review = await Review.findOneAndDelete({
+      _id: reviewId,
+      product: id,
+      user: req.user._id
+    });
+
+    if (!review) {
+      return sendNotFound(res, 'Review');
+    }
+
+    if (review.status === 'approved') {
+      await Review.recalculateProductRating(id);
+    }
+
+    return sendSuccess(res, 200, 'Review deleted');
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createReview,
+  getProductReviews,
+  getReviewSummary,
+  toggleHelpfulVote,
+  deleteReview
+};
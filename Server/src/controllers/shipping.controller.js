@@ -0,0 +1,135 @@
+/**
+ * Handles delivery serviceability checks and carrier tracking webhooks.
+ */
+
+const Order = require('../models/Order.model');
+const WebhookEvent = require('../models/WebhookEvent.model');
+const { getCarrier } = require('../services/shipping');
+const { getShippingOptions } = require('../services/shipping/rates');
+const { BadRequestError } = require('../utils/errors');
+const { sendSuccess, sendNotFound, sendError } = require('../utils/response');
+
+/**
+ * Apply a normalized tracking event to the shipment it belongs to
+ * @param {Object} order - Order document
+ * @param {Object} shipment - Shipment subdocument
+ * @param {Object} event - Normalized carrier event
+ * @returns {Promise<string>} Processing note
+ */
+const applyTrackingEvent = async (order, shipment, event) => {
+  const details = { date: event.date, location: event.location, note: event.note };
+
+  // Carriers often skip the pickup scan; treat the first later scan as pickup too
+  if (shipment.status === 'created' && event.status !== 'shipped') {
+    await order.updateShipmentStatus(shipment._id, 'shipped', {
+      ...details,
+      note: 'Picked up by carrier'
+    });
+  }
+
+  await order.updateShipmentStatus(shipment._id, event.status, details);
+  await order.save();
+
+  return `Shipment ${event.status}; order ${order.status}`;
+};
+
+/**
+ * @desc    Receive carrier tracking webhook
+ * @route   POST /api/shipping/webhooks/:carrier
+ * @access  Public (carrier token/signature)
+ */
+const handleCarrierWebhook = async (req, res, next) => {
+  try {
+    const carrier = getCarrier(req.params.carrier);
+    if (!carrier) {
+      return sendNotFound(res, 'Carrier');
+    }
+
+    if (!carrier.verifyRequest(req.rawBody, req.headers)) {
+      return sendError(res, 401, 'Invalid webhook credentials');
+    }
+
+    const events = carrier.parseEvents(req.body, req.headers);
+    let processed = 0;
+
+    for (const event of events) {
+      // Claim the event; redeliveries are acknowledged without reprocessing
+      let webhookEvent;
+      try {
+        webhookEvent = await WebhookEvent.create({
+          source: carrier.name,
+          eventId: event.id,
+          type: `tracking.${event.status}`,
+          payload: req.body
+        });
+      } catch (error) {
+        if (error.code === 11000) continue;
+        throw error;
+      }
+
+      try {
+        const order = await Order.findOne({ 'shipments.trackingNumber': event.trackingNumber });
+        const shipment = order && order.shipments.find(
+          (s) => s.trackingNumber === event.trackingNumber
+        );
+
+        if (!shipment) {
+          webhookEvent.status = 'ignored';
+          webhookEvent.note = `No shipment with tracking number ${event.trackingNumber}`;
+          await webhookEvent.save();
+          continue;
+        }
+
+        webhookEvent.order = order._id;
+        try {
+          webhookEvent.note = await applyTrackingEvent(order, shipment, event);
+          processed += 1;
+        } catch (error) {
+          // Late or out-of-order scans (e.g. in transit after delivery) are kept for audit only
+          if (!(error instanceof BadRequestError)) throw error;
+          webhookEvent.status = 'ignored';
+          webhookEvent.note = error.message;
+        }
+        await webhookEvent.save();
+      } catch (error) {
+        // Release the event so the carrier's retry is processed
+        await WebhookEvent.deleteOne({ _id: webhookEvent._id });
+        throw error;
+      }
+    }
+
+    return sendSuccess(res, 200, `${processed} of ${events.length} event(s) applied`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Check whether we deliver to a PIN code, and how
+ * @route   GET /api/shipping/serviceability
+ * @access  Public
+ */
+const checkServiceability = async (req, res, next) => {
+  try {
+    const { zipCode, state, subtotal } = req.query;
+
+    const options = await getShippingOptions({
+      zipCode,
+      state,
+      subtotal: parseFloat(subtotal) || 0
+    });
+
+    const message = options.serviceable
+      ? `Delivery available to ${zipCode}`
+      : 'We do not deliver to this PIN code yet';
+
+    return sendSuccess(res, 200, message, options);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  checkServiceability,
+  handleCarrierWebhook
+};
@@ -4,8 +4,71 @@
  */
 
 const User = require('../models/User.model');
+const Product = require('../models/Product.model');
+const Cart = require('../models/Cart.model');
 const { sendSuccess, sendError, sendNotFound } = require('../utils/response');
 
+// Product fields needed to evaluate wishlist items
+const WISHLIST_PRODUCT_FIELDS = 'name slug images price salePrice variants totalStock status';
+
+/**
+ * Find the product variant matching a saved size/color
+ * @param {Object} product - Product document
+ * @param {Object} variant - { size, color }
+ * @returns {Object|undefined}
+ */
+const findVariant = (product, variant) => {
+  return product.variants.find(
+    (v) => v.size === variant.size && v.color === variant.color
+  );
+};
+
+/**
+ * Build wishlist item response with price-drop and back-in-stock flags
+ * @param {Object} item - Wishlist item with populated product
+ * @returns {Object}
+ */
+const toWishlistItemView = (item) => {
+  const product = item.product;
+  const hasVariant = Boolean(item.variant && item.variant.size && item.variant.color);
+  const isAvailable = Boolean(product) && product.status === 'active';
+
+  let inStock = false;
+  let currentPrice = null;
+
+  if (isAvailable) {
+    const variant = hasVariant ? findVariant(product, item.variant) : null;
+    inStock = hasVariant ? Boolean(variant) && variant.stock > 0 : product.totalStock > 0;
+    currentPrice = product.effectivePrice;
+  }
+
+  return {
+    _id: item._id,
+    product: isAvailable
+      ? {
+          _id: product._id,
+          name: product.name,
+          slug: product.slug,
+          image: product.primaryImage,
+          price: product.price,
+          salePrice: product.salePrice,
+          effectivePrice: product.effectivePrice
+        }
+      : null,
+    variant: hasVariant ? { size: item.variant.size, color: item.variant.color } : null,
+    priceAtAdd: item.priceAtAdd,
+    currentPrice,
+    isAvailable,
+    inStock,
+    priceDropped: currentPrice !== null && currentPrice < item.priceAtAdd,
+    priceDrop: currentPrice !== null && currentPrice < item.priceAtAdd
+      ? item.priceAtAdd - currentPrice
+      : 0,
+    backInStock: inStock && !item.inStockAtAdd,
+    addedAt: item.addedAt
+  };
+};
+
 /**
  * @desc    Get user profile
  * @route   GET /api/users/profile
@@ -34,7 +97,7 @@ const getProfile = async (req, res, next) => {
  */
 const updateProfile = async (req, res, next) => {
   try {
-    const { name, phone, avatar } = req.body;
+    const { name, phone, avatar, notificationPreferences } = req.body;
 
     // Fields allowed to be updated
     const updates = {};
@@ -42,6 +105,15 @@ const updateProfile = async (req, res, next) => {
     if (phone) updates.phone = phone;
     if (avatar) updates.avatar = avatar;
 
+    // Email opt-ins, per category; categories not sent are left as they are
+    if (notificationPreferences) {
+      ['orders', 'shipping', 'payments', 'reminders'].forEach((category) => {
+        if (typeof notificationPreferences[category] === 'boolean') {
+          updates[`notificationPreferences.${category}`] = notificationPreferences[category];
+        }
+      });
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user._id,
       updates,
@@ -247,6 +319,185 @@ const setDefaultAddress = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get wishlist
+ * @route   GET /api/users/wishlist
+ * @access  Private
+ */
+const getWishlist = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('wishlist')
+      .populate('wishlist.product', WISHLIST_PRODUCT_FIELDS);
+
+    if (!user) {
+      return sendNotFound(res, 'User');
+    }
+
+    const items = user.wishlist.map(toWishlistItemView);
+
+    return sendSuccess(res, 200, 'Wishlist retrieved successfully', {
+      items,
+      count: items.length
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add product to wishlist
+ * @route   POST /api/users/wishlist
+ * @access  Private
+ */
+const addToWishlist = async (req, res, next) => {
+  try {
+    const { productId, variant } = req.body;
+
+    const product = await Product.findById(productId);
+    if (!product || product.status !== 'active') {
+      return sendNotFound(res, 'Product');
+    }
+
+    const hasVariant = Boolean(variant && variant.size && variant.color);
+    let inStock = product.totalStock > 0;
+
+    if (hasVariant) {
+      const productVariant = findVariant(product, variant);
+      if (!productVariant) {
+        return sendError(res, 400, 'Selected size/color combination is not available');
+      }
+      inStock = productVariant.stock > 0;
+    }
+
+    const user = await User.findById(req.user._id);
+
+    // Same product and variant is only saved once
+    const existingItem = user.wishlist.find(
+      (item) =>
+        item.product.toString() === productId &&
+        (item.variant?.size || null) === (hasVariant ? variant.size : null) &&
+        (item.variant?.color || null) === (hasVariant ? variant.color : null)
+    );
+
+    if (existingItem) {
+      return sendError(res, 400, 'Product is already in your wishlist');
+    }
+
+    user.wishlist.push({
+      product: product._id,
+      variant: hasVariant ? { size: variant.size, color: variant.color } : undefined,
+      priceAtAdd: product.effectivePrice,
+      inStockAtAdd: inStock
+    });
+
+    await user.save();
+    await user.populate('wishlist.product', WISHLIST_PRODUCT_FIELDS);
+
+    return sendSuccess(res, 201, 'Added to wishlist', {
+      items: user.wishlist.map(toWishlistItemView)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove item from wishlist
+ * @route   DELETE /api/users/wishlist/:itemId
+ * @access  Private
+ */
+const removeFromWishlist = async (req, res, next) => {
+  try {
+    const { itemId } = req.params;
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.wishlist.id(itemId)) {
+      return sendNotFound(res, 'Wishlist item');
+    }
+
+    user.wishlist.pull(itemId);
+    await user.save();
+
+    return sendSuccess(res, 200, 'Removed from wishlist');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Move wishlist item to cart
+ * @route   POST /api/users/wishlist/:itemId/move-to-cart
+ * @access  Private
+ */
+const moveWishlistItemToCart = async (req, res, next) => {
+  try {
+    const { itemId } = req.params;
+    const quantity = parseInt(req.body.quantity) || 1;
+
+    const user = await User.findById(req.user._id);
+    const item = user.wishlist.id(itemId);
+
+    if (!item) {
+      return sendNotFound(res, 'Wishlist item');
+    }
+
+    // Size/color can be picked now if none was saved
+    const variant = item.variant && item.variant.size ? item.variant : req.body.variant;
+    if (!variant || !variant.size || !variant.color) {
+      return sendError(res, 400, 'Please select a size and color');
+    }
+
+    const product = await Product.findById(item.product);
+    if (!product || product.status !== 'active') {
+      return sendError(res, 400, 'This product is no longer available');
+    }
+
+    const productVariant = findVariant(product, variant);
+    if (!productVariant) {
+      return sendError(res, 400, 'Selected size/color combination is not available');
+    }
+
+    if (productVariant.stock < quantity) {
+      return sendError(res, 400, `Only ${productVariant.stock} items available in stock`);
+    }
+
+    // Get or create cart
+    let cart = await Cart.findOne({ user: req.user._id });
+    if (!cart) {
+      cart = await Cart.create({ user: req.user._id, items: [] });
+    }
+
+    const itemPrice = productVariant.price || product.salePrice || product.price;
+
+    await cart.addItem({
+      product: product._id,
+      variant: {
+        size: variant.size,
+        color: variant.color,
+        sku: productVariant.sku
+      },
+      quantity,
+      price: itemPrice
+    });
+
+    await cart.save();
+
+    user.wishlist.pull(itemId);
+    await user.save();
+
+    await cart.populate({
+      path: 'items.product',
+      select: 'name slug images price salePrice totalStock'
+    });
+
+    return sendSuccess(res, 200, 'Moved to cart', { cart });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getProfile,
   updateProfile,
@@ -254,5 +505,9 @@ module.exports = {
   addAddress,
   updateAddress,
   deleteAddress,
-  setDefaultAddress
+  setDefaultAddress,
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  moveWishlistItemToCart
 };
@@ -5,6 +5,7 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User.model');
+const Session = require('../models/Session.model');
 const { AppError } = require('../utils/errors');
 
 /**
@@ -48,7 +49,12 @@ const protect = async (req, res, next) => {
       throw error;
     }
 
-    // 5. Check if user still exists
+    // 5. Check the login session has not been revoked
+    if (!decoded.sid || !(await Session.isActiveSession(decoded.sid))) {
+      return next(new AppError('Your session has expired. Please log in again.', 401));
+    }
+
+    // 6. Check if user still exists
     const user = await User.findById(decoded.id).select('-password');
     if (!user) {
       return next(
@@ -56,15 +62,16 @@ const protect = async (req, res, next) => {
       );
     }
 
-    // 6. Check if user is active
+    // 7. Check if user is active
     if (!user.isActive) {
       return next(
         new AppError('Your account has been deactivated. Please contact support.', 401)
       );
     }
 
-    // 7. Attach user to request
+    // 8. Attach user and session to request
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     next(error);
@@ -107,9 +114,13 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.id).select('-password');
+        const sessionActive = decoded.sid && (await Session.isActiveSession(decoded.sid));
+        const user = sessionActive
+          ? await User.findById(decoded.id).select('-password')
+          : null;
         if (user && user.isActive) {
           req.user = user;
+          req.sessionId = decoded.sid;
         }
       } catch (error) {
         // Token invalid, but don't fail - just continue without user
@@ -122,8 +133,26 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Require a verified email when REQUIRE_EMAIL_VERIFICATION is enabled
+ * Must be used after protect
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+    return next();
+  }
+
+  if (!req.user.isEmailVerified) {
+    return next(
+      new AppError('Please verify your email address to continue.', 403)
+    );
+  }
+  next();
+};
+
 module.exports = {
   protect,
   restrictTo,
-  optionalAuth
+  optionalAuth,
+  requireVerifiedEmail
 };
@@ -63,10 +63,17 @@ const sendErrorDev = (err, res) => {
 const sendErrorProd = (err, res) => {
   // Operational, trusted error: send message to client
   if (err.isOperational) {
-    res.status(err.statusCode).json({
+    const response = {
       success: false,
       message: err.message
-    });
+    };
+
+    // Field or line-level details (e.g. validation, stock shortages)
+    if (err.errors) {
+      response.errors = err.errors;
+    }
+
+    res.status(err.statusCode).json(response);
   }
   // Programming or unknown error: don't leak error details
   else {
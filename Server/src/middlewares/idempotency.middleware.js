@@ -0,0 +1,136 @@
+/**
+ * Middleware for Idempotency-Key support on mutating routes.
+ * The first successful response for a key is stored and replayed for
+ * retries; a failed request releases the key so it can be retried.
+ */
+
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey.model');
+const { AppError } = require('../utils/errors');
+
+/**
+ * SHA-256 hex digest
+ * @param {string} value - Value to hash
+ * @returns {string}
+ */
+const sha256 = (value) => {
+  return crypto.createHash('sha256').update(value).digest('hex');
+};
+
+/**
+ * Make a route idempotent when the client sends an Idempotency-Key header.
+ * Keys are scoped per user, method and path. Must be used after protect.
+ * @param {Object} [options]
+ * @param {boolean} [options.required=false] - Reject requests without a key
+ * @param {number} [options.ttlHours] - How long results are kept (IDEMPOTENCY_KEY_TTL_HOURS, default 24)
+ */
+const idempotent = ({ required = false, ttlHours } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const key = req.get('Idempotency-Key');
+
+      if (!key) {
+        if (required) {
+          return next(new AppError('Idempotency-Key header is required', 400));
+        }
+        return next();
+      }
+
+      if (key.length > 255) {
+        return next(new AppError('Idempotency-Key must be at most 255 characters', 400));
+      }
+
+      const userId = req.user ? req.user._id.toString() : 'anonymous';
+      const path = req.originalUrl.split('?')[0];
+      const keyHash = sha256(`${userId}:${req.method}:${path}:${key}`);
+      const requestHash = sha256(JSON.stringify(req.body || {}));
+
+      const hours = ttlHours || parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+      // Claim the key; a duplicate key error means it was used before
+      try {
+        await IdempotencyKey.create({
+          keyHash,
+          requestHash,
+          expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        const existing = await IdempotencyKey.findOne({ keyHash });
+
+        // Expired between the insert attempt and now: let the client retry
+        if (!existing) {
+          return next(new AppError('Please retry the request', 409));
+        }
+
+        if (existing.requestHash !== requestHash) {
+          return next(
+            new AppError('Idempotency-Key has already been used with a different request body', 409)
+          );
+        }
+
+        if (existing.status === 'processing') {
+          return next(
+            new AppError('A request with this Idempotency-Key is still being processed', 409)
+          );
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response.statusCode).json(existing.response.body);
+      }
+
+      // Capture the JSON body so it can be stored with the response
+      let responseBody;
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        responseBody = body;
+        return originalJson(body);
+      };
+
+      // Store the response for replay, or release the key
+      const settle = () => {
+        // Only successes are stored. After an error, e.g. a 409 asking the
+        // shopper to acknowledge price changes, the same key goes through again
+        const store = res.statusCode >= 200 && res.statusCode < 300 && responseBody !== undefined;
+
+        const update = store
+          ? IdempotencyKey.updateOne(
+              { keyHash },
+              {
+                $set: {
+                  status: 'completed',
+                  response: { statusCode: res.statusCode, body: responseBody }
+                }
+              }
+            )
+          : IdempotencyKey.deleteOne({ keyHash });
+
+        update.catch((error) => {
+          console.error('Idempotency key update error:', error.message);
+        });
+      };
+
+      // Store the result when the handler ends the response, not on 'finish':
+      // if the client has already dropped the connection 'finish' may never
+      // fire, and the key would stay 'processing' until it expires
+      let settled = false;
+      const originalEnd = res.end;
+      res.end = function (...args) {
+        if (!settled) {
+          settled = true;
+          settle();
+        }
+        return originalEnd.apply(this, args);
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  idempotent
+};
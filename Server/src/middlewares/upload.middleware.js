@@ -23,6 +23,10 @@ const storage = multer.diskStorage({
       subDir = 'products';
     } else if (file.fieldname === 'categoryImage') {
       subDir = 'categories';
+    } else if (file.fieldname === 'photos') {
+      subDir = 'reviews';
+    } else if (file.fieldname === 'returnPhotos') {
+      subDir = 'returns';
     }
     
     cb(null, path.join(uploadDir, subDir));
@@ -83,6 +87,12 @@ const uploadProductImages = upload.array('images', 5);
 // Single category image
 const uploadCategoryImage = upload.single('categoryImage');
 
+// Review photos (up to 5)
+const uploadReviewPhotos = upload.array('photos', 5);
+
+// Return request photos (up to 5)
+const uploadReturnPhotos = upload.array('returnPhotos', 5);
+
 // Handle multer errors
 const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -106,5 +116,7 @@ module.exports = {
   uploadProductImage,
   uploadProductImages,
   uploadCategoryImage,
+  uploadReviewPhotos,
+  uploadReturnPhotos,
   handleUploadError
 };
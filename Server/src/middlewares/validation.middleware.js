@@ -69,6 +69,37 @@ const loginValidation = [
   
   handleValidationErrors
 ];
+const forgotPasswordValidation = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  
+  handleValidationErrors
+];
+
+const resetPasswordValidation = [
+  param('token')
+    .isHexadecimal().withMessage('Invalid reset token')
+    .isLength({ min: 64, max: 64 }).withMessage('Invalid reset token'),
+  
+  body('password')
+    .notEmpty().withMessage('Password is required')
+    .isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+    .matches(/\d/).withMessage('Password must contain a number'),
+  
+  body('confirmPassword')
+    .notEmpty().withMessage('Please confirm your password')
+    .custom((value, { req }) => {
+      if (value !== req.body.password) {
+        throw new Error('Passwords do not match');
+      }
+      return true;
+    }),
+  
+  handleValidationErrors
+];
 // Product Validation Rules
 const createProductValidation = [
   body('name')
@@ -89,6 +120,15 @@ const createProductValidation = [
     .notEmpty().withMessage('Category is required')
     .isMongoId().withMessage('Invalid category ID'),
   
+  body('hsnCode')
+    .optional()
+    .trim()
+    .matches(/^[0-9]{4,8}$/).withMessage('HSN code must be 4 to 8 digits'),
+  
+  body('weight')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Weight must be a positive number of grams'),
+  
   body('salePrice')
     .optional()
     .isFloat({ min: 0 }).withMessage('Sale price must be a positive number'),
@@ -130,6 +170,15 @@ const updateProductValidation = [
     .optional()
     .isMongoId().withMessage('Invalid category ID'),
   
+  body('hsnCode')
+    .optional()
+    .trim()
+    .matches(/^[0-9]{4,8}$/).withMessage('HSN code must be 4 to 8 digits'),
+  
+  body('weight')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Weight must be a positive number of grams'),
+  
   handleValidationErrors
 ];
 // Cart Validation Rules
@@ -161,6 +210,72 @@ const updateCartItemValidation = [
   
   handleValidationErrors
 ];
+
+const shippingMethodsValidation = [
+  query('zipCode')
+    .trim()
+    .notEmpty().withMessage('PIN code is required')
+    .matches(/^[0-9]{6}$/).withMessage('Please provide a valid 6-digit PIN code'),
+  
+  query('state')
+    .optional()
+    .trim(),
+  
+  query('paymentMethod')
+    .optional()
+    .isIn(['cod', 'card', 'upi', 'netbanking', 'wallet'])
+    .withMessage('Invalid payment method'),
+  
+  handleValidationErrors
+];
+
+const setShippingMethodValidation = [
+  body('zipCode')
+    .trim()
+    .notEmpty().withMessage('PIN code is required')
+    .matches(/^[0-9]{6}$/).withMessage('Please provide a valid 6-digit PIN code'),
+  
+  body('state')
+    .optional()
+    .trim(),
+  
+  body('method')
+    .optional()
+    .isIn(['standard', 'express']).withMessage('Invalid shipping method'),
+  
+  body('paymentMethod')
+    .optional()
+    .isIn(['cod', 'card', 'upi', 'netbanking', 'wallet'])
+    .withMessage('Invalid payment method'),
+  
+  handleValidationErrors
+];
+
+const restoreCartValidation = [
+  body('token')
+    .trim()
+    .notEmpty().withMessage('Restore token is required'),
+  
+  handleValidationErrors
+];
+// Wishlist Validation Rules
+const addToWishlistValidation = [
+  body('productId')
+    .notEmpty().withMessage('Product ID is required')
+    .isMongoId().withMessage('Invalid product ID'),
+  
+  body('variant.size')
+    .optional()
+    .isIn(['XS', 'S', 'M', 'L', 'XL', 'XXL', 'XXXL', 'Free Size'])
+    .withMessage('Invalid size'),
+  
+  body('variant.color')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Color cannot be empty'),
+  
+  handleValidationErrors
+];
 // Order Validation Rules
 const createOrderValidation = [
   body('shippingAddress.name')
@@ -194,6 +309,106 @@ const createOrderValidation = [
     .isIn(['cod', 'card', 'upi', 'netbanking', 'wallet'])
     .withMessage('Invalid payment method'),
   
+  body('shippingMethod')
+    .optional()
+    .isIn(['standard', 'express']).withMessage('Invalid shipping method'),
+  
+  handleValidationErrors
+];
+
+const cancelOrderValidation = [
+  param('id')
+    .isMongoId().withMessage('Invalid order ID'),
+  
+  body('itemIds')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Item IDs must be a non-empty array'),
+  
+  body('itemIds.*')
+    .isMongoId().withMessage('Invalid item ID'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+const updateOrderStatusValidation = [
+  param('id')
+    .isMongoId().withMessage('Invalid order ID'),
+  
+  body('status')
+    .notEmpty().withMessage('Status is required')
+    .isIn([
+      'confirmed',
+      'processing',
+      'shipped',
+      'out_for_delivery',
+      'delivered',
+      'cancelled',
+      'returned',
+      'refunded'
+    ])
+    .withMessage('Invalid order status'),
+  
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+const createShipmentValidation = [
+  param('id')
+    .isMongoId().withMessage('Invalid order ID'),
+  
+  body('itemIds')
+    .isArray({ min: 1 }).withMessage('Select at least one item to ship'),
+  
+  body('itemIds.*')
+    .isMongoId().withMessage('Invalid item ID'),
+  
+  body('carrier')
+    .optional()
+    .trim()
+    .isLength({ max: 50 }).withMessage('Carrier cannot exceed 50 characters'),
+  
+  body('trackingNumber')
+    .optional()
+    .trim()
+    .isLength({ max: 50 }).withMessage('Tracking number cannot exceed 50 characters'),
+  
+  body('estimatedDelivery')
+    .optional()
+    .isISO8601().withMessage('Estimated delivery must be a valid date'),
+  
+  handleValidationErrors
+];
+
+const updateShipmentStatusValidation = [
+  param('id')
+    .isMongoId().withMessage('Invalid order ID'),
+  
+  param('shipmentId')
+    .isMongoId().withMessage('Invalid shipment ID'),
+  
+  body('status')
+    .notEmpty().withMessage('Status is required')
+    .isIn(['shipped', 'in_transit', 'out_for_delivery', 'delivered', 'rto'])
+    .withMessage('Invalid shipment status'),
+  
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Location cannot exceed 100 characters'),
+  
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+  
   handleValidationErrors
 ];
 // Category Validation Rules
@@ -212,8 +427,228 @@ const createCategoryValidation = [
     .optional()
     .isMongoId().withMessage('Invalid parent category ID'),
   
+  body('hsnCode')
+    .optional()
+    .trim()
+    .matches(/^[0-9]{4,8}$/).withMessage('HSN code must be 4 to 8 digits'),
+  
   handleValidationErrors
 ];
+// Coupon Validation Rules
+const createCouponValidation = [
+  body('code')
+    .trim()
+    .notEmpty().withMessage('Coupon code is required')
+    .isLength({ max: 30 }).withMessage('Coupon code cannot exceed 30 characters')
+    .matches(/^[A-Za-z0-9_-]+$/).withMessage('Coupon code can only contain letters, numbers, - and _'),
+  
+  body('discountType')
+    .notEmpty().withMessage('Discount type is required')
+    .isIn(['percentage', 'flat']).withMessage('Discount type must be percentage or flat'),
+  
+  body('discountValue')
+    .notEmpty().withMessage('Discount value is required')
+    .isFloat({ min: 0 }).withMessage('Discount value must be a positive number'),
+  
+  body('minCartValue')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Minimum cart value must be a positive number'),
+  
+  body('maxDiscount')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Maximum discount must be a positive number'),
+  
+  body('validFrom')
+    .optional()
+    .isISO8601().withMessage('Valid from must be a date'),
+  
+  body('validUntil')
+    .optional()
+    .isISO8601().withMessage('Valid until must be a date')
+    .custom((value, { req }) => {
+      if (req.body.validFrom && new Date(value) <= new Date(req.body.validFrom)) {
+        throw new Error('Valid until must be after valid from');
+      }
+      return true;
+    }),
+  
+  body('usageLimit')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Usage limit must be a positive integer'),
+  
+  body('perUserLimit')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Per-user limit must be a positive integer'),
+  
+  body('eligibility.categories.*')
+    .optional()
+    .isMongoId().withMessage('Invalid category ID'),
+  
+  body('eligibility.products.*')
+    .optional()
+    .isMongoId().withMessage('Invalid product ID'),
+  
+  handleValidationErrors
+];
+
+const updateCouponValidation = [
+  param('id')
+    .isMongoId().withMessage('Invalid coupon ID'),
+  
+  body('discountType')
+    .optional()
+    .isIn(['percentage', 'flat']).withMessage('Discount type must be percentage or flat'),
+  
+  body('discountValue')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Discount value must be a positive number'),
+  
+  body('validUntil')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('Valid until must be a date'),
+  
+  body('usageLimit')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 }).withMessage('Usage limit must be a positive integer'),
+  
+  body('perUserLimit')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 }).withMessage('Per-user limit must be a positive integer'),
+  
+  handleValidationErrors
+];
+// Review Validation Rules
+const createReviewValidation = [
+  param('id')
+    .isMongoId().withMessage('Invalid product ID'),
+  
+  body('rating')
+    .notEmpty().withMessage('Rating is required')
+    .isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
+  
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 }).withMessage('Comment cannot exceed 2000 characters'),
+  
+  handleValidationErrors
+];
+
+const moderateReviewValidation = [
+  param('id')
+    .isMongoId().withMessage('Invalid review ID'),
+  
+  body('status')
+    .notEmpty().withMessage('Status is required')
+    .isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
+  
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Return Validation Rules
+const rejectReturnValidation = [
+  param('id')
+    .isMongoId().withMessage('Invalid return request ID'),
+  
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('Rejection reason is required')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+const receiveReturnValidation = [
+  param('id')
+    .isMongoId().withMessage('Invalid return request ID'),
+  
+  body('items')
+    .optional()
+    .isArray().withMessage('Items must be an array'),
+  
+  body('items.*.itemId')
+    .isMongoId().withMessage('Invalid return item ID'),
+  
+  body('items.*.condition')
+    .isIn(['good', 'damaged']).withMessage('Condition must be good or damaged'),
+  
+  body('refundReference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Refund reference cannot exceed 100 characters'),
+  
+  handleValidationErrors
+];
+
+// Shipping Zone Validation Rules
+const shippingZoneValidation = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Zone name is required'),
+  
+  body('pinRanges')
+    .optional()
+    .isArray().withMessage('PIN ranges must be an array'),
+  
+  body('pinRanges.*.from')
+    .isInt({ min: 100000, max: 999999 }).withMessage('PIN range start must be a 6-digit PIN code'),
+  
+  body('pinRanges.*.to')
+    .isInt({ min: 100000, max: 999999 }).withMessage('PIN range end must be a 6-digit PIN code')
+    .custom((value, { req, path }) => {
+      const index = path.match(/\[(\d+)\]/)[1];
+      return parseInt(value) >= parseInt(req.body.pinRanges[index].from);
+    }).withMessage('PIN range end must not be before its start'),
+  
+  body('states')
+    .optional()
+    .isArray().withMessage('States must be an array'),
+  
+  body('methods')
+    .isArray({ min: 1 }).withMessage('At least one shipping method is required'),
+  
+  body('methods.*.code')
+    .isIn(['standard', 'express']).withMessage('Invalid shipping method'),
+  
+  body('methods.*.name')
+    .trim()
+    .notEmpty().withMessage('Shipping method name is required'),
+  
+  body('methods.*.rateBasis')
+    .optional()
+    .isIn(['weight', 'order_value']).withMessage('Rate basis must be weight or order_value'),
+  
+  body('methods.*.rates')
+    .isArray({ min: 1 }).withMessage('Each shipping method needs at least one rate'),
+  
+  body('methods.*.rates.*.price')
+    .isFloat({ min: 0 }).withMessage('Rate price must be a positive number'),
+  
+  body('methods.*.rates.*.upTo')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Rate bracket must be a positive number'),
+  
+  body('codSurcharge.flat')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('COD surcharge must be a positive number'),
+  
+  body('codSurcharge.percent')
+    .optional()
+    .isFloat({ min: 0, max: 100 }).withMessage('COD surcharge percent must be between 0 and 100'),
+  
+  handleValidationErrors
+];
+
 // Common Validation Rules
 const mongoIdValidation = [
   param('id')
@@ -238,16 +673,64 @@ const paginationValidation = [
   handleValidationErrors
 ];
 
+// Long queries make every search word a scan of the catalogue vocabulary
+const searchQueryValidation = [
+  query('q')
+    .optional()
+    .isString().withMessage('Search query must be a string')
+    .trim()
+    .isLength({ max: 100 }).withMessage('Search query must be at most 100 characters')
+    .custom((value) => {
+      if (value.split(/\s+/).filter(Boolean).length > 8) {
+        throw new Error('Search query must be at most 8 words');
+      }
+      return true;
+    }),
+
+  handleValidationErrors
+];
+
+const dateRangeValidation = [
+  query('from')
+    .optional()
+    .isISO8601().withMessage('From must be a valid date'),
+  
+  query('to')
+    .optional()
+    .isISO8601().withMessage('To must be a valid date'),
+  
+  handleValidationErrors
+];
+
 module.exports = {
   handleValidationErrors,
   registerValidation,
   loginValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
   createProductValidation,
   updateProductValidation,
   addToCartValidation,
   updateCartItemValidation,
+  shippingMethodsValidation,
+  setShippingMethodValidation,
+  restoreCartValidation,
+  addToWishlistValidation,
   createOrderValidation,
+  cancelOrderValidation,
+  updateOrderStatusValidation,
+  createShipmentValidation,
+  updateShipmentStatusValidation,
   createCategoryValidation,
+  createCouponValidation,
+  updateCouponValidation,
+  createReviewValidation,
+  moderateReviewValidation,
+  rejectReturnValidation,
+  receiveReturnValidation,
+  shippingZoneValidation,
   mongoIdValidation,
-  paginationValidation
+  paginationValidation,
+  searchQueryValidation,
+  dateRangeValidation
 };
@@ -4,6 +4,35 @@
  */
 
 const mongoose = require('mongoose');
+const Coupon = require('./Coupon.model');
+const { getTaxCalculator } = require('../services/tax');
+const { quoteShipping } = require('../services/shipping/rates');
+
+/**
+ * Product ID of a cart line, whether or not it is populated
+ * @param {Object} item - Cart item
+ * @returns {string|null} Null when the product no longer exists
+ */
+const productIdOf = (item) => (item.product ? (item.product._id || item.product).toString() : null);
+
+/**
+ * Current selling price of a product variant
+ * @param {Object} product - Product document
+ * @param {Object} variant - Product variant
+ * @returns {number}
+ */
+const currentPriceOf = (product, variant) => variant.price || product.salePrice || product.price;
+
+/**
+ * Whether a line holds the given product variant (same product, size and color)
+ * @param {Object} line - Cart item or saved item
+ * @param {Object} item - { product, variant: { size, color } }
+ * @returns {boolean}
+ */
+const isSameVariant = (line, item) =>
+  productIdOf(line) === productIdOf(item) &&
+  line.variant.size === item.variant.size &&
+  line.variant.color === item.variant.color;
 
 // Sub-schema for cart items
 const cartItemSchema = new mongoose.Schema({
@@ -42,20 +71,94 @@ const cartItemSchema = new mongoose.Schema({
   }
 });
 
+// Sub-schema for saved-for-later items; priced when moved back to the cart
+const savedItemSchema = new mongoose.Schema(
+  {
+    // Reference to the product
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+
+    // Selected variant (size/color)
+    variant: {
+      size: { type: String, required: true },
+      color: { type: String, required: true },
+      sku: { type: String }
+    },
+
+    // Quantity to restore
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1'],
+      default: 1
+    },
+
+    // Saved timestamp
+    savedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+/**
+ * The populated product variant of a saved item
+ * @param {Object} item - Saved item
+ * @returns {Object|null}
+ */
+const populatedVariantOf = (item) => {
+  const product = item.product;
+  if (!product || !Array.isArray(product.variants)) return null;
+  return product.variants.find(
+    (v) => v.size === item.variant.size && v.color === item.variant.color
+  ) || null;
+};
+
+// Current price (needs savedItems.product populated with variants)
+savedItemSchema.virtual('currentPrice').get(function () {
+  const variant = populatedVariantOf(this);
+  return variant ? currentPriceOf(this.product, variant) : null;
+});
+
+// Current stock of the saved variant
+savedItemSchema.virtual('stock').get(function () {
+  const variant = populatedVariantOf(this);
+  return variant ? variant.stock : 0;
+});
+
+// Whether the saved item can be moved back to the cart as is
+savedItemSchema.virtual('isAvailable').get(function () {
+  const variant = populatedVariantOf(this);
+  return Boolean(variant) && this.product.status === 'active' && variant.stock >= this.quantity;
+});
+
 // Main cart schema
 const cartSchema = new mongoose.Schema(
   {
-    // Owner of the cart
+    // Owner of the cart; guest carts have none
     user: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true,
-      unique: true // One cart per user
+      ref: 'User'
+    },
+
+    // Guest carts are removed after this time (renewed on every save)
+    expiresAt: {
+      type: Date
     },
 
     // Cart items
     items: [cartItemSchema],
 
+    // Items saved for later; not part of the totals and kept when the cart is cleared
+    savedItems: [savedItemSchema],
+
     // Subtotal (sum of item prices * quantities)
     subtotal: {
       type: Number,
@@ -79,17 +182,51 @@ const cartSchema = new mongoose.Schema(
       default: 0
     },
 
+    // Delivery address and method chosen by the shopper
+    shippingSelection: {
+      zipCode: { type: String },
+      state: { type: String },
+      method: { type: String },
+      paymentMethod: { type: String }
+    },
+
+    // Cash on delivery surcharge
+    codCharge: {
+      type: Number,
+      default: 0
+    },
+
     // Tax amount
     tax: {
       type: Number,
       default: 0
     },
 
+    // GST split of the tax amount
+    taxDetails: {
+      placeOfSupply: { type: String },
+      interState: { type: Boolean, default: false },
+      cgst: { type: Number, default: 0 },
+      sgst: { type: Number, default: 0 },
+      igst: { type: Number, default: 0 }
+    },
+
     // Grand total
     total: {
       type: Number,
       default: 0
-    }
+    },
+
+    // Price changes the shopper has not acknowledged yet; checkout waits for them
+    priceChanges: [{
+      item: { type: mongoose.Schema.Types.ObjectId },
+      product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+      name: { type: String },
+      size: { type: String },
+      color: { type: String },
+      oldPrice: { type: Number },
+      newPrice: { type: Number }
+    }]
   },
   {
     timestamps: true,
@@ -99,7 +236,12 @@ const cartSchema = new mongoose.Schema(
 );
 
 // Indexes
-cartSchema.index({ user: 1 });
+// One cart per user; any number of guest carts
+cartSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { user: { $exists: true } } }
+);
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 // Virtual Properties
 
@@ -108,51 +250,232 @@ cartSchema.virtual('itemCount').get(function () {
   return this.items.reduce((sum, item) => sum + item.quantity, 0);
 });
 
+// Whether the cart belongs to an anonymous shopper
+cartSchema.virtual('isGuest').get(function () {
+  return !this.user;
+});
+
 // Check if cart is empty
 cartSchema.virtual('isEmpty').get(function () {
   return this.items.length === 0;
 });
 
+// Pre-save Hook
+
+// Guest carts expire after GUEST_CART_TTL_DAYS without changes
+cartSchema.pre('save', function () {
+  if (this.user) {
+    this.expiresAt = undefined;
+  } else {
+    const ttlDays = parseInt(process.env.GUEST_CART_TTL_DAYS) || 30;
+    this.expiresAt = new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000);
+  }
+});
+
 // Instance Methods
 
+/**
+ * Re-validate the applied coupon and refresh the discount.
+ * Drops the coupon from the cart if it no longer applies.
+ * @returns {Promise<Object|null>} Coupon evaluation result, or null if no coupon
+ */
+cartSchema.methods.revalidateCoupon = async function () {
+  if (!this.couponCode) {
+    this.discount = 0;
+    return null;
+  }
+
+  const coupon = await Coupon.findByCode(this.couponCode);
+  let result;
+
+  if (!coupon) {
+    result = { valid: false, message: 'Invalid coupon code', discount: 0 };
+  } else {
+    // Eligibility rules need each line's category and brand
+    let productsById = new Map();
+    if (coupon.hasEligibilityRules) {
+      const productIds = this.items.map((item) => item.product._id || item.product);
+      const products = await mongoose
+        .model('Product')
+        .find({ _id: { $in: productIds } })
+        .select('category brand')
+        .lean();
+      productsById = new Map(products.map((p) => [p._id.toString(), p]));
+    }
+
+    result = coupon.evaluate({
+      userId: this.user,
+      items: this.items.map((item) => ({
+        product: productsById.get((item.product._id || item.product).toString()),
+        price: item.price,
+        quantity: item.quantity
+      })),
+      subtotal: this.subtotal
+    });
+  }
+
+  if (result.valid) {
+    this.discount = result.discount;
+  } else {
+    this.couponCode = undefined;
+    this.discount = 0;
+  }
+
+  return result;
+};
+
+/**
+ * Load HSN codes and weights for the cart lines
+ * @returns {Promise<Map<string, Object>>} Product ID -> { hsnCode, weight }
+ */
+cartSchema.methods.getLineAttributes = function () {
+  const productIds = this.items.map(productIdOf).filter(Boolean);
+  if (productIds.length === 0) {
+    return Promise.resolve(new Map());
+  }
+  return mongoose.model('Product').getLineAttributes(productIds);
+};
+
+/**
+ * Work out tax per line on the discounted value.
+ * The line-level result is exposed on cart.$locals.taxResult.
+ * @param {Map<string, Object>} attributes - From getLineAttributes
+ * @returns {Object} Tax calculator result
+ */
+cartSchema.methods.calculateTax = function (attributes) {
+  const productIds = this.items.map(productIdOf);
+
+  // Only lines the coupon applies to share its discount
+  const couponResult = this.$locals.couponResult;
+  const eligibleLines = couponResult && couponResult.valid ? couponResult.eligibleLines : null;
+
+  const result = getTaxCalculator().calculate({
+    lines: this.items.map((item, index) => ({
+      key: item._id.toString(),
+      hsnCode: (attributes.get(productIds[index]) || {}).hsnCode,
+      unitPrice: item.price,
+      quantity: item.quantity,
+      discountable: !eligibleLines || eligibleLines.includes(index)
+    })),
+    discount: this.discount,
+    // Place of supply; the seller state until an address is chosen
+    shipToState: this.shippingSelection.state
+  });
+
+  this.tax = result.totals.tax;
+  this.taxDetails = {
+    placeOfSupply: result.placeOfSupply,
+    interState: result.interState,
+    cgst: result.totals.cgst,
+    sgst: result.totals.sgst,
+    igst: result.totals.igst
+  };
+  this.$locals.taxResult = result;
+
+  return result;
+};
+
+/**
+ * Price delivery for the chosen address, method and payment method.
+ * The quote (available methods, fallback message) is exposed on
+ * cart.$locals.shippingQuote.
+ * @param {Map<string, Object>} attributes - From getLineAttributes
+ * @returns {Promise<Object>} Shipping quote
+ */
+cartSchema.methods.calculateShipping = async function (attributes) {
+  if (this.items.length === 0) {
+    this.shipping = 0;
+    this.codCharge = 0;
+    this.$locals.shippingQuote = null;
+    return null;
+  }
+
+  const defaultWeight = parseInt(process.env.DEFAULT_ITEM_WEIGHT_GRAMS) || 500;
+  const weight = this.items.reduce((sum, item) => {
+    const attrs = attributes.get(productIdOf(item)) || {};
+    return sum + (attrs.weight || defaultWeight) * item.quantity;
+  }, 0);
+
+  const { zipCode, state, method, paymentMethod } = this.shippingSelection;
+  const quote = await quoteShipping({
+    zipCode,
+    state,
+    subtotal: this.subtotal,
+    weight,
+    method,
+    paymentMethod
+  });
+
+  this.shipping = quote.shipping;
+  this.codCharge = quote.codCharge;
+  if (quote.selected) {
+    this.shippingSelection.method = quote.selected.code;
+  }
+  this.$locals.shippingQuote = quote;
+
+  return quote;
+};
+
 /**
  * Calculate cart totals
+ * The latest coupon evaluation is exposed on cart.$locals.couponResult,
+ * the line-level tax on cart.$locals.taxResult and the delivery quote
+ * on cart.$locals.shippingQuote.
+ * @returns {Promise<Cart>}
  */
-cartSchema.methods.calculateTotals = function () {
+cartSchema.methods.calculateTotals = async function () {
   // Calculate subtotal
   this.subtotal = this.items.reduce((sum, item) => {
     return sum + item.price * item.quantity;
   }, 0);
 
-  // Calculate tax (e.g., 18% GST)
-  const taxRate = 0.18;
-  this.tax = Math.round(this.subtotal * taxRate * 100) / 100;
+  // Re-validate coupon against the current items
+  this.$locals.couponResult = await this.revalidateCoupon();
+
+  const attributes = await this.getLineAttributes();
+
+  // Calculate GST per line (rate by HSN code and piece value)
+  this.calculateTax(attributes);
 
-  // Calculate shipping (free over ₹999)
-  this.shipping = this.subtotal >= 999 ? 0 : 99;
+  // Calculate shipping from the zone rate tables
+  await this.calculateShipping(attributes);
 
   // Calculate total
-  this.total = this.subtotal + this.tax + this.shipping - this.discount;
+  this.total = this.subtotal + this.tax + this.shipping + this.codCharge - this.discount;
 
   return this;
 };
 
+/**
+ * Find the line holding a product variant (same product, size and color)
+ * @param {Object} item - { product, variant: { size, color } }
+ * @returns {Object|undefined} Cart item subdocument
+ */
+cartSchema.methods.findItem = function (item) {
+  return this.items.find((line) => isSameVariant(line, item));
+};
+
+/**
+ * Find the saved item holding a product variant
+ * @param {Object} item - { product, variant: { size, color } }
+ * @returns {Object|undefined} Saved item subdocument
+ */
+cartSchema.methods.findSavedItem = function (item) {
+  return this.savedItems.find((line) => isSameVariant(line, item));
+};
+
 /**
  * Add item to cart
  * @param {Object} item - Item to add
+ * @returns {Promise<Cart>}
  */
 cartSchema.methods.addItem = function (item) {
   // Check if item with same variant already exists
-  const existingItemIndex = this.items.findIndex(
-    (i) =>
-      i.product.toString() === item.product.toString() &&
-      i.variant.size === item.variant.size &&
-      i.variant.color === item.variant.color
-  );
-
-  if (existingItemIndex > -1) {
+  const existingItem = this.findItem(item);
+
+  if (existingItem) {
     // Update quantity
-    this.items[existingItemIndex].quantity += item.quantity || 1;
+    existingItem.quantity += item.quantity || 1;
   } else {
     // Add new item
     this.items.push(item);
@@ -165,6 +488,7 @@ cartSchema.methods.addItem = function (item) {
  * Update item quantity
  * @param {string} itemId - Cart item ID
  * @param {number} quantity - New quantity
+ * @returns {Promise<Cart>}
  */
 cartSchema.methods.updateItemQuantity = function (itemId, quantity) {
   const item = this.items.id(itemId);
@@ -184,6 +508,7 @@ cartSchema.methods.updateItemQuantity = function (itemId, quantity) {
 /**
  * Remove item from cart
  * @param {string} itemId - Cart item ID
+ * @returns {Promise<Cart>}
  */
 cartSchema.methods.removeItem = function (itemId) {
   this.items.pull(itemId);
@@ -191,15 +516,306 @@ cartSchema.methods.removeItem = function (itemId) {
 };
 
 /**
- * Clear all items from cart
+ * Move a cart line to the saved-for-later list, combining it with a
+ * saved item for the same variant
+ * @param {string} itemId - Cart item ID
+ * @returns {Promise<Cart>}
+ */
+cartSchema.methods.saveForLater = function (itemId) {
+  const item = this.items.id(itemId);
+
+  if (item) {
+    const saved = this.findSavedItem(item);
+    if (saved) {
+      saved.quantity += item.quantity;
+      saved.savedAt = new Date();
+    } else {
+      this.savedItems.push({
+        product: item.product._id || item.product,
+        variant: {
+          size: item.variant.size,
+          color: item.variant.color,
+          sku: item.variant.sku
+        },
+        quantity: item.quantity
+      });
+    }
+    this.items.pull(itemId);
+  }
+
+  return this.calculateTotals();
+};
+
+/**
+ * Move a saved item back to the cart at the current price
+ * @param {string} savedItemId - Saved item ID
+ * @param {number} price - Current price of the variant
+ * @returns {Promise<Cart>}
+ */
+cartSchema.methods.moveToCart = function (savedItemId, price) {
+  const saved = this.savedItems.id(savedItemId);
+  if (!saved) {
+    return this.calculateTotals();
+  }
+
+  this.savedItems.pull(savedItemId);
+
+  return this.addItem({
+    product: saved.product._id || saved.product,
+    variant: {
+      size: saved.variant.size,
+      color: saved.variant.color,
+      sku: saved.variant.sku
+    },
+    quantity: saved.quantity,
+    price
+  });
+};
+
+/**
+ * Clear all items from cart (saved items are kept)
+ * @returns {Promise<Cart>}
  */
 cartSchema.methods.clearCart = function () {
   this.items = [];
+  this.priceChanges = [];
   this.couponCode = undefined;
   this.discount = 0;
   return this.calculateTotals();
 };
 
+/**
+ * Reconcile every line against the current product and variant.
+ * Lines for archived products, missing variants or sold-out stock are
+ * removed, quantities are capped at the stock left and prices are
+ * refreshed. Price changes are kept on the cart until acknowledged.
+ * Totals are recalculated.
+ * @returns {Promise<Object[]>} Warnings: { type, message, itemId, product, name, size, color, ... }
+ */
+cartSchema.methods.revalidate = async function () {
+  const productIds = this.items.map(productIdOf).filter(Boolean);
+  const products = await mongoose
+    .model('Product')
+    .find({ _id: { $in: productIds } })
+    .select('name status price salePrice variants');
+  const productsById = new Map(products.map((p) => [p._id.toString(), p]));
+  const warnings = [];
+
+  for (const item of [...this.items]) {
+    const product = productsById.get(productIdOf(item));
+    const variant = product && product.variants.find(
+      (v) => v.size === item.variant.size && v.color === item.variant.color
+    );
+    const line = {
+      itemId: item._id,
+      product: productIdOf(item),
+      name: product ? product.name : 'Unavailable product',
+      size: item.variant.size,
+      color: item.variant.color
+    };
+
+    if (!product || product.status !== 'active') {
+      warnings.push({ type: 'product_unavailable', message: 'This product is no longer available', ...line });
+      this.items.pull(item._id);
+      continue;
+    }
+
+    if (!variant) {
+      warnings.push({
+        type: 'variant_unavailable',
+        message: `Size ${line.size} in ${line.color} is no longer available`,
+        ...line
+      });
+      this.items.pull(item._id);
+      continue;
+    }
+
+    if (variant.stock <= 0) {
+      warnings.push({
+        type: 'out_of_stock',
+        message: 'This item is out of stock',
+        ...line,
+        requested: item.quantity,
+        available: 0
+      });
+      this.items.pull(item._id);
+      continue;
+    }
+
+    if (variant.stock < item.quantity) {
+      warnings.push({
+        type: 'quantity_reduced',
+        message: `Only ${variant.stock} left in stock; quantity reduced`,
+        ...line,
+        requested: item.quantity,
+        available: variant.stock
+      });
+      item.quantity = variant.stock;
+    }
+
+    const price = currentPriceOf(product, variant);
+    if (price !== item.price) {
+      // Keep the price the shopper last saw; forget the change if it reverted
+      const pending = this.priceChanges.find((change) => change.item.equals(item._id));
+      if (!pending) {
+        this.priceChanges.push({
+          item: item._id,
+          product: product._id,
+          name: product.name,
+          size: line.size,
+          color: line.color,
+          oldPrice: item.price,
+          newPrice: price
+        });
+      } else if (pending.oldPrice === price) {
+        this.priceChanges.pull(pending._id);
+      } else {
+        pending.newPrice = price;
+      }
+      item.price = price;
+    }
+  }
+
+  // Drop changes for lines that have since been removed
+  for (const change of [...this.priceChanges]) {
+    if (!this.items.id(change.item)) {
+      this.priceChanges.pull(change._id);
+    }
+  }
+
+  const appliedCouponCode = this.couponCode;
+  await this.calculateTotals();
+
+  if (appliedCouponCode && !this.couponCode) {
+    warnings.push({
+      type: 'coupon_removed',
+      message: `Coupon ${appliedCouponCode} can no longer be applied: ${this.$locals.couponResult.message}`,
+      couponCode: appliedCouponCode
+    });
+  }
+
+  for (const change of this.priceChanges) {
+    warnings.push({
+      type: 'price_changed',
+      message: `Price changed from ${change.oldPrice} to ${change.newPrice}`,
+      itemId: change.item,
+      product: change.product,
+      name: change.name,
+      size: change.size,
+      color: change.color,
+      oldPrice: change.oldPrice,
+      newPrice: change.newPrice
+    });
+  }
+
+  return warnings;
+};
+
+/**
+ * Accept the pending price changes so checkout can proceed
+ * @returns {Cart}
+ */
+cartSchema.methods.acknowledgePriceChanges = function () {
+  this.priceChanges = [];
+  return this;
+};
+
+/**
+ * Add lines to this cart. Lines for the same variant are combined as in
+ * addItem (or left alone when combine is false), quantities are capped
+ * at the stock left and unavailable products are skipped. Prices are
+ * refreshed. Totals are not recalculated.
+ * @param {Object[]} lines - { product, variant: { size, color }, quantity }
+ * @param {Object} [options] - { combine }
+ * @returns {Promise<Object>} { merged, adjusted, skipped } lines for the shopper
+ */
+cartSchema.methods.mergeLines = async function (lines, { combine = true } = {}) {
+  const Product = mongoose.model('Product');
+  const summary = { merged: [], adjusted: [], skipped: [] };
+
+  for (const item of lines) {
+    const existing = this.findItem(item);
+    if (existing && !combine) continue;
+
+    const product = await Product.findById(productIdOf(item));
+    const variant = product && product.status === 'active' && product.variants.find(
+      (v) => v.size === item.variant.size && v.color === item.variant.color
+    );
+    const line = {
+      product: productIdOf(item),
+      name: product ? product.name : 'Unavailable product',
+      size: item.variant.size,
+      color: item.variant.color,
+      requested: item.quantity
+    };
+
+    if (!variant) {
+      summary.skipped.push({ ...line, reason: 'This item is no longer available' });
+      continue;
+    }
+
+    const room = variant.stock - (existing ? existing.quantity : 0);
+    const quantity = Math.min(item.quantity, room);
+
+    if (quantity <= 0) {
+      summary.skipped.push({ ...line, reason: `Only ${variant.stock} in stock` });
+      continue;
+    }
+
+    const price = currentPriceOf(product, variant);
+    if (existing) {
+      existing.quantity += quantity;
+      existing.price = price;
+    } else {
+      this.items.push({
+        product: product._id,
+        variant: { size: variant.size, color: variant.color, sku: variant.sku },
+        quantity,
+        price
+      });
+    }
+
+    if (quantity < item.quantity) {
+      summary.adjusted.push({ ...line, added: quantity, reason: `Only ${variant.stock} in stock` });
+    } else {
+      summary.merged.push({ ...line, added: quantity });
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Move a guest cart's lines and saved items into this cart, using the
+ * rules of mergeLines
+ * @param {Cart} guestCart - Guest cart to merge
+ * @returns {Promise<Object>} { merged, adjusted, skipped } lines for the shopper
+ */
+cartSchema.methods.mergeGuestCart = async function (guestCart) {
+  const summary = await this.mergeLines(guestCart.items);
+
+  // Saved items carry over as they are; they are checked when moved to the cart
+  for (const saved of guestCart.savedItems) {
+    const existing = this.findSavedItem(saved);
+    if (existing) {
+      existing.quantity = Math.max(existing.quantity, saved.quantity);
+    } else {
+      this.savedItems.push(saved.toObject());
+    }
+  }
+
+  // Keep the shopper's own choices; fall back to what they picked as a guest
+  if (!this.couponCode && guestCart.couponCode) {
+    this.couponCode = guestCart.couponCode;
+  }
+  if (!this.shippingSelection.zipCode && guestCart.shippingSelection.zipCode) {
+    this.shippingSelection = guestCart.shippingSelection.toObject();
+  }
+
+  await this.calculateTotals();
+  return summary;
+};
+
 // Static Methods
 
 /**
@@ -0,0 +1,193 @@
+/**
+ * Defines the schema for abandoned cart recovery campaigns:
+ * the reminders sent for one abandoned cart and whether it converted.
+ */
+
+const mongoose = require('mongoose');
+
+// Sub-schema for the cart lines at the time the cart was abandoned
+const recoveryItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    variant: {
+      size: { type: String },
+      color: { type: String },
+      sku: { type: String }
+    },
+    quantity: { type: Number },
+    price: { type: Number }
+  },
+  { _id: false }
+);
+
+// Sub-schema for each reminder sent
+const recoveryStepSchema = new mongoose.Schema(
+  {
+    // 1-based campaign step
+    step: { type: Number, required: true },
+
+    // Threshold that triggered it, e.g. "24h"
+    delay: { type: String },
+
+    sentAt: { type: Date, default: Date.now },
+
+    notification: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Notification'
+    },
+
+    // Single-use coupon attached to this reminder, if any
+    couponCode: { type: String }
+  },
+  { _id: false }
+);
+
+// Main cart recovery schema
+const cartRecoverySchema = new mongoose.Schema(
+  {
+    cart: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Cart',
+      required: true
+    },
+
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    // Cart updatedAt when it was found abandoned; a later change starts a new campaign
+    abandonedAt: {
+      type: Date,
+      required: true
+    },
+
+    // Snapshot restored by the reminder link
+    items: [recoveryItemSchema],
+
+    // Cart subtotal at abandonment
+    cartValue: {
+      type: Number,
+      default: 0
+    },
+
+    steps: [recoveryStepSchema],
+
+    lastSentAt: { type: Date },
+
+    // Coupon issued during the campaign
+    couponCode: { type: String },
+
+    // Reminder link clicks
+    restoreCount: {
+      type: Number,
+      default: 0
+    },
+    restoredAt: { type: Date },
+    restoredStep: { type: Number },
+
+    status: {
+      type: String,
+      enum: ['active', 'converted'],
+      default: 'active'
+    },
+
+    // Conversion, attributed to the step that brought the shopper back
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    convertedAt: { type: Date },
+    convertedStep: { type: Number },
+    revenue: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+cartRecoverySchema.index({ cart: 1, abandonedAt: 1 }, { unique: true });
+cartRecoverySchema.index({ cart: 1, status: 1, lastSentAt: -1 });
+cartRecoverySchema.index({ createdAt: -1 });
+
+// Static Methods
+
+/**
+ * Recovery rate and recovered revenue for campaigns started in a period,
+ * overall and per step
+ * @param {Object} [range] - { from, to }
+ * @returns {Promise<Object>} { summary, steps }
+ */
+cartRecoverySchema.statics.getReport = async function ({ from, to } = {}) {
+  const match = { 'steps.0': { $exists: true } };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = new Date(from);
+    if (to) match.createdAt.$lte = new Date(to);
+  }
+
+  const [summary] = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        campaigns: { $sum: 1 },
+        abandonedValue: { $sum: '$cartValue' },
+        restored: { $sum: { $cond: [{ $gt: ['$restoreCount', 0] }, 1, 0] } },
+        converted: { $sum: { $cond: [{ $eq: ['$status', 'converted'] }, 1, 0] } },
+        recoveredRevenue: { $sum: '$revenue' },
+        couponsIssued: { $sum: { $cond: [{ $ifNull: ['$couponCode', false] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const steps = await this.aggregate([
+    { $match: match },
+    { $unwind: '$steps' },
+    {
+      $group: {
+        _id: '$steps.step',
+        delay: { $first: '$steps.delay' },
+        sent: { $sum: 1 },
+        restored: { $sum: { $cond: [{ $eq: ['$restoredStep', '$steps.step'] }, 1, 0] } },
+        converted: { $sum: { $cond: [{ $eq: ['$convertedStep', '$steps.step'] }, 1, 0] } },
+        recoveredRevenue: {
+          $sum: { $cond: [{ $eq: ['$convertedStep', '$steps.step'] }, '$revenue', 0] }
+        }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0);
+  const totals = summary || {
+    campaigns: 0,
+    abandonedValue: 0,
+    restored: 0,
+    converted: 0,
+    recoveredRevenue: 0,
+    couponsIssued: 0
+  };
+  delete totals._id;
+
+  return {
+    summary: { ...totals, recoveryRate: rate(totals.converted, totals.campaigns) },
+    steps: steps.map(({ _id, ...step }) => ({
+      step: _id,
+      ...step,
+      conversionRate: rate(step.converted, step.sent)
+    }))
+  };
+};
+
+const CartRecovery = mongoose.model('CartRecovery', cartRecoverySchema);
+
+module.exports = CartRecovery;
@@ -35,6 +35,12 @@ const categorySchema = new mongoose.Schema(
       default: ''
     },
 
+    // Default HSN code for GST on products in this category
+    hsnCode: {
+      type: String,
+      trim: true
+    },
+
     // Parent category for hierarchical structure
     parent: {
       type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,74 @@
+/**
+ * Defines the schema for named sequence counters
+ * used to generate collision-free document numbers.
+ */
+
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema(
+  {
+    // Sequence key, e.g. "order:ORD:20250114"
+    _id: {
+      type: String,
+      required: true
+    },
+
+    // Last issued value
+    seq: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+// Static Methods
+
+/**
+ * Atomically increment a counter and return the new value.
+ * The counter is created on first use.
+ * @param {string} key - Sequence key
+ * @param {Object} [options] - { session } for use inside a transaction
+ * @returns {Promise<number>} Next sequence value (starting at 1)
+ */
+counterSchema.statics.next = async function (key, { session } = {}) {
+  const create = () => this.updateOne(
+    { _id: key },
+    { $setOnInsert: { seq: 0 } },
+    { upsert: true }
+  );
+  const increment = () => this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  // A duplicate key error aborts a transaction, so inside one the counter
+  // is created first, outside it; the increment then never inserts
+  if (session) {
+    await create().catch((error) => {
+      if (error.code !== 11000) throw error;
+    });
+    const counter = await increment();
+    return counter.seq;
+  }
+
+  try {
+    const counter = await increment();
+    return counter.seq;
+  } catch (error) {
+    // Two first-time upserts can race on the _id; the loser retries as an update
+    if (error.code === 11000) {
+      const counter = await increment();
+      return counter.seq;
+    }
+    throw error;
+  }
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
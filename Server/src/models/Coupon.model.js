@@ -0,0 +1,341 @@
+/**
+ * Defines the schema for discount coupons including
+ * eligibility rules, validity windows, and redemptions.
+ */
+
+const mongoose = require('mongoose');
+
+// Sub-schema for coupon redemptions (one per order)
+const redemptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  discount: {
+    type: Number,
+    required: true
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Main coupon schema
+const couponSchema = new mongoose.Schema(
+  {
+    // Coupon code entered by the customer
+    code: {
+      type: String,
+      required: [true, 'Coupon code is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      maxlength: [30, 'Coupon code cannot exceed 30 characters']
+    },
+
+    // Internal description
+    description: {
+      type: String,
+      maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+
+    // Percentage or flat amount off
+    discountType: {
+      type: String,
+      enum: ['percentage', 'flat'],
+      required: [true, 'Discount type is required']
+    },
+
+    // Percent (0-100) or rupee amount depending on discountType
+    discountValue: {
+      type: Number,
+      required: [true, 'Discount value is required'],
+      min: [0, 'Discount value cannot be negative'],
+      validate: {
+        validator: function (value) {
+          return this.discountType !== 'percentage' || value <= 100;
+        },
+        message: 'Percentage discount cannot exceed 100'
+      }
+    },
+
+    // Minimum cart subtotal required to apply
+    minCartValue: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+
+    // Maximum discount amount (percentage coupons)
+    maxDiscount: {
+      type: Number,
+      min: 0
+    },
+
+    // Validity window
+    validFrom: {
+      type: Date,
+      default: Date.now
+    },
+    validUntil: {
+      type: Date
+    },
+
+    // Total redemptions allowed (empty = unlimited)
+    usageLimit: {
+      type: Number,
+      min: 1
+    },
+
+    // Redemptions allowed per user (empty = unlimited)
+    perUserLimit: {
+      type: Number,
+      min: 1
+    },
+
+    // Number of times redeemed
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+
+    // Restrict the discount to matching cart lines (empty = whole cart)
+    eligibility: {
+      categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+      products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+      brands: [{ type: String, trim: true }]
+    },
+
+    // Only this customer may use the coupon (e.g. cart recovery offers)
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+
+    // Coupon status
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+
+    // Redemption log
+    redemptions: [redemptionSchema],
+
+    // Who created this coupon
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes
+couponSchema.index({ isActive: 1, validUntil: 1 });
+couponSchema.index({ 'redemptions.user': 1 });
+
+// Virtual Properties
+
+// Check if the coupon restricts which cart lines it applies to
+couponSchema.virtual('hasEligibilityRules').get(function () {
+  const { categories = [], products = [], brands = [] } = this.eligibility || {};
+  return categories.length > 0 || products.length > 0 || brands.length > 0;
+});
+
+// Human-readable discount label (e.g. "10% off", "₹200 off")
+couponSchema.virtual('label').get(function () {
+  return this.discountType === 'percentage'
+    ? `${this.discountValue}% off`
+    : `₹${this.discountValue} off`;
+});
+
+// Instance Methods
+
+/**
+ * Count redemptions made by a user
+ * @param {string} userId - User ID
+ * @returns {number}
+ */
+couponSchema.methods.getUserRedemptionCount = function (userId) {
+  return this.redemptions.filter(
+    (r) => r.user.toString() === userId.toString()
+  ).length;
+};
+
+/**
+ * Check whether a cart line is eligible for this coupon
+ * @param {Object} product - Product with _id, category and brand
+ * @returns {boolean}
+ */
+couponSchema.methods.isProductEligible = function (product) {
+  if (!this.hasEligibilityRules) return true;
+  if (!product) return false;
+
+  const { categories, products, brands } = this.eligibility;
+  const productId = product._id.toString();
+  const categoryId = product.category ? product.category.toString() : null;
+  const brand = product.brand ? product.brand.toLowerCase() : null;
+
+  return (
+    products.some((id) => id.toString() === productId) ||
+    (categoryId !== null && categories.some((id) => id.toString() === categoryId)) ||
+    (brand !== null && brands.some((b) => b.toLowerCase() === brand))
+  );
+};
+
+/**
+ * Validate the coupon against a cart and compute its discount
+ * @param {Object} params
+ * @param {string} params.userId - Customer applying the coupon
+ * @param {Array} params.items - Lines as { product, price, quantity }, product having _id, category, brand
+ * @param {number} params.subtotal - Cart subtotal
+ * @param {Date} [params.now] - Evaluation time
+ * @returns {{ valid: boolean, message?: string, discount: number, eligibleLines?: number[] }}
+ */
+couponSchema.methods.evaluate = function ({ userId, items, subtotal, now = new Date() }) {
+  const reject = (message) => ({ valid: false, message, discount: 0 });
+
+  if (!this.isActive) {
+    return reject('This coupon is no longer active');
+  }
+  if (this.validFrom && now < this.validFrom) {
+    return reject('This coupon is not valid yet');
+  }
+  if (this.validUntil && now > this.validUntil) {
+    return reject('This coupon has expired');
+  }
+  if (this.assignedTo && (!userId || this.assignedTo.toString() !== userId.toString())) {
+    return reject('This coupon is not valid for your account');
+  }
+  if (this.usageLimit && this.usedCount >= this.usageLimit) {
+    return reject('This coupon has reached its usage limit');
+  }
+  if (this.perUserLimit && userId && this.getUserRedemptionCount(userId) >= this.perUserLimit) {
+    return reject('You have already used this coupon');
+  }
+  if (subtotal < this.minCartValue) {
+    return reject(`Add items worth ₹${this.minCartValue - subtotal} more to use this coupon`);
+  }
+
+  // Indexes of the items the discount applies to
+  const eligibleLines = [];
+  const eligibleSubtotal = items.reduce((sum, item, index) => {
+    if (!this.isProductEligible(item.product)) return sum;
+    eligibleLines.push(index);
+    return sum + item.price * item.quantity;
+  }, 0);
+
+  if (eligibleSubtotal <= 0) {
+    return reject('This coupon does not apply to any items in your cart');
+  }
+
+  let discount = this.discountType === 'percentage'
+    ? (eligibleSubtotal * this.discountValue) / 100
+    : this.discountValue;
+
+  if (this.maxDiscount) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+  discount = Math.round(Math.min(discount, eligibleSubtotal));
+
+  return { valid: true, discount, eligibleLines };
+};
+
+// Static Methods
+
+/**
+ * Find coupon by code
+ * @param {string} code - Coupon code
+ * @returns {Promise<Coupon|null>}
+ */
+couponSchema.statics.findByCode = function (code) {
+  return this.findOne({ code: code.trim().toUpperCase() });
+};
+
+/**
+ * Atomically record a redemption, respecting the total and per-user
+ * usage limits
+ * @param {string} couponId - Coupon ID
+ * @param {Object} redemption - { user, order, discount }
+ * @param {Object} [options] - { session } for use inside a transaction
+ * @returns {Promise<Coupon|null>} Updated coupon, or null if a limit was reached
+ */
+couponSchema.statics.redeem = function (couponId, redemption, { session } = {}) {
+  // $expr is not cast by Mongoose
+  const userId = new mongoose.Types.ObjectId(String(redemption.user));
+
+  return this.findOneAndUpdate(
+    {
+      _id: couponId,
+      $and: [
+        {
+          $or: [
+            { usageLimit: { $exists: false } },
+            { usageLimit: null },
+            { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+          ]
+        },
+        {
+          $or: [
+            { perUserLimit: { $exists: false } },
+            { perUserLimit: null },
+            {
+              $expr: {
+                $lt: [
+                  {
+                    $size: {
+                      $filter: {
+                        input: '$redemptions',
+                        cond: { $eq: ['$$this.user', userId] }
+                      }
+                    }
+                  },
+                  '$perUserLimit'
+                ]
+              }
+            }
+          ]
+        }
+      ]
+    },
+    {
+      $inc: { usedCount: 1 },
+      $push: { redemptions: redemption }
+    },
+    { new: true, session }
+  );
+};
+
+/**
+ * Release the redemption recorded for an order (e.g. on cancellation)
+ * @param {string} code - Coupon code
+ * @param {string} orderId - Order ID
+ * @param {Object} [options] - { session } for use inside a transaction
+ * @returns {Promise<Object>} Update result
+ */
+couponSchema.statics.releaseRedemption = function (code, orderId, { session } = {}) {
+  return this.updateOne(
+    { code: code.toUpperCase(), 'redemptions.order': orderId },
+    {
+      $inc: { usedCount: -1 },
+      $pull: { redemptions: { order: orderId } }
+    },
+    { session }
+  );
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports = Coupon;
@@ -0,0 +1,52 @@
+/**
+ * Defines the schema for stored idempotent request
+ * results, replayed when a client retries a request.
+ */
+
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    // Hash of user + method + path + client-supplied key
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+
+    // Hash of the request body the key was first used with
+    requestHash: {
+      type: String,
+      required: true
+    },
+
+    // Processing state
+    status: {
+      type: String,
+      enum: ['processing', 'completed'],
+      default: 'processing'
+    },
+
+    // Stored response to replay
+    response: {
+      statusCode: { type: Number },
+      body: { type: mongoose.Schema.Types.Mixed }
+    },
+
+    // Record removal time
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Auto-remove expired keys
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
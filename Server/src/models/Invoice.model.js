@@ -0,0 +1,179 @@
+/**
+ * Defines the schema for GST tax invoices and credit notes,
+ * including the rendered PDF so re-downloads are byte-identical.
+ */
+
+const mongoose = require('mongoose');
+const Counter = require('./Counter.model');
+
+// Number series prefix per document type
+const SERIES_PREFIX = {
+  invoice: 'INV',
+  credit_note: 'CN'
+};
+
+// Sub-schema for a party (seller or buyer) as printed on the document
+const partySchema = new mongoose.Schema({
+  name: { type: String },
+  gstin: { type: String },
+  phone: { type: String },
+  street: { type: String },
+  city: { type: String },
+  state: { type: String },
+  zipCode: { type: String },
+  country: { type: String }
+}, { _id: false });
+
+// Sub-schema for an invoiced line
+const invoiceLineSchema = new mongoose.Schema({
+  orderItem: { type: mongoose.Schema.Types.ObjectId },
+  name: { type: String, required: true },
+  variant: {
+    size: { type: String },
+    color: { type: String }
+  },
+  hsnCode: { type: String },
+  quantity: { type: Number, required: true },
+  unitPrice: { type: Number, required: true },
+  discount: { type: Number, default: 0 },
+  taxableValue: { type: Number, required: true },
+  rate: { type: Number, default: 0 },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  total: { type: Number, required: true }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    // Sequential per financial year, e.g. INV/2025-26/000001
+    invoiceNumber: {
+      type: String,
+      unique: true
+    },
+
+    type: {
+      type: String,
+      enum: Object.keys(SERIES_PREFIX),
+      default: 'invoice'
+    },
+
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true
+    },
+
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    // Credit notes: the invoice being credited and the refund behind it
+    originalInvoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
+    },
+    refund: {
+      // order.payment.refunds entry
+      entry: { type: mongoose.Schema.Types.ObjectId },
+      refundId: { type: String },
+      returnRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRequest' }
+    },
+
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    },
+
+    seller: partySchema,
+    buyer: partySchema,
+    shipTo: partySchema,
+
+    placeOfSupply: { type: String },
+    interState: { type: Boolean, default: false },
+
+    lines: [invoiceLineSchema],
+
+    // Non-GST charges billed with the order
+    charges: {
+      shipping: { type: Number, default: 0 },
+      codCharge: { type: Number, default: 0 }
+    },
+
+    totals: {
+      taxableValue: { type: Number, default: 0 },
+      cgst: { type: Number, default: 0 },
+      sgst: { type: Number, default: 0 },
+      igst: { type: Number, default: 0 },
+      tax: { type: Number, default: 0 },
+      total: { type: Number, default: 0 }
+    },
+
+    // Rendered document, stored as issued
+    pdf: {
+      type: Buffer,
+      select: false
+    },
+
+    // SHA-256 of the PDF
+    checksum: { type: String }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+invoiceSchema.index({ order: 1, type: 1 });
+invoiceSchema.index({ type: 1, issuedAt: -1 });
+// One invoice per order, one credit note per refund
+invoiceSchema.index(
+  { order: 1 },
+  { unique: true, partialFilterExpression: { type: 'invoice' } }
+);
+invoiceSchema.index(
+  { 'refund.entry': 1 },
+  { unique: true, partialFilterExpression: { type: 'credit_note' } }
+);
+
+// Pre-validate middleware to assign the next number in the series
+invoiceSchema.pre('validate', async function () {
+  if (!this.invoiceNumber) {
+    const financialYear = this.constructor.getFinancialYear(this.issuedAt);
+    const prefix = SERIES_PREFIX[this.type];
+
+    const seq = await Counter.next(`invoice:${prefix}:${financialYear}`, { session: this.$session() });
+    this.invoiceNumber = `${prefix}/${financialYear}/${String(seq).padStart(6, '0')}`;
+  }
+});
+
+// Virtual Properties
+
+// File name for downloads
+invoiceSchema.virtual('fileName').get(function () {
+  return `${(this.invoiceNumber || 'invoice').replace(/\//g, '-')}.pdf`;
+});
+
+// Static Methods
+
+/**
+ * Indian financial year (April to March) a date falls in, e.g. "2025-26"
+ * @param {Date} date
+ * @returns {string}
+ */
+invoiceSchema.statics.getFinancialYear = function (date = new Date()) {
+  const timeZone = process.env.STORE_TIMEZONE || 'Asia/Kolkata';
+  const [year, month] = new Intl.DateTimeFormat('en-CA', { timeZone })
+    .format(date)
+    .split('-')
+    .map(Number);
+
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
@@ -0,0 +1,89 @@
+/**
+ * Defines the schema for queued email notifications
+ * and their delivery attempts.
+ */
+
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+
+    // Recipient address at the time of queueing
+    to: {
+      type: String,
+      required: true
+    },
+
+    // Preference category, e.g. orders, shipping, payments
+    category: {
+      type: String,
+      required: true
+    },
+
+    // Template name, e.g. order_shipped
+    template: {
+      type: String,
+      required: true
+    },
+
+    // Order the message is about, if any
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+
+    // Rendered message
+    subject: { type: String, required: true },
+    text: { type: String, required: true },
+    html: { type: String },
+
+    // Stops the same event from being queued twice (e.g. "order_shipped:<orderId>")
+    dedupeKey: {
+      type: String
+    },
+
+    status: {
+      type: String,
+      enum: ['queued', 'sending', 'sent', 'failed'],
+      default: 'queued'
+    },
+
+    attempts: {
+      type: Number,
+      default: 0
+    },
+
+    maxAttempts: {
+      type: Number,
+      default: 5
+    },
+
+    // Not sent before this time (retry backoff)
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now
+    },
+
+    // When a worker claimed the message
+    lockedAt: { type: Date },
+
+    lastError: { type: String },
+    sentAt: { type: Date }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
@@ -4,6 +4,207 @@
  */
 
 const mongoose = require('mongoose');
+const Counter = require('./Counter.model');
+const { BadRequestError } = require('../utils/errors');
+const { notifyOrderEvent } = require('../services/notifications');
+
+// Allowed payment status changes
+const PAYMENT_TRANSITIONS = {
+  pending: ['processing', 'completed', 'failed'],
+  processing: ['completed', 'failed'],
+  failed: ['processing', 'completed'],
+  completed: ['refunded'],
+  refunded: []
+};
+
+// Fulfilment progression, earliest first
+const FULFILMENT_STATUSES = [
+  'pending',
+  'confirmed',
+  'processing',
+  'shipped',
+  'out_for_delivery',
+  'delivered'
+];
+
+// Line statuses a customer can still cancel
+const CANCELLABLE_STATUSES = ['pending', 'confirmed', 'processing'];
+
+/**
+ * Round a currency amount to paise
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Order Status Transitions
+
+// Guard: online payments must be settled before dispatch
+const requirePaymentUnlessCod = (order) => {
+  if (order.payment.method !== 'cod' && order.payment.status !== 'completed') {
+    return 'Payment must be completed before the order is shipped';
+  }
+  return null;
+};
+
+// Guard: with split shipments, every parcel must have arrived
+const requireShipmentsDelivered = (order) => {
+  if (order.shipments.some((shipment) => !['delivered', 'rto'].includes(shipment.status))) {
+    return 'Every shipment must be delivered before the order is marked delivered';
+  }
+  return null;
+};
+
+// Guard: parcels handed to the carrier cannot be called back by cancelling
+const requireNoDispatchedShipments = (order) => {
+  if (order.shipments.some((shipment) => shipment.status !== 'created')) {
+    return 'Part of this order has already shipped; cancel the remaining items instead';
+  }
+  return null;
+};
+
+// Guard: before delivery, an order is only returned once the carrier has
+// brought every remaining line back (RTO)
+const requireReturnedToOrigin = (order) => {
+  if (order.status !== 'delivered' && order.deriveStatus() !== 'returned') {
+    return 'Only delivered orders, or orders whose parcels all came back, can be marked returned';
+  }
+  return null;
+};
+
+// Guard: money must actually have gone back
+const requireRefundedPayment = (order) => {
+  if (order.payment.status !== 'refunded') {
+    return 'Payment must be refunded before the order is marked refunded';
+  }
+  return null;
+};
+
+// Effect: record when a shipping milestone happened
+const stampShipping = (field) => (order) => {
+  order.shipping[field] = new Date();
+};
+
+// Effect: record who cancelled and why
+const recordCancellation = (order, { reason, by }) => {
+  order.cancellation = {
+    reason,
+    cancelledAt: new Date(),
+    cancelledBy: by
+  };
+};
+
+// Effect: put the reserved units back on the shelf
+// (lines cancelled earlier were restocked at the time)
+const restoreStock = async (order, { session }) => {
+  const Product = mongoose.model('Product');
+  for (const item of order.items) {
+    if (item.status === 'cancelled') continue;
+    await Product.adjustVariantStock(item.product, item.variant, item.quantity, { session });
+  }
+};
+
+// Effect: carry the order status down to its lines. Lines only move
+// forward; cancelled/returned lines and lines packed into a shipment
+// (which follow their shipment) are left alone.
+const syncLineStatuses = (order) => {
+  const target = order.status;
+  const targetRank = FULFILMENT_STATUSES.indexOf(target);
+
+  order.items.forEach((item) => {
+    const current = item.status;
+    if (current === 'cancelled' || current === 'returned') return;
+    if (target !== 'cancelled' && order.getShipmentForItem(item._id)) return;
+
+    if (targetRank === -1 || FULFILMENT_STATUSES.indexOf(current) < targetRank) {
+      item.status = target;
+    }
+  });
+};
+
+// Effect: unpack parcels that never left the warehouse
+const dropUndispatchedShipments = (order) => {
+  order.shipments = order.shipments.filter((shipment) => shipment.status !== 'created');
+};
+
+// Effect: email the customer once the order is saved
+const queueNotification = (template) => (order, { reason } = {}) => {
+  order.queueNotification(template, { reason }, { once: true });
+};
+
+// Effect: give the coupon usage back
+const releaseCoupon = async (order, { session }) => {
+  if (order.pricing.couponCode) {
+    await mongoose.model('Coupon').releaseRedemption(order.pricing.couponCode, order._id, { session });
+  }
+};
+
+// Target status -> allowed source statuses, guards (return an error
+// message to block the change) and side effects run on entry
+const STATUS_TRANSITIONS = {
+  confirmed: {
+    from: ['pending'],
+    effects: [syncLineStatuses]
+  },
+  processing: {
+    from: ['pending', 'confirmed'],
+    effects: [syncLineStatuses]
+  },
+  shipped: {
+    from: ['processing'],
+    guards: [requirePaymentUnlessCod],
+    effects: [stampShipping('shippedAt'), syncLineStatuses, queueNotification('order_shipped')]
+  },
+  out_for_delivery: {
+    from: ['shipped'],
+    effects: [syncLineStatuses, queueNotification('order_out_for_delivery')]
+  },
+  delivered: {
+    from: ['shipped', 'out_for_delivery'],
+    guards: [requireShipmentsDelivered],
+    effects: [stampShipping('deliveredAt'), syncLineStatuses, queueNotification('order_delivered')]
+  },
+  cancelled: {
+    from: ['pending', 'confirmed', 'processing'],
+    guards: [requireNoDispatchedShipments],
+    effects: [
+      recordCancellation,
+      restoreStock,
+      releaseCoupon,
+      syncLineStatuses,
+      dropUndispatchedShipments,
+      queueNotification('order_cancelled')
+    ]
+  },
+  returned: {
+    from: ['confirmed', 'processing', 'shipped', 'out_for_delivery', 'delivered'],
+    guards: [requireReturnedToOrigin],
+    effects: [syncLineStatuses]
+  },
+  refunded: {
+    from: ['cancelled', 'returned'],
+    guards: [requireRefundedPayment]
+  }
+};
+
+// Allowed shipment status changes
+const SHIPMENT_TRANSITIONS = {
+  created: ['shipped'],
+  shipped: ['in_transit', 'out_for_delivery', 'delivered', 'rto'],
+  in_transit: ['out_for_delivery', 'delivered', 'rto'],
+  out_for_delivery: ['in_transit', 'delivered', 'rto'], // failed attempt goes back in transit
+  delivered: [],
+  rto: []
+};
+
+// Line status implied by a shipment status
+const SHIPMENT_LINE_STATUS = {
+  shipped: 'shipped',
+  in_transit: 'shipped',
+  out_for_delivery: 'out_for_delivery',
+  delivered: 'delivered',
+  rto: 'returned' // Back to origin, never reached the customer
+};
 
 // Sub-schema for order items (snapshot at time of order)
 const orderItemSchema = new mongoose.Schema({
@@ -36,9 +237,59 @@ const orderItemSchema = new mongoose.Schema({
   total: {
     type: Number,
     required: true
+  },
+  // Line status; unset on older orders, where the line follows the order
+  status: {
+    type: String,
+    enum: [...FULFILMENT_STATUSES, 'cancelled', 'returned']
+  },
+  // GST breakdown for invoicing (discount is this line's share of the coupon)
+  tax: {
+    hsnCode: { type: String },
+    discount: { type: Number, default: 0 },
+    taxableValue: { type: Number },
+    rate: { type: Number },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 }
+  },
+  // Set when this line alone is cancelled
+  cancellation: {
+    reason: { type: String },
+    cancelledAt: { type: Date },
+    // Line value less its share of the discount, plus its share of tax
+    refundAmount: { type: Number }
   }
 });
 
+// Sub-schema for a parcel carrying some of the order lines
+const shipmentSchema = new mongoose.Schema({
+  // Order item IDs in this parcel
+  items: [{ type: mongoose.Schema.Types.ObjectId, required: true }],
+  carrier: { type: String },
+  trackingNumber: { type: String },
+  status: {
+    type: String,
+    enum: Object.keys(SHIPMENT_TRANSITIONS),
+    default: 'created'
+  },
+  estimatedDelivery: { type: Date },
+  shippedAt: { type: Date },
+  deliveredAt: { type: Date },
+  // Tracking timeline for this parcel
+  events: [
+    {
+      status: { type: String, required: true },
+      date: { type: Date, default: Date.now },
+      location: { type: String },
+      note: { type: String }
+    }
+  ]
+}, {
+  timestamps: true
+});
+
 // Sub-schema for shipping address
 const shippingAddressSchema = new mongoose.Schema({
   name: { type: String, required: true },
@@ -63,8 +314,33 @@ const paymentSchema = new mongoose.Schema({
     enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
     default: 'pending'
   },
+  // Gateway that handles this payment (e.g. razorpay, mock)
+  provider: { type: String },
+  // Gateway-side order/intent ID
+  providerOrderId: { type: String },
+  // Gateway payment ID
   transactionId: { type: String },
-  paidAt: { type: Date }
+  // Gateway payment ID a capture has been requested for
+  captureRequestedFor: { type: String },
+  amountPaid: { type: Number },
+  refundedAmount: { type: Number, default: 0 },
+  failureReason: { type: String },
+  paidAt: { type: Date },
+  refundedAt: { type: Date },
+  // Individual (possibly partial) refunds
+  refunds: [
+    {
+      refundId: { type: String },
+      amount: { type: Number, required: true },
+      status: {
+        type: String,
+        enum: ['pending', 'processed', 'failed'],
+        default: 'pending'
+      },
+      createdAt: { type: Date, default: Date.now },
+      processedAt: { type: Date }
+    }
+  ]
 });
 
 // Main order schema
@@ -102,8 +378,19 @@ const orderSchema = new mongoose.Schema(
       discount: { type: Number, default: 0 },
       couponCode: { type: String },
       shipping: { type: Number, default: 0 },
+      // Cash on delivery surcharge
+      codCharge: { type: Number, default: 0 },
       tax: { type: Number, default: 0 },
-      total: { type: Number, required: true }
+      total: { type: Number, required: true },
+      // GST split of the tax
+      taxDetails: {
+        sellerState: { type: String },
+        placeOfSupply: { type: String },
+        interState: { type: Boolean },
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 },
+        igst: { type: Number, default: 0 }
+      }
     },
 
     // Order status
@@ -134,6 +421,9 @@ const orderSchema = new mongoose.Schema(
 
     // Shipping details
     shipping: {
+      method: { type: String }, // standard, express
+      methodName: { type: String },
+      zone: { type: String },
       carrier: { type: String },
       trackingNumber: { type: String },
       estimatedDelivery: { type: Date },
@@ -141,6 +431,9 @@ const orderSchema = new mongoose.Schema(
       deliveredAt: { type: Date }
     },
 
+    // Parcels, for orders shipped in more than one go
+    shipments: [shipmentSchema],
+
     // Order notes
     notes: {
       customer: { type: String }, // Note from customer
@@ -170,6 +463,8 @@ orderSchema.index({ user: 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ 'payment.status': 1 });
+orderSchema.index({ 'payment.provider': 1, 'payment.providerOrderId': 1 });
+orderSchema.index({ 'shipments.carrier': 1, 'shipments.trackingNumber': 1 });
 
 // Virtual Properties
 
@@ -180,78 +475,542 @@ orderSchema.virtual('itemCount').get(function () {
 
 // Check if order can be cancelled
 orderSchema.virtual('canCancel').get(function () {
-  return ['pending', 'confirmed', 'processing'].includes(this.status);
+  return this.canTransitionTo('cancelled');
+});
+
+// Statuses the order can move to next
+orderSchema.virtual('nextStatuses').get(function () {
+  return Object.keys(STATUS_TRANSITIONS).filter((status) => this.canTransitionTo(status));
 });
 
 // Pre-save Hook
 
 // Generate order number if not exists
-orderSchema.pre('save', async function (next) {
+orderSchema.pre('validate', async function () {
   if (!this.orderNumber) {
-    const count = await this.constructor.countDocuments();
-    const date = new Date();
-    const dateStr = `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
-    this.orderNumber = `ORD-${dateStr}-${String(count + 1).padStart(6, '0')}`;
+    this.orderNumber = await this.constructor.generateOrderNumber({
+      session: this.$session()
+    });
   }
-  
-  // Add to status history if status changed
-  if (this.isModified('status')) {
+});
+
+// Record the initial status; later changes are recorded by updateStatus
+orderSchema.pre('save', function () {
+  if (this.isNew && this.statusHistory.length === 0) {
     this.statusHistory.push({
       status: this.status,
       date: new Date()
     });
   }
-  
-  next();
+});
+
+// Send the emails queued by status and payment changes once they are stored
+orderSchema.post('save', function (order) {
+  const queued = order.$locals.notifications || [];
+  order.$locals.notifications = [];
+
+  queued.forEach(({ template, extra, options }) => {
+    notifyOrderEvent(order, template, extra, options)
+      .catch((error) => console.error('Notification error:', error.message));
+  });
 });
 
 // Instance Methods
 
 /**
- * Update order status
+ * Queue a customer email, sent after the next successful save
+ * @param {string} template - Notification template name
+ * @param {Object} [extra] - Template data for the event
+ * @param {Object} [options] - { once } at most once per order
+ * @returns {Order}
+ */
+orderSchema.methods.queueNotification = function (template, extra = {}, options = {}) {
+  this.$locals.notifications = this.$locals.notifications || [];
+  this.$locals.notifications.push({ template, extra, options });
+  return this;
+};
+
+/**
+ * Check whether the order can move to a status (source status and guards)
+ * @param {string} newStatus - Target status
+ * @returns {boolean}
+ */
+orderSchema.methods.canTransitionTo = function (newStatus) {
+  const transition = STATUS_TRANSITIONS[newStatus];
+  if (!transition || !transition.from.includes(this.status)) {
+    return false;
+  }
+  return (transition.guards || []).every((guard) => !guard(this));
+};
+
+/**
+ * Update order status, enforcing the transition table and running
+ * its side effects. Throws BadRequestError for illegal transitions.
  * @param {string} newStatus - New status
- * @param {string} note - Optional note
+ * @param {string} [note] - Optional note
+ * @param {Object} [options] - { by, reason, session }
+ * @returns {Promise<Order>}
  */
-orderSchema.methods.updateStatus = function (newStatus, note) {
+orderSchema.methods.updateStatus = async function (newStatus, note, { by, reason, session } = {}) {
+  const transition = STATUS_TRANSITIONS[newStatus];
+
+  if (!transition || !transition.from.includes(this.status)) {
+    throw new BadRequestError(`Cannot change order status from ${this.status} to ${newStatus}`);
+  }
+
+  for (const guard of transition.guards || []) {
+    const message = guard(this);
+    if (message) {
+      throw new BadRequestError(message);
+    }
+  }
+
   this.status = newStatus;
   this.statusHistory.push({
     status: newStatus,
     date: new Date(),
     note
   });
-  
-  // Update timestamps for specific statuses
+
+  for (const effect of transition.effects || []) {
+    await effect(this, { by, reason, session });
+  }
+
+  return this;
+};
+
+/**
+ * Effective status of a line
+ * @param {Object} item - Order item subdocument
+ * @returns {string}
+ */
+orderSchema.methods.getItemStatus = function (item) {
+  return item.status || this.status;
+};
+
+/**
+ * Order status implied by the line statuses: cancelled when every line
+ * is cancelled, returned when every kept line is returned, otherwise
+ * the least advanced status among the remaining lines.
+ * @returns {string}
+ */
+orderSchema.methods.deriveStatus = function () {
+  const kept = this.items
+    .map((item) => this.getItemStatus(item))
+    .filter((status) => status !== 'cancelled');
+
+  if (kept.length === 0) return 'cancelled';
+
+  const open = kept.filter((status) => status !== 'returned');
+  if (open.length === 0) return 'returned';
+
+  return open.reduce((earliest, status) => (
+    FULFILMENT_STATUSES.indexOf(status) < FULFILMENT_STATUSES.indexOf(earliest) ? status : earliest
+  ));
+};
+
+/**
+ * Move the order towards its derived status through updateStatus, so the
+ * transition table, its guards and side effects all apply. Fulfilment
+ * steps the table requires in between are taken on the way (e.g.
+ * confirmed -> processing -> shipped); the order never moves backwards
+ * and stops at the last status it may legally reach.
+ * @param {string} [note] - Optional note
+ * @param {Object} [options] - { session }
+ * @returns {Promise<boolean>} True if the status changed
+ */
+orderSchema.methods.refreshStatus = async function (note, { session } = {}) {
+  const derived = this.deriveStatus();
+  const derivedRank = FULFILMENT_STATUSES.indexOf(derived);
+  const initial = this.status;
+
+  while (this.status !== derived) {
+    // Straight to the derived status if allowed, else the furthest step towards it
+    const candidates = derivedRank === -1
+      ? [derived]
+      : FULFILMENT_STATUSES.slice(FULFILMENT_STATUSES.indexOf(this.status) + 1, derivedRank + 1).reverse();
+    const next = candidates.find((status) => this.canTransitionTo(status));
+    if (!next) break;
+
+    await this.updateStatus(next, next === derived ? note : undefined, { session });
+  }
+
+  return this.status !== initial;
+};
+
+/**
+ * Find the shipment an order line is packed in
+ * @param {string} itemId - Order item ID
+ * @returns {Object|undefined} Shipment subdocument
+ */
+orderSchema.methods.getShipmentForItem = function (itemId) {
+  return this.shipments.find((shipment) => (
+    shipment.items.some((id) => id.toString() === itemId.toString())
+  ));
+};
+
+/**
+ * Pack order lines into a new shipment
+ * @param {Object} details - { itemIds, carrier, trackingNumber, estimatedDelivery, note }
+ * @returns {Object} Shipment subdocument
+ */
+orderSchema.methods.createShipment = function ({ itemIds, carrier, trackingNumber, estimatedDelivery, note }) {
+  if (!['confirmed', 'processing', 'shipped', 'out_for_delivery'].includes(this.status)) {
+    throw new BadRequestError(`Cannot create a shipment for a ${this.status} order`);
+  }
+
+  const items = [...new Set(itemIds.map(String))].map((itemId) => {
+    const item = this.items.id(itemId);
+    if (!item) {
+      throw new BadRequestError(`Item ${itemId} is not part of this order`);
+    }
+    if (item.status === 'cancelled') {
+      throw new BadRequestError(`${item.name} has been cancelled`);
+    }
+    if (this.getShipmentForItem(item._id)) {
+      throw new BadRequestError(`${item.name} is already in a shipment`);
+    }
+    return item;
+  });
+
+  this.shipments.push({
+    items: items.map((item) => item._id),
+    carrier,
+    trackingNumber,
+    estimatedDelivery,
+    events: [{ status: 'created', date: new Date(), note }]
+  });
+
+  return this.shipments[this.shipments.length - 1];
+};
+
+/**
+ * Move a shipment along, updating its lines and the order status.
+ * Repeating the current status just adds a tracking event.
+ * @param {string} shipmentId - Shipment ID
+ * @param {string} newStatus - New shipment status
+ * @param {Object} [details] - { note, location, date, carrier, trackingNumber }
+ * @returns {Promise<Object>} Shipment subdocument
+ */
+orderSchema.methods.updateShipmentStatus = async function (
+  shipmentId,
+  newStatus,
+  { note, location, date, carrier, trackingNumber } = {}
+) {
+  const shipment = this.shipments.id(shipmentId);
+  if (!shipment) {
+    throw new BadRequestError('Shipment not found on this order');
+  }
+
+  if (carrier) shipment.carrier = carrier;
+  if (trackingNumber) shipment.trackingNumber = trackingNumber;
+
+  const eventDate = date || new Date();
+
+  if (shipment.status === newStatus) {
+    shipment.events.push({ status: newStatus, date: eventDate, location, note });
+    return shipment;
+  }
+
+  if (!(SHIPMENT_TRANSITIONS[shipment.status] || []).includes(newStatus)) {
+    throw new BadRequestError(`Cannot change shipment status from ${shipment.status} to ${newStatus}`);
+  }
+
   if (newStatus === 'shipped') {
-    this.shipping.shippedAt = new Date();
+    const message = requirePaymentUnlessCod(this);
+    if (message) {
+      throw new BadRequestError(message);
+    }
+    if (!shipment.trackingNumber) {
+      throw new BadRequestError('Add a tracking number before shipping');
+    }
+    shipment.shippedAt = eventDate;
   } else if (newStatus === 'delivered') {
-    this.shipping.deliveredAt = new Date();
+    shipment.deliveredAt = eventDate;
   }
-  
-  return this;
+
+  shipment.status = newStatus;
+  shipment.events.push({ status: newStatus, date: eventDate, location, note });
+
+  const lineStatus = SHIPMENT_LINE_STATUS[newStatus];
+  if (lineStatus) {
+    shipment.items.forEach((itemId) => {
+      const item = this.items.id(itemId);
+      if (item && item.status !== 'cancelled') {
+        item.status = lineStatus;
+      }
+    });
+  }
+
+  this.statusHistory.push({
+    status: `shipment_${newStatus}`,
+    date: eventDate,
+    note: `${shipment.carrier || 'Shipment'} ${shipment.trackingNumber || shipment._id}${location ? ` at ${location}` : ''}`
+  });
+
+  await this.refreshStatus(note);
+
+  return shipment;
 };
 
 /**
- * Cancel order
+ * Look up lines to cancel, throwing BadRequestError for any line that
+ * is not on the order, has shipped or is past processing
+ * @param {string[]} itemIds - Order item IDs
+ * @returns {Object[]} Order item subdocuments
+ */
+orderSchema.methods.getCancellableItems = function (itemIds) {
+  return [...new Set(itemIds.map(String))].map((itemId) => {
+    const item = this.items.id(itemId);
+    if (!item) {
+      throw new BadRequestError(`Item ${itemId} is not part of this order`);
+    }
+    const shipment = this.getShipmentForItem(item._id);
+    if (shipment && shipment.status !== 'created') {
+      throw new BadRequestError(`${item.name} has already shipped`);
+    }
+    if (!CANCELLABLE_STATUSES.includes(this.getItemStatus(item))) {
+      throw new BadRequestError(`${item.name} can no longer be cancelled`);
+    }
+    return item;
+  });
+};
+
+/**
+ * Cancel individual lines. Restores their stock and takes their pro-rated
+ * share of the coupon discount and tax out of the pricing. Lines packed
+ * into a shipment that has not left yet are taken out of it; lines in a
+ * dispatched shipment cannot be cancelled. Cancelling every remaining
+ * line cancels the whole order instead.
+ * @param {string[]} itemIds - Order item IDs
  * @param {string} reason - Cancellation reason
  * @param {string} cancelledBy - User ID who cancelled
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Order>}
  */
-orderSchema.methods.cancel = function (reason, cancelledBy) {
-  if (!this.canCancel) {
-    throw new Error('Order cannot be cancelled at this stage');
+orderSchema.methods.cancelItems = async function (itemIds, reason, cancelledBy, { session } = {}) {
+  const lines = this.getCancellableItems(itemIds);
+
+  const remaining = this.items.filter(
+    (item) => item.status !== 'cancelled' && !lines.includes(item)
+  );
+  if (remaining.length === 0) {
+    return this.cancel(reason, cancelledBy, { session });
   }
-  
-  this.status = 'cancelled';
-  this.cancellation = {
+
+  const Product = mongoose.model('Product');
+  const { pricing } = this;
+
+  for (const item of lines) {
+    // Lines priced by the tax engine carry their own discount and tax;
+    // otherwise take a share relative to what is still on the order, so
+    // repeated cancellations add up to the same pro-rating as one
+    const share = pricing.subtotal > 0 ? item.total / pricing.subtotal : 0;
+    const hasLineTax = item.tax && item.tax.taxableValue !== undefined;
+    const discountShare = hasLineTax ? item.tax.discount : roundAmount(pricing.discount * share);
+    const taxShare = hasLineTax ? item.tax.amount : roundAmount(pricing.tax * share);
+
+    if (hasLineTax && pricing.taxDetails) {
+      pricing.taxDetails.cgst = roundAmount(pricing.taxDetails.cgst - item.tax.cgst);
+      pricing.taxDetails.sgst = roundAmount(pricing.taxDetails.sgst - item.tax.sgst);
+      pricing.taxDetails.igst = roundAmount(pricing.taxDetails.igst - item.tax.igst);
+    }
+
+    pricing.subtotal = roundAmount(pricing.subtotal - item.total);
+    pricing.discount = roundAmount(pricing.discount - discountShare);
+    pricing.tax = roundAmount(pricing.tax - taxShare);
+
+    const shipment = this.getShipmentForItem(item._id);
+    if (shipment) {
+      shipment.items.pull(item._id);
+      if (shipment.items.length === 0) {
+        this.shipments.pull(shipment._id);
+      }
+    }
+
+    item.status = 'cancelled';
+    item.cancellation = {
+      reason,
+      cancelledAt: new Date(),
+      refundAmount: roundAmount(item.total - discountShare + taxShare)
+    };
+
+    await Product.adjustVariantStock(item.product, item.variant, item.quantity, { session });
+  }
+
+  pricing.total = roundAmount(
+    pricing.subtotal + pricing.tax + pricing.shipping + (pricing.codCharge || 0) - pricing.discount
+  );
+
+  this.statusHistory.push({
+    status: 'items_cancelled',
+    date: new Date(),
+    note: `Cancelled ${lines.map((item) => item.name).join(', ')}${reason ? `: ${reason}` : ''}`
+  });
+  this.queueNotification('order_items_cancelled', {
     reason,
-    cancelledAt: new Date(),
-    cancelledBy
-  };
-  
+    items: lines.map((item) => ({
+      name: item.name,
+      variant: [item.variant.size, item.variant.color].filter(Boolean).join(' / '),
+      quantity: item.quantity,
+      total: item.cancellation.refundAmount
+    }))
+  });
+  await this.refreshStatus(undefined, { session });
+
   return this;
 };
 
+/**
+ * Check whether the payment can move to a status
+ * @param {string} newStatus - Target payment status
+ * @returns {boolean}
+ */
+orderSchema.methods.canTransitionPayment = function (newStatus) {
+  return (PAYMENT_TRANSITIONS[this.payment.status] || []).includes(newStatus);
+};
+
+/**
+ * Update payment status, enforcing allowed transitions
+ * @param {string} newStatus - Target payment status
+ * @param {Object} [details] - { transactionId, amount, reason }
+ * @returns {boolean} False if the payment was already in that status
+ */
+orderSchema.methods.setPaymentStatus = function (newStatus, { transactionId, amount, reason } = {}) {
+  if (this.payment.status === newStatus) {
+    return false;
+  }
+
+  if (!this.canTransitionPayment(newStatus)) {
+    throw new BadRequestError(
+      `Cannot change payment status from ${this.payment.status} to ${newStatus}`
+    );
+  }
+
+  this.payment.status = newStatus;
+  if (transactionId) this.payment.transactionId = transactionId;
+
+  if (newStatus === 'completed') {
+    this.payment.paidAt = new Date();
+    this.payment.amountPaid = amount !== undefined ? amount : this.pricing.total;
+    this.payment.failureReason = undefined;
+    this.queueNotification('payment_received', { amount: this.payment.amountPaid }, { once: true });
+  } else if (newStatus === 'failed') {
+    this.payment.failureReason = reason;
+    this.queueNotification('payment_failed', { reason });
+  } else if (newStatus === 'refunded') {
+    this.payment.refundedAt = new Date();
+    this.queueNotification('payment_refunded', {
+      amount: this.payment.refundedAmount || this.payment.amountPaid
+    }, { once: true });
+  }
+
+  return true;
+};
+
+/**
+ * Record a refund against the payment. Safe to call again for the same
+ * refundId (e.g. from the gateway webhook after a synchronous refund);
+ * the amount is only counted once it is processed.
+ * @param {Object} refund - { refundId, amount, status }
+ * @returns {boolean} False if nothing changed
+ */
+orderSchema.methods.recordRefund = function ({ refundId, amount, status = 'processed' }) {
+  const { payment } = this;
+  let refund = refundId ? payment.refunds.find((r) => r.refundId === refundId) : null;
+
+  if (refund && (refund.status === 'processed' || refund.status === status)) {
+    return false;
+  }
+
+  if (!refund) {
+    payment.refunds.push({ refundId, amount, status });
+    refund = payment.refunds[payment.refunds.length - 1];
+  }
+  refund.status = status;
+
+  if (status === 'processed') {
+    refund.processedAt = new Date();
+    payment.refundedAmount = (payment.refundedAmount || 0) + refund.amount;
+
+    // Fully refunded once the refunds cover what was paid
+    const paid = payment.amountPaid || this.pricing.total;
+    if (payment.refundedAmount >= paid && this.canTransitionPayment('refunded')) {
+      this.setPaymentStatus('refunded');
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Cancel order (restores stock and releases the coupon)
+ * @param {string} reason - Cancellation reason
+ * @param {string} cancelledBy - User ID who cancelled
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Order>}
+ */
+orderSchema.methods.cancel = function (reason, cancelledBy, { session } = {}) {
+  return this.updateStatus('cancelled', reason, { by: cancelledBy, reason, session });
+};
+
 // Static Methods
 
+/**
+ * Generate the next order number, e.g. ORD-20250114-000042.
+ * Uses an atomic per-day counter, so concurrent checkouts never collide
+ * and numbers are not reused after deletions.
+ * Prefix and day boundary come from ORDER_NUMBER_PREFIX and STORE_TIMEZONE.
+ * @param {Object} [options] - { session } for use inside a transaction
+ * @returns {Promise<string>}
+ */
+orderSchema.statics.generateOrderNumber = async function ({ session } = {}) {
+  const prefix = process.env.ORDER_NUMBER_PREFIX || 'ORD';
+  const timeZone = process.env.STORE_TIMEZONE || 'Asia/Kolkata';
+
+  // en-CA formats as YYYY-MM-DD
+  const dateStr = new Intl.DateTimeFormat('en-CA', { timeZone })
+    .format(new Date())
+    .replace(/-/g, '');
+
+  const seq = await Counter.next(`order:${prefix}:${dateStr}`, { session });
+
+  return `${prefix}-${dateStr}-${String(seq).padStart(6, '0')}`;
+};
+
+/**
+ * Load an order for a change inside a transaction, provided it still
+ * matches the filter. The write locks the order: a concurrent change
+ * conflicts, is retried by withTransaction and then no longer matches.
+ * @param {Object} filter - Conditions the order must still meet
+ * @param {Object} options - { session }
+ * @returns {Promise<Order|null>}
+ */
+orderSchema.statics.claim = function (filter, { session }) {
+  return this.findOneAndUpdate(filter, { $set: { updatedAt: new Date() } }, { new: true, session });
+};
+
+/**
+ * Conditions for an order, or some of its lines, to be cancellable.
+ * Lines without a status follow the order.
+ * @param {string[]} [itemIds] - Lines for a partial cancellation
+ * @returns {Object} Query filter
+ */
+orderSchema.statics.cancellableFilter = function (itemIds) {
+  if (!itemIds || itemIds.length === 0) {
+    return { status: { $in: CANCELLABLE_STATUSES } };
+  }
+
+  return {
+    $and: itemIds.map((itemId) => ({
+      $or: [
+        { items: { $elemMatch: { _id: itemId, status: { $in: CANCELLABLE_STATUSES } } } },
+        { items: { $elemMatch: { _id: itemId, status: null } }, status: { $in: CANCELLABLE_STATUSES } }
+      ]
+    }))
+  };
+};
+
 /**
  * Get order statistics
  * @returns {Promise<Object>}
@@ -5,12 +5,21 @@
 
 const mongoose = require('mongoose');
 
+// Sizes in display order
+const SIZES = ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'XXXL', 'Free Size'];
+
+// Price facet bucket boundaries, in rupees (the last bucket is open-ended)
+const PRICE_BUCKETS = [0, 500, 1000, 2000, 3000, 5000, 10000];
+
+// Discount facet bands ("10% and above", ...)
+const DISCOUNT_BANDS = [10, 20, 30, 40, 50, 60, 70];
+
 // Sub-schema for product variants (size/color combinations)
 const variantSchema = new mongoose.Schema({
   size: {
     type: String,
     required: true,
-    enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'XXXL', 'Free Size']
+    enum: SIZES
   },
   color: {
     type: String,
@@ -132,6 +141,18 @@ const productSchema = new mongoose.Schema(
       }
     ],
 
+    // HSN code for GST; falls back to the category's code
+    hsnCode: {
+      type: String,
+      trim: true
+    },
+
+    // Shipping weight per piece, in grams
+    weight: {
+      type: Number,
+      min: 0
+    },
+
     // Material/fabric information
     material: {
       type: String,
@@ -299,6 +320,161 @@ productSchema.statics.search = async function (query, filters = {}) {
     .sort({ score: { $meta: 'textScore' } });
 };
 
+/**
+ * Atomically adjust a variant's stock (and totalStock).
+ * Decrements only apply when enough stock is left, so stock never goes negative.
+ * @param {string} productId - Product ID
+ * @param {Object} variant - { size, color }
+ * @param {number} delta - Units to add (positive) or remove (negative)
+ * @param {Object} [options] - { session } for use inside a transaction
+ * @returns {Promise<boolean>} True if the stock was updated
+ */
+productSchema.statics.adjustVariantStock = async function (productId, { size, color }, delta, { session } = {}) {
+  const variantMatch = { size, color };
+  if (delta < 0) {
+    variantMatch.stock = { $gte: -delta };
+  }
+
+  const result = await this.updateOne(
+    { _id: productId, variants: { $elemMatch: variantMatch } },
+    { $inc: { 'variants.$.stock': delta, totalStock: delta } },
+    { session }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Resolve the attributes that price a cart line: HSN code (own code,
+ * else its category's) and shipping weight
+ * @param {string[]} productIds - Product IDs
+ * @returns {Promise<Map<string, { hsnCode?: string, weight?: number }>>} Keyed by product ID
+ */
+productSchema.statics.getLineAttributes = async function (productIds) {
+  const products = await this.find({ _id: { $in: productIds } })
+    .select('hsnCode weight category')
+    .populate('category', 'hsnCode')
+    .lean();
+
+  const attributes = new Map();
+  products.forEach((product) => {
+    attributes.set(product._id.toString(), {
+      hsnCode: product.hsnCode || (product.category && product.category.hsnCode) || undefined,
+      weight: product.weight
+    });
+  });
+
+  return attributes;
+};
+
+/**
+ * Count matching products per filter value for a listing sidebar.
+ * Each facet is counted with every selected filter except its own, so
+ * picking a size still shows how many products come in the other sizes.
+ * @param {Object} baseFilter - Filters that always apply (status, category, ...)
+ * @param {Object} facetFilters - Selected facet clauses keyed by facet:
+ *   price, brand, size, color, material, discount
+ * @returns {Promise<Object>} { sizes, colors, brands, materials, discounts, prices }
+ */
+productSchema.statics.getFacets = async function (baseFilter, facetFilters = {}) {
+  // Filters for a facet: all selected clauses but its own
+  const matchExcept = (facet) => {
+    const clauses = Object.entries(facetFilters)
+      .filter(([key]) => key !== facet)
+      .map(([, clause]) => clause);
+    return { $match: clauses.length > 0 ? { $and: clauses } : {} };
+  };
+
+  // Products per distinct value of a field (case-insensitive)
+  const countValues = (field) => [
+    { $match: { [field]: { $nin: [null, ''] } } },
+    { $group: { _id: { $toLower: `$${field}` }, value: { $first: `$${field}` }, count: { $sum: 1 } } },
+    { $sort: { count: -1, value: 1 } },
+    { $project: { _id: 0, value: 1, count: 1 } }
+  ];
+
+  // Products per distinct variant value (a product counts once per value);
+  // colors also carry a swatch code
+  const countVariantValues = (field) => [
+    { $unwind: '$variants' },
+    { $match: { [`variants.${field}`]: { $nin: [null, ''] } } },
+    {
+      $group: {
+        _id: { product: '$_id', key: { $toLower: `$variants.${field}` } },
+        value: { $first: `$variants.${field}` },
+        colorCode: { $first: '$variants.colorCode' }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.key',
+        value: { $first: '$value' },
+        colorCode: { $first: '$colorCode' },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { count: -1, value: 1 } },
+    { $project: { _id: 0, value: 1, count: 1, ...(field === 'color' && { colorCode: 1 }) } }
+  ];
+
+  const [result] = await this.aggregate([
+    { $match: baseFilter },
+    {
+      $facet: {
+        sizes: [matchExcept('size'), ...countVariantValues('size')],
+        colors: [matchExcept('color'), ...countVariantValues('color')],
+        brands: [matchExcept('brand'), ...countValues('brand')],
+        materials: [matchExcept('material'), ...countValues('material')],
+        discounts: [
+          matchExcept('discount'),
+          {
+            $group: DISCOUNT_BANDS.reduce((group, min) => {
+              group[`d${min}`] = { $sum: { $cond: [{ $gte: ['$discountPercent', min] }, 1, 0] } };
+              return group;
+            }, { _id: null })
+          }
+        ],
+        prices: [
+          matchExcept('price'),
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: PRICE_BUCKETS,
+              default: 'above',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const discountCounts = result.discounts[0] || {};
+  const lastBoundary = PRICE_BUCKETS[PRICE_BUCKETS.length - 1];
+
+  // Sizes in the catalogue's size order
+  const sizes = result.sizes.sort(
+    (a, b) => SIZES.indexOf(a.value) - SIZES.indexOf(b.value)
+  );
+
+  return {
+    sizes,
+    colors: result.colors,
+    brands: result.brands,
+    materials: result.materials,
+    discounts: DISCOUNT_BANDS
+      .map((min) => ({ min, label: `${min}% and above`, count: discountCounts[`d${min}`] || 0 }))
+      .filter((band) => band.count > 0),
+    prices: result.prices.map((bucket) => {
+      if (bucket._id === 'above') {
+        return { min: lastBoundary, max: null, count: bucket.count };
+      }
+      const index = PRICE_BUCKETS.indexOf(bucket._id);
+      return { min: bucket._id, max: PRICE_BUCKETS[index + 1], count: bucket.count };
+    })
+  };
+};
+
 /**
  * Get featured products
  * @param {number} limit - Number of products
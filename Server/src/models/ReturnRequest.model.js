@@ -0,0 +1,261 @@
+/**
+ * Defines the schema for return and exchange
+ * requests (RMAs) raised against delivered orders.
+ */
+
+const mongoose = require('mongoose');
+const Counter = require('./Counter.model');
+
+// Sub-schema for a returned order line
+const returnItemSchema = new mongoose.Schema({
+  // Order line being returned
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  variant: {
+    size: { type: String, required: true },
+    color: { type: String, required: true },
+    sku: { type: String }
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Unit price paid
+  price: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: [
+      'size_issue',
+      'damaged',
+      'defective',
+      'wrong_item',
+      'not_as_described',
+      'quality_issue',
+      'changed_mind',
+      'other'
+    ],
+    required: true
+  },
+  comment: {
+    type: String,
+    maxlength: 500
+  },
+  // Money back, or the same product in another size
+  resolution: {
+    type: String,
+    enum: ['refund', 'exchange'],
+    default: 'refund'
+  },
+  exchangeVariant: {
+    size: { type: String },
+    color: { type: String },
+    sku: { type: String }
+  },
+  // Set when the parcel is inspected
+  condition: {
+    type: String,
+    enum: ['good', 'damaged']
+  },
+  restocked: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// Sub-schema for the refund issued
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Gateway name, or "manual" for COD/bank transfers
+  provider: {
+    type: String,
+    required: true
+  },
+  refundId: { type: String },
+  status: {
+    type: String,
+    enum: ['pending', 'processed', 'failed'],
+    default: 'pending'
+  },
+  note: { type: String },
+  processedAt: { type: Date }
+});
+
+// Main return request schema
+const returnRequestSchema = new mongoose.Schema(
+  {
+    // Human-friendly number, e.g. RMA-20250114-000003
+    rmaNumber: {
+      type: String,
+      unique: true,
+      required: true
+    },
+
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true
+    },
+
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    items: {
+      type: [returnItemSchema],
+      validate: [(items) => items.length > 0, 'At least one item is required']
+    },
+
+    // Customer photos of the items
+    photos: [{ type: String }],
+
+    status: {
+      type: String,
+      // "receiving" while an admin request refunds and restocks it
+      enum: ['requested', 'approved', 'rejected', 'receiving', 'received', 'completed'],
+      default: 'requested'
+    },
+
+    statusHistory: [
+      {
+        status: { type: String, required: true },
+        date: { type: Date, default: Date.now },
+        note: { type: String },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+      }
+    ],
+
+    rejectionReason: { type: String },
+
+    refund: refundSchema,
+
+    // Replacement order for exchanged lines
+    exchangeOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ user: 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1, createdAt: 1 });
+
+// Virtual Properties
+
+// Lines to be refunded
+returnRequestSchema.virtual('refundItems').get(function () {
+  return this.items.filter((item) => item.resolution === 'refund');
+});
+
+// Lines to be exchanged
+returnRequestSchema.virtual('exchangeItems').get(function () {
+  return this.items.filter((item) => item.resolution === 'exchange');
+});
+
+// Pre-validate Hook
+
+// Generate RMA number if not exists
+returnRequestSchema.pre('validate', async function () {
+  if (!this.rmaNumber) {
+    const timeZone = process.env.STORE_TIMEZONE || 'Asia/Kolkata';
+    const dateStr = new Intl.DateTimeFormat('en-CA', { timeZone })
+      .format(new Date())
+      .replace(/-/g, '');
+
+    const seq = await Counter.next(`rma:${dateStr}`, { session: this.$session() });
+    this.rmaNumber = `RMA-${dateStr}-${String(seq).padStart(6, '0')}`;
+  }
+});
+
+// Instance Methods
+
+/**
+ * Move to a new status and record it
+ * @param {string} status - New status
+ * @param {string} [note] - Optional note
+ * @param {string} [by] - User ID making the change
+ */
+returnRequestSchema.methods.setStatus = function (status, note, by) {
+  this.status = status;
+  this.statusHistory.push({ status, date: new Date(), note, by });
+  return this;
+};
+
+/**
+ * Refund owed for the refund lines. Each line gets its share of the
+ * order's discount and tax (from the line's GST breakdown when the
+ * order has one); shipping and the COD surcharge are not refunded.
+ * @param {Object} order - Order document
+ * @returns {number}
+ */
+returnRequestSchema.methods.calculateRefundAmount = function (order) {
+  const { subtotal, shipping = 0, codCharge = 0, total } = order.pricing;
+  if (!subtotal) return 0;
+
+  const ratio = (total - shipping - codCharge) / subtotal;
+
+  const amount = this.refundItems.reduce((sum, item) => {
+    const line = order.items.id(item.orderItem);
+    if (line && line.tax && line.tax.taxableValue !== undefined) {
+      const perPiece = (line.tax.taxableValue + line.tax.amount) / line.quantity;
+      return sum + perPiece * item.quantity;
+    }
+    return sum + item.price * item.quantity * ratio;
+  }, 0);
+
+  return Math.round(amount * 100) / 100;
+};
+
+// Static Methods
+
+/**
+ * Quantity of each order line already under an active return
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Map<string, number>>} orderItem ID -> quantity
+ */
+returnRequestSchema.statics.getReturnedQuantities = async function (orderId) {
+  const requests = await this.find({
+    order: orderId,
+    status: { $ne: 'rejected' }
+  }).select('items.orderItem items.quantity');
+
+  const quantities = new Map();
+  requests.forEach((request) => {
+    request.items.forEach((item) => {
+      const key = item.orderItem.toString();
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    });
+  });
+
+  return quantities;
+};
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+module.exports = ReturnRequest;
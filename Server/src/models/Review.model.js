@@ -0,0 +1,191 @@
+/**
+ * Defines the schema for product reviews with
+ * verified-buyer linking, photos, and moderation.
+ */
+
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema(
+  {
+    // Reviewer
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    // Reviewed product
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+
+    // Delivered order and line the review is based on (verified buyers only)
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+
+    // Star rating
+    rating: {
+      type: Number,
+      required: [true, 'Rating is required'],
+      min: [1, 'Rating must be at least 1'],
+      max: [5, 'Rating cannot exceed 5']
+    },
+
+    // Review headline
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Title cannot exceed 100 characters']
+    },
+
+    // Review body
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Comment cannot exceed 2000 characters']
+    },
+
+    // Uploaded photo URLs
+    photos: [{ type: String }],
+
+    // Reviewer bought and received this product
+    isVerifiedBuyer: {
+      type: Boolean,
+      default: false
+    },
+
+    // Users who found the review helpful
+    helpfulVotes: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    ],
+    helpfulCount: {
+      type: Number,
+      default: 0
+    },
+
+    // Moderation status
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+
+    // Moderation details
+    moderation: {
+      moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      moderatedAt: { type: Date },
+      note: { type: String }
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes
+reviewSchema.index({ product: 1, user: 1 }, { unique: true }); // One review per product per user
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: 1 });
+
+// Instance Methods
+
+/**
+ * Public representation (hides voter list)
+ * @param {string} [userId] - Viewing user, to flag their own vote
+ * @returns {Object}
+ */
+reviewSchema.methods.toPublicReview = function (userId) {
+  return {
+    _id: this._id,
+    user: this.user,
+    rating: this.rating,
+    title: this.title,
+    comment: this.comment,
+    photos: this.photos,
+    isVerifiedBuyer: this.isVerifiedBuyer,
+    helpfulCount: this.helpfulCount,
+    votedHelpful: userId
+      ? this.helpfulVotes.some((id) => id.toString() === userId.toString())
+      : false,
+    status: this.status,
+    createdAt: this.createdAt
+  };
+};
+
+// Static Methods
+
+/**
+ * Recompute a product's aggregate rating from approved reviews
+ * @param {string} productId - Product ID
+ * @returns {Promise<{ rating: number, numReviews: number }>}
+ */
+reviewSchema.statics.recalculateProductRating = async function (productId) {
+  const [stats] = await this.aggregate([
+    {
+      $match: {
+        product: new mongoose.Types.ObjectId(productId),
+        status: 'approved'
+      }
+    },
+    {
+      $group: {
+        _id: '$product',
+        avgRating: { $avg: '$rating' },
+        numReviews: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const rating = stats ? Math.round(stats.avgRating * 10) / 10 : 0;
+  const numReviews = stats ? stats.numReviews : 0;
+
+  await mongoose.model('Product').updateOne(
+    { _id: productId },
+    { $set: { rating, numReviews } }
+  );
+
+  return { rating, numReviews };
+};
+
+/**
+ * Get rating distribution (count per star) for approved reviews
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object>} e.g. { 1: 0, 2: 1, 3: 4, 4: 10, 5: 22 }
+ */
+reviewSchema.statics.getRatingBreakdown = async function (productId) {
+  const counts = await this.aggregate([
+    {
+      $match: {
+        product: new mongoose.Types.ObjectId(productId),
+        status: 'approved'
+      }
+    },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  counts.forEach((c) => {
+    breakdown[c._id] = c.count;
+  });
+
+  return breakdown;
+};
+
+const Review = mongoose.model('Review', reviewSchema);
+
+module.exports = Review;
@@ -0,0 +1,229 @@
+/**
+ * Defines the schema for login sessions backing
+ * rotating refresh tokens (one session per device).
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Hash a refresh token secret for storage
+ * @param {string} secret - Raw secret
+ * @returns {string} SHA-256 hex digest
+ */
+const hashSecret = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+/**
+ * Calculate a new session expiry from now
+ * @returns {Date}
+ */
+const nextExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+const sessionSchema = new mongoose.Schema(
+  {
+    // Owner of the session
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    // Hash of the current refresh token secret
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false
+    },
+
+    // Device information
+    userAgent: {
+      type: String,
+      default: ''
+    },
+    ip: {
+      type: String,
+      default: ''
+    },
+
+    // Last time the refresh token was rotated
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+
+    // Session end (refreshed on each rotation)
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+
+    // Revocation details
+    revokedAt: {
+      type: Date
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'user_revoked', 'password_changed', 'token_reuse']
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Auto-remove expired sessions
+
+// Virtual Properties
+
+// Check if session can still be used
+sessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Instance Methods
+
+/**
+ * Revoke this session
+ * @param {string} reason - Revocation reason
+ */
+sessionSchema.methods.revoke = function (reason) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+  return this;
+};
+
+/**
+ * Public representation for the device list
+ * @param {string} [currentSessionId] - Session making the request
+ * @returns {Object}
+ */
+sessionSchema.methods.toPublicSession = function (currentSessionId) {
+  return {
+    _id: this._id,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    isCurrent: currentSessionId ? this._id.toString() === currentSessionId.toString() : false
+  };
+};
+
+// Static Methods
+
+/**
+ * Start a new session for a user
+ * @param {string} userId - User ID
+ * @param {Object} device - { userAgent, ip }
+ * @returns {Promise<{ session: Session, refreshToken: string }>}
+ */
+sessionSchema.statics.createForUser = async function (userId, { userAgent, ip } = {}) {
+  const secret = crypto.randomBytes(40).toString('hex');
+
+  const session = await this.create({
+    user: userId,
+    refreshTokenHash: hashSecret(secret),
+    userAgent: userAgent || '',
+    ip: ip || '',
+    expiresAt: nextExpiry()
+  });
+
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+/**
+ * Rotate a refresh token. Presenting a token that has already been
+ * rotated revokes the session, since it means the token leaked.
+ * @param {string} refreshToken - Token in "<sessionId>.<secret>" form
+ * @param {Object} device - { userAgent, ip }
+ * @returns {Promise<{ session?: Session, refreshToken?: string, reuseDetected?: boolean }|null>}
+ *          null if the token is malformed or the session is gone
+ */
+sessionSchema.statics.rotate = async function (refreshToken, { userAgent, ip } = {}) {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+  if (!sessionId || !secret || !mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+
+  const newSecret = crypto.randomBytes(40).toString('hex');
+  const update = {
+    refreshTokenHash: hashSecret(newSecret),
+    lastUsedAt: new Date(),
+    expiresAt: nextExpiry()
+  };
+  if (userAgent) update.userAgent = userAgent;
+  if (ip) update.ip = ip;
+
+  // Only the current secret of an active session can be swapped
+  const session = await this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: hashSecret(secret),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: update },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: `${session._id}.${newSecret}` };
+  }
+
+  // Known, still-active session but stale secret: token reuse
+  const existing = await this.findOne({ _id: sessionId, revokedAt: null });
+  if (existing) {
+    existing.revoke('token_reuse');
+    await existing.save();
+    return { reuseDetected: true };
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a session is active
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>}
+ */
+sessionSchema.statics.isActiveSession = async function (sessionId) {
+  const session = await this.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return Boolean(session);
+};
+
+/**
+ * Revoke all active sessions for a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @param {string} [exceptSessionId] - Session to keep
+ * @returns {Promise<Object>} Update result
+ */
+sessionSchema.statics.revokeAllForUser = function (userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
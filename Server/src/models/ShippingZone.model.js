@@ -0,0 +1,152 @@
+/**
+ * Defines the schema for shipping zones (matched by
+ * PIN-code range or state) and their rate tables.
+ */
+
+const mongoose = require('mongoose');
+
+// Sub-schema for a rate table bracket
+const rateSchema = new mongoose.Schema({
+  // Upper bound of the bracket (grams or ₹, by rate basis); empty for "and above"
+  upTo: { type: Number, min: 0 },
+  price: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+// Sub-schema for a delivery option within a zone
+const shippingMethodSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    enum: ['standard', 'express']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Price by parcel weight or by order value
+  rateBasis: {
+    type: String,
+    enum: ['weight', 'order_value'],
+    default: 'order_value'
+  },
+  rates: {
+    type: [rateSchema],
+    validate: [(rates) => rates.length > 0, 'At least one rate is required']
+  },
+  // Free when the order value reaches this amount
+  freeAbove: { type: Number, min: 0 },
+  estimatedDays: {
+    min: { type: Number, default: 3 },
+    max: { type: Number, default: 7 }
+  },
+  codAvailable: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const shippingZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Zone name is required'],
+      trim: true,
+      unique: true
+    },
+
+    // Inclusive 6-digit PIN-code ranges, e.g. 400001-400104 for Mumbai
+    pinRanges: [
+      {
+        from: { type: Number, required: true },
+        to: { type: Number, required: true }
+      }
+    ],
+
+    // States covered when no PIN range matches
+    states: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true
+      }
+    ],
+
+    // Catch-all zone for addresses no other zone covers
+    isDefault: {
+      type: Boolean,
+      default: false
+    },
+
+    // Higher priority wins when several zones match
+    priority: {
+      type: Number,
+      default: 0
+    },
+
+    methods: [shippingMethodSchema],
+
+    // Cash on delivery handling fee: flat amount plus a percentage of the order value
+    codSurcharge: {
+      flat: { type: Number, default: 0, min: 0 },
+      percent: { type: Number, default: 0, min: 0, max: 100 }
+    },
+
+    // COD is refused above this order value
+    codMaxOrderValue: {
+      type: Number
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes
+shippingZoneSchema.index({ isActive: 1, 'pinRanges.from': 1, 'pinRanges.to': 1 });
+shippingZoneSchema.index({ isActive: 1, states: 1 });
+
+// Static Methods
+
+/**
+ * Find the zone serving an address: PIN range first, then state,
+ * then the default zone
+ * @param {Object} address - { zipCode, state }
+ * @returns {Promise<ShippingZone|null>}
+ */
+shippingZoneSchema.statics.findForAddress = async function ({ zipCode, state } = {}) {
+  const pin = parseInt(zipCode);
+
+  if (pin) {
+    const zone = await this.findOne({
+      isActive: true,
+      pinRanges: { $elemMatch: { from: { $lte: pin }, to: { $gte: pin } } }
+    }).sort({ priority: -1 });
+    if (zone) return zone;
+  }
+
+  if (state) {
+    const zone = await this.findOne({
+      isActive: true,
+      states: state.trim().toLowerCase()
+    }).sort({ priority: -1 });
+    if (zone) return zone;
+  }
+
+  return this.findOne({ isActive: true, isDefault: true }).sort({ priority: -1 });
+};
+
+const ShippingZone = mongoose.model('ShippingZone', shippingZoneSchema);
+
+module.exports = ShippingZone;
@@ -5,6 +5,7 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema(
   {
@@ -71,6 +72,24 @@ const userSchema = new mongoose.Schema(
       }
     ],
 
+    // Saved-for-later products with the price/stock seen when saved
+    wishlist: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product',
+          required: true
+        },
+        variant: {
+          size: { type: String },
+          color: { type: String }
+        },
+        priceAtAdd: { type: Number, required: true },
+        inStockAtAdd: { type: Boolean, default: true },
+        addedAt: { type: Date, default: Date.now }
+      }
+    ],
+
     // Account status
     isActive: {
       type: Boolean,
@@ -83,13 +102,24 @@ const userSchema = new mongoose.Schema(
       default: false
     },
 
-    // Password reset fields
-    passwordResetToken: String,
+    // Password reset fields (token is stored hashed)
+    passwordResetToken: {
+      type: String,
+      select: false
+    },
     passwordResetExpires: Date,
 
     // Track last login
     lastLogin: {
       type: Date
+    },
+
+    // Email opt-ins per notification category
+    notificationPreferences: {
+      orders: { type: Boolean, default: true }, // Placed, cancelled
+      shipping: { type: Boolean, default: true }, // Shipped, out for delivery, delivered
+      payments: { type: Boolean, default: true }, // Received, failed, refunded
+      reminders: { type: Boolean, default: true } // Items left in the cart
     }
   },
   {
@@ -138,10 +168,48 @@ userSchema.methods.toPublicProfile = function () {
     avatar: this.avatar,
     addresses: this.addresses,
     isEmailVerified: this.isEmailVerified,
+    notificationPreferences: this.notificationPreferences,
     createdAt: this.createdAt
   };
 };
 
+/**
+ * Check whether the user has opted in to a notification category
+ * @param {string} category - e.g. orders, shipping, payments
+ * @returns {boolean}
+ */
+userSchema.methods.wantsNotification = function (category) {
+  const preferences = this.notificationPreferences || {};
+  return preferences[category] !== false;
+};
+
+/**
+ * Generate a single-use password reset token.
+ * Only the SHA-256 hash is stored; the raw token is emailed to the user.
+ * @returns {string} Raw reset token
+ */
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+/**
+ * Invalidate any outstanding password reset token
+ */
+userSchema.methods.clearPasswordResetToken = function () {
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+};
+
 // Static Methods
 
 /**
@@ -153,6 +221,20 @@ userSchema.statics.findByEmail = function (email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+/**
+ * Find user by an unexpired password reset token
+ * @param {string} token - Raw reset token from the email link
+ * @returns {Promise<User|null>}
+ */
+userSchema.statics.findByPasswordResetToken = function (token) {
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+  return this.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: Date.now() }
+  });
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
@@ -0,0 +1,60 @@
+/**
+ * Defines the schema for inbound webhook events,
+ * used to process each provider event exactly once.
+ */
+
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema(
+  {
+    // Sender, e.g. "razorpay" or "mock"
+    source: {
+      type: String,
+      required: true
+    },
+
+    // Provider's event identifier
+    eventId: {
+      type: String,
+      required: true
+    },
+
+    // Normalized event type
+    type: {
+      type: String,
+      required: true
+    },
+
+    // Outcome of processing
+    status: {
+      type: String,
+      enum: ['processed', 'ignored'],
+      default: 'processed'
+    },
+    note: {
+      type: String
+    },
+
+    // Order the event applied to
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+
+    // Original payload for auditing
+    payload: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+webhookEventSchema.index({ source: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 }); // Keep 90 days
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+module.exports = WebhookEvent;
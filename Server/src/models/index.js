@@ -7,11 +7,33 @@ const Product = require('./Product.model');
 const Category = require('./Category.model');
 const Cart = require('./Cart.model');
 const Order = require('./Order.model');
+const Coupon = require('./Coupon.model');
+const Session = require('./Session.model');
+const Review = require('./Review.model');
+const Counter = require('./Counter.model');
+const IdempotencyKey = require('./IdempotencyKey.model');
+const WebhookEvent = require('./WebhookEvent.model');
+const ReturnRequest = require('./ReturnRequest.model');
+const ShippingZone = require('./ShippingZone.model');
+const Invoice = require('./Invoice.model');
+const Notification = require('./Notification.model');
+const CartRecovery = require('./CartRecovery.model');
 
 module.exports = {
   User,
   Product,
   Category,
   Cart,
-  Order
+  Order,
+  Coupon,
+  Session,
+  Review,
+  Counter,
+  IdempotencyKey,
+  WebhookEvent,
+  ReturnRequest,
+  ShippingZone,
+  Invoice,
+  Notification,
+  CartRecovery
 };
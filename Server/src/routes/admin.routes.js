@@ -18,6 +18,29 @@ const {
   getOrderById,
   updateOrderStatus,
   updatePaymentStatus,
+  createShipment,
+  updateShipmentStatus,
+  getAllCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  getModerationQueue,
+  moderateReview,
+  getAllReturns,
+  getReturnById,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn,
+  getAllShippingZones,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone,
+  getAllInvoices,
+  getOrderInvoice,
+  getInvoicePdf,
+  getCartRecoveryReport,
   getAllUsers,
   getUserById,
   updateUserStatus,
@@ -29,10 +52,21 @@ const {
   createProductValidation, 
   updateProductValidation,
   createCategoryValidation,
+  updateOrderStatusValidation,
+  createShipmentValidation,
+  updateShipmentStatusValidation,
+  createCouponValidation,
+  updateCouponValidation,
+  moderateReviewValidation,
+  rejectReturnValidation,
+  receiveReturnValidation,
+  shippingZoneValidation,
   paginationValidation,
-  mongoIdValidation
+  mongoIdValidation,
+  dateRangeValidation
 } = require('../middlewares/validation.middleware');
 const { uploadProductImages, handleUploadError } = require('../middlewares/upload.middleware');
+const { idempotent } = require('../middlewares/idempotency.middleware');
 
 // All routes require authentication and admin role
 router.use(protect);
@@ -74,8 +108,43 @@ router.delete('/categories/:id', mongoIdValidation, deleteCategory);
 // Order management
 router.get('/orders', paginationValidation, getAllOrders);
 router.get('/orders/:id', mongoIdValidation, getOrderById);
-router.put('/orders/:id/status', mongoIdValidation, updateOrderStatus);
-router.put('/orders/:id/payment', mongoIdValidation, updatePaymentStatus);
+router.put('/orders/:id/status', updateOrderStatusValidation, updateOrderStatus);
+router.put('/orders/:id/payment', mongoIdValidation, idempotent(), updatePaymentStatus);
+router.post('/orders/:id/shipments', createShipmentValidation, createShipment);
+router.put('/orders/:id/shipments/:shipmentId/status', updateShipmentStatusValidation, updateShipmentStatus);
+router.get('/orders/:id/invoice', mongoIdValidation, getOrderInvoice);
+
+// Coupon management
+router.get('/coupons', paginationValidation, getAllCoupons);
+router.get('/coupons/:id', mongoIdValidation, getCouponById);
+router.post('/coupons', createCouponValidation, createCoupon);
+router.put('/coupons/:id', updateCouponValidation, updateCoupon);
+router.delete('/coupons/:id', mongoIdValidation, deleteCoupon);
+
+// Review moderation
+router.get('/reviews', paginationValidation, getModerationQueue);
+router.put('/reviews/:id/moderate', moderateReviewValidation, moderateReview);
+
+// Return management
+router.get('/returns', paginationValidation, getAllReturns);
+router.get('/returns/:id', mongoIdValidation, getReturnById);
+router.put('/returns/:id/approve', mongoIdValidation, approveReturn);
+router.put('/returns/:id/reject', rejectReturnValidation, rejectReturn);
+router.put('/returns/:id/receive', receiveReturnValidation, idempotent(), receiveReturn);
+router.put('/returns/:id/refund', mongoIdValidation, idempotent(), refundReturn);
+
+// Shipping zone management
+router.get('/shipping-zones', getAllShippingZones);
+router.post('/shipping-zones', shippingZoneValidation, createShippingZone);
+router.put('/shipping-zones/:id', mongoIdValidation, shippingZoneValidation, updateShippingZone);
+router.delete('/shipping-zones/:id', mongoIdValidation, deleteShippingZone);
+
+// Invoices and credit notes
+router.get('/invoices', paginationValidation, getAllInvoices);
+router.get('/invoices/:id/pdf', mongoIdValidation, getInvoicePdf);
+
+// Reports
+router.get('/reports/cart-recovery', dateRangeValidation, getCartRecoveryReport);
 
 // User management
 router.get('/users', paginationValidation, getAllUsers);
@@ -3,6 +3,7 @@
  */
 
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
 
 const {
@@ -11,15 +12,52 @@ const {
   logout,
   getMe,
   updatePassword,
-  refreshToken
+  refreshToken,
+  getSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
 } = require('../controllers/auth.controller');
 
 const { protect } = require('../middlewares/auth.middleware');
-const { registerValidation, loginValidation } = require('../middlewares/validation.middleware');
+const {
+  registerValidation,
+  loginValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  mongoIdValidation
+} = require('../middlewares/validation.middleware');
+
+// Stricter limit for endpoints that send email
+const emailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.EMAIL_RATE_LIMIT_MAX) || 5,
+  message: {
+    success: false,
+    message: 'Too many email requests. Please try again later.'
+  }
+});
+
+// Verification resends are limited per account rather than per IP
+const resendVerificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.EMAIL_RATE_LIMIT_MAX) || 5,
+  keyGenerator: (req) => req.user._id.toString(),
+  message: {
+    success: false,
+    message: 'Too many verification emails requested. Please try again later.'
+  }
+});
 
 // Public routes
 router.post('/register', registerValidation, register);
 router.post('/login', loginValidation, login);
+router.post('/forgot-password', emailLimiter, forgotPasswordValidation, forgotPassword);
+router.post('/reset-password/:token', resetPasswordValidation, resetPassword);
+router.get('/verify-email/:token', verifyEmail);
+router.post('/refresh-token', refreshToken);
 
 // Protected routes
 router.use(protect); // All routes below require authentication
@@ -27,6 +65,8 @@ router.use(protect); // All routes below require authentication
 router.post('/logout', logout);
 router.get('/me', getMe);
 router.put('/update-password', updatePassword);
-router.post('/refresh-token', refreshToken);
+router.get('/sessions', getSessions);
+router.delete('/sessions/:id', mongoIdValidation, revokeSession);
+router.post('/resend-verification', resendVerificationLimiter, resendVerification);
 
 module.exports = router;
@@ -10,16 +10,29 @@ const {
   addToCart,
   updateCartItem,
   removeFromCart,
+  saveForLater,
+  moveToCart,
+  removeSavedItem,
   clearCart,
   applyCoupon,
-  removeCoupon
+  removeCoupon,
+  getShippingMethods,
+  setShippingMethod,
+  acknowledgePriceChanges,
+  restoreCart
 } = require('../controllers/cart.controller');
 
-const { protect } = require('../middlewares/auth.middleware');
-const { addToCartValidation, updateCartItemValidation } = require('../middlewares/validation.middleware');
+const { optionalAuth } = require('../middlewares/auth.middleware');
+const {
+  addToCartValidation,
+  updateCartItemValidation,
+  shippingMethodsValidation,
+  setShippingMethodValidation,
+  restoreCartValidation
+} = require('../middlewares/validation.middleware');
 
-// All routes require authentication
-router.use(protect);
+// Logged-in users get their own cart; guests get a cart named by a signed cookie
+router.use(optionalAuth);
 
 // Cart routes
 router.get('/', getCart);
@@ -27,9 +40,20 @@ router.post('/items', addToCartValidation, addToCart);
 router.put('/items/:itemId', updateCartItemValidation, updateCartItem);
 router.delete('/items/:itemId', removeFromCart);
 router.delete('/', clearCart);
+router.post('/acknowledge-price-changes', acknowledgePriceChanges);
+router.post('/restore', restoreCartValidation, restoreCart);
+
+// Save-for-later routes
+router.post('/items/:itemId/save-for-later', saveForLater);
+router.post('/saved/:itemId/move-to-cart', moveToCart);
+router.delete('/saved/:itemId', removeSavedItem);
 
 // Coupon routes
 router.post('/apply-coupon', applyCoupon);
 router.delete('/coupon', removeCoupon);
 
+// Shipping routes
+router.get('/shipping-methods', shippingMethodsValidation, getShippingMethods);
+router.put('/shipping', setShippingMethodValidation, setShippingMethod);
+
 module.exports = router;
@@ -14,18 +14,45 @@ const {
   reorder
 } = require('../controllers/order.controller');
 
-const { protect } = require('../middlewares/auth.middleware');
-const { createOrderValidation, paginationValidation } = require('../middlewares/validation.middleware');
+const {
+  createReturnRequest,
+  getOrderReturns
+} = require('../controllers/return.controller');
+
+const {
+  getOrderInvoice,
+  getOrderCreditNotes,
+  getOrderCreditNote
+} = require('../controllers/invoice.controller');
+
+const { protect, requireVerifiedEmail } = require('../middlewares/auth.middleware');
+const {
+  createOrderValidation,
+  cancelOrderValidation,
+  paginationValidation,
+  mongoIdValidation
+} = require('../middlewares/validation.middleware');
+const { idempotent } = require('../middlewares/idempotency.middleware');
+const { uploadReturnPhotos, handleUploadError } = require('../middlewares/upload.middleware');
 
 // All routes require authentication
 router.use(protect);
 
 // Order routes
-router.post('/', createOrderValidation, createOrder);
+router.post('/', requireVerifiedEmail, createOrderValidation, idempotent(), createOrder);
 router.get('/', paginationValidation, getMyOrders);
 router.get('/:id', getOrder);
-router.put('/:id/cancel', cancelOrder);
+router.put('/:id/cancel', cancelOrderValidation, cancelOrder);
 router.get('/:id/track', trackOrder);
 router.post('/:id/reorder', reorder);
 
+// Returns and exchanges
+router.get('/:id/returns', mongoIdValidation, getOrderReturns);
+router.post('/:id/returns', mongoIdValidation, uploadReturnPhotos, handleUploadError, createReturnRequest);
+
+// Invoices and credit notes
+router.get('/:id/invoice', mongoIdValidation, getOrderInvoice);
+router.get('/:id/credit-notes', mongoIdValidation, getOrderCreditNotes);
+router.get('/:id/credit-notes/:noteId', mongoIdValidation, getOrderCreditNote);
+
 module.exports = router;
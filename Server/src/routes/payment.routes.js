@@ -0,0 +1,19 @@
+/**
+ * Routes for online payments and gateway webhooks.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { createIntent, handleWebhook } = require('../controllers/payment.controller');
+
+const { protect } = require('../middlewares/auth.middleware');
+const { mongoIdValidation } = require('../middlewares/validation.middleware');
+
+// Gateway webhooks (verified by signature, not by login)
+router.post('/webhook/:provider', handleWebhook);
+
+// Protected routes
+router.post('/orders/:id/intent', protect, mongoIdValidation, createIntent);
+
+module.exports = router;
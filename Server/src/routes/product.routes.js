@@ -9,6 +9,7 @@ const {
   getAllProducts,
   getProduct,
   searchProducts,
+  getSuggestions,
   getFeaturedProducts,
   getNewArrivals,
   getBestSellers,
@@ -16,10 +17,26 @@ const {
   getProductsByCategory
 } = require('../controllers/product.controller');
 
-const { paginationValidation } = require('../middlewares/validation.middleware');
+const {
+  createReview,
+  getProductReviews,
+  getReviewSummary,
+  toggleHelpfulVote,
+  deleteReview
+} = require('../controllers/review.controller');
+
+const { protect, optionalAuth, requireVerifiedEmail } = require('../middlewares/auth.middleware');
+const {
+  paginationValidation,
+  searchQueryValidation,
+  createReviewValidation,
+  mongoIdValidation
+} = require('../middlewares/validation.middleware');
+const { uploadReviewPhotos, handleUploadError } = require('../middlewares/upload.middleware');
 
 // Special routes (must be before :id route)
-router.get('/search', paginationValidation, searchProducts);
+router.get('/search', searchQueryValidation, paginationValidation, searchProducts);
+router.get('/suggest', searchQueryValidation, getSuggestions);
 router.get('/featured', getFeaturedProducts);
 router.get('/new-arrivals', getNewArrivals);
 router.get('/best-sellers', getBestSellers);
@@ -30,4 +47,19 @@ router.get('/', paginationValidation, getAllProducts);
 router.get('/:id', getProduct);
 router.get('/:id/related', getRelatedProducts);
 
+// Review routes
+router.get('/:id/reviews', mongoIdValidation, paginationValidation, optionalAuth, getProductReviews);
+router.get('/:id/reviews/summary', mongoIdValidation, getReviewSummary);
+router.post(
+  '/:id/reviews',
+  protect,
+  requireVerifiedEmail,
+  uploadReviewPhotos,
+  handleUploadError,
+  createReviewValidation,
+  createReview
+);
+router.post('/:id/reviews/:reviewId/helpful', protect, toggleHelpfulVote);
+router.delete('/:id/reviews/:reviewId', protect, deleteReview);
+
 module.exports = router;
@@ -0,0 +1,17 @@
+/**
+ * Routes for shipping and carrier tracking webhooks.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { checkServiceability, handleCarrierWebhook } = require('../controllers/shipping.controller');
+const { shippingMethodsValidation } = require('../middlewares/validation.middleware');
+
+// Delivery check for a PIN code
+router.get('/serviceability', shippingMethodsValidation, checkServiceability);
+
+// Carrier webhooks (verified by carrier token or signature, not by login)
+router.post('/webhooks/:carrier', handleCarrierWebhook);
+
+module.exports = router;
@@ -12,11 +12,16 @@ const {
   addAddress,
   updateAddress,
   deleteAddress,
-  setDefaultAddress
+  setDefaultAddress,
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  moveWishlistItemToCart
 } = require('../controllers/user.controller');
 
 const { protect } = require('../middlewares/auth.middleware');
 const { uploadAvatar, handleUploadError } = require('../middlewares/upload.middleware');
+const { addToWishlistValidation } = require('../middlewares/validation.middleware');
 
 // All routes require authentication
 router.use(protect);
@@ -47,4 +52,10 @@ router.put('/addresses/:addressId', updateAddress);
 router.delete('/addresses/:addressId', deleteAddress);
 router.put('/addresses/:addressId/default', setDefaultAddress);
 
+// Wishlist routes
+router.get('/wishlist', getWishlist);
+router.post('/wishlist', addToWishlistValidation, addToWishlist);
+router.delete('/wishlist/:itemId', removeFromWishlist);
+router.post('/wishlist/:itemId/move-to-cart', moveWishlistItemToCart);
+
 module.exports = router;
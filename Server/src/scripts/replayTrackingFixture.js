@@ -0,0 +1,44 @@
+/**
+ * Replays a recorded carrier journey against a running server,
+ * posting each scan to the fixture carrier webhook in turn.
+ * 
+ * Usage: node src/scripts/replayTrackingFixture.js <fixture> <trackingNumber>
+ * Fixtures: see src/services/shipping/fixtures (e.g. delivered, rto)
+ */
+
+require('dotenv').config();
+
+const fixtureCarrier = require('../services/shipping/fixture.carrier');
+
+async function replayTrackingFixture() {
+  const [fixtureName, trackingNumber] = process.argv.slice(2);
+
+  if (!fixtureName || !trackingNumber) {
+    console.error('Usage: node src/scripts/replayTrackingFixture.js <fixture> <trackingNumber>');
+    console.error(`Fixtures: ${fixtureCarrier.listFixtures().join(', ')}`);
+    process.exit(1);
+  }
+
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  const url = `${apiUrl}/api/shipping/webhooks/${fixtureCarrier.name}`;
+
+  try {
+    const requests = fixtureCarrier.buildWebhooks(fixtureName, trackingNumber);
+
+    for (const { body, headers } of requests) {
+      const response = await fetch(url, { method: 'POST', headers, body });
+      const result = await response.json();
+      const [event] = JSON.parse(body).events;
+
+      console.log(`${event.status.padEnd(18)} ${response.status} ${result.message}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error replaying fixture:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the replay
+replayTrackingFixture();
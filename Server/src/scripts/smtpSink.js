@@ -0,0 +1,103 @@
+/**
+ * Minimal local SMTP sink for development. Accepts every message,
+ * prints its recipients and subject, and saves it as an .eml file.
+ * Point the mailer at it with SMTP_HOST=localhost SMTP_PORT=1025.
+ *
+ * Usage: node src/scripts/smtpSink.js [port] [outputDir]
+ * Defaults: port 1025, outputDir <tmp>/mail-sink
+ */
+
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const port = parseInt(process.argv[2]) || 1025;
+const outputDir = path.resolve(process.argv[3] || path.join(os.tmpdir(), 'mail-sink'));
+
+let received = 0;
+
+/**
+ * Save a received message and log a one-line summary
+ * @param {Object} envelope - { from, to }
+ * @param {string} data - Raw message
+ */
+const saveMessage = (envelope, data) => {
+  received++;
+  const subject = (data.match(/^Subject: (.*)$/m) || [])[1] || '(no subject)';
+  const file = path.join(outputDir, `${Date.now()}-${received}.eml`);
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(file, data);
+
+  console.log(`[${new Date().toISOString()}] ${envelope.to.join(', ')} | ${subject} -> ${file}`);
+};
+
+const server = net.createServer((socket) => {
+  let buffer = '';
+  let inData = false;
+  let envelope = { from: null, to: [] };
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  reply('220 localhost smtp-sink ready');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+
+    // Message body ends with a lone dot
+    if (inData) {
+      const end = buffer.indexOf('\r\n.\r\n');
+      if (end === -1) return;
+
+      const data = buffer.slice(0, end).replace(/^\.\./gm, '.');
+      buffer = buffer.slice(end + 5);
+      inData = false;
+
+      saveMessage(envelope, data);
+      envelope = { from: null, to: [] };
+      reply('250 OK: message accepted');
+    }
+
+    let newline;
+    while (!inData && (newline = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 2);
+      const command = line.slice(0, 4).toUpperCase();
+
+      if (command === 'EHLO' || command === 'HELO') {
+        reply('250 localhost');
+      } else if (command === 'MAIL') {
+        envelope.from = line.slice(10).trim();
+        reply('250 OK');
+      } else if (command === 'RCPT') {
+        envelope.to.push(line.slice(8).trim().replace(/[<>]/g, ''));
+        reply('250 OK');
+      } else if (command === 'DATA') {
+        inData = true;
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'RSET') {
+        envelope = { from: null, to: [] };
+        reply('250 OK');
+      } else if (command === 'NOOP') {
+        reply('250 OK');
+      } else if (command === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else {
+        reply('502 Command not implemented');
+      }
+    }
+
+    // A client may pipeline DATA with the message itself
+    if (inData && buffer.length > 0) {
+      socket.emit('data', Buffer.alloc(0));
+    }
+  });
+
+  socket.on('error', (error) => console.error('SMTP sink socket error:', error.message));
+});
+
+server.listen(port, () => {
+  console.log(`SMTP sink listening on port ${port}, saving messages to ${outputDir}`);
+});
@@ -22,9 +22,13 @@ const categoryRoutes = require('./routes/category.routes');
 const cartRoutes = require('./routes/cart.routes');
 const orderRoutes = require('./routes/order.routes');
 const adminRoutes = require('./routes/admin.routes');
+const paymentRoutes = require('./routes/payment.routes');
+const shippingRoutes = require('./routes/shipping.routes');
 
 // Import error handler
 const errorHandler = require('./middlewares/errorHandler');
+const { startNotificationWorker } = require('./services/notifications');
+const { startCartRecoveryWorker } = require('./services/cartRecovery');
 
 // Initialize Express app
 const app = express();
@@ -52,12 +56,20 @@ const corsOptions = {
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
   credentials: true, // Allow cookies to be sent
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 };
 app.use(cors(corsOptions));
 
-// Parse JSON request bodies
-app.use(express.json({ limit: '10mb' }));
+// Parse JSON request bodies (webhooks keep the raw body for signature checks)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.includes('/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 
 // Parse URL-encoded request bodies
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -106,6 +118,12 @@ app.use('/api/cart', cartRoutes);
 // Order routes (checkout, order history)
 app.use('/api/orders', orderRoutes);
 
+// Payment routes (intents, gateway webhooks)
+app.use('/api/payments', paymentRoutes);
+
+// Shipping routes (carrier tracking webhooks)
+app.use('/api/shipping', shippingRoutes);
+
 // Admin routes (admin-only operations)
 app.use('/api/admin', adminRoutes);
 
@@ -133,6 +151,12 @@ mongoose
   .connect(MONGODB_URI)
   .then(() => {
     console.log('Connected to MongoDB successfully');
+
+    // Deliver queued emails in the background
+    startNotificationWorker();
+
+    // Remind shoppers about carts they left behind
+    startCartRecoveryWorker();
     
     // Start server after successful DB connection
     app.listen(PORT, () => {
@@ -0,0 +1,311 @@
+/**
+ * Abandoned cart recovery: finds carts left untouched past each reminder
+ * threshold, emails the shopper a signed link that restores the cart
+ * (optionally with a single-use coupon) and attributes orders placed
+ * afterwards to the reminder that brought the shopper back.
+ *
+ * Thresholds come from CART_RECOVERY_STEPS, e.g. "1h,24h,72h". A cart
+ * gets at most one reminder per step; if the job falls behind, only the
+ * latest step due is sent. Changing the cart starts a new campaign.
+ */
+
+const crypto = require('crypto');
+const Cart = require('../../models/Cart.model');
+const CartRecovery = require('../../models/CartRecovery.model');
+const Coupon = require('../../models/Coupon.model');
+const User = require('../../models/User.model');
+const { notify } = require('../notifications');
+const { generateCartRestoreToken } = require('../../utils/jwt');
+
+const UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+let workerTimer = null;
+
+/**
+ * Parse a duration such as "30m", "1h" or "3d"
+ * @param {string} value
+ * @returns {number} Milliseconds
+ */
+const parseDuration = (value) => {
+  const match = /^(\d+)\s*([mhd])$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid cart recovery duration: ${value}`);
+  }
+  return parseInt(match[1]) * UNITS[match[2]];
+};
+
+/**
+ * Reminder steps, shortest delay first
+ * @returns {Array<{ step: number, delay: string, ms: number }>}
+ */
+const getSteps = () => (process.env.CART_RECOVERY_STEPS || '1h,24h,72h')
+  .split(',')
+  .map((delay) => delay.trim())
+  .filter(Boolean)
+  .map((delay) => ({ delay, ms: parseDuration(delay) }))
+  .sort((a, b) => a.ms - b.ms)
+  .map((step, index) => ({ step: index + 1, ...step }));
+
+/**
+ * Create a single-use coupon for the shopper of a campaign
+ * @param {Object} recovery - CartRecovery document
+ * @returns {Promise<Coupon>}
+ */
+const issueCoupon = (recovery) => {
+  const validDays = parseInt(process.env.CART_RECOVERY_COUPON_DAYS) || 7;
+
+  return Coupon.create({
+    code: `COMEBACK${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+    description: 'Abandoned cart reminder offer',
+    discountType: 'percentage',
+    discountValue: parseFloat(process.env.CART_RECOVERY_COUPON_PERCENT) || 10,
+    maxDiscount: parseFloat(process.env.CART_RECOVERY_COUPON_MAX_DISCOUNT) || undefined,
+    validUntil: new Date(Date.now() + validDays * UNITS.d),
+    usageLimit: 1,
+    perUserLimit: 1,
+    assignedTo: recovery.user
+  });
+};
+
+/**
+ * Send the reminder for one step of a cart's campaign. The campaign and
+ * the step are claimed in the database before anything is issued or
+ * sent, so concurrent workers never double up a reminder or a coupon.
+ * @param {Object} cart - Cart document with items.product populated (name)
+ * @param {Object} due - Step to send, from getSteps
+ * @param {Date} now
+ * @returns {Promise<boolean>} True if a reminder was sent
+ */
+const remind = async (cart, due, now) => {
+  let recovery = await CartRecovery.findOne({ cart: cart._id, abandonedAt: cart.updatedAt });
+  const lastStep = recovery ? Math.max(0, ...recovery.steps.map((s) => s.step)) : 0;
+  if (due.step <= lastStep) return false;
+
+  const user = await User.findById(cart.user);
+  if (!user || !user.isActive || !user.wantsNotification('reminders')) return false;
+
+  const lines = cart.items.filter((item) => item.product);
+  if (lines.length === 0) return false;
+
+  // Claims the campaign; a duplicate key error means another worker has it
+  if (!recovery) {
+    recovery = await CartRecovery.create({
+      cart: cart._id,
+      user: cart.user,
+      abandonedAt: cart.updatedAt,
+      items: lines.map((item) => ({
+        product: item.product._id,
+        variant: {
+          size: item.variant.size,
+          color: item.variant.color,
+          sku: item.variant.sku
+        },
+        quantity: item.quantity,
+        price: item.price
+      })),
+      cartValue: cart.subtotal
+    });
+  }
+
+  // Claim the step: only if no worker has recorded it (or a later one) yet
+  recovery = await CartRecovery.findOneAndUpdate(
+    { _id: recovery._id, 'steps.step': { $not: { $gte: due.step } } },
+    { $push: { steps: { step: due.step, delay: due.delay, sentAt: now } } },
+    { new: true }
+  );
+  if (!recovery) return false;
+
+  const step = recovery.steps.find((s) => s.step === due.step);
+
+  try {
+    // The coupon is issued once, at its step, and repeated in later reminders
+    let coupon = null;
+    const couponStep = parseInt(process.env.CART_RECOVERY_COUPON_STEP) || 0;
+    if (recovery.couponCode) {
+      coupon = await Coupon.findByCode(recovery.couponCode);
+      // Issued by an earlier attempt at this step that was given back
+      if (!recovery.steps.some((s) => s.couponCode === recovery.couponCode)) {
+        step.couponCode = recovery.couponCode;
+      }
+    } else if (couponStep > 0 && due.step >= couponStep) {
+      coupon = await issueCoupon(recovery);
+      recovery.couponCode = coupon.code;
+      step.couponCode = coupon.code;
+      await recovery.save();
+    }
+
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+    const token = generateCartRestoreToken({
+      cartId: cart._id,
+      recoveryId: recovery._id,
+      step: due.step
+    });
+
+    const notification = await notify('cart_reminder', {
+      user,
+      data: {
+        step: due.step,
+        items: lines.map((item) => ({
+          name: item.product.name,
+          variant: [item.variant.size, item.variant.color].filter(Boolean).join(' / '),
+          quantity: item.quantity,
+          total: item.price * item.quantity
+        })),
+        subtotal: cart.subtotal,
+        restoreUrl: `${clientUrl}/cart/restore?token=${token}`,
+        coupon: coupon && coupon.isActive
+          ? { code: coupon.code, label: coupon.label, validUntil: coupon.validUntil }
+          : null
+      },
+      dedupeKey: `cart_reminder:${recovery._id}:${due.step}`
+    });
+
+    step.notification = notification ? notification._id : undefined;
+    recovery.lastSentAt = now;
+    await recovery.save();
+  } catch (error) {
+    // Give the step back so the next run tries again (a coupon already
+    // issued stays on the campaign and is reused)
+    await CartRecovery.updateOne({ _id: recovery._id }, { $pull: { steps: { step: due.step } } });
+    throw error;
+  }
+
+  return true;
+};
+
+/**
+ * Find abandoned carts and queue the reminders that are due. Only carts
+ * of registered shoppers changed within CART_RECOVERY_MAX_AGE (default
+ * 7d) are considered.
+ * @param {Object} [options] - { now }
+ * @returns {Promise<Object>} { checked, sent }
+ */
+const runCartRecovery = async ({ now = new Date() } = {}) => {
+  const steps = getSteps();
+  const result = { checked: 0, sent: 0 };
+  if (steps.length === 0) return result;
+
+  const maxAge = parseDuration(process.env.CART_RECOVERY_MAX_AGE || '7d');
+  const cursor = Cart.find({
+    user: { $exists: true },
+    'items.0': { $exists: true },
+    updatedAt: {
+      $lte: new Date(now.getTime() - steps[0].ms),
+      $gte: new Date(now.getTime() - maxAge)
+    }
+  })
+    .populate('items.product', 'name')
+    .cursor();
+
+  for await (const cart of cursor) {
+    result.checked++;
+
+    const age = now.getTime() - cart.updatedAt.getTime();
+    const due = steps.filter((step) => age >= step.ms).pop();
+
+    try {
+      if (await remind(cart, due, now)) {
+        result.sent++;
+      }
+    } catch (error) {
+      // Another worker started the same campaign
+      if (error.code !== 11000) {
+        console.error('Cart recovery error:', error.message);
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Record a click on a reminder link
+ * @param {Object} recovery - CartRecovery document
+ * @param {number} step - Step of the reminder that was clicked
+ * @returns {Promise<Object>} Saved CartRecovery
+ */
+const recordRestore = (recovery, step) => {
+  recovery.restoreCount += 1;
+  recovery.restoredAt = recovery.restoredAt || new Date();
+  recovery.restoredStep = step;
+  return recovery.save();
+};
+
+/**
+ * Attribute an order to the latest campaign for the cart it came from,
+ * if a reminder went out within CART_RECOVERY_ATTRIBUTION_WINDOW
+ * (default 7d). The step is the one whose coupon was used, else the
+ * last link clicked, else the last reminder sent.
+ * @param {Object} order - Order document
+ * @param {string} cartId - Cart the order was placed from
+ * @returns {Promise<Object|null>} Converted CartRecovery, if any
+ */
+const recordConversion = async (order, cartId) => {
+  const attributionWindow = parseDuration(process.env.CART_RECOVERY_ATTRIBUTION_WINDOW || '7d');
+  const placedAt = order.createdAt || new Date();
+
+  const recovery = await CartRecovery.findOne({
+    cart: cartId,
+    status: 'active',
+    lastSentAt: { $gte: new Date(placedAt.getTime() - attributionWindow), $lte: placedAt }
+  }).sort({ lastSentAt: -1 });
+
+  if (!recovery) return null;
+
+  const couponStep = recovery.couponCode && order.pricing.couponCode === recovery.couponCode
+    ? recovery.steps.find((s) => s.couponCode === recovery.couponCode)
+    : null;
+
+  recovery.status = 'converted';
+  recovery.order = order._id;
+  recovery.convertedAt = placedAt;
+  recovery.convertedStep = couponStep
+    ? couponStep.step
+    : recovery.restoredStep || recovery.steps[recovery.steps.length - 1].step;
+  recovery.revenue = order.pricing.total;
+
+  return recovery.save();
+};
+
+/**
+ * Start running the job (CART_RECOVERY_POLL_MS, default 15 minutes)
+ * @returns {void}
+ */
+const startCartRecoveryWorker = () => {
+  if (workerTimer) return;
+
+  const interval = parseInt(process.env.CART_RECOVERY_POLL_MS) || 15 * 60 * 1000;
+  let running = false;
+
+  workerTimer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runCartRecovery();
+    } catch (error) {
+      console.error('Cart recovery worker error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, interval);
+
+  // Do not keep the process alive just for the worker
+  workerTimer.unref();
+};
+
+/**
+ * Stop running the job
+ * @returns {void}
+ */
+const stopCartRecoveryWorker = () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
+
+module.exports = {
+  runCartRecovery,
+  recordRestore,
+  recordConversion,
+  startCartRecoveryWorker,
+  stopCartRecoveryWorker
+};
@@ -0,0 +1,315 @@
+/**
+ * Issues GST tax invoices for orders and credit notes for their refunds.
+ *
+ * Each document is rendered once, when issued, and stored with its
+ * number; later downloads return the stored bytes.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Invoice = require('../../models/Invoice.model');
+const ReturnRequest = require('../../models/ReturnRequest.model');
+const { getTaxCalculator } = require('../tax');
+const { BadRequestError } = require('../../utils/errors');
+const { renderInvoicePdf } = require('./pdf.renderer');
+
+/**
+ * Whether the order has been supplied. The invoice is issued once every
+ * remaining line has shipped, so no invoiced line can still be cancelled.
+ * @param {Object} order - Order document
+ * @returns {boolean}
+ */
+const isInvoiceable = (order) => order.status !== 'cancelled' && Boolean(order.shipping && order.shipping.shippedAt);
+
+/**
+ * Round to paise
+ * @param {number} amount
+ * @returns {number}
+ */
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Seller details printed on every document
+ * @returns {Object}
+ */
+const getSeller = () => ({
+  name: process.env.SELLER_NAME || 'Designer Cloth',
+  gstin: process.env.SELLER_GSTIN,
+  street: process.env.SELLER_ADDRESS,
+  city: process.env.SELLER_CITY,
+  state: process.env.SELLER_STATE || 'Maharashtra',
+  zipCode: process.env.SELLER_ZIP_CODE
+});
+
+/**
+ * Party block from an order address
+ * @param {Object} address - Order address subdocument
+ * @returns {Object}
+ */
+const toParty = (address) => ({
+  name: address.name,
+  phone: address.phone,
+  street: address.street,
+  city: address.city,
+  state: address.state,
+  zipCode: address.zipCode,
+  country: address.country
+});
+
+/**
+ * Sum line amounts and charges into document totals
+ * @param {Object[]} lines - Invoice lines
+ * @param {Object} charges - { shipping, codCharge }
+ * @returns {Object}
+ */
+const sumTotals = (lines, charges) => {
+  const sum = (field) => round(lines.reduce((total, line) => total + line[field], 0));
+  const totals = {
+    taxableValue: sum('taxableValue'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst')
+  };
+  totals.tax = round(totals.cgst + totals.sgst + totals.igst);
+  totals.total = round(totals.taxableValue + totals.tax + charges.shipping + charges.codCharge);
+  return totals;
+};
+
+/**
+ * Invoice lines for the order lines that were not cancelled. Orders
+ * placed before per-line GST was recorded are taxed afresh.
+ * @param {Object} order - Order document
+ * @returns {Object[]}
+ */
+const buildInvoiceLines = (order) => {
+  const items = order.items.filter((item) => item.status !== 'cancelled');
+  const hasLineTax = items.every((item) => item.tax && item.tax.taxableValue !== undefined);
+
+  const taxes = hasLineTax
+    ? items.map((item) => item.tax)
+    : getTaxCalculator().calculate({
+      lines: items.map((item) => ({
+        key: item._id.toString(),
+        unitPrice: item.price,
+        quantity: item.quantity,
+        discountable: true
+      })),
+      discount: order.pricing.discount || 0,
+      shipToState: order.shippingAddress.state
+    }).lines;
+
+  return items.map((item, index) => {
+    const tax = taxes[index];
+    return {
+      orderItem: item._id,
+      name: item.name,
+      variant: { size: item.variant.size, color: item.variant.color },
+      hsnCode: tax.hsnCode,
+      quantity: item.quantity,
+      unitPrice: item.price,
+      discount: tax.discount,
+      taxableValue: tax.taxableValue,
+      rate: tax.rate,
+      cgst: tax.cgst,
+      sgst: tax.sgst,
+      igst: tax.igst,
+      total: round(tax.taxableValue + tax.cgst + tax.sgst + tax.igst)
+    };
+  });
+};
+
+/**
+ * Number, render and store a new document in one transaction, so a
+ * failed render or insert hands its number back to the series. Loses
+ * gracefully to a concurrent request issuing the same document.
+ * @param {Object} invoice - Unsaved Invoice document
+ * @param {Object} order - Order document
+ * @param {Object} duplicateFilter - Finds the document a concurrent request issued
+ * @returns {Promise<Object>} Saved Invoice document
+ */
+const storeDocument = async (invoice, order, duplicateFilter) => {
+  let originalInvoiceNumber;
+  if (invoice.originalInvoice) {
+    const original = await Invoice.findById(invoice.originalInvoice).select('invoiceNumber');
+    originalInvoiceNumber = original && original.invoiceNumber;
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      // A retried attempt draws its number afresh
+      invoice.invoiceNumber = undefined;
+      invoice.$session(session);
+
+      // Assigns the document number
+      await invoice.validate();
+
+      invoice.pdf = await renderInvoicePdf(invoice, {
+        orderNumber: order.orderNumber,
+        orderDate: order.createdAt,
+        originalInvoiceNumber
+      });
+      invoice.checksum = crypto.createHash('sha256').update(invoice.pdf).digest('hex');
+
+      await invoice.save({ session });
+    });
+    return invoice;
+  } catch (error) {
+    if (error.code === 11000) {
+      const existing = await Invoice.findOne(duplicateFilter).select('+pdf');
+      if (existing) return existing;
+    }
+    throw error;
+  } finally {
+    invoice.$session(null);
+    await session.endSession();
+  }
+};
+
+/**
+ * Get the order's tax invoice, issuing it on first request
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} Invoice document, with its PDF
+ */
+const getOrIssueInvoice = async (order) => {
+  const filter = { order: order._id, type: 'invoice' };
+
+  const existing = await Invoice.findOne(filter).select('+pdf');
+  if (existing) return existing;
+
+  if (!isInvoiceable(order)) {
+    throw new BadRequestError(order.status === 'cancelled'
+      ? 'No invoice is issued for cancelled orders'
+      : 'The invoice is issued once the order has shipped');
+  }
+
+  const lines = buildInvoiceLines(order);
+  const charges = {
+    shipping: order.pricing.shipping || 0,
+    codCharge: order.pricing.codCharge || 0
+  };
+  const { taxDetails } = order.pricing;
+
+  const invoice = new Invoice({
+    type: 'invoice',
+    order: order._id,
+    user: order.user._id || order.user,
+    seller: { ...getSeller(), state: (taxDetails && taxDetails.sellerState) || getSeller().state },
+    buyer: toParty(order.billingAddress || order.shippingAddress),
+    shipTo: toParty(order.shippingAddress),
+    placeOfSupply: (taxDetails && taxDetails.placeOfSupply) || order.shippingAddress.state,
+    interState: lines.some((line) => line.igst > 0),
+    lines,
+    charges,
+    totals: sumTotals(lines, charges)
+  });
+
+  return storeDocument(invoice, order, filter);
+};
+
+/**
+ * Credit note lines for a refund: the returned lines when the refund
+ * came from a return, otherwise the invoice scaled to the refund amount
+ * @param {Object} invoice - Original invoice
+ * @param {Object} refund - order.payment.refunds entry
+ * @param {Object} [returnRequest] - Return that issued the refund
+ * @returns {Object} { lines, charges }
+ */
+const buildCreditLines = (invoice, refund, returnRequest) => {
+  const scale = (line, ratio, quantity) => ({
+    orderItem: line.orderItem,
+    name: line.name,
+    variant: line.variant,
+    hsnCode: line.hsnCode,
+    quantity,
+    unitPrice: line.unitPrice,
+    discount: round(line.discount * ratio),
+    taxableValue: round(line.taxableValue * ratio),
+    rate: line.rate,
+    cgst: round(line.cgst * ratio),
+    sgst: round(line.sgst * ratio),
+    igst: round(line.igst * ratio),
+    total: round(line.total * ratio)
+  });
+
+  if (returnRequest) {
+    const lines = returnRequest.refundItems
+      .map((item) => {
+        const line = invoice.lines.find((l) => l.orderItem && l.orderItem.equals(item.orderItem));
+        return line ? scale(line, item.quantity / line.quantity, item.quantity) : null;
+      })
+      .filter(Boolean);
+
+    // Shipping is not refunded on returns
+    return { lines, charges: { shipping: 0, codCharge: 0 } };
+  }
+
+  const ratio = invoice.totals.total > 0 ? Math.min(refund.amount / invoice.totals.total, 1) : 0;
+  return {
+    lines: invoice.lines.map((line) => scale(line, ratio, line.quantity)),
+    charges: {
+      shipping: round(invoice.charges.shipping * ratio),
+      codCharge: round(invoice.charges.codCharge * ratio)
+    }
+  };
+};
+
+/**
+ * Issue a credit note for every processed refund on the order that does
+ * not have one yet. Orders that were never invoiced, such as those
+ * cancelled before they shipped, need none.
+ * @param {Object} order - Order document
+ * @returns {Promise<Object[]>} Newly issued credit notes
+ */
+const issueCreditNotes = async (order) => {
+  const refunds = order.payment.refunds.filter((refund) => refund.status === 'processed');
+  if (refunds.length === 0) return [];
+
+  let invoice = await Invoice.findOne({ order: order._id, type: 'invoice' });
+  if (!invoice) {
+    if (!isInvoiceable(order)) return [];
+    invoice = await getOrIssueInvoice(order);
+  }
+
+  const credited = await Invoice.find({ order: order._id, type: 'credit_note' }).distinct('refund.entry');
+  const issued = [];
+
+  for (const refund of refunds) {
+    if (credited.some((entry) => entry.equals(refund._id))) continue;
+
+    const returnRequest = refund.refundId
+      ? await ReturnRequest.findOne({ order: order._id, 'refund.refundId': refund.refundId })
+      : null;
+    const { lines, charges } = buildCreditLines(invoice, refund, returnRequest);
+
+    const creditNote = new Invoice({
+      type: 'credit_note',
+      order: order._id,
+      user: invoice.user,
+      originalInvoice: invoice._id,
+      refund: {
+        entry: refund._id,
+        refundId: refund.refundId,
+        returnRequest: returnRequest ? returnRequest._id : undefined
+      },
+      seller: invoice.seller,
+      buyer: invoice.buyer,
+      shipTo: invoice.shipTo,
+      placeOfSupply: invoice.placeOfSupply,
+      interState: invoice.interState,
+      lines,
+      charges,
+      totals: sumTotals(lines, charges)
+    });
+
+    issued.push(await storeDocument(creditNote, order, { type: 'credit_note', 'refund.entry': refund._id }));
+  }
+
+  return issued;
+};
+
+module.exports = {
+  getOrIssueInvoice,
+  issueCreditNotes
+};
@@ -0,0 +1,260 @@
+/**
+ * Renders tax invoices and credit notes to PDF.
+ *
+ * Uses the built-in PDF fonts only, so rendering needs no network or
+ * font files, and pins the document date to the issue date so the
+ * same invoice always renders to the same bytes.
+ */
+
+const PDFDocument = require('pdfkit');
+const { amountInWords } = require('./words');
+
+const PAGE_MARGIN = 40;
+const FONT = 'Helvetica';
+const FONT_BOLD = 'Helvetica-Bold';
+
+const TITLES = {
+  invoice: 'TAX INVOICE',
+  credit_note: 'CREDIT NOTE'
+};
+
+/**
+ * Format money with Indian digit grouping. The standard PDF fonts have
+ * no rupee sign, so amounts are labelled "Rs." where needed.
+ * @param {number} amount
+ * @returns {string}
+ */
+const money = (amount) => (amount || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+/**
+ * Format a date as DD/MM/YYYY in the store's time zone
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatDate = (date) => new Intl.DateTimeFormat('en-GB', {
+  timeZone: process.env.STORE_TIMEZONE || 'Asia/Kolkata'
+}).format(date);
+
+/**
+ * Address lines for a party block
+ * @param {Object} party - { name, gstin, phone, street, city, state, zipCode }
+ * @returns {string[]}
+ */
+const partyLines = (party = {}) => [
+  party.name,
+  party.street,
+  [party.city, party.state, party.zipCode].filter(Boolean).join(', '),
+  party.phone ? `Phone: ${party.phone}` : null,
+  party.gstin ? `GSTIN: ${party.gstin}` : null
+].filter(Boolean);
+
+/**
+ * Line table columns; intra-state supplies show CGST and SGST,
+ * inter-state supplies show IGST
+ * @param {boolean} interState
+ * @param {number} width - Usable page width
+ * @returns {Object[]} [{ key, label, width, align }]
+ */
+const getColumns = (interState, width) => {
+  const taxColumns = interState
+    ? [{ key: 'igst', label: 'IGST', width: 52 }]
+    : [{ key: 'cgst', label: 'CGST', width: 48 }, { key: 'sgst', label: 'SGST', width: 48 }];
+
+  const fixed = [
+    { key: 'index', label: '#', width: 16 },
+    { key: 'hsnCode', label: 'HSN', width: 40, align: 'left' },
+    { key: 'quantity', label: 'Qty', width: 24 },
+    { key: 'unitPrice', label: 'Rate', width: 50 },
+    { key: 'discount', label: 'Discount', width: 44 },
+    { key: 'taxableValue', label: 'Taxable', width: 56 },
+    { key: 'rate', label: 'GST %', width: 30 },
+    ...taxColumns,
+    { key: 'total', label: 'Total', width: 56 }
+  ];
+
+  const used = fixed.reduce((sum, column) => sum + column.width, 0);
+  const item = { key: 'name', label: 'Item', width: width - used, align: 'left' };
+
+  return [fixed[0], item, ...fixed.slice(1)];
+};
+
+/**
+ * Text for a table cell
+ * @param {Object} line - Invoice line
+ * @param {string} key - Column key
+ * @param {number} index - Line index
+ * @returns {string}
+ */
+const cellText = (line, key, index) => {
+  switch (key) {
+    case 'index':
+      return String(index + 1);
+    case 'name': {
+      const variant = [line.variant && line.variant.size, line.variant && line.variant.color]
+        .filter(Boolean)
+        .join(' / ');
+      return variant ? `${line.name} (${variant})` : line.name;
+    }
+    case 'hsnCode':
+      return line.hsnCode || '-';
+    case 'quantity':
+      return String(line.quantity);
+    case 'rate':
+      return `${line.rate}%`;
+    default:
+      return money(line[key]);
+  }
+};
+
+/**
+ * Draw one table row and return the y position below it
+ * @param {PDFDocument} doc
+ * @param {Object[]} columns
+ * @param {string[]} cells - Text per column
+ * @param {number} y
+ * @param {Object} [options] - { bold }
+ * @returns {number}
+ */
+const drawRow = (doc, columns, cells, y, { bold = false } = {}) => {
+  doc.font(bold ? FONT_BOLD : FONT).fontSize(8);
+
+  const height = Math.max(
+    ...columns.map((column, i) => doc.heightOfString(cells[i], { width: column.width - 4 }))
+  );
+
+  let x = PAGE_MARGIN;
+  columns.forEach((column, i) => {
+    doc.text(cells[i], x + 2, y, { width: column.width - 4, align: column.align || 'right' });
+    x += column.width;
+  });
+
+  return y + height + 6;
+};
+
+/**
+ * Render an invoice or credit note
+ * @param {Object} invoice - Invoice document
+ * @param {Object} context - { orderNumber, orderDate, originalInvoiceNumber }
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const renderInvoicePdf = (invoice, { orderNumber, orderDate, originalInvoiceNumber } = {}) => {
+  return new Promise((resolve, reject) => {
+    const title = TITLES[invoice.type];
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: {
+        Title: `${title} ${invoice.invoiceNumber}`,
+        Author: invoice.seller.name,
+        CreationDate: invoice.issuedAt
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const width = doc.page.width - PAGE_MARGIN * 2;
+    const half = width / 2;
+
+    // Heading
+    doc.font(FONT_BOLD).fontSize(16).text(title, PAGE_MARGIN, PAGE_MARGIN, { width, align: 'center' });
+    doc.moveDown(0.8);
+
+    // Seller and document details
+    const top = doc.y;
+    doc.font(FONT_BOLD).fontSize(10).text(invoice.seller.name, PAGE_MARGIN, top, { width: half });
+    doc.font(FONT).fontSize(9).text(partyLines({ ...invoice.seller, name: null }).join('\n'), { width: half });
+    const sellerBottom = doc.y;
+
+    const details = [
+      [`${invoice.type === 'credit_note' ? 'Credit Note' : 'Invoice'} No.`, invoice.invoiceNumber],
+      ['Date', formatDate(invoice.issuedAt)],
+      originalInvoiceNumber ? ['Against Invoice', originalInvoiceNumber] : null,
+      ['Order No.', orderNumber],
+      orderDate ? ['Order Date', formatDate(orderDate)] : null,
+      ['Place of Supply', invoice.placeOfSupply]
+    ].filter(Boolean);
+
+    doc.fontSize(9);
+    let detailY = top;
+    details.forEach(([label, value]) => {
+      doc.font(FONT_BOLD).text(`${label}:`, PAGE_MARGIN + half, detailY, { width: 90 });
+      doc.font(FONT).text(value || '-', PAGE_MARGIN + half + 90, detailY, { width: half - 90 });
+      detailY = doc.y + 2;
+    });
+
+    // Buyer and delivery address
+    let y = Math.max(sellerBottom, detailY) + 14;
+    doc.font(FONT_BOLD).fontSize(9)
+      .text('Bill To', PAGE_MARGIN, y, { width: half })
+      .text('Ship To', PAGE_MARGIN + half, y, { width: half });
+    y = doc.y + 2;
+    doc.font(FONT).text(partyLines(invoice.buyer).join('\n'), PAGE_MARGIN, y, { width: half });
+    const buyerBottom = doc.y;
+    doc.text(partyLines(invoice.shipTo).join('\n'), PAGE_MARGIN + half, y, { width: half });
+    y = Math.max(buyerBottom, doc.y) + 14;
+
+    // Line table
+    const columns = getColumns(invoice.interState, width);
+    doc.moveTo(PAGE_MARGIN, y - 4).lineTo(PAGE_MARGIN + width, y - 4).stroke();
+    y = drawRow(doc, columns, columns.map((column) => column.label), y, { bold: true });
+    doc.moveTo(PAGE_MARGIN, y - 3).lineTo(PAGE_MARGIN + width, y - 3).stroke();
+
+    invoice.lines.forEach((line, index) => {
+      if (y > doc.page.height - PAGE_MARGIN * 4) {
+        doc.addPage();
+        y = PAGE_MARGIN;
+      }
+      y = drawRow(doc, columns, columns.map((column) => cellText(line, column.key, index)), y);
+    });
+
+    doc.moveTo(PAGE_MARGIN, y - 3).lineTo(PAGE_MARGIN + width, y - 3).stroke();
+
+    // Totals
+    const { totals, charges } = invoice;
+    const summary = [
+      ['Taxable Value', totals.taxableValue],
+      ...(invoice.interState
+        ? [['IGST', totals.igst]]
+        : [['CGST', totals.cgst], ['SGST', totals.sgst]]),
+      charges.shipping ? ['Shipping Charges', charges.shipping] : null,
+      charges.codCharge ? ['COD Charges', charges.codCharge] : null
+    ].filter(Boolean);
+
+    y += 4;
+    doc.fontSize(9);
+    summary.forEach(([label, amount]) => {
+      doc.font(FONT).text(label, PAGE_MARGIN + half, y, { width: half - 80 });
+      doc.text(money(amount), PAGE_MARGIN + width - 80, y, { width: 80, align: 'right' });
+      y = doc.y + 2;
+    });
+
+    doc.font(FONT_BOLD).fontSize(10);
+    doc.text(invoice.type === 'credit_note' ? 'Total Credit (Rs.)' : 'Total (Rs.)', PAGE_MARGIN + half, y + 4, {
+      width: half - 80
+    });
+    doc.text(money(totals.total), PAGE_MARGIN + width - 80, y + 4, { width: 80, align: 'right' });
+    y = doc.y + 12;
+
+    doc.font(FONT_BOLD).fontSize(9).text('Amount in words:', PAGE_MARGIN, y, { width });
+    doc.font(FONT).text(amountInWords(totals.total), { width });
+
+    // Footer
+    doc.moveDown(2);
+    doc.fontSize(8).text(
+      'This is a computer-generated document and does not require a signature.',
+      { width, align: 'center' }
+    );
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  renderInvoicePdf
+};
@@ -0,0 +1,77 @@
+/**
+ * Spell out rupee amounts the Indian way (thousand, lakh, crore),
+ * as printed on tax invoices.
+ */
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine',
+  'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen',
+  'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// Largest unit first; each takes the digits left over by the one before
+const UNITS = [
+  { value: 10000000, name: 'Crore' },
+  { value: 100000, name: 'Lakh' },
+  { value: 1000, name: 'Thousand' },
+  { value: 100, name: 'Hundred' }
+];
+
+/**
+ * Words for 0-99
+ * @param {number} n
+ * @returns {string}
+ */
+const twoDigits = (n) => {
+  if (n < 20) return ONES[n];
+  return [TENS[Math.floor(n / 10)], ONES[n % 10]].filter(Boolean).join(' ');
+};
+
+/**
+ * Words for a whole number, e.g. 125000 -> "One Lakh Twenty Five Thousand"
+ * @param {number} n - Non-negative integer
+ * @returns {string}
+ */
+const numberToWords = (n) => {
+  if (n === 0) return 'Zero';
+
+  const parts = [];
+  let rest = n;
+
+  for (const unit of UNITS) {
+    const count = Math.floor(rest / unit.value);
+    if (count > 0) {
+      // Crores can run past 99 ("One Hundred Crore")
+      parts.push(`${count >= 100 ? numberToWords(count) : twoDigits(count)} ${unit.name}`);
+      rest %= unit.value;
+    }
+  }
+
+  if (rest > 0) {
+    parts.push(twoDigits(rest));
+  }
+
+  return parts.join(' ');
+};
+
+/**
+ * Rupee amount in words, e.g. 1680.5 -> "Rupees One Thousand Six Hundred Eighty and Fifty Paise Only"
+ * @param {number} amount
+ * @returns {string}
+ */
+const amountInWords = (amount) => {
+  const paiseTotal = Math.round(Math.abs(amount) * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+
+  const words = `Rupees ${numberToWords(rupees)}`;
+  return paise > 0
+    ? `${words} and ${twoDigits(paise)} Paise Only`
+    : `${words} Only`;
+};
+
+module.exports = {
+  amountInWords,
+  numberToWords
+};
@@ -0,0 +1,217 @@
+/**
+ * Notification service: renders templated emails, queues them and
+ * delivers the queue with retry.
+ *
+ * Messages are stored in the notifications collection and sent by a
+ * polling worker, so a mail server outage delays email rather than
+ * failing checkout. In development, point SMTP_HOST/SMTP_PORT at a local
+ * sink (Mailpit, MailHog or scripts/smtpSink.js).
+ */
+
+const Notification = require('../../models/Notification.model');
+const User = require('../../models/User.model');
+const { sendEmail } = require('../../utils/email');
+const { render } = require('./templates');
+
+let workerTimer = null;
+
+/**
+ * Delay before the next attempt: 1, 5, 25 ... minutes by default
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+const getRetryDelay = (attempts) => {
+  const base = parseInt(process.env.NOTIFICATION_RETRY_BASE_MS) || 60 * 1000;
+  return base * Math.pow(5, attempts - 1);
+};
+
+/**
+ * Queue a templated email for a user, honouring their preferences
+ * @param {string} template - Template name
+ * @param {Object} options - { user, order, data, dedupeKey }
+ * @returns {Promise<Object|null>} Queued notification, or null if skipped
+ */
+const notify = async (template, { user, order, data = {}, dedupeKey }) => {
+  const recipient = await User.findById(user && user._id ? user._id : user);
+  if (!recipient || !recipient.isActive) return null;
+
+  const message = render(template, { name: recipient.name, ...data });
+  if (!recipient.wantsNotification(message.category)) return null;
+
+  try {
+    return await Notification.create({
+      user: recipient._id,
+      to: recipient.email,
+      category: message.category,
+      template,
+      order: order ? order._id : undefined,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      dedupeKey,
+      maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5
+    });
+  } catch (error) {
+    // Already queued for this event
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Template data describing an order
+ * @param {Object} order - Order document
+ * @param {Object} [extra] - Event-specific data
+ * @returns {Object}
+ */
+const buildOrderData = (order, extra = {}) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+
+  return {
+    orderNumber: order.orderNumber,
+    orderUrl: `${clientUrl}/orders/${order._id}`,
+    items: order.items
+      .filter((item) => item.status !== 'cancelled')
+      .map((item) => ({
+        name: item.name,
+        variant: [item.variant.size, item.variant.color].filter(Boolean).join(' / '),
+        quantity: item.quantity,
+        total: item.total
+      })),
+    total: order.pricing.total,
+    paymentMethod: order.payment.method,
+    paid: ['completed', 'refunded'].includes(order.payment.status),
+    shipping: order.shipping,
+    estimatedDelivery: order.shipping && order.shipping.estimatedDelivery,
+    returnWindowDays: parseInt(process.env.RETURN_WINDOW_DAYS) || 7,
+    ...extra
+  };
+};
+
+/**
+ * Queue an order lifecycle email
+ * @param {Object} order - Order document
+ * @param {string} template - e.g. order_placed, order_shipped, payment_failed
+ * @param {Object} [extra] - Event-specific data (reason, amount, items)
+ * @param {Object} [options] - { once } queue at most once per order
+ * @returns {Promise<Object|null>}
+ */
+const notifyOrderEvent = (order, template, extra = {}, { once = false } = {}) => {
+  return notify(template, {
+    user: order.user,
+    order,
+    data: buildOrderData(order, extra),
+    dedupeKey: once ? `${template}:${order._id}` : undefined
+  });
+};
+
+/**
+ * Send one claimed notification and record the outcome
+ * @param {Object} notification - Notification document (status sending)
+ * @returns {Promise<boolean>} True if sent
+ */
+const deliver = async (notification) => {
+  try {
+    await sendEmail({
+      to: notification.to,
+      subject: notification.subject,
+      text: notification.text,
+      html: notification.html
+    });
+
+    notification.status = 'sent';
+    notification.sentAt = new Date();
+    notification.lastError = undefined;
+    await notification.save();
+    return true;
+  } catch (error) {
+    const exhausted = notification.attempts >= notification.maxAttempts;
+
+    notification.status = exhausted ? 'failed' : 'queued';
+    notification.lastError = error.message;
+    if (!exhausted) {
+      notification.nextAttemptAt = new Date(Date.now() + getRetryDelay(notification.attempts));
+    }
+    await notification.save();
+    return false;
+  }
+};
+
+/**
+ * Send due notifications. Each message is claimed atomically, so several
+ * workers can share the queue; claims older than the stale timeout
+ * (a worker that died mid-send) are picked up again.
+ * @param {Object} [options] - { limit }
+ * @returns {Promise<Object>} { sent, failed }
+ */
+const processQueue = async ({ limit = 20 } = {}) => {
+  const staleBefore = new Date(Date.now() - 10 * 60 * 1000);
+  const result = { sent: 0, failed: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const now = new Date();
+    const notification = await Notification.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedAt: { $lte: staleBefore } }
+        ]
+      },
+      { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+
+    if (!notification) break;
+
+    if (await deliver(notification)) {
+      result.sent++;
+    } else {
+      result.failed++;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Start polling the queue (NOTIFICATION_POLL_MS, default 10s)
+ * @returns {void}
+ */
+const startNotificationWorker = () => {
+  if (workerTimer) return;
+
+  const interval = parseInt(process.env.NOTIFICATION_POLL_MS) || 10 * 1000;
+  let running = false;
+
+  workerTimer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processQueue();
+    } catch (error) {
+      console.error('Notification worker error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, interval);
+
+  // Do not keep the process alive just for the worker
+  workerTimer.unref();
+};
+
+/**
+ * Stop polling the queue
+ * @returns {void}
+ */
+const stopNotificationWorker = () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
+
+module.exports = {
+  notify,
+  notifyOrderEvent,
+  processQueue,
+  startNotificationWorker,
+  stopNotificationWorker
+};
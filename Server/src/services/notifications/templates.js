@@ -0,0 +1,221 @@
+/**
+ * Email templates for order lifecycle, account and cart reminder
+ * notifications.
+ *
+ * Each template picks a preference category, a subject and the body
+ * paragraphs; render() lays them out as matching text and HTML parts.
+ * The action link is the order page unless the template names another.
+ */
+
+const { escapeHtml } = require('../../utils/email');
+
+const STORE_NAME = 'Designer Cloth';
+
+/**
+ * Format a rupee amount
+ * @param {number} amount
+ * @returns {string}
+ */
+const money = (amount) => `₹${(amount || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+/**
+ * Format a date for the store's time zone, e.g. "21 Oct 2026"
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatDate = (date) => new Intl.DateTimeFormat('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+  timeZone: process.env.STORE_TIMEZONE || 'Asia/Kolkata'
+}).format(new Date(date));
+
+/**
+ * Tracking sentence for shipped orders
+ * @param {Object} data
+ * @returns {string|null}
+ */
+const trackingLine = ({ shipping }) => {
+  if (!shipping || !shipping.trackingNumber) return null;
+  return `Tracking number: ${shipping.trackingNumber}${shipping.carrier ? ` (${shipping.carrier})` : ''}.`;
+};
+
+// Template name -> { category, subject, paragraphs, items, action, url }
+const TEMPLATES = {
+  order_placed: {
+    category: 'orders',
+    subject: (d) => `Order ${d.orderNumber} placed`,
+    paragraphs: (d) => [
+      `Thank you for your order! We have received order ${d.orderNumber} and will let you know when it ships.`,
+      `Order total: ${money(d.total)} (${d.paymentMethod === 'cod' ? 'cash on delivery' : 'paid online'}).`,
+      d.estimatedDelivery ? `Estimated delivery by ${formatDate(d.estimatedDelivery)}.` : null
+    ],
+    items: true,
+    action: 'View order'
+  },
+  order_shipped: {
+    category: 'shipping',
+    subject: (d) => `Order ${d.orderNumber} has shipped`,
+    paragraphs: (d) => [
+      `Good news! Your order ${d.orderNumber} is on its way.`,
+      trackingLine(d),
+      d.shipping && d.shipping.estimatedDelivery
+        ? `Expected by ${formatDate(d.shipping.estimatedDelivery)}.`
+        : null
+    ],
+    items: true,
+    action: 'Track order'
+  },
+  order_out_for_delivery: {
+    category: 'shipping',
+    subject: (d) => `Order ${d.orderNumber} is out for delivery`,
+    paragraphs: (d) => [
+      `Your order ${d.orderNumber} is out for delivery and should reach you today.`,
+      d.paymentMethod === 'cod' ? `Please keep ${money(d.total)} ready for cash on delivery.` : null
+    ],
+    action: 'Track order'
+  },
+  order_delivered: {
+    category: 'shipping',
+    subject: (d) => `Order ${d.orderNumber} delivered`,
+    paragraphs: (d) => [
+      `Your order ${d.orderNumber} has been delivered. We hope you love it!`,
+      `Something not right? You can request a return from your order page within ${d.returnWindowDays} days.`
+    ],
+    action: 'View order'
+  },
+  order_cancelled: {
+    category: 'orders',
+    subject: (d) => `Order ${d.orderNumber} cancelled`,
+    paragraphs: (d) => [
+      `Your order ${d.orderNumber} has been cancelled${d.reason ? `: ${d.reason}` : '.'}`,
+      d.paid ? 'Any amount you paid will be refunded to your original payment method.' : null
+    ],
+    items: true,
+    action: 'View order'
+  },
+  order_items_cancelled: {
+    category: 'orders',
+    subject: (d) => `Items cancelled from order ${d.orderNumber}`,
+    paragraphs: (d) => [
+      `The items below were cancelled from order ${d.orderNumber}${d.reason ? `: ${d.reason}` : '.'}`,
+      `The rest of your order continues as planned. New order total: ${money(d.total)}.`
+    ],
+    items: true,
+    action: 'View order'
+  },
+  payment_received: {
+    category: 'payments',
+    subject: (d) => `Payment received for order ${d.orderNumber}`,
+    paragraphs: (d) => [
+      `We have received your payment of ${money(d.amount)} for order ${d.orderNumber}.`
+    ],
+    action: 'View order'
+  },
+  payment_failed: {
+    category: 'payments',
+    subject: (d) => `Payment failed for order ${d.orderNumber}`,
+    paragraphs: (d) => [
+      `Your payment for order ${d.orderNumber} did not go through${d.reason ? ` (${d.reason})` : ''}.`,
+      'You can retry the payment from your order page; your items stay reserved for now.'
+    ],
+    action: 'Retry payment'
+  },
+  payment_refunded: {
+    category: 'payments',
+    subject: (d) => `Refund processed for order ${d.orderNumber}`,
+    paragraphs: (d) => [
+      `We have refunded ${money(d.amount)} for order ${d.orderNumber}.`,
+      'Refunds usually reach your account within 5-7 working days.'
+    ],
+    action: 'View order'
+  },
+  verify_email: {
+    // No preference turns account emails off
+    category: 'account',
+    subject: () => 'Verify your email address',
+    paragraphs: () => [
+      'Please confirm your email address by opening the link below.',
+      'If you did not create an account, you can ignore this email.'
+    ],
+    action: 'Verify email',
+    url: (d) => d.verifyUrl
+  },
+  cart_reminder: {
+    category: 'reminders',
+    subject: (d) => (d.coupon
+      ? `${d.coupon.label} the items in your bag`
+      : d.step > 1 ? 'Your bag is still waiting' : 'You left something in your bag'),
+    paragraphs: (d) => [
+      d.step > 1
+        ? 'The pieces you picked are still in your bag, but stock is limited.'
+        : 'You left a few things in your bag. They are saved and ready when you are.',
+      `Bag total: ${money(d.subtotal)}.`,
+      d.coupon
+        ? `Use code ${d.coupon.code} for ${d.coupon.label} your order, valid until ${formatDate(d.coupon.validUntil)}. ` +
+          'It is yours alone and can be used once.'
+        : null
+    ],
+    items: true,
+    action: 'Return to your bag',
+    url: (d) => d.restoreUrl
+  }
+};
+
+/**
+ * Render a template
+ * @param {string} name - Template name
+ * @param {Object} data - Template data ({ name, orderNumber, orderUrl, items, ... })
+ * @returns {Object} { category, subject, text, html }
+ */
+const render = (name, data) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${name}`);
+  }
+
+  const paragraphs = template.paragraphs(data).filter(Boolean);
+  const items = template.items ? data.items || [] : [];
+  const itemLabel = (item) => `${item.name}${item.variant ? ` (${item.variant})` : ''} x ${item.quantity}`;
+  const url = template.url ? template.url(data) : data.orderUrl;
+
+  const text = [
+    `Hi ${data.name},`,
+    ...paragraphs,
+    items.length > 0 ? items.map((item) => `- ${itemLabel(item)}: ${money(item.total)}`).join('\n') : null,
+    url ? `${template.action}: ${url}` : null,
+    `- ${STORE_NAME}`
+  ].filter(Boolean).join('\n\n');
+
+  const itemRows = items.map((item) => (
+    `<tr><td style="padding:4px 8px">${escapeHtml(itemLabel(item))}</td>` +
+    `<td style="padding:4px 8px;text-align:right">${escapeHtml(money(item.total))}</td></tr>`
+  )).join('');
+
+  const html = [
+    '<div style="font-family:Arial,sans-serif;font-size:14px;color:#222;max-width:560px">',
+    `<p>Hi ${escapeHtml(data.name)},</p>`,
+    ...paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`),
+    itemRows ? `<table style="border-collapse:collapse;width:100%">${itemRows}</table>` : '',
+    url
+      ? `<p><a href="${escapeHtml(url)}" style="color:#8a2be2">${escapeHtml(template.action)}</a></p>`
+      : '',
+    `<p style="color:#777">${STORE_NAME}</p>`,
+    '</div>'
+  ].join('');
+
+  return {
+    category: template.category,
+    subject: template.subject(data),
+    text,
+    html
+  };
+};
+
+module.exports = {
+  TEMPLATES,
+  render
+};
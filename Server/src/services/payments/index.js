@@ -0,0 +1,82 @@
+/**
+ * Payment provider registry.
+ *
+ * Every provider implements:
+ *   createIntent({ orderId, orderNumber, amount, currency })
+ *   verifySignature(rawBody, headers)
+ *   parseEvent(body, headers)  -> { id, type, providerOrderId, paymentId, refundId, amount, reason } | null
+ *   capture({ paymentId, amount, currency })
+ *   refund({ paymentId, amount, notes, idempotencyKey })  -> same refund for a repeated key
+ *
+ * Normalized event types: payment.authorized, payment.captured,
+ * payment.failed, refund.processed.
+ */
+
+const razorpayProvider = require('./razorpay.provider');
+const mockProvider = require('./mock.provider');
+
+const providers = {
+  [razorpayProvider.name]: razorpayProvider
+};
+
+// The mock gateway marks orders paid on request; never expose it in production
+if (process.env.NODE_ENV !== 'production') {
+  providers[mockProvider.name] = mockProvider;
+}
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|null}
+ */
+const getProvider = (name) => {
+  // Own keys only; "constructor" or "toString" must not resolve
+  return Object.hasOwn(providers, name) ? providers[name] : null;
+};
+
+/**
+ * Get the provider used for new payments (PAYMENT_PROVIDER; defaults to
+ * razorpay in production and mock elsewhere)
+ * @returns {Object}
+ */
+const getDefaultProvider = () => {
+  const fallback = process.env.NODE_ENV === 'production' ? razorpayProvider.name : mockProvider.name;
+  const name = process.env.PAYMENT_PROVIDER || fallback;
+
+  const provider = getProvider(name);
+  if (!provider) {
+    throw new Error(`Payment provider "${name}" is not available`);
+  }
+  return provider;
+};
+
+/**
+ * Create a gateway payment intent for an order and store its reference
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} Intent details for the client
+ */
+const createPaymentIntent = async (order) => {
+  const provider = getDefaultProvider();
+
+  const intent = await provider.createIntent({
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    amount: order.pricing.total,
+    currency: 'INR'
+  });
+
+  order.payment.provider = provider.name;
+  order.payment.providerOrderId = intent.providerOrderId;
+  await order.save();
+
+  return {
+    provider: provider.name,
+    ...intent
+  };
+};
+
+module.exports = {
+  getProvider,
+  getDefaultProvider,
+  createPaymentIntent
+};
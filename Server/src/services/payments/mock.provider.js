@@ -0,0 +1,130 @@
+/**
+ * Offline mock payment provider for development and tests; not registered
+ * in production. Never touches the network; webhooks are signed with
+ * MOCK_PAYMENT_WEBHOOK_SECRET and rejected when it is not set.
+ */
+
+const crypto = require('crypto');
+const { safeEqual } = require('./utils');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+/**
+ * Webhook signing secret
+ * @returns {string|undefined}
+ */
+const getSecret = () => process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+
+/**
+ * Random provider-style identifier
+ * @param {string} prefix - ID prefix
+ * @returns {string}
+ */
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+// Refunds issued so far, by idempotency key
+const refunds = new Map();
+
+const mockProvider = {
+  name: 'mock',
+
+  /**
+   * Create a mock payment intent
+   * @param {Object} params - { orderId, orderNumber, amount, currency }
+   * @returns {Promise<Object>} { providerOrderId, amount, currency, clientPayload }
+   */
+  async createIntent({ amount, currency = 'INR' }) {
+    const providerOrderId = randomId('mock_order');
+
+    return {
+      providerOrderId,
+      amount,
+      currency,
+      clientPayload: { providerOrderId, amount, currency }
+    };
+  },
+
+  /**
+   * Verify the X-Mock-Signature header (HMAC-SHA256 of the raw body)
+   * @param {Buffer} rawBody - Raw request body
+   * @param {Object} headers - Request headers
+   * @returns {boolean}
+   */
+  verifySignature(rawBody, headers) {
+    const signature = headers[SIGNATURE_HEADER];
+    if (!signature || !rawBody || !getSecret()) return false;
+
+    const expected = crypto.createHmac('sha256', getSecret()).update(rawBody).digest('hex');
+
+    return safeEqual(signature, expected);
+  },
+
+  /**
+   * Normalize a webhook payload
+   * Mock payloads are already normalized: { id, type, data: { providerOrderId, paymentId, refundId, amount, reason } }
+   * @param {Object} body - Parsed webhook body
+   * @returns {Object|null} Normalized event
+   */
+  parseEvent(body) {
+    if (!body || !body.id || !body.type || !body.data) return null;
+
+    return {
+      id: body.id,
+      type: body.type,
+      providerOrderId: body.data.providerOrderId,
+      paymentId: body.data.paymentId,
+      refundId: body.data.refundId,
+      amount: body.data.amount,
+      reason: body.data.reason
+    };
+  },
+
+  /**
+   * Capture an authorized payment
+   * @param {Object} params - { paymentId }
+   * @returns {Promise<Object>} { paymentId, status }
+   */
+  async capture({ paymentId }) {
+    return { paymentId, status: 'captured' };
+  },
+
+  /**
+   * Refund a captured payment; a repeated idempotency key returns the first refund
+   * @param {Object} params - { paymentId, amount, idempotencyKey }
+   * @returns {Promise<Object>} { refundId, amount, status }
+   */
+  async refund({ amount, idempotencyKey }) {
+    if (idempotencyKey && refunds.has(idempotencyKey)) {
+      return refunds.get(idempotencyKey);
+    }
+
+    const refund = { refundId: randomId('mock_refund'), amount, status: 'processed' };
+    if (idempotencyKey) refunds.set(idempotencyKey, refund);
+    return refund;
+  },
+
+  /**
+   * Build a signed webhook request, for simulating the gateway locally
+   * @param {string} type - Normalized event type, e.g. "payment.captured"
+   * @param {Object} data - { providerOrderId, paymentId, amount, ... }
+   * @returns {{ body: string, headers: Object }}
+   */
+  buildWebhook(type, data) {
+    if (!getSecret()) {
+      throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET is not set');
+    }
+
+    const body = JSON.stringify({ id: randomId('evt'), type, data });
+    const signature = crypto.createHmac('sha256', getSecret()).update(body).digest('hex');
+
+    return {
+      body,
+      headers: {
+        'Content-Type': 'application/json',
+        [SIGNATURE_HEADER]: signature
+      }
+    };
+  }
+};
+
+module.exports = mockProvider;
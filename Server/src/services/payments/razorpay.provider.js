@@ -0,0 +1,154 @@
+/**
+ * Razorpay payment provider adapter.
+ * Talks to the Razorpay REST API; amounts are converted to paise.
+ */
+
+const crypto = require('crypto');
+const { safeEqual } = require('./utils');
+
+const API_BASE = 'https://api.razorpay.com/v1';
+
+/**
+ * Call the Razorpay API with basic auth
+ * @param {string} method - HTTP method
+ * @param {string} path - API path
+ * @param {Object} [body] - JSON body
+ * @param {Object} [extraHeaders] - Additional request headers
+ * @returns {Promise<Object>} Parsed response
+ */
+const request = async (method, path, body, extraHeaders = {}) => {
+  const credentials = Buffer.from(
+    `${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`
+  ).toString('base64');
+
+  const response = await fetch(`${API_BASE}${path}`, {
+    method,
+    headers: {
+      Authorization: `Basic ${credentials}`,
+      'Content-Type': 'application/json',
+      ...extraHeaders
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    const description = data.error ? data.error.description : response.statusText;
+    throw new Error(`Razorpay API error: ${description}`);
+  }
+  return data;
+};
+
+const toPaise = (amount) => Math.round(amount * 100);
+const toRupees = (paise) => paise / 100;
+
+// Razorpay webhook events we act on, mapped to normalized types
+const EVENT_TYPES = {
+  'payment.authorized': 'payment.authorized',
+  'payment.captured': 'payment.captured',
+  'payment.failed': 'payment.failed',
+  'refund.processed': 'refund.processed'
+};
+
+const razorpayProvider = {
+  name: 'razorpay',
+
+  /**
+   * Create a Razorpay order for the customer to pay against
+   * @param {Object} params - { orderId, orderNumber, amount, currency }
+   * @returns {Promise<Object>} { providerOrderId, amount, currency, clientPayload }
+   */
+  async createIntent({ orderId, orderNumber, amount, currency = 'INR' }) {
+    const rzpOrder = await request('POST', '/orders', {
+      amount: toPaise(amount),
+      currency,
+      receipt: orderNumber,
+      notes: { orderId: orderId.toString() }
+    });
+
+    return {
+      providerOrderId: rzpOrder.id,
+      amount,
+      currency,
+      clientPayload: {
+        key: process.env.RAZORPAY_KEY_ID,
+        order_id: rzpOrder.id,
+        amount: rzpOrder.amount,
+        currency
+      }
+    };
+  },
+
+  /**
+   * Verify the X-Razorpay-Signature header (HMAC-SHA256 of the raw body)
+   * @param {Buffer} rawBody - Raw request body
+   * @param {Object} headers - Request headers
+   * @returns {boolean}
+   */
+  verifySignature(rawBody, headers) {
+    const signature = headers['x-razorpay-signature'];
+    if (!signature || !rawBody || !process.env.RAZORPAY_WEBHOOK_SECRET) return false;
+
+    const expected = crypto
+      .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+      .update(rawBody)
+      .digest('hex');
+
+    return safeEqual(signature, expected);
+  },
+
+  /**
+   * Normalize a webhook payload
+   * @param {Object} body - Parsed webhook body
+   * @param {Object} headers - Request headers
+   * @returns {Object|null} Normalized event, or null if not handled
+   */
+  parseEvent(body, headers) {
+    const type = EVENT_TYPES[body.event];
+    if (!type) return null;
+
+    const payment = body.payload.payment ? body.payload.payment.entity : {};
+    const refund = body.payload.refund ? body.payload.refund.entity : null;
+
+    return {
+      id: headers['x-razorpay-event-id'] || `${body.event}:${(refund || payment).id}`,
+      type,
+      providerOrderId: payment.order_id,
+      paymentId: payment.id,
+      refundId: refund ? refund.id : undefined,
+      amount: toRupees(refund ? refund.amount : payment.amount),
+      reason: payment.error_description
+    };
+  },
+
+  /**
+   * Capture an authorized payment
+   * @param {Object} params - { paymentId, amount, currency }
+   * @returns {Promise<Object>} { paymentId, status }
+   */
+  async capture({ paymentId, amount, currency = 'INR' }) {
+    const payment = await request('POST', `/payments/${paymentId}/capture`, {
+      amount: toPaise(amount),
+      currency
+    });
+    return { paymentId: payment.id, status: payment.status };
+  },
+
+  /**
+   * Refund a captured payment (full or partial). Razorpay returns the
+   * original refund when the idempotency key is repeated.
+   * @param {Object} params - { paymentId, amount, notes, idempotencyKey }
+   * @returns {Promise<Object>} { refundId, amount, status }
+   */
+  async refund({ paymentId, amount, notes, idempotencyKey }) {
+    const refund = await request(
+      'POST',
+      `/payments/${paymentId}/refund`,
+      { amount: toPaise(amount), notes, receipt: idempotencyKey },
+      idempotencyKey ? { 'X-Refund-Idempotency': idempotencyKey } : {}
+    );
+    return { refundId: refund.id, amount: toRupees(refund.amount), status: refund.status };
+  }
+};
+
+module.exports = razorpayProvider;
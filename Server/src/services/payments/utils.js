@@ -0,0 +1,28 @@
+/**
+ * Helpers shared by the payment providers.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Constant-time comparison of a received signature with the expected one.
+ * Compares bytes, so multi-byte characters cannot make the lengths differ.
+ * @param {string} received - Value from the request
+ * @param {string} expected - Computed value
+ * @returns {boolean}
+ */
+const safeEqual = (received, expected) => {
+  if (!received || !expected) return false;
+
+  const receivedBuffer = Buffer.from(String(received));
+  const expectedBuffer = Buffer.from(expected);
+
+  return (
+    receivedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(receivedBuffer, expectedBuffer)
+  );
+};
+
+module.exports = {
+  safeEqual
+};
@@ -0,0 +1,338 @@
+/**
+ * Search suggestions without an external search service.
+ *
+ * Active products, categories, brands and tags are loaded into an
+ * in-memory index (rebuilt every SEARCH_INDEX_TTL_MS, default 5 minutes).
+ * Only the newest SEARCH_INDEX_MAX_PRODUCTS products (default 5000) are
+ * indexed, streamed from the database, so memory stays bounded as the
+ * catalogue grows.
+ * Queries match words by prefix ("embro" -> "embroidered"), then by
+ * trigram similarity for partial or mangled words, with synonyms
+ * (kurta/kurti, saree/sari) searched together. Words that match nothing
+ * are corrected by edit distance against the catalogue vocabulary to
+ * offer "did you mean".
+ */
+
+const Product = require('../../models/Product.model');
+const Category = require('../../models/Category.model');
+const {
+  tokenize,
+  withSynonyms,
+  trigrams,
+  similarity,
+  editDistance,
+  maxEditsFor
+} = require('./text');
+
+// Minimum trigram similarity for a fuzzy word match
+const MIN_SIMILARITY = 0.45;
+
+let cache = null;
+let building = null;
+
+// Bumped by invalidateSearchIndex; builds started before it are discarded
+let generation = 0;
+
+/**
+ * Add an entry's words to the vocabulary
+ * @param {Map<string, Object>} vocabulary - Word -> { grams, count }
+ * @param {string[]} words
+ */
+const addWords = (vocabulary, words) => {
+  words.forEach((word) => {
+    const known = vocabulary.get(word);
+    if (known) {
+      known.count++;
+    } else {
+      vocabulary.set(word, { grams: trigrams(word), count: 1 });
+    }
+  });
+};
+
+/**
+ * Load the catalogue into a fresh index
+ * @returns {Promise<Object>} { builtAt, entries, vocabulary }
+ */
+const buildIndex = async () => {
+  const maxProducts = parseInt(process.env.SEARCH_INDEX_MAX_PRODUCTS) || 5000;
+
+  const entries = [];
+  const vocabulary = new Map();
+  const brands = new Map();
+  const tags = new Map();
+
+  const products = Product.find({ status: 'active' })
+    .select('name slug brand tags images price salePrice category totalStock')
+    .populate('category', 'name slug')
+    .sort({ createdAt: -1 })
+    .limit(maxProducts)
+    .lean()
+    .cursor();
+
+  for await (const product of products) {
+    const primaryImage = (product.images || []).find((img) => img.isPrimary) || (product.images || [])[0];
+
+    entries.push({
+      type: 'product',
+      label: product.name,
+      words: tokenize(`${product.name} ${product.brand || ''}`),
+      weight: product.totalStock > 0 ? 1 : 0.5,
+      data: {
+        _id: product._id,
+        name: product.name,
+        slug: product.slug,
+        image: primaryImage ? primaryImage.url : '',
+        price: product.price,
+        salePrice: product.salePrice,
+        category: product.category ? { name: product.category.name, slug: product.category.slug } : null
+      }
+    });
+
+    if (product.brand) {
+      const key = product.brand.toLowerCase();
+      const brand = brands.get(key) || { name: product.brand, count: 0 };
+      brand.count++;
+      brands.set(key, brand);
+    }
+
+    (product.tags || []).forEach((tag) => {
+      tags.set(tag, (tags.get(tag) || 0) + 1);
+    });
+  }
+
+  const categories = await Category.find({ isActive: true }).select('name slug').lean();
+  categories.forEach((category) => {
+    entries.push({
+      type: 'category',
+      label: category.name,
+      words: tokenize(category.name),
+      weight: 1,
+      data: { name: category.name, slug: category.slug }
+    });
+  });
+
+  brands.forEach((brand) => {
+    entries.push({
+      type: 'brand',
+      label: brand.name,
+      words: tokenize(brand.name),
+      weight: 1,
+      data: brand
+    });
+  });
+
+  tags.forEach((count, tag) => {
+    entries.push({
+      type: 'tag',
+      label: tag,
+      words: tokenize(tag),
+      weight: 1,
+      data: { name: tag, count }
+    });
+  });
+
+  entries.forEach((entry) => addWords(vocabulary, entry.words));
+
+  return { builtAt: Date.now(), entries, vocabulary };
+};
+
+/**
+ * Current index, rebuilt when stale. Concurrent callers share one build.
+ * @returns {Promise<Object>}
+ */
+const getIndex = async () => {
+  const ttl = parseInt(process.env.SEARCH_INDEX_TTL_MS) || 5 * 60 * 1000;
+  if (cache && Date.now() - cache.builtAt < ttl) return cache;
+
+  if (!building) {
+    const startedAt = generation;
+    const build = buildIndex()
+      .then((index) => {
+        // Catalogue changed while building: serve it once, but do not cache it
+        if (startedAt === generation) {
+          cache = index;
+        }
+        return index;
+      })
+      .finally(() => {
+        if (building === build) {
+          building = null;
+        }
+      });
+    building = build;
+  }
+
+  return building;
+};
+
+/**
+ * Drop the cached index so the next query rebuilds it. A build already
+ * running is left to finish for its callers but its result is not cached.
+ * @returns {void}
+ */
+const invalidateSearchIndex = () => {
+  generation++;
+  cache = null;
+  building = null;
+};
+
+/**
+ * How well a query word matches a word of an entry (0 = no match)
+ * @param {Object[]} alternatives - Query word and its synonyms as { word, grams }
+ * @param {string} word - Entry word
+ * @param {Set<string>} wordGrams - Trigrams of the entry word
+ * @returns {number}
+ */
+const scoreWord = (alternatives, word, wordGrams) => {
+  let best = 0;
+
+  alternatives.forEach((alternative) => {
+    if (word === alternative.word) {
+      best = Math.max(best, 1);
+    } else if (word.startsWith(alternative.word)) {
+      best = Math.max(best, 0.9);
+    } else if (alternative.word.length >= 3) {
+      const score = similarity(alternative.grams, wordGrams);
+      if (score >= MIN_SIMILARITY) {
+        best = Math.max(best, 0.6 * score);
+      }
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Rank entries against the query words; every word must match
+ * @param {Object} index
+ * @param {string[]} words - Normalised query words
+ * @returns {Object[]} Entries with score, best first
+ */
+const rankEntries = (index, words) => {
+  const alternatives = words.map((word) => withSynonyms(word).map(
+    (alternative) => ({ word: alternative, grams: trigrams(alternative) })
+  ));
+  const phrase = words.join(' ');
+  const matches = [];
+
+  index.entries.forEach((entry) => {
+    let total = 0;
+
+    for (const alts of alternatives) {
+      let best = 0;
+      entry.words.forEach((word) => {
+        best = Math.max(best, scoreWord(alts, word, index.vocabulary.get(word).grams));
+      });
+      if (best === 0) return;
+      total += best;
+    }
+
+    let score = (total / words.length) * entry.weight;
+    if (entry.words.join(' ').startsWith(phrase)) {
+      score += 0.2;
+    }
+
+    matches.push({ entry, score });
+  });
+
+  return matches.sort((a, b) => b.score - a.score || a.entry.label.localeCompare(b.entry.label));
+};
+
+/**
+ * Correct query words that match nothing in the catalogue
+ * @param {Object} index
+ * @param {string[]} words - Normalised query words
+ * @returns {string[]|null} Corrected words, or null if nothing changed
+ */
+const correctWords = (index, words) => {
+  let changed = false;
+
+  const corrected = words.map((word) => {
+    const known = withSynonyms(word).some((alternative) => {
+      if (index.vocabulary.has(alternative)) return true;
+      for (const vocabularyWord of index.vocabulary.keys()) {
+        if (vocabularyWord.startsWith(alternative)) return true;
+      }
+      return false;
+    });
+    if (known || word.length < 3 || /^\d+$/.test(word)) return word;
+
+    // Closest catalogue word; ties go to the more common word
+    const maxEdits = maxEditsFor(word.length);
+    let best = null;
+    index.vocabulary.forEach(({ count }, candidate) => {
+      const distance = editDistance(word, candidate, maxEdits);
+      if (distance > maxEdits) return;
+      if (!best || distance < best.distance || (distance === best.distance && count > best.count)) {
+        best = { word: candidate, distance, count };
+      }
+    });
+
+    if (!best) return word;
+    changed = true;
+    return best.word;
+  });
+
+  return changed ? corrected : null;
+};
+
+/**
+ * Suggest products, categories, brands and tags for a partial query
+ * @param {string} query - What the shopper has typed so far
+ * @param {Object} [options] - { limit } per suggestion type
+ * @returns {Promise<Object>} { query, didYouMean, products, categories, brands, tags }
+ */
+const suggest = async (query, { limit = 5 } = {}) => {
+  const index = await getIndex();
+  const words = tokenize(query);
+
+  const corrected = correctWords(index, words);
+  let ranked = rankEntries(index, words);
+  if (ranked.length === 0 && corrected) {
+    ranked = rankEntries(index, corrected);
+  }
+
+  const top = (type) => ranked
+    .filter(({ entry }) => entry.type === type)
+    .slice(0, limit)
+    .map(({ entry }) => entry.data);
+
+  return {
+    query,
+    didYouMean: corrected ? corrected.join(' ') : null,
+    products: top('product'),
+    categories: top('category'),
+    brands: top('brand'),
+    tags: top('tag')
+  };
+};
+
+/**
+ * "Did you mean" correction for a full search query
+ * @param {string} query
+ * @returns {Promise<string|null>}
+ */
+const correctQuery = async (query) => {
+  const corrected = correctWords(await getIndex(), tokenize(query));
+  return corrected ? corrected.join(' ') : null;
+};
+
+/**
+ * Add synonyms to a text search query ("kurti" also finds "kurta")
+ * @param {string} query
+ * @returns {string}
+ */
+const expandSynonyms = (query) => {
+  const words = tokenize(query);
+  const extra = words
+    .flatMap(withSynonyms)
+    .filter((word) => !words.includes(word));
+  return extra.length > 0 ? `${query} ${extra.join(' ')}` : query;
+};
+
+module.exports = {
+  suggest,
+  correctQuery,
+  expandSynonyms,
+  invalidateSearchIndex
+};
@@ -0,0 +1,137 @@
+/**
+ * Text helpers for search suggestions: normalising, trigrams, edit
+ * distance and the synonym table.
+ */
+
+// Words for the same garment; searching for one finds the others
+const SYNONYM_GROUPS = [
+  ['kurta', 'kurti'],
+  ['saree', 'sari'],
+  ['lehenga', 'ghagra', 'chaniya'],
+  ['dupatta', 'chunni', 'odhni'],
+  ['salwar', 'shalwar'],
+  ['sherwani', 'achkan'],
+  ['pyjama', 'pajama'],
+  ['choli', 'blouse']
+];
+
+// Word -> every word in its group (itself included)
+const SYNONYMS = new Map();
+SYNONYM_GROUPS.forEach((group) => {
+  group.forEach((word) => SYNONYMS.set(word, group));
+});
+
+/**
+ * Lowercase, strip accents and punctuation
+ * @param {string} text
+ * @returns {string}
+ */
+const normalize = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Split text into normalised words
+ * @param {string} text
+ * @returns {string[]}
+ */
+const tokenize = (text) => normalize(text).split(' ').filter(Boolean);
+
+/**
+ * A word and its synonyms
+ * @param {string} word - Normalised word
+ * @returns {string[]}
+ */
+const withSynonyms = (word) => SYNONYMS.get(word) || [word];
+
+/**
+ * Trigrams of a word, padded so short words and word edges count
+ * @param {string} word
+ * @returns {Set<string>}
+ */
+const trigrams = (word) => {
+  const padded = `$${word}$`;
+  const grams = new Set();
+  for (let i = 0; i <= padded.length - 3; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+};
+
+/**
+ * Dice similarity of two trigram sets (0 to 1)
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number}
+ */
+const similarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach((gram) => {
+    if (b.has(gram)) shared++;
+  });
+  return (2 * shared) / (a.size + b.size);
+};
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and
+ * swaps of neighbouring letters. Stops early once it exceeds max.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [max] - Largest distance of interest
+ * @returns {number} Distance, or max + 1 if larger
+ */
+const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+      if (previousRow && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return Math.min(row[b.length], max + 1);
+};
+
+/**
+ * Edits allowed when correcting a word of this length
+ * @param {number} length
+ * @returns {number}
+ */
+const maxEditsFor = (length) => {
+  if (length <= 4) return 1;
+  if (length <= 8) return 2;
+  return 3;
+};
+
+module.exports = {
+  SYNONYM_GROUPS,
+  normalize,
+  tokenize,
+  withSynonyms,
+  trigrams,
+  similarity,
+  editDistance,
+  maxEditsFor
+};
@@ -0,0 +1,70 @@
+/**
+ * Delhivery scan-push webhook adapter.
+ * Requests carry the token agreed with Delhivery (DELHIVERY_WEBHOOK_TOKEN)
+ * in the Authorization header, optionally prefixed with "Token ".
+ *
+ * Payload: { Shipment: { AWB, ReferenceNo, Status: { Status, StatusType, StatusDateTime, StatusLocation, Instructions } } }
+ */
+
+const { safeEqual, scanId, parseDate } = require('./utils');
+
+/**
+ * Map a Delhivery scan to a normalized status
+ * @param {string} statusType - UD (forward), DL (delivered), RT (return), PP/PU (pickup)
+ * @param {string} status - Scan status text
+ * @returns {string|null}
+ */
+const normalizeStatus = (statusType, status = '') => {
+  const type = (statusType || '').toUpperCase();
+  const text = status.toLowerCase();
+
+  if (type === 'RT' || text.startsWith('rto')) return 'rto';
+  if (type === 'DL' && text === 'delivered') return 'delivered';
+  if (text === 'picked up') return 'shipped';
+  if (text === 'dispatched') return 'out_for_delivery';
+  if (text === 'in transit' || text === 'pending') return 'in_transit';
+
+  return null;
+};
+
+const delhiveryCarrier = {
+  name: 'delhivery',
+
+  /**
+   * Check the shared token
+   * @param {Buffer} rawBody - Raw request body (unused)
+   * @param {Object} headers - Request headers
+   * @returns {boolean}
+   */
+  verifyRequest(rawBody, headers) {
+    const token = (headers.authorization || '').replace(/^Token\s+/i, '');
+    return safeEqual(token, process.env.DELHIVERY_WEBHOOK_TOKEN);
+  },
+
+  /**
+   * Normalize a scan push
+   * @param {Object} body - Parsed webhook body
+   * @returns {Object[]} Normalized events
+   */
+  parseEvents(body) {
+    const shipment = body && body.Shipment;
+    if (!shipment || !shipment.AWB || !shipment.Status) return [];
+
+    const scan = shipment.Status;
+    const status = normalizeStatus(scan.StatusType, scan.Status);
+    if (!status) return [];
+
+    return [
+      {
+        id: scanId(shipment.AWB, scan.StatusType, scan.Status, scan.StatusDateTime),
+        trackingNumber: String(shipment.AWB),
+        status,
+        date: parseDate(scan.StatusDateTime),
+        location: scan.StatusLocation,
+        note: scan.Instructions || scan.Status
+      }
+    ];
+  }
+};
+
+module.exports = delhiveryCarrier;
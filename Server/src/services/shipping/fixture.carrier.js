@@ -0,0 +1,116 @@
+/**
+ * Offline fixture-replay carrier for development and tests; not registered
+ * in production. Replays the recorded journeys in ./fixtures against a
+ * tracking number; requests are signed with FIXTURE_CARRIER_WEBHOOK_SECRET
+ * and rejected when it is not set.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { safeEqual, parseDate } = require('./utils');
+
+const SIGNATURE_HEADER = 'x-fixture-signature';
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Webhook signing secret
+ * @returns {string|undefined}
+ */
+const getSecret = () => process.env.FIXTURE_CARRIER_WEBHOOK_SECRET;
+
+/**
+ * Sign a raw body
+ * @param {string|Buffer} body - Raw body
+ * @returns {string} HMAC-SHA256 hex digest
+ */
+const sign = (body) => crypto.createHmac('sha256', getSecret()).update(body).digest('hex');
+
+const fixtureCarrier = {
+  name: 'fixture',
+
+  /**
+   * Verify the X-Fixture-Signature header (HMAC-SHA256 of the raw body)
+   * @param {Buffer} rawBody - Raw request body
+   * @param {Object} headers - Request headers
+   * @returns {boolean}
+   */
+  verifyRequest(rawBody, headers) {
+    if (!rawBody || !getSecret()) return false;
+    return safeEqual(headers[SIGNATURE_HEADER], sign(rawBody));
+  },
+
+  /**
+   * Fixture payloads are already normalized: { events: [{ id, trackingNumber, status, date, location, note }] }
+   * @param {Object} body - Parsed webhook body
+   * @returns {Object[]} Normalized events
+   */
+  parseEvents(body) {
+    if (!body || !Array.isArray(body.events)) return [];
+
+    return body.events
+      .filter((event) => event.id && event.trackingNumber && event.status)
+      .map((event) => ({
+        id: event.id,
+        trackingNumber: String(event.trackingNumber),
+        status: event.status,
+        date: parseDate(event.date),
+        location: event.location,
+        note: event.note
+      }));
+  },
+
+  /**
+   * Names of the recorded journeys
+   * @returns {string[]}
+   */
+  listFixtures() {
+    return fs.readdirSync(FIXTURES_DIR)
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => path.basename(file, '.json'));
+  },
+
+  /**
+   * Build signed webhook requests replaying a recorded journey, one per scan.
+   * Scans are re-dated to end now, keeping their original spacing.
+   * @param {string} fixtureName - Fixture file name without extension, e.g. "delivered"
+   * @param {string} trackingNumber - Shipment tracking number to replay against
+   * @returns {{ body: string, headers: Object }[]}
+   */
+  buildWebhooks(fixtureName, trackingNumber) {
+    if (!getSecret()) {
+      throw new Error('FIXTURE_CARRIER_WEBHOOK_SECRET is not set');
+    }
+
+    const file = path.join(FIXTURES_DIR, `${path.basename(fixtureName)}.json`);
+    const { scans } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    const lastOffset = scans[scans.length - 1].offsetMinutes;
+    const start = Date.now() - lastOffset * 60 * 1000;
+
+    return scans.map((scan, index) => {
+      const body = JSON.stringify({
+        events: [
+          {
+            id: `${fixtureName}:${trackingNumber}:${index}`,
+            trackingNumber,
+            status: scan.status,
+            date: new Date(start + scan.offsetMinutes * 60 * 1000).toISOString(),
+            location: scan.location,
+            note: scan.note
+          }
+        ]
+      });
+
+      return {
+        body,
+        headers: {
+          'Content-Type': 'application/json',
+          [SIGNATURE_HEADER]: sign(body)
+        }
+      };
+    });
+  }
+};
+
+module.exports = fixtureCarrier;
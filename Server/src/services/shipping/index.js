@@ -0,0 +1,39 @@
+/**
+ * Carrier tracking adapter registry.
+ *
+ * Every carrier implements:
+ *   verifyRequest(rawBody, headers)
+ *   parseEvents(body, headers)  -> [{ id, trackingNumber, status, date, location, note }]
+ *
+ * Normalized statuses match shipment statuses: shipped, in_transit,
+ * out_for_delivery, delivered, rto. Scans that do not map to one of
+ * these (e.g. "manifested") are dropped by the adapter.
+ */
+
+const delhiveryCarrier = require('./delhivery.carrier');
+const shiprocketCarrier = require('./shiprocket.carrier');
+const fixtureCarrier = require('./fixture.carrier');
+
+const carriers = {
+  [delhiveryCarrier.name]: delhiveryCarrier,
+  [shiprocketCarrier.name]: shiprocketCarrier
+};
+
+// The fixture carrier marks parcels delivered on request; never expose it in production
+if (process.env.NODE_ENV !== 'production') {
+  carriers[fixtureCarrier.name] = fixtureCarrier;
+}
+
+/**
+ * Get a carrier adapter by name
+ * @param {string} name - Carrier name
+ * @returns {Object|null}
+ */
+const getCarrier = (name) => {
+  // Own keys only; "constructor" or "toString" must not resolve
+  return Object.hasOwn(carriers, name) ? carriers[name] : null;
+};
+
+module.exports = {
+  getCarrier
+};
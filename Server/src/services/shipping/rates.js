@@ -0,0 +1,129 @@
+/**
+ * Shipping rate engine: resolves the zone for an address and prices
+ * its delivery methods from the zone's rate tables.
+ */
+
+const ShippingZone = require('../../models/ShippingZone.model');
+
+// Used until any zone is configured: free from ₹999, otherwise ₹99
+const FALLBACK_ZONE = {
+  name: 'Default',
+  methods: [
+    {
+      code: 'standard',
+      name: 'Standard Delivery',
+      rateBasis: 'order_value',
+      rates: [{ price: 99 }],
+      freeAbove: 999,
+      estimatedDays: { min: 3, max: 7 },
+      codAvailable: true,
+      isActive: true
+    }
+  ],
+  codSurcharge: { flat: 0, percent: 0 }
+};
+
+/**
+ * Round to paise
+ * @param {number} amount
+ * @returns {number}
+ */
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Price from a rate table; values past the last bracket use the last price
+ * @param {Object[]} rates - [{ upTo, price }]
+ * @param {number} value - Weight in grams or order value in ₹
+ * @returns {number}
+ */
+const lookupRate = (rates, value) => {
+  const sorted = [...rates].sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+  const bracket = sorted.find((rate) => value <= (rate.upTo ?? Infinity)) || sorted[sorted.length - 1];
+  return bracket.price;
+};
+
+/**
+ * List the delivery methods available for an address, priced for a cart
+ * @param {Object} params - { zipCode, state, subtotal, weight }
+ * @returns {Promise<Object>} { serviceable, zone, methods: [{ code, name, price, estimatedDays, codAvailable, codCharge }] }
+ */
+const getShippingOptions = async ({ zipCode, state, subtotal = 0, weight = 0 }) => {
+  const configured = await ShippingZone.exists({ isActive: true });
+  const zone = configured ? await ShippingZone.findForAddress({ zipCode, state }) : FALLBACK_ZONE;
+
+  if (!zone) {
+    return { serviceable: false, zone: null, methods: [] };
+  }
+
+  const codAllowed = !zone.codMaxOrderValue || subtotal <= zone.codMaxOrderValue;
+  const surcharge = zone.codSurcharge || {};
+  const codCharge = round((surcharge.flat || 0) + (subtotal * (surcharge.percent || 0)) / 100);
+
+  const methods = zone.methods
+    .filter((method) => method.isActive !== false)
+    .map((method) => {
+      const free = method.freeAbove !== undefined && method.freeAbove !== null && subtotal >= method.freeAbove;
+      const basis = method.rateBasis === 'weight' ? weight : subtotal;
+
+      return {
+        code: method.code,
+        name: method.name,
+        price: free ? 0 : lookupRate(method.rates, basis),
+        estimatedDays: {
+          min: method.estimatedDays.min,
+          max: method.estimatedDays.max
+        },
+        codAvailable: method.codAvailable !== false && codAllowed,
+        codCharge
+      };
+    })
+    .sort((a, b) => a.price - b.price);
+
+  return {
+    serviceable: methods.length > 0,
+    zone: zone.name,
+    methods
+  };
+};
+
+/**
+ * Price the shopper's chosen method. Falls back to the cheapest usable
+ * method (with a message) if the choice is not offered for the address
+ * or does not allow cash on delivery.
+ * @param {Object} params - { zipCode, state, subtotal, weight, method, paymentMethod }
+ * @returns {Promise<Object>} { serviceable, methods, selected, shipping, codCharge, message }
+ */
+const quoteShipping = async ({ zipCode, state, subtotal, weight, method, paymentMethod }) => {
+  const options = await getShippingOptions({ zipCode, state, subtotal, weight });
+  const isCod = paymentMethod === 'cod';
+
+  const usable = options.methods.filter((m) => !isCod || m.codAvailable);
+  if (usable.length === 0) {
+    return {
+      ...options,
+      serviceable: false,
+      selected: null,
+      shipping: 0,
+      codCharge: 0,
+      message: options.serviceable
+        ? 'Cash on delivery is not available for this address'
+        : 'We do not deliver to this PIN code yet'
+    };
+  }
+
+  const requested = method ? usable.find((m) => m.code === method) : null;
+  const selected = requested || usable[0];
+
+  return {
+    ...options,
+    selected,
+    shipping: selected.price,
+    codCharge: isCod ? selected.codCharge : 0,
+    message: method && !requested ? `${method} delivery is not available; using ${selected.name}` : undefined
+  };
+};
+
+module.exports = {
+  getShippingOptions,
+  quoteShipping
+};
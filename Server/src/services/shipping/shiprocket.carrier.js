@@ -0,0 +1,77 @@
+/**
+ * Shiprocket tracking webhook adapter.
+ * Shiprocket sends the token configured in its panel (SHIPROCKET_WEBHOOK_TOKEN)
+ * in the X-Api-Key header.
+ *
+ * Payload: { awb, courier_name, current_status, current_timestamp, order_id, scans: [{ date, activity, location }] }
+ */
+
+const { safeEqual, scanId, parseDate } = require('./utils');
+
+/**
+ * Map a Shiprocket status label to a normalized status
+ * @param {string} label - e.g. "OUT FOR DELIVERY"
+ * @returns {string|null}
+ */
+const normalizeStatus = (label = '') => {
+  const text = label.toUpperCase().trim();
+
+  if (text.startsWith('RTO')) return 'rto';
+  if (text === 'DELIVERED') return 'delivered';
+  if (text === 'OUT FOR DELIVERY') return 'out_for_delivery';
+  if (text === 'PICKED UP' || text === 'SHIPPED') return 'shipped';
+  if (
+    text.startsWith('IN TRANSIT') ||
+    text === 'REACHED AT DESTINATION HUB' ||
+    text === 'UNDELIVERED' ||
+    text === 'DELAYED' ||
+    text === 'MISROUTED'
+  ) {
+    return 'in_transit';
+  }
+
+  return null;
+};
+
+const shiprocketCarrier = {
+  name: 'shiprocket',
+
+  /**
+   * Check the X-Api-Key token
+   * @param {Buffer} rawBody - Raw request body (unused)
+   * @param {Object} headers - Request headers
+   * @returns {boolean}
+   */
+  verifyRequest(rawBody, headers) {
+    return safeEqual(headers['x-api-key'], process.env.SHIPROCKET_WEBHOOK_TOKEN);
+  },
+
+  /**
+   * Normalize a status update
+   * @param {Object} body - Parsed webhook body
+   * @returns {Object[]} Normalized events
+   */
+  parseEvents(body) {
+    if (!body || !body.awb || !body.current_status) return [];
+
+    const status = normalizeStatus(body.current_status);
+    if (!status) return [];
+
+    // Latest scan carries the location
+    const scans = Array.isArray(body.scans) ? body.scans : [];
+    const lastScan = scans[scans.length - 1] || {};
+
+    return [
+      {
+        id: scanId(body.awb, body.current_status, body.current_timestamp),
+        trackingNumber: String(body.awb),
+        status,
+        date: parseDate(body.current_timestamp),
+        location: lastScan.location,
+        note: lastScan.activity || body.current_status
+      }
+    ];
+  }
+};
+
+module.exports = shiprocketCarrier;
@@ -0,0 +1,49 @@
+/**
+ * Helpers shared by the carrier adapters.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Constant-time string comparison. Compares bytes, so multi-byte
+ * characters cannot make the lengths differ.
+ * @param {string} received - Value from the request
+ * @param {string} expected - Configured value
+ * @returns {boolean}
+ */
+const safeEqual = (received, expected) => {
+  if (!received || !expected) return false;
+
+  const receivedBuffer = Buffer.from(String(received));
+  const expectedBuffer = Buffer.from(expected);
+
+  return (
+    receivedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(receivedBuffer, expectedBuffer)
+  );
+};
+
+/**
+ * Stable ID for a scan, for carriers that do not send one
+ * @param {...*} parts - Values identifying the scan
+ * @returns {string}
+ */
+const scanId = (...parts) => {
+  return crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+};
+
+/**
+ * Parse a carrier timestamp, falling back to now
+ * @param {string} value - Timestamp
+ * @returns {Date}
+ */
+const parseDate = (value) => {
+  const date = value ? new Date(value) : new Date();
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+};
+
+module.exports = {
+  safeEqual,
+  scanId,
+  parseDate
+};
@@ -0,0 +1,141 @@
+/**
+ * Indian GST calculator for apparel.
+ *
+ * Tax is worked out per line on the discounted value. The rate comes
+ * from the line's HSN code and its per-piece value (apparel is 5% up to
+ * ₹1000 a piece and 12% above). Intra-state supplies split the tax
+ * equally into CGST + SGST; inter-state supplies carry IGST.
+ */
+
+// Rate slabs by HSN prefix; the first matching prefix wins.
+// Each slab applies to per-piece taxable values up to `upTo` (inclusive).
+const RATE_SLABS = [
+  // Knitted and woven apparel, other made-up textiles
+  { prefixes: ['61', '62', '63'], slabs: [{ upTo: 1000, rate: 5 }, { upTo: Infinity, rate: 12 }] },
+  // Footwear
+  { prefixes: ['64'], slabs: [{ upTo: 1000, rate: 5 }, { upTo: Infinity, rate: 18 }] }
+];
+
+/**
+ * Rate used when a line has no HSN code or the code is not in the table
+ * @returns {number}
+ */
+const getDefaultRate = () => {
+  const rate = parseFloat(process.env.GST_DEFAULT_RATE);
+  return Number.isNaN(rate) ? 18 : rate;
+};
+
+/**
+ * Seller's state of registration
+ * @returns {string}
+ */
+const getSellerState = () => process.env.SELLER_STATE || 'Maharashtra';
+
+/**
+ * Normalize a state name for comparison
+ * @param {string} state
+ * @returns {string}
+ */
+const normalizeState = (state) => (state || '').toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Round to paise
+ * @param {number} amount
+ * @returns {number}
+ */
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * GST rate for a line
+ * @param {string} hsnCode - HSN code
+ * @param {number} unitValue - Taxable value per piece
+ * @returns {number} Rate in percent
+ */
+const getRate = (hsnCode, unitValue) => {
+  const code = String(hsnCode || '');
+  const entry = code && RATE_SLABS.find((e) => e.prefixes.some((p) => code.startsWith(p)));
+  if (!entry) return getDefaultRate();
+
+  return entry.slabs.find((slab) => unitValue <= slab.upTo).rate;
+};
+
+/**
+ * Spread an order-level discount over the eligible lines by value.
+ * Any rounding remainder goes to the last eligible line.
+ * @param {Object[]} lines - Lines with unitPrice, quantity, discountable
+ * @param {number} discount - Discount to spread
+ * @returns {number[]} Discount per line
+ */
+const allocateDiscount = (lines, discount) => {
+  const values = lines.map((line) => (line.discountable === false ? 0 : line.unitPrice * line.quantity));
+  const base = values.reduce((sum, value) => sum + value, 0);
+  if (!discount || base <= 0) return values.map(() => 0);
+
+  const shares = values.map((value) => round((discount * value) / base));
+  const lastIndex = values.map((value) => value > 0).lastIndexOf(true);
+  const allocated = shares.reduce((sum, share) => sum + share, 0);
+  shares[lastIndex] = round(shares[lastIndex] + discount - allocated);
+
+  return shares;
+};
+
+const gstCalculator = {
+  name: 'gst',
+
+  /**
+   * Calculate GST per line
+   * @param {Object} params
+   * @param {Object[]} params.lines - [{ key, hsnCode, unitPrice, quantity, discountable }]
+   * @param {number} [params.discount] - Order-level discount to spread over the lines
+   * @param {string} [params.shipToState] - Place of supply; defaults to the seller state
+   * @returns {Object} { lines, totals, placeOfSupply, sellerState, interState }
+   */
+  calculate({ lines, discount = 0, shipToState }) {
+    const sellerState = getSellerState();
+    const placeOfSupply = shipToState || sellerState;
+    const interState = normalizeState(placeOfSupply) !== normalizeState(sellerState);
+    const discounts = allocateDiscount(lines, discount);
+
+    const taxedLines = lines.map((line, index) => {
+      const grossValue = line.unitPrice * line.quantity;
+      const taxableValue = round(Math.max(grossValue - discounts[index], 0));
+      const rate = getRate(line.hsnCode, line.quantity ? taxableValue / line.quantity : 0);
+      const amount = round((taxableValue * rate) / 100);
+
+      // Split intra-state tax in half; SGST takes the odd paisa
+      const cgst = interState ? 0 : Math.floor((amount * 100) / 2) / 100;
+      const sgst = interState ? 0 : round(amount - cgst);
+      const igst = interState ? amount : 0;
+
+      return {
+        key: line.key,
+        hsnCode: line.hsnCode,
+        discount: discounts[index],
+        taxableValue,
+        rate,
+        cgst,
+        sgst,
+        igst,
+        amount
+      };
+    });
+
+    const sum = (field) => round(taxedLines.reduce((total, line) => total + line[field], 0));
+
+    return {
+      lines: taxedLines,
+      totals: {
+        taxableValue: sum('taxableValue'),
+        cgst: sum('cgst'),
+        sgst: sum('sgst'),
+        igst: sum('igst'),
+        tax: sum('amount')
+      },
+      placeOfSupply,
+      sellerState,
+      interState
+    };
+  }
+};
+
+module.exports = gstCalculator;
@@ -0,0 +1,27 @@
+/**
+ * Tax calculator registry.
+ *
+ * Every calculator implements:
+ *   calculate({ lines, discount, shipToState })
+ *     lines: [{ key, hsnCode, unitPrice, quantity, discountable }]
+ *     -> { lines: [{ key, hsnCode, discount, taxableValue, rate, cgst, sgst, igst, amount }],
+ *          totals: { taxableValue, cgst, sgst, igst, tax }, placeOfSupply, sellerState, interState }
+ */
+
+const gstCalculator = require('./gst.calculator');
+
+const calculators = {
+  [gstCalculator.name]: gstCalculator
+};
+
+/**
+ * Get the tax calculator in use (TAX_CALCULATOR, default gst)
+ * @returns {Object}
+ */
+const getTaxCalculator = () => {
+  return calculators[process.env.TAX_CALCULATOR || 'gst'] || gstCalculator;
+};
+
+module.exports = {
+  getTaxCalculator
+};
@@ -0,0 +1,101 @@
+/**
+ * Helper functions for sending email through a
+ * pluggable mail transport.
+ *
+ * MAIL_TRANSPORT selects the transport:
+ *   - smtp    (default) SMTP_HOST/SMTP_PORT, e.g. Mailpit or MailHog on localhost:1025
+ *   - console  logs the rendered message instead of sending it
+ */
+
+const nodemailer = require('nodemailer');
+
+let transport = null;
+
+/**
+ * Build a transport from environment configuration
+ * @returns {Object} Nodemailer transport
+ */
+const createTransportFromEnv = () => {
+  const type = process.env.MAIL_TRANSPORT || 'smtp';
+
+  if (type === 'console') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  const options = {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true'
+  };
+
+  if (process.env.SMTP_USER) {
+    options.auth = {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASSWORD
+    };
+  }
+
+  return nodemailer.createTransport(options);
+};
+
+/**
+ * Get the active mail transport (created on first use)
+ * @returns {Object} Nodemailer transport
+ */
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+  return transport;
+};
+
+/**
+ * Replace the mail transport (e.g. with a stub in scripts or tests)
+ * @param {Object|null} customTransport - Object exposing sendMail(message), or null to reset
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Escape text for HTML bodies (names and other user-supplied values)
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Send an email
+ * @param {Object} options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.subject - Subject line
+ * @param {string} options.text - Plain-text body
+ * @param {string} [options.html] - HTML body
+ * @returns {Promise<Object>} Transport send result
+ */
+const sendEmail = async ({ to, subject, text, html }) => {
+  const info = await getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'Designer Cloth <no-reply@designercloth.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (process.env.MAIL_TRANSPORT === 'console') {
+    console.log('EMAIL:', info.message);
+  }
+
+  return info;
+};
+
+module.exports = {
+  getTransport,
+  setTransport,
+  sendEmail,
+  escapeHtml
+};
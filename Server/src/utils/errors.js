@@ -74,6 +74,28 @@ class ValidationError extends AppError {
   }
 }
 
+/**
+ * Insufficient Stock Error (409)
+ * Lists each cart line that could not be reserved
+ */
+class InsufficientStockError extends AppError {
+  constructor(items = [], message = 'Some items in your cart are no longer available in the requested quantity') {
+    super(message, 409);
+    this.errors = items;
+  }
+}
+
+/**
+ * Cart Changed Error (409)
+ * Lists the cart updates the shopper must review before checkout
+ */
+class CartChangedError extends AppError {
+  constructor(warnings = [], message = 'Your cart has changed. Please review the updates before placing your order') {
+    super(message, 409);
+    this.errors = warnings;
+  }
+}
+
 module.exports = {
   AppError,
   NotFoundError,
@@ -81,5 +103,7 @@ module.exports = {
   ForbiddenError,
   BadRequestError,
   ConflictError,
-  ValidationError
+  ValidationError,
+  InsufficientStockError,
+  CartChangedError
 };
@@ -6,26 +6,28 @@
 const jwt = require('jsonwebtoken');
 
 /**
- * Generate JWT access token
+ * Generate short-lived JWT access token
  * @param {Object} payload - Data to encode in token
  * @returns {string} JWT token
  */
 const generateToken = (payload) => {
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m'
   });
 };
 
 /**
  * Generate JWT for a user
  * @param {Object} user - User document
+ * @param {string} sessionId - Session the token belongs to
  * @returns {string} JWT token
  */
-const generateUserToken = (user) => {
+const generateUserToken = (user, sessionId) => {
   return generateToken({
     id: user._id,
     email: user.email,
-    role: user.role
+    role: user.role,
+    sid: sessionId
   });
 };
 
@@ -49,16 +51,44 @@ const decodeToken = (token) => {
 };
 
 /**
- * Set JWT token as HTTP-only cookie
+ * Generate signed email verification token
+ * The email is embedded so the link stops working if the address changes.
+ * @param {Object} user - User document
+ * @returns {string} JWT token
+ */
+const generateEmailVerificationToken = (user) => {
+  return jwt.sign(
+    { id: user._id, email: user.email, purpose: 'verify-email' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h' }
+  );
+};
+
+/**
+ * Verify email verification token
+ * @param {string} token - JWT token from the verification link
+ * @returns {Object} Decoded token payload
+ * @throws {Error} If token is invalid, expired, or not a verification token
+ */
+const verifyEmailVerificationToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== 'verify-email') {
+    throw new jwt.JsonWebTokenError('Invalid token purpose');
+  }
+  return decoded;
+};
+
+/**
+ * Set JWT token as HTTP-only cookie. The cookie expires with the token,
+ * so a browser never holds an access token past its lifetime.
  * @param {Object} res - Express response object
  * @param {string} token - JWT token
  */
 const setTokenCookie = (res, token) => {
+  const { exp } = jwt.decode(token);
+
   const cookieOptions = {
-    expires: new Date(
-      Date.now() +
-        (parseInt(process.env.JWT_COOKIE_EXPIRES_IN) || 7) * 24 * 60 * 60 * 1000
-    ),
+    expires: new Date(exp * 1000),
     httpOnly: true, // Prevents XSS attacks
     secure: process.env.NODE_ENV === 'production', // HTTPS only in production
     sameSite: 'lax' // CSRF protection
@@ -78,11 +108,137 @@ const clearTokenCookie = (res) => {
   });
 };
 
+/**
+ * Set refresh token as HTTP-only cookie scoped to the auth routes
+ * @param {Object} res - Express response object
+ * @param {string} refreshToken - Refresh token
+ * @param {Date} expires - Session expiry
+ */
+const setRefreshTokenCookie = (res, refreshToken, expires) => {
+  res.cookie('refreshToken', refreshToken, {
+    expires,
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/api/auth'
+  });
+};
+
+/**
+ * Clear refresh token cookie
+ * @param {Object} res - Express response object
+ */
+const clearRefreshTokenCookie = (res) => {
+  res.cookie('refreshToken', '', {
+    expires: new Date(0),
+    httpOnly: true,
+    path: '/api/auth'
+  });
+};
+
+/**
+ * Generate signed token for a cart recovery reminder link
+ * @param {Object} payload - { cartId, recoveryId, step }
+ * @returns {string} JWT token
+ */
+const generateCartRestoreToken = ({ cartId, recoveryId, step }) => {
+  return jwt.sign(
+    { cartId, recoveryId, step, purpose: 'cart-restore' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.CART_RESTORE_EXPIRES_IN || '14d' }
+  );
+};
+
+/**
+ * Verify cart recovery reminder token
+ * @param {string} token - JWT token from the reminder link
+ * @returns {Object} Decoded token payload
+ * @throws {Error} If token is invalid, expired, or not a cart restore token
+ */
+const verifyCartRestoreToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== 'cart-restore') {
+    throw new jwt.JsonWebTokenError('Invalid token purpose');
+  }
+  return decoded;
+};
+
+/**
+ * Days a guest cart lives without activity
+ * @returns {number}
+ */
+const getGuestCartTtlDays = () => parseInt(process.env.GUEST_CART_TTL_DAYS) || 30;
+
+/**
+ * Generate signed token naming a guest cart
+ * @param {string} cartId - Guest cart ID
+ * @returns {string} JWT token
+ */
+const generateGuestCartToken = (cartId) => {
+  return jwt.sign(
+    { cartId, purpose: 'guest-cart' },
+    process.env.JWT_SECRET,
+    { expiresIn: `${getGuestCartTtlDays()}d` }
+  );
+};
+
+/**
+ * Read the guest cart ID from the signed guestCart cookie
+ * @param {Object} req - Express request object
+ * @returns {string|null} Cart ID, or null if missing, invalid or expired
+ */
+const getGuestCartId = (req) => {
+  const token = req.cookies && req.cookies.guestCart;
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'guest-cart' ? decoded.cartId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Set guest cart token as HTTP-only cookie (renewed on each cart change)
+ * @param {Object} res - Express response object
+ * @param {string} token - Guest cart token
+ */
+const setGuestCartCookie = (res, token) => {
+  res.cookie('guestCart', token, {
+    expires: new Date(Date.now() + getGuestCartTtlDays() * 24 * 60 * 60 * 1000),
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax'
+  });
+};
+
+/**
+ * Clear guest cart cookie
+ * @param {Object} res - Express response object
+ */
+const clearGuestCartCookie = (res) => {
+  res.cookie('guestCart', '', {
+    expires: new Date(0),
+    httpOnly: true
+  });
+};
+
 module.exports = {
   generateToken,
   generateUserToken,
   verifyToken,
   decodeToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
   setTokenCookie,
-  clearTokenCookie
+  clearTokenCookie,
+  setRefreshTokenCookie,
+  clearRefreshTokenCookie,
+  generateCartRestoreToken,
+  verifyCartRestoreToken,
+  generateGuestCartToken,
+  getGuestCartId,
+  setGuestCartCookie,
+  clearGuestCartCookie
 };
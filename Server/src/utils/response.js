@@ -49,8 +49,9 @@ const sendOK = (res, message, data) => {
  * @param {string} message - Success message
  * @param {Array} items - Array of items
  * @param {Object} pagination - Pagination info
+ * @param {Object} [extra] - Additional top-level fields (e.g. facets)
  */
-const sendPaginated = (res, message, items, pagination) => {
+const sendPaginated = (res, message, items, pagination, extra = {}) => {
   return res.status(200).json({
     success: true,
     message,
@@ -62,7 +63,8 @@ const sendPaginated = (res, message, items, pagination) => {
       itemsPerPage: pagination.limit,
       hasNextPage: pagination.page < pagination.totalPages,
       hasPrevPage: pagination.page > 1
-    }
+    },
+    ...extra
   });
 };
 
@@ -123,6 +125,21 @@ const sendBadRequest = (res, message = 'Bad request', errors = null) => {
   return sendError(res, 400, message, errors);
 };
 
+/**
+ * Send a PDF file as a download (200)
+ * @param {Object} res - Express response object
+ * @param {Buffer} pdf - PDF bytes
+ * @param {string} fileName - Download file name
+ */
+const sendPdf = (res, pdf, fileName) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Length': pdf.length,
+    'Content-Disposition': `attachment; filename="${fileName}"`
+  });
+  return res.status(200).send(pdf);
+};
+
 module.exports = {
   sendSuccess,
   sendCreated,
@@ -132,5 +149,6 @@ module.exports = {
   sendNotFound,
   sendUnauthorized,
   sendForbidden,
-  sendBadRequest
+  sendBadRequest,
+  sendPdf
 };
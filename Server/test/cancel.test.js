@@ -0,0 +1,323 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { oid, fakeSession, matches, mockOrderClaims, callHandler, buildOrder } = require('./helpers');
+const Product = require('../src/models/Product.model');
+const Coupon = require('../src/models/Coupon.model');
+const Order = require('../src/models/Order.model');
+const { cancelOrder } = require('../src/controllers/order.controller');
+
+/**
+ * Record stock restored per product
+ * @param {Object} t - Test context
+ * @returns {Object} Mocked adjustVariantStock
+ */
+const mockRestock = (t) => t.mock.method(Product, 'adjustVariantStock', async () => true);
+
+/**
+ * Order priced by the tax engine: a ₹60 coupon spread over the lines,
+ * 5% GST split CGST/SGST
+ * @returns {Order}
+ */
+const buildTaxedOrder = () => {
+  const order = buildOrder({
+    pricing: {
+      subtotal: 600,
+      discount: 60,
+      couponCode: 'FESTIVE10',
+      tax: 27,
+      shipping: 0,
+      total: 567,
+      taxDetails: { sellerState: 'Maharashtra', placeOfSupply: 'Maharashtra', interState: false, cgst: 13.5, sgst: 13.5, igst: 0 }
+    }
+  });
+
+  order.items.forEach((item) => {
+    const discount = item.total / 10;
+    const taxableValue = item.total - discount;
+    const amount = taxableValue * 0.05;
+    item.tax = { hsnCode: '6211', discount, taxableValue, rate: 5, cgst: amount / 2, sgst: amount / 2, igst: 0, amount };
+  });
+
+  return order;
+};
+
+describe('Order.cancelItems', () => {
+  test('cancels single lines, restocks them and re-prices the order', async (t) => {
+    const restock = mockRestock(t);
+    const order = buildTaxedOrder();
+    const [first, second] = order.items;
+
+    await order.cancelItems([second._id], 'Ordered twice', oid());
+
+    assert.equal(order.status, 'confirmed');
+    assert.equal(second.status, 'cancelled');
+    assert.equal(first.status, 'confirmed');
+
+    // ₹200 line, ₹20 of the coupon, 5% of ₹180
+    assert.equal(second.cancellation.refundAmount, 189);
+    assert.equal(order.pricing.subtotal, 400);
+    assert.equal(order.pricing.discount, 40);
+    assert.equal(order.pricing.tax, 18);
+    assert.equal(order.pricing.taxDetails.cgst, 9);
+    assert.equal(order.pricing.taxDetails.sgst, 9);
+    assert.equal(order.pricing.total, 378);
+
+    assert.equal(restock.mock.callCount(), 1);
+    const [productId, , quantity] = restock.mock.calls[0].arguments;
+    assert.ok(productId.equals(second.product));
+    assert.equal(quantity, 2);
+
+    assert.equal(order.statusHistory.at(-1).status, 'items_cancelled');
+    assert.equal(order.$locals.notifications[0].template, 'order_items_cancelled');
+  });
+
+  test('cancelling every remaining line cancels the order inside the same session', async (t) => {
+    const restock = mockRestock(t);
+    const release = t.mock.method(Coupon, 'updateOne', async () => ({ acknowledged: true }));
+    const session = fakeSession();
+    const order = buildTaxedOrder();
+    const [first, second, third] = order.items;
+
+    await order.cancelItems([first._id], 'Changed my mind', oid(), { session });
+    await order.cancelItems([second._id, third._id], 'Changed my mind', oid(), { session });
+
+    assert.equal(order.status, 'cancelled');
+    assert.ok(order.items.every((item) => item.status === 'cancelled'));
+    assert.equal(order.cancellation.reason, 'Changed my mind');
+
+    // The first line is not restocked twice
+    assert.deepEqual(restock.mock.calls.map((call) => call.arguments[2]), [1, 2, 3]);
+    assert.ok(restock.mock.calls.every((call) => call.arguments[3].session === session));
+    assert.equal(release.mock.calls[0].arguments[2].session, session);
+  });
+
+  test('takes a line out of a parcel that has not left yet', async (t) => {
+    mockRestock(t);
+    const order = buildOrder();
+    const [first, second] = order.items;
+    order.createShipment({ itemIds: [first._id, second._id] });
+    order.createShipment({ itemIds: [order.items[2]._id] });
+
+    await order.cancelItems([first._id], 'Wrong size', oid());
+    assert.equal(order.shipments.length, 2);
+    assert.deepEqual(order.shipments[0].items.map(String), [second._id.toString()]);
+
+    await order.cancelItems([second._id], 'Wrong size', oid());
+    assert.equal(order.shipments.length, 1);
+    assert.equal(order.status, 'confirmed');
+  });
+
+  test('refuses lines in a dispatched parcel', async (t) => {
+    const restock = mockRestock(t);
+    const order = buildOrder({ payment: { method: 'cod' } });
+    const shipment = order.createShipment({ itemIds: [order.items[0]._id], trackingNumber: 'AWB1' });
+    await order.updateShipmentStatus(shipment._id, 'shipped');
+
+    await assert.rejects(
+      order.cancelItems([order.items[0]._id], 'Too late', oid()),
+      /Kurta 1 has already shipped/
+    );
+    assert.equal(restock.mock.callCount(), 0);
+  });
+
+  test('refuses lines that have moved past processing', async (t) => {
+    mockRestock(t);
+    const order = buildOrder();
+    order.items[0].status = 'delivered';
+
+    await assert.rejects(
+      order.cancelItems([order.items[0]._id], 'Too late', oid()),
+      /Kurta 1 can no longer be cancelled/
+    );
+  });
+
+  test('refuses items that are not on the order', async (t) => {
+    mockRestock(t);
+    const order = buildOrder();
+
+    await assert.rejects(order.cancelItems([oid()], 'Oops', oid()), /is not part of this order/);
+  });
+});
+
+describe('Order.cancel', () => {
+  test('restores stock, releases the coupon and records who cancelled', async (t) => {
+    const restock = mockRestock(t);
+    const release = t.mock.method(Coupon, 'updateOne', async () => ({ acknowledged: true }));
+    const order = buildTaxedOrder();
+    const by = oid();
+
+    await order.cancel('No longer needed', by);
+
+    assert.equal(order.status, 'cancelled');
+    assert.equal(order.cancellation.cancelledBy, by);
+    assert.ok(order.items.every((item) => item.status === 'cancelled'));
+    assert.equal(restock.mock.callCount(), 3);
+    assert.equal(release.mock.calls[0].arguments[0].code, 'FESTIVE10');
+    assert.equal(order.$locals.notifications.at(-1).template, 'order_cancelled');
+  });
+
+  test('unpacks parcels that never left', async (t) => {
+    mockRestock(t);
+    const order = buildOrder();
+    order.createShipment({ itemIds: [order.items[0]._id] });
+
+    await order.cancel('No longer needed', oid());
+
+    assert.equal(order.status, 'cancelled');
+    assert.equal(order.shipments.length, 0);
+  });
+
+  test('is refused once a parcel has shipped', async (t) => {
+    const restock = mockRestock(t);
+    const order = buildOrder();
+    const shipment = order.createShipment({ itemIds: [order.items[0]._id], trackingNumber: 'AWB1' });
+    await order.updateShipmentStatus(shipment._id, 'shipped');
+
+    await assert.rejects(order.cancel('Too late', oid()), /already shipped; cancel the remaining items instead/);
+    assert.equal(restock.mock.callCount(), 0);
+    assert.equal(order.canCancel, false);
+  });
+});
+
+describe('cancelOrder', () => {
+  const cancel = (order, body) => callHandler(cancelOrder, {
+    params: { id: order._id.toString() },
+    body,
+    user: { _id: order.user }
+  });
+
+  test('cancels the order, restock and all, in one transaction', async (t) => {
+    const restock = mockRestock(t);
+    const order = buildOrder();
+    const { stored } = mockOrderClaims(t, order);
+
+    const { statusCode, body } = await cancel(order, { reason: 'No longer needed' });
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.message, 'Order cancelled successfully');
+    assert.equal(stored().status, 'cancelled');
+    assert.equal(restock.mock.callCount(), 3);
+
+    const session = await mongoose.startSession.mock.calls[0].result;
+    assert.equal(session.committed, true);
+    assert.ok(restock.mock.calls.every((call) => call.arguments[3].session === session));
+  });
+
+  test('restocks once when the same order is cancelled twice at the same time', async (t) => {
+    const restock = mockRestock(t);
+    const order = buildOrder();
+    const { stored } = mockOrderClaims(t, order);
+
+    const results = await Promise.all([
+      cancel(order, { reason: 'Changed my mind' }),
+      cancel(order, { reason: 'Changed my mind' })
+    ]);
+
+    assert.deepEqual(results.map((r) => r.statusCode).sort(), [200, 400]);
+    assert.equal(restock.mock.callCount(), 3);
+    assert.equal(stored().status, 'cancelled');
+  });
+
+  test('restocks a line once when it is cancelled twice at the same time', async (t) => {
+    const restock = mockRestock(t);
+    const order = buildOrder();
+    const line = order.items[1];
+    const { stored } = mockOrderClaims(t, order);
+
+    const results = await Promise.all([
+      cancel(order, { reason: 'Ordered twice', itemIds: [line._id.toString()] }),
+      cancel(order, { reason: 'Ordered twice', itemIds: [line._id.toString()] })
+    ]);
+
+    assert.deepEqual(results.map((r) => r.statusCode).sort(), [200, 400]);
+    assert.equal(restock.mock.callCount(), 1);
+    assert.equal(stored().pricing.subtotal, 400);
+    assert.equal(stored().items.id(line._id).status, 'cancelled');
+  });
+
+  test('stores nothing when the transaction fails', async (t) => {
+    const restock = mockRestock(t);
+    restock.mock.mockImplementation(async (productId, variant, quantity) => {
+      if (quantity === 3) throw new Error('connection lost');
+      return true;
+    });
+    const order = buildOrder();
+    const { stored } = mockOrderClaims(t, order);
+
+    const { statusCode } = await cancel(order, { reason: 'No longer needed' });
+
+    assert.equal(statusCode, 500);
+    assert.equal(stored().status, 'confirmed');
+    const session = await mongoose.startSession.mock.calls[0].result;
+    assert.equal(session.aborted, true);
+  });
+
+  test('cancels the remaining lines of a partly shipped order', async (t) => {
+    mockRestock(t);
+    const order = buildOrder();
+    const shipment = order.createShipment({ itemIds: [order.items[0]._id], trackingNumber: 'AWB1' });
+    await order.updateShipmentStatus(shipment._id, 'shipped');
+    const { stored } = mockOrderClaims(t, order);
+
+    const { statusCode, body } = await cancel(order, {
+      reason: 'Only wanted the first',
+      itemIds: [order.items[1]._id.toString(), order.items[2]._id.toString()]
+    });
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.message, 'Items cancelled successfully');
+    assert.equal(stored().status, 'shipped');
+  });
+
+  test('names the line that has already shipped', async (t) => {
+    const restock = mockRestock(t);
+    const order = buildOrder();
+    const shipment = order.createShipment({ itemIds: [order.items[0]._id], trackingNumber: 'AWB1' });
+    await order.updateShipmentStatus(shipment._id, 'shipped');
+    mockOrderClaims(t, order);
+
+    const { statusCode, body } = await cancel(order, { itemIds: [order.items[0]._id.toString()] });
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.message, 'Kurta 1 has already shipped');
+    assert.equal(restock.mock.callCount(), 0);
+  });
+
+  test('refuses a full cancel once a parcel has shipped', async (t) => {
+    const restock = mockRestock(t);
+    const order = buildOrder();
+    const shipment = order.createShipment({ itemIds: [order.items[0]._id], trackingNumber: 'AWB1' });
+    await order.updateShipmentStatus(shipment._id, 'shipped');
+    const { stored } = mockOrderClaims(t, order);
+
+    const { statusCode, body } = await cancel(order, { reason: 'Too late' });
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.message, 'This order cannot be cancelled');
+    assert.equal(stored().status, 'confirmed');
+    assert.equal(restock.mock.callCount(), 0);
+  });
+});
+
+describe('Order.cancellableFilter', () => {
+  test('matches orders that have not shipped', () => {
+    const filter = Order.cancellableFilter();
+
+    assert.ok(matches({ status: 'processing' }, filter));
+    assert.ok(!matches({ status: 'shipped' }, filter));
+    assert.ok(!matches({ status: 'cancelled' }, filter));
+  });
+
+  test('matches only while every requested line can still go', () => {
+    const [a, b] = [oid(), oid()];
+    const filter = Order.cancellableFilter([a.toString(), b.toString()]);
+
+    assert.ok(matches({ status: 'shipped', items: [{ _id: a, status: 'confirmed' }, { _id: b, status: 'processing' }] }, filter));
+    assert.ok(!matches({ status: 'confirmed', items: [{ _id: a, status: 'confirmed' }, { _id: b, status: 'cancelled' }] }, filter));
+    assert.ok(!matches({ status: 'confirmed', items: [{ _id: a, status: 'shipped' }, { _id: b, status: 'confirmed' }] }, filter));
+    // Lines without a status follow the order
+    assert.ok(matches({ status: 'confirmed', items: [{ _id: a }, { _id: b }] }, filter));
+    assert.ok(!matches({ status: 'shipped', items: [{ _id: a }, { _id: b }] }, filter));
+  });
+});
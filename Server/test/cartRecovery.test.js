@@ -0,0 +1,369 @@
+const { describe, test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { oid, query, matches, mockCartPricing, mockProducts, mockCarts, callHandler, buildOrder, buildProduct } = require('./helpers');
+
+// The service keeps its own reference, so stub the queue first
+const notifications = require('../src/services/notifications');
+const notify = mock.method(notifications, 'notify', async () => ({ _id: oid() }));
+
+const Cart = require('../src/models/Cart.model');
+const CartRecovery = require('../src/models/CartRecovery.model');
+const Coupon = require('../src/models/Coupon.model');
+const User = require('../src/models/User.model');
+const { generateCartRestoreToken } = require('../src/utils/jwt');
+const { runCartRecovery, recordConversion } = require('../src/services/cartRecovery');
+const { restoreCart } = require('../src/controllers/cart.controller');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+/**
+ * Keep campaigns in memory, with the unique cart + abandonedAt index
+ * @param {Object} t - Test context
+ * @param {CartRecovery[]} [recoveries] - Stored campaigns
+ * @returns {CartRecovery[]}
+ */
+const mockRecoveries = (t, recoveries = []) => {
+  const find = (filter) => recoveries
+    .filter((recovery) => matches(recovery.toObject(), filter))
+    .sort((a, b) => (b.lastSentAt || 0) - (a.lastSentAt || 0))[0] || null;
+
+  t.mock.method(CartRecovery, 'findOne', (filter) => query(find(filter)));
+  t.mock.method(CartRecovery, 'findById', (id) => query(find({ _id: id })));
+  t.mock.method(CartRecovery, 'create', async (fields) => {
+    const recovery = new CartRecovery(fields);
+    if (find({ cart: recovery.cart, abandonedAt: recovery.abandonedAt })) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    recoveries.push(recovery);
+    return recovery;
+  });
+  t.mock.method(CartRecovery, 'findOneAndUpdate', async (filter, { $push }) => {
+    const recovery = find(filter);
+    if (recovery) recovery.steps.push($push.steps);
+    return recovery;
+  });
+  t.mock.method(CartRecovery, 'updateOne', async (filter, { $pull }) => {
+    const recovery = find(filter);
+    recovery.steps = recovery.steps.filter((step) => step.step !== $pull.steps.step);
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(CartRecovery.prototype, 'save', async function () {
+    return this;
+  });
+
+  return recoveries;
+};
+
+/**
+ * Serve carts to the recovery job as its query would find them
+ * @param {Object} t - Test context
+ * @param {Cart[]} carts
+ */
+const mockAbandonedCarts = (t, carts) => {
+  t.mock.method(Cart, 'find', (filter) => ({
+    populate: () => ({
+      cursor: () => carts.filter((cart) => matches(cart.toObject(), filter))[Symbol.iterator]()
+    })
+  }));
+};
+
+/**
+ * Shopper's cart with one populated line, last changed some hours ago
+ * @param {number} hoursAgo
+ * @param {Object} [fields] - Cart fields
+ * @returns {Cart}
+ */
+const abandonedCart = (hoursAgo, fields = {}) => {
+  const saree = buildProduct();
+  const cart = new Cart({
+    user: oid(),
+    items: [{ product: saree._id, variant: { size: 'M', color: 'Red', sku: 'SAREE-M-RED' }, quantity: 2, price: 2000 }],
+    subtotal: 4000,
+    updatedAt: new Date(NOW.getTime() - hoursAgo * HOUR),
+    ...fields
+  });
+  cart.items.forEach((item) => {
+    item.product = saree;
+  });
+  return cart;
+};
+
+/**
+ * Shopper served by User.findById
+ * @param {Object} t - Test context
+ * @param {Object} [fields] - User fields
+ * @returns {User}
+ */
+const mockShopper = (t, fields = {}) => {
+  const user = new User({ name: 'Asha', email: 'asha@example.com', password: 'Secret123', ...fields });
+  t.mock.method(User, 'findById', () => query(user));
+  return user;
+};
+
+/**
+ * Set environment variables for one test
+ * @param {Object} t - Test context
+ * @param {Object} values
+ */
+const setEnv = (t, values) => {
+  const previous = Object.fromEntries(Object.keys(values).map((key) => [key, process.env[key]]));
+  Object.assign(process.env, values);
+  t.after(() => {
+    Object.entries(previous).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  });
+};
+
+beforeEach(() => {
+  notify.mock.resetCalls();
+});
+
+describe('runCartRecovery', () => {
+  test('sends the first reminder with a restore link and a snapshot of the cart', async (t) => {
+    const cart = abandonedCart(2);
+    mockAbandonedCarts(t, [cart]);
+    const recoveries = mockRecoveries(t);
+    const user = mockShopper(t);
+
+    assert.deepEqual(await runCartRecovery({ now: NOW }), { checked: 1, sent: 1 });
+
+    const [recovery] = recoveries;
+    assert.equal(recovery.abandonedAt.getTime(), cart.updatedAt.getTime());
+    assert.equal(recovery.cartValue, 4000);
+    assert.equal(recovery.items[0].variant.sku, 'SAREE-M-RED');
+    assert.deepEqual(recovery.steps.map((s) => [s.step, s.delay]), [[1, '1h']]);
+    assert.equal(recovery.lastSentAt, NOW);
+
+    const [template, { user: recipient, data, dedupeKey }] = notify.mock.calls[0].arguments;
+    assert.equal(template, 'cart_reminder');
+    assert.equal(recipient, user);
+    assert.equal(data.step, 1);
+    assert.deepEqual(data.items, [{ name: 'Silk Saree', variant: 'M / Red', quantity: 2, total: 4000 }]);
+    assert.match(data.restoreUrl, /\/cart\/restore\?token=[\w-]+\.[\w-]+\.[\w-]+$/);
+    assert.equal(data.coupon, null);
+    assert.equal(dedupeKey, `cart_reminder:${recovery._id}:1`);
+  });
+
+  test('sends each step once, and only the latest one due', async (t) => {
+    const cart = abandonedCart(2);
+    mockAbandonedCarts(t, [cart]);
+    const recoveries = mockRecoveries(t);
+    mockShopper(t);
+
+    await runCartRecovery({ now: NOW });
+    assert.deepEqual(await runCartRecovery({ now: new Date(NOW.getTime() + HOUR) }), { checked: 1, sent: 0 });
+
+    // The job was down until the third reminder was due
+    assert.deepEqual(await runCartRecovery({ now: new Date(NOW.getTime() + 80 * HOUR) }), { checked: 1, sent: 1 });
+    assert.deepEqual(recoveries[0].steps.map((s) => s.step), [1, 3]);
+  });
+
+  test('starts a new campaign when the cart changes', async (t) => {
+    const cart = abandonedCart(2);
+    mockAbandonedCarts(t, [cart]);
+    const recoveries = mockRecoveries(t);
+    mockShopper(t);
+    await runCartRecovery({ now: NOW });
+
+    cart.updatedAt = new Date(NOW.getTime() + HOUR);
+    await runCartRecovery({ now: new Date(NOW.getTime() + 3 * HOUR) });
+
+    assert.equal(recoveries.length, 2);
+    assert.deepEqual(recoveries[1].steps.map((s) => s.step), [1]);
+  });
+
+  test('skips guest carts, fresh or stale carts and shoppers who opted out', async (t) => {
+    const carts = [
+      abandonedCart(2, { user: undefined }),
+      abandonedCart(0.5),
+      abandonedCart(8 * 24),
+      abandonedCart(2)
+    ];
+    mockAbandonedCarts(t, carts);
+    const recoveries = mockRecoveries(t);
+    mockShopper(t, { notificationPreferences: { reminders: false } });
+
+    assert.deepEqual(await runCartRecovery({ now: NOW }), { checked: 1, sent: 0 });
+    assert.equal(recoveries.length, 0);
+  });
+
+  test('issues one single-use coupon at its step and repeats it later', async (t) => {
+    setEnv(t, { CART_RECOVERY_COUPON_STEP: '2' });
+    const cart = abandonedCart(2);
+    mockAbandonedCarts(t, [cart]);
+    const recoveries = mockRecoveries(t);
+    mockShopper(t);
+    const coupons = [];
+    t.mock.method(Coupon, 'create', async (fields) => {
+      coupons.push(new Coupon(fields));
+      return coupons.at(-1);
+    });
+    t.mock.method(Coupon, 'findOne', ({ code }) => query(coupons.find((c) => c.code === code) || null));
+
+    await runCartRecovery({ now: NOW });
+    assert.equal(coupons.length, 0);
+
+    await runCartRecovery({ now: new Date(NOW.getTime() + 24 * HOUR) });
+    await runCartRecovery({ now: new Date(NOW.getTime() + 72 * HOUR) });
+
+    assert.equal(coupons.length, 1);
+    const [coupon] = coupons;
+    assert.match(coupon.code, /^COMEBACK[0-9A-F]{8}$/);
+    assert.deepEqual([coupon.usageLimit, coupon.perUserLimit, coupon.discountValue], [1, 1, 10]);
+    assert.equal(coupon.assignedTo, cart.user);
+    assert.deepEqual(recoveries[0].steps.map((s) => s.couponCode), [undefined, coupon.code, undefined]);
+
+    const sentCoupons = notify.mock.calls.map((call) => call.arguments[1].data.coupon);
+    assert.deepEqual(sentCoupons.map((c) => c && c.code), [null, coupon.code, coupon.code]);
+  });
+
+  test('gives the step back when the reminder cannot be queued', async (t) => {
+    const cart = abandonedCart(2);
+    mockAbandonedCarts(t, [cart]);
+    const recoveries = mockRecoveries(t);
+    mockShopper(t);
+    t.mock.method(console, 'error', () => {});
+    notify.mock.mockImplementationOnce(async () => {
+      throw new Error('connection lost');
+    });
+
+    assert.deepEqual(await runCartRecovery({ now: NOW }), { checked: 1, sent: 0 });
+    assert.deepEqual(recoveries[0].steps, []);
+
+    assert.deepEqual(await runCartRecovery({ now: NOW }), { checked: 1, sent: 1 });
+  });
+});
+
+describe('restoreCart', () => {
+  /**
+   * Campaign for a cart that has since been emptied
+   * @param {Object} t - Test context
+   * @returns {Object} { recovery, cart, saree, token }
+   */
+  const mockCampaign = (t) => {
+    const saree = buildProduct();
+    const kurta = buildProduct({ name: 'Cotton Kurta', price: 800 });
+    mockProducts(t, [saree, kurta]);
+    mockCartPricing(t);
+
+    const cart = new Cart({ user: oid(), items: [] });
+    cart.items.push({ product: kurta._id, variant: { size: 'M', color: 'Red', sku: 'Cotton Kurta-M-Red' }, quantity: 1, price: 800 });
+    mockCarts(t, [cart]);
+
+    const recovery = new CartRecovery({
+      cart: cart._id,
+      user: cart.user,
+      abandonedAt: NOW,
+      items: [
+        { product: saree._id, variant: { size: 'M', color: 'Red' }, quantity: 2, price: 2000 },
+        { product: kurta._id, variant: { size: 'M', color: 'Red' }, quantity: 3, price: 800 }
+      ],
+      steps: [{ step: 1, delay: '1h', sentAt: NOW }, { step: 2, delay: '24h', sentAt: NOW }],
+      couponCode: 'COMEBACK1234ABCD'
+    });
+    mockRecoveries(t, [recovery]);
+    t.mock.method(Coupon, 'findOne', () => query(null));
+
+    const token = generateCartRestoreToken({ cartId: cart._id, recoveryId: recovery._id, step: 2 });
+    return { recovery, cart, saree, token };
+  };
+
+  test('puts back what was in the bag and records the click', async (t) => {
+    const { recovery, cart, token } = mockCampaign(t);
+
+    const { statusCode, body } = await callHandler(restoreCart, { user: { _id: cart.user }, body: { token } });
+
+    assert.equal(statusCode, 200);
+    assert.deepEqual(cart.items.map((item) => [item.variant.sku, item.quantity]), [['Cotton Kurta-M-Red', 1], ['Silk Saree-M-Red', 2]]);
+    assert.deepEqual(body.data.restored.merged.map((m) => m.name), ['Silk Saree']);
+    assert.deepEqual([recovery.restoreCount, recovery.restoredStep], [1, 2]);
+  });
+
+  test('records a click from a logged-out shopper, then asks them to log in', async (t) => {
+    const { recovery, cart, token } = mockCampaign(t);
+
+    const { statusCode, body } = await callHandler(restoreCart, { body: { token } });
+
+    assert.equal(statusCode, 401);
+    assert.equal(body.message, 'Please log in to restore your cart');
+    assert.equal(recovery.restoreCount, 1);
+    assert.equal(cart.items.length, 1);
+  });
+
+  test('refuses links for another account and tampered links', async (t) => {
+    const { token } = mockCampaign(t);
+
+    const other = await callHandler(restoreCart, { user: { _id: oid() }, body: { token } });
+    const tampered = await callHandler(restoreCart, { user: { _id: oid() }, body: { token: `${token}x` } });
+
+    assert.equal(other.statusCode, 403);
+    assert.equal(tampered.statusCode, 400);
+    assert.equal(tampered.body.message, 'This link is invalid or has expired');
+  });
+});
+
+describe('recordConversion', () => {
+  /**
+   * Campaign whose last reminder went out at NOW
+   * @param {Object} t - Test context
+   * @param {Object} [fields] - CartRecovery fields
+   * @returns {CartRecovery}
+   */
+  const mockSentCampaign = (t, fields = {}) => {
+    const recovery = new CartRecovery({
+      cart: oid(),
+      user: oid(),
+      abandonedAt: new Date(NOW.getTime() - 30 * HOUR),
+      steps: [{ step: 1, delay: '1h' }, { step: 2, delay: '24h', couponCode: 'COMEBACK1234ABCD' }],
+      couponCode: 'COMEBACK1234ABCD',
+      lastSentAt: NOW,
+      ...fields
+    });
+    mockRecoveries(t, [recovery]);
+    return recovery;
+  };
+
+  const orderAt = (hoursAfter, pricing = {}) => buildOrder({
+    createdAt: new Date(NOW.getTime() + hoursAfter * HOUR),
+    pricing: { subtotal: 600, discount: 0, tax: 0, shipping: 0, total: 600, ...pricing }
+  });
+
+  test('credits the step whose link was clicked', async (t) => {
+    const recovery = mockSentCampaign(t, { restoredStep: 1 });
+    const order = orderAt(2);
+
+    const converted = await recordConversion(order, recovery.cart);
+
+    assert.equal(converted, recovery);
+    assert.equal(recovery.status, 'converted');
+    assert.equal(recovery.order, order._id);
+    assert.deepEqual([recovery.convertedStep, recovery.revenue], [1, 600]);
+  });
+
+  test('credits the coupon\'s step when the coupon was used', async (t) => {
+    const recovery = mockSentCampaign(t, { restoredStep: 1 });
+
+    await recordConversion(orderAt(2, { couponCode: 'COMEBACK1234ABCD', total: 540 }), recovery.cart);
+
+    assert.deepEqual([recovery.convertedStep, recovery.revenue], [2, 540]);
+  });
+
+  test('falls back to the last reminder sent', async (t) => {
+    const recovery = mockSentCampaign(t);
+
+    await recordConversion(orderAt(2), recovery.cart);
+
+    assert.equal(recovery.convertedStep, 2);
+  });
+
+  test('ignores orders outside the attribution window or from other carts', async (t) => {
+    const recovery = mockSentCampaign(t);
+
+    assert.equal(await recordConversion(orderAt(8 * 24), recovery.cart), null);
+    assert.equal(await recordConversion(orderAt(2), oid()), null);
+    assert.equal(recovery.status, 'active');
+  });
+});
@@ -0,0 +1,177 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { oid, query, mockCartPricing, mockProducts, mockCarts, callHandler, buildProduct } = require('./helpers');
+const Cart = require('../src/models/Cart.model');
+const Coupon = require('../src/models/Coupon.model');
+const { getCart, acknowledgePriceChanges } = require('../src/controllers/cart.controller');
+
+/**
+ * User cart holding one line per product, M / Red at the product price
+ * @param {Object[]} lines - [product, quantity]
+ * @returns {Cart}
+ */
+const cartWith = (lines) => new Cart({
+  user: oid(),
+  items: lines.map(([product, quantity]) => ({
+    product: product._id,
+    variant: { size: 'M', color: 'Red' },
+    quantity,
+    price: product.price
+  }))
+});
+
+describe('Cart.revalidate', () => {
+  test('drops lines that can no longer be bought', async (t) => {
+    const archived = buildProduct({ name: 'Old Saree', status: 'archived' });
+    const resized = buildProduct({ name: 'Linen Kurta', variants: [{ size: 'L', color: 'Red', stock: 5 }] });
+    const soldOut = buildProduct({ name: 'Silk Dupatta', variants: [{ size: 'M', color: 'Red', stock: 0 }] });
+    const deleted = buildProduct({ name: 'Deleted Stole' });
+    mockProducts(t, [archived, resized, soldOut]);
+    mockCartPricing(t);
+    const cart = cartWith([[archived, 1], [resized, 1], [soldOut, 2], [deleted, 1]]);
+
+    const warnings = await cart.revalidate();
+
+    assert.deepEqual(warnings.map((w) => [w.type, w.name]), [
+      ['product_unavailable', 'Old Saree'],
+      ['variant_unavailable', 'Linen Kurta'],
+      ['out_of_stock', 'Silk Dupatta'],
+      ['product_unavailable', 'Unavailable product']
+    ]);
+    assert.equal(warnings[1].message, 'Size M in Red is no longer available');
+    assert.deepEqual([warnings[2].requested, warnings[2].available], [2, 0]);
+    assert.equal(cart.items.length, 0);
+    assert.equal(cart.total, 0);
+  });
+
+  test('caps quantities at the stock left', async (t) => {
+    const saree = buildProduct({ variants: [{ size: 'M', color: 'Red', stock: 2 }] });
+    mockProducts(t, [saree]);
+    mockCartPricing(t);
+    const cart = cartWith([[saree, 5]]);
+
+    const [warning] = await cart.revalidate();
+
+    assert.equal(warning.type, 'quantity_reduced');
+    assert.equal(warning.message, 'Only 2 left in stock; quantity reduced');
+    assert.equal(cart.items[0].quantity, 2);
+    assert.equal(cart.subtotal, 4000);
+  });
+
+  test('reprices lines and keeps warning about the change until it is acknowledged', async (t) => {
+    const saree = buildProduct();
+    mockProducts(t, [saree]);
+    mockCartPricing(t);
+    const cart = cartWith([[saree, 1]]);
+    saree.salePrice = 1800;
+
+    const [first] = await cart.revalidate();
+    assert.deepEqual([first.type, first.oldPrice, first.newPrice], ['price_changed', 2000, 1800]);
+    assert.equal(cart.items[0].price, 1800);
+    assert.equal(cart.subtotal, 1800);
+
+    // Still unacknowledged on the next visit, with the price first seen
+    saree.salePrice = 1700;
+    const [second] = await cart.revalidate();
+    assert.deepEqual([second.oldPrice, second.newPrice], [2000, 1700]);
+
+    cart.acknowledgePriceChanges();
+    assert.deepEqual(await cart.revalidate(), []);
+  });
+
+  test('forgets a price change that reverted before it was seen', async (t) => {
+    const saree = buildProduct();
+    mockProducts(t, [saree]);
+    mockCartPricing(t);
+    const cart = cartWith([[saree, 1]]);
+
+    saree.salePrice = 1800;
+    await cart.revalidate();
+    saree.salePrice = undefined;
+
+    assert.deepEqual(await cart.revalidate(), []);
+    assert.equal(cart.priceChanges.length, 0);
+    assert.equal(cart.items[0].price, 2000);
+  });
+
+  test('forgets price changes for lines that were removed since', async (t) => {
+    const saree = buildProduct();
+    mockProducts(t, [saree]);
+    mockCartPricing(t);
+    const cart = cartWith([[saree, 1]]);
+    saree.salePrice = 1800;
+    await cart.revalidate();
+
+    saree.status = 'archived';
+    const warnings = await cart.revalidate();
+
+    assert.deepEqual(warnings.map((w) => w.type), ['product_unavailable']);
+    assert.equal(cart.priceChanges.length, 0);
+  });
+
+  test('warns when the applied coupon no longer applies', async (t) => {
+    const saree = buildProduct();
+    mockProducts(t, [saree]);
+    mockCartPricing(t);
+    t.mock.method(Coupon, 'findOne', () => query(null));
+    const cart = cartWith([[saree, 1]]);
+    cart.couponCode = 'FESTIVE10';
+
+    const [warning] = await cart.revalidate();
+
+    assert.equal(warning.type, 'coupon_removed');
+    assert.equal(warning.message, 'Coupon FESTIVE10 can no longer be applied: Invalid coupon code');
+    assert.equal(cart.couponCode, undefined);
+  });
+});
+
+describe('getCart', () => {
+  test('returns the warnings and saves the reconciled cart', async (t) => {
+    const saree = buildProduct({ variants: [{ size: 'M', color: 'Red', stock: 1 }] });
+    mockProducts(t, [saree]);
+    mockCartPricing(t);
+    const cart = cartWith([[saree, 3]]);
+    mockCarts(t, [cart]);
+
+    const { statusCode, body } = await callHandler(getCart, { user: { _id: cart.user } });
+
+    assert.equal(statusCode, 200);
+    assert.deepEqual(body.data.warnings.map((w) => w.type), ['quantity_reduced']);
+    assert.equal(Cart.prototype.save.mock.callCount(), 1);
+  });
+
+  test('does not save a cart that is still current', async (t) => {
+    const saree = buildProduct();
+    mockProducts(t, [saree]);
+    mockCartPricing(t);
+    const priced = cartWith([[saree, 1]]);
+    await priced.calculateTotals();
+    const cart = Cart.hydrate(priced.toObject({ virtuals: false }));
+    mockCarts(t, [cart]);
+
+    const { body } = await callHandler(getCart, { user: { _id: cart.user } });
+
+    assert.deepEqual(body.data.warnings, []);
+    assert.equal(Cart.prototype.save.mock.callCount(), 0);
+  });
+});
+
+describe('acknowledgePriceChanges', () => {
+  test('clears the pending changes so checkout can go ahead', async (t) => {
+    const saree = buildProduct();
+    mockProducts(t, [saree]);
+    mockCartPricing(t);
+    const cart = cartWith([[saree, 1]]);
+    mockCarts(t, [cart]);
+    saree.salePrice = 1800;
+    await cart.revalidate();
+
+    const { statusCode, body } = await callHandler(acknowledgePriceChanges, { user: { _id: cart.user } });
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.message, 'Price changes acknowledged');
+    assert.equal(cart.priceChanges.length, 0);
+    assert.equal(cart.items[0].price, 1800);
+    assert.deepEqual(await cart.revalidate(), []);
+  });
+});
@@ -0,0 +1,242 @@
+const { describe, test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { oid, query, fakeSession, matches, callHandler } = require('./helpers');
+
+// The controller keeps its own references, so stub the side effects first
+const notifications = require('../src/services/notifications');
+const cartRecovery = require('../src/services/cartRecovery');
+mock.method(notifications, 'notifyOrderEvent', async () => {});
+mock.method(cartRecovery, 'recordConversion', async () => {});
+
+const Cart = require('../src/models/Cart.model');
+const Product = require('../src/models/Product.model');
+const Coupon = require('../src/models/Coupon.model');
+const Order = require('../src/models/Order.model');
+const { createOrder } = require('../src/controllers/order.controller');
+
+const address = {
+  name: 'Asha',
+  phone: '9999999999',
+  street: '1 MG Road',
+  city: 'Pune',
+  state: 'Maharashtra',
+  zipCode: '411001'
+};
+
+/**
+ * Populated cart with two lines that revalidates cleanly
+ * @param {Object} [options] - { warnings, couponCode }
+ * @returns {Object} Cart stand-in
+ */
+const buildCart = ({ warnings = [], couponCode } = {}) => {
+  const lines = [
+    { name: 'Kurta', quantity: 2, price: 500 },
+    { name: 'Dupatta', quantity: 1, price: 300 }
+  ].map(({ name, quantity, price }) => ({
+    _id: oid(),
+    product: { _id: oid(), name, images: [] },
+    variant: { size: 'M', color: 'Red' },
+    quantity,
+    price
+  }));
+
+  const cart = {
+    _id: oid(),
+    items: lines,
+    shippingSelection: {},
+    subtotal: 1300,
+    discount: couponCode ? 100 : 0,
+    couponCode,
+    shipping: 0,
+    codCharge: 0,
+    tax: 0,
+    total: couponCode ? 1200 : 1300,
+    $locals: {},
+    cleared: false,
+    saves: [],
+    async revalidate() {
+      cart.$locals.shippingQuote = {
+        serviceable: true,
+        zone: 'West',
+        selected: { code: 'standard', name: 'Standard Delivery', estimatedDays: { min: 3, max: 7 } }
+      };
+      cart.$locals.taxResult = {
+        sellerState: 'Maharashtra',
+        placeOfSupply: 'Maharashtra',
+        interState: false,
+        totals: { cgst: 0, sgst: 0, igst: 0 },
+        lines: lines.map((item) => ({
+          key: item._id.toString(),
+          hsnCode: '6211',
+          discount: 0,
+          taxableValue: item.price * item.quantity,
+          rate: 5,
+          cgst: 0,
+          sgst: 0,
+          igst: 0,
+          amount: 0
+        }))
+      };
+      return warnings;
+    },
+    async clearCart() {
+      cart.cleared = true;
+    },
+    async save(options = {}) {
+      cart.saves.push(options);
+      return cart;
+    }
+  };
+
+  return cart;
+};
+
+/**
+ * Mock the collections checkout touches
+ * @param {Object} t - Test context
+ * @param {Object} cart - Cart stand-in
+ * @param {Object} [stock] - Units left per product name; reservations beyond it fail
+ * @returns {Object} { session, reserve, create, redeem }
+ */
+const mockCheckout = (t, cart, stock = {}) => {
+  const session = fakeSession();
+  const left = { Kurta: 10, Dupatta: 10, ...stock };
+
+  t.mock.method(Cart, 'findOne', () => query(cart));
+  t.mock.method(mongoose, 'startSession', async () => session);
+
+  const reserve = t.mock.method(Product, 'adjustVariantStock', async (productId, variant, delta) => {
+    const line = cart.items.find((item) => item.product._id.equals(productId));
+    if (left[line.product.name] + delta < 0) return false;
+    left[line.product.name] += delta;
+    return true;
+  });
+  t.mock.method(Product, 'findById', (productId) => {
+    const line = cart.items.find((item) => item.product._id.equals(productId));
+    return query({ variants: [{ size: 'M', color: 'Red', stock: left[line.product.name] }] });
+  });
+
+  const create = t.mock.method(Order, 'create', async ([fields]) => {
+    const order = new Order({ ...fields, orderNumber: 'ORD-20260101-000001' });
+    order.populate = async () => order;
+    return [order];
+  });
+
+  t.mock.method(Coupon, 'findByCode', () => query({ _id: oid() }));
+  const redeem = t.mock.method(Coupon, 'redeem', async () => true);
+
+  return { session, reserve, create, redeem };
+};
+
+const checkout = (body = {}, user = { _id: oid() }) => callHandler(createOrder, {
+  user,
+  body: { shippingAddress: address, paymentMethod: 'cod', ...body }
+});
+
+describe('createOrder', () => {
+  test('reserves stock, creates the order and clears the cart in one transaction', async (t) => {
+    const cart = buildCart({ couponCode: 'FESTIVE10' });
+    const { session, reserve, create, redeem } = mockCheckout(t, cart);
+
+    const { statusCode, body } = await checkout();
+
+    assert.equal(statusCode, 201);
+    assert.equal(body.data.order.items.length, 2);
+    assert.equal(body.data.order.pricing.total, 1200);
+    assert.equal(session.committed, true);
+
+    assert.equal(redeem.mock.calls[0].arguments[2].session, session);
+    assert.deepEqual(reserve.mock.calls.map((call) => call.arguments[2]), [-2, -1]);
+    assert.ok(reserve.mock.calls.every((call) => call.arguments[3].session === session));
+    assert.equal(create.mock.calls[0].arguments[1].session, session);
+
+    assert.equal(cart.cleared, true);
+    assert.equal(cart.saves[0].session, session);
+  });
+
+  test('rolls back when a line is short and reports what is left', async (t) => {
+    const cart = buildCart();
+    const { session, create } = mockCheckout(t, cart, { Dupatta: 0 });
+
+    const { statusCode, body } = await checkout();
+
+    assert.equal(statusCode, 409);
+    assert.equal(body.errors.length, 1);
+    assert.equal(body.errors[0].name, 'Dupatta');
+    assert.equal(body.errors[0].requested, 1);
+    assert.equal(body.errors[0].available, 0);
+
+    assert.equal(session.aborted, true);
+    assert.equal(create.mock.callCount(), 0);
+    assert.equal(cart.cleared, false);
+    assert.equal(cart.saves.length, 0);
+  });
+
+  test('reports partial stock on the short line', async (t) => {
+    const cart = buildCart();
+    mockCheckout(t, cart, { Kurta: 1 });
+
+    const { statusCode, body } = await checkout();
+
+    assert.equal(statusCode, 409);
+    assert.equal(body.errors[0].name, 'Kurta');
+    assert.equal(body.errors[0].requested, 2);
+    assert.equal(body.errors[0].available, 1);
+  });
+
+  test('aborts when the coupon has run out', async (t) => {
+    const cart = buildCart({ couponCode: 'FESTIVE10' });
+    const { session, reserve, create, redeem } = mockCheckout(t, cart);
+    redeem.mock.mockImplementation(async () => null);
+
+    const { statusCode, body } = await checkout();
+
+    assert.equal(statusCode, 400);
+    assert.match(body.message, /usage limit/);
+    assert.equal(session.aborted, true);
+    assert.equal(reserve.mock.callCount(), 0);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  test('aborts when the shopper has used up their redemptions of the coupon', async (t) => {
+    const cart = buildCart({ couponCode: 'FESTIVE10' });
+    const { session, create } = mockCheckout(t, cart);
+    const user = { _id: oid() };
+    const coupon = new Coupon({
+      code: 'FESTIVE10',
+      discountType: 'percentage',
+      discountValue: 10,
+      perUserLimit: 1,
+      redemptions: [{ user: user._id, order: oid(), discount: 120 }]
+    });
+    Coupon.findByCode.mock.mockImplementation(() => query(coupon));
+    Coupon.redeem.mock.restore();
+    const update = t.mock.method(Coupon, 'findOneAndUpdate', async (filter) => (
+      matches(JSON.parse(JSON.stringify(coupon)), JSON.parse(JSON.stringify(filter))) ? coupon : null
+    ));
+
+    const { statusCode, body } = await checkout({}, user);
+
+    assert.equal(statusCode, 400);
+    assert.match(body.message, /usage limit/);
+    assert.equal(update.mock.calls[0].arguments[2].session, session);
+    assert.equal(session.aborted, true);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  test('returns the cart changes without starting a transaction', async (t) => {
+    const cart = buildCart({
+      warnings: [{ type: 'price_changed', message: 'Price changed from 500 to 550' }]
+    });
+    mockCheckout(t, cart);
+
+    const { statusCode, body } = await checkout();
+
+    assert.equal(statusCode, 409);
+    assert.equal(body.errors[0].type, 'price_changed');
+    assert.equal(mongoose.startSession.mock.callCount(), 0);
+    assert.equal(cart.saves.length, 1);
+    assert.equal(cart.saves[0].session, undefined);
+  });
+});
@@ -0,0 +1,163 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { oid, matches } = require('./helpers');
+const Coupon = require('../src/models/Coupon.model');
+
+/**
+ * Unsaved coupon
+ * @param {Object} [fields] - Coupon fields
+ * @returns {Coupon}
+ */
+const buildCoupon = (fields = {}) => new Coupon({
+  code: 'FESTIVE10',
+  discountType: 'percentage',
+  discountValue: 10,
+  ...fields
+});
+
+/**
+ * Keep a coupon "in the database" for Coupon.redeem. The update only
+ * applies when the stored coupon matches its filter, as in MongoDB.
+ * @param {Object} t - Test context
+ * @param {Coupon} coupon
+ * @returns {Coupon} The stored coupon, updated in place
+ */
+const mockCouponStore = (t, coupon) => {
+  t.mock.method(Coupon, 'findOneAndUpdate', async (filter, update) => {
+    if (!matches(JSON.parse(JSON.stringify(coupon)), JSON.parse(JSON.stringify(filter)))) return null;
+
+    coupon.usedCount += update.$inc.usedCount;
+    coupon.redemptions.push(update.$push.redemptions);
+    return coupon;
+  });
+  return coupon;
+};
+
+/**
+ * Cart line for evaluate()
+ * @param {number} price
+ * @param {number} quantity
+ * @param {Object} [product] - Product fields
+ * @returns {Object}
+ */
+const line = (price, quantity, product = {}) => ({ price, quantity, product: { _id: oid(), ...product } });
+
+describe('Coupon.redeem', () => {
+  test('records the redemption', async (t) => {
+    const coupon = mockCouponStore(t, buildCoupon({ usageLimit: 10, perUserLimit: 2 }));
+    const user = oid();
+
+    const redeemed = await Coupon.redeem(coupon._id, { user, order: oid(), discount: 50 });
+
+    assert.equal(redeemed.usedCount, 1);
+    assert.equal(redeemed.getUserRedemptionCount(user), 1);
+  });
+
+  test('returns null once the total limit is reached', async (t) => {
+    const coupon = mockCouponStore(t, buildCoupon({ usageLimit: 1 }));
+
+    assert.ok(await Coupon.redeem(coupon._id, { user: oid(), order: oid(), discount: 50 }));
+    assert.equal(await Coupon.redeem(coupon._id, { user: oid(), order: oid(), discount: 50 }), null);
+    assert.equal(coupon.usedCount, 1);
+  });
+
+  test('returns null once the shopper reaches their own limit', async (t) => {
+    const coupon = mockCouponStore(t, buildCoupon({ perUserLimit: 1 }));
+    const user = oid();
+
+    assert.ok(await Coupon.redeem(coupon._id, { user, order: oid(), discount: 50 }));
+    assert.equal(await Coupon.redeem(coupon._id, { user: user.toString(), order: oid(), discount: 50 }), null);
+    assert.ok(await Coupon.redeem(coupon._id, { user: oid(), order: oid(), discount: 50 }));
+    assert.equal(coupon.getUserRedemptionCount(user), 1);
+  });
+
+  test('lets only one of two concurrent redemptions by the same shopper through', async (t) => {
+    const coupon = mockCouponStore(t, buildCoupon({ perUserLimit: 1 }));
+    const user = oid();
+
+    const results = await Promise.all([
+      Coupon.redeem(coupon._id, { user, order: oid(), discount: 50 }),
+      Coupon.redeem(coupon._id, { user, order: oid(), discount: 50 })
+    ]);
+
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(coupon.usedCount, 1);
+  });
+
+  test('has no limit when none is set', async (t) => {
+    const coupon = mockCouponStore(t, buildCoupon());
+    const user = oid();
+
+    for (let i = 0; i < 3; i++) {
+      assert.ok(await Coupon.redeem(coupon._id, { user, order: oid(), discount: 50 }));
+    }
+  });
+});
+
+describe('Coupon.evaluate', () => {
+  const userId = oid();
+
+  test('discounts the eligible lines, capped at the maximum', () => {
+    const category = oid();
+    const coupon = buildCoupon({ discountValue: 20, maxDiscount: 150, eligibility: { categories: [category] } });
+
+    const result = coupon.evaluate({
+      userId,
+      items: [line(500, 2, { category }), line(300, 1)],
+      subtotal: 1300
+    });
+
+    assert.deepEqual(result, { valid: true, discount: 150, eligibleLines: [0] });
+  });
+
+  test('never discounts more than the eligible lines are worth', () => {
+    const coupon = buildCoupon({ discountType: 'flat', discountValue: 500, eligibility: { brands: ['Biba'] } });
+
+    const result = coupon.evaluate({ userId, items: [line(200, 1, { brand: 'biba' }), line(900, 1)], subtotal: 1100 });
+
+    assert.equal(result.discount, 200);
+  });
+
+  test('rejects coupons outside their validity window', () => {
+    const now = new Date('2026-06-01');
+
+    assert.equal(
+      buildCoupon({ validFrom: new Date('2026-01-01'), validUntil: new Date('2026-05-31') }).evaluate({ userId, items: [line(500, 1)], subtotal: 500, now }).message,
+      'This coupon has expired'
+    );
+    assert.equal(
+      buildCoupon({ validFrom: new Date('2026-06-02') }).evaluate({ userId, items: [line(500, 1)], subtotal: 500, now }).message,
+      'This coupon is not valid yet'
+    );
+  });
+
+  test('rejects coupons assigned to someone else', () => {
+    const coupon = buildCoupon({ assignedTo: oid() });
+
+    assert.equal(coupon.evaluate({ userId, items: [line(500, 1)], subtotal: 500 }).message, 'This coupon is not valid for your account');
+  });
+
+  test('rejects a shopper who has used up their redemptions', () => {
+    const coupon = buildCoupon({ perUserLimit: 1, redemptions: [{ user: userId, order: oid(), discount: 50 }] });
+
+    const result = coupon.evaluate({ userId, items: [line(500, 1)], subtotal: 500 });
+
+    assert.equal(result.valid, false);
+    assert.equal(result.message, 'You have already used this coupon');
+  });
+
+  test('says how much more to add below the minimum cart value', () => {
+    const coupon = buildCoupon({ minCartValue: 999 });
+
+    assert.equal(coupon.evaluate({ userId, items: [line(500, 1)], subtotal: 500 }).message, 'Add items worth ₹499 more to use this coupon');
+  });
+
+  test('rejects carts with no eligible lines', () => {
+    const coupon = buildCoupon({ eligibility: { products: [oid()] } });
+
+    assert.equal(
+      coupon.evaluate({ userId, items: [line(500, 1)], subtotal: 500 }).message,
+      'This coupon does not apply to any items in your cart'
+    );
+  });
+});
@@ -0,0 +1,42 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { connectDatabase } = require('../src/config/database');
+
+/**
+ * Connect against a server that answers hello with the given reply
+ * @param {Object} t - Test context
+ * @param {Object} hello - Reply to the hello command
+ * @returns {Promise<Object>} { exit, errors }
+ */
+const connectTo = async (t, hello) => {
+  const connection = { host: 'localhost', db: { admin: () => ({ command: async () => hello }) } };
+  t.mock.method(mongoose, 'connect', async () => ({ connection }));
+  t.mock.method(console, 'log', () => {});
+  const errors = t.mock.method(console, 'error', () => {});
+  const exit = t.mock.method(process, 'exit', () => {});
+
+  await connectDatabase();
+  return { exit, errors };
+};
+
+describe('connectDatabase', () => {
+  test('connects to a replica set', async (t) => {
+    const { exit } = await connectTo(t, { isWritablePrimary: true, setName: 'rs0' });
+
+    assert.equal(exit.mock.callCount(), 0);
+  });
+
+  test('connects through mongos', async (t) => {
+    const { exit } = await connectTo(t, { isWritablePrimary: true, msg: 'isdbgrid' });
+
+    assert.equal(exit.mock.callCount(), 0);
+  });
+
+  test('refuses a standalone server, which cannot run transactions', async (t) => {
+    const { exit, errors } = await connectTo(t, { isWritablePrimary: true });
+
+    assert.deepEqual(exit.mock.calls[0].arguments, [1]);
+    assert.match(errors.mock.calls[0].arguments[0], /must run as a replica set/);
+  });
+});
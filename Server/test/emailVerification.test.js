@@ -0,0 +1,150 @@
+const { describe, test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { oid, query, callHandler } = require('./helpers');
+
+// The controller keeps its own references, so stub email and the queue first
+const email = require('../src/utils/email');
+const notifications = require('../src/services/notifications');
+const sendEmail = mock.method(email, 'sendEmail', async () => {});
+const notify = mock.method(notifications, 'notify', async () => ({ _id: oid() }));
+
+const User = require('../src/models/User.model');
+const Session = require('../src/models/Session.model');
+const { render } = require('../src/services/notifications/templates');
+const { generateEmailVerificationToken } = require('../src/utils/jwt');
+const { register, verifyEmail, resendVerification } = require('../src/controllers/auth.controller');
+
+/**
+ * Mock the user and session collections for a new sign-up
+ * @param {Object} t - Test context
+ * @returns {Object} { create }
+ */
+const mockSignUp = (t) => {
+  t.mock.method(User, 'findByEmail', async () => null);
+  const create = t.mock.method(User, 'create', async (fields) => new User(fields));
+  t.mock.method(Session, 'createForUser', async (userId) => ({
+    session: new Session({ user: userId, refreshTokenHash: 'hash', expiresAt: new Date(Date.now() + 60000) }),
+    refreshToken: 'refresh'
+  }));
+  return { create };
+};
+
+const signUp = () => callHandler(register, {
+  body: { name: 'Asha', email: 'asha@example.com', password: 'Secret123' },
+  headers: { 'user-agent': 'test' }
+});
+
+/**
+ * Verification link from the last queued notification
+ * @returns {string} Token
+ */
+const queuedToken = () => {
+  const [, { data }] = notify.mock.calls.at(-1).arguments;
+  return data.verifyUrl.split('/').pop();
+};
+
+describe('register', () => {
+  test('queues the verification email instead of sending it', async (t) => {
+    notify.mock.resetCalls();
+    sendEmail.mock.resetCalls();
+    const { create } = mockSignUp(t);
+
+    const { statusCode } = await signUp();
+
+    assert.equal(statusCode, 201);
+    assert.equal(sendEmail.mock.callCount(), 0);
+    assert.equal(notify.mock.callCount(), 1);
+
+    const [template, { user, data }] = notify.mock.calls[0].arguments;
+    const created = await create.mock.calls[0].result;
+    assert.equal(template, 'verify_email');
+    assert.equal(user, created);
+    assert.match(data.verifyUrl, /\/api\/auth\/verify-email\/[\w-]+\.[\w-]+\.[\w-]+$/);
+  });
+
+  test('still registers when the email cannot be queued', async (t) => {
+    mockSignUp(t);
+    t.mock.method(console, 'error', () => {});
+    notify.mock.mockImplementationOnce(async () => {
+      throw new Error('connection lost');
+    });
+
+    const { statusCode, body } = await signUp();
+
+    assert.equal(statusCode, 201);
+    assert.equal(body.data.user.email, 'asha@example.com');
+  });
+});
+
+describe('verifyEmail', () => {
+  test('verifies the address from the queued link', async (t) => {
+    mockSignUp(t);
+    await signUp();
+    const user = await User.create.mock.calls[0].result;
+    t.mock.method(User, 'findById', async () => user);
+    const save = t.mock.method(user, 'save', async () => user);
+
+    const { statusCode, body } = await callHandler(verifyEmail, { params: { token: queuedToken() } });
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.data.user.isEmailVerified, true);
+    assert.equal(save.mock.callCount(), 1);
+  });
+
+  test('refuses a link issued before the address changed', async (t) => {
+    const user = new User({ name: 'Asha', email: 'asha@example.com', password: 'Secret123' });
+    const token = generateEmailVerificationToken(user);
+    user.email = 'asha@example.org';
+    t.mock.method(User, 'findById', async () => user);
+
+    const { statusCode, body } = await callHandler(verifyEmail, { params: { token } });
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.message, 'Verification link is invalid or has expired');
+    assert.equal(user.isEmailVerified, false);
+  });
+
+  test('refuses expired links', async (t) => {
+    const user = new User({ name: 'Asha', email: 'asha@example.com', password: 'Secret123' });
+    const token = generateEmailVerificationToken(user);
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 25 * 60 * 60 * 1000 });
+
+    assert.equal((await callHandler(verifyEmail, { params: { token } })).statusCode, 400);
+  });
+});
+
+describe('resendVerification', () => {
+  test('queues a fresh link', async (t) => {
+    notify.mock.resetCalls();
+    const user = new User({ name: 'Asha', email: 'asha@example.com', password: 'Secret123' });
+    t.mock.method(User, 'findById', () => query(user));
+
+    const { statusCode } = await callHandler(resendVerification, { user });
+
+    assert.equal(statusCode, 200);
+    assert.equal(notify.mock.calls[0].arguments[0], 'verify_email');
+  });
+
+  test('refuses verified addresses', async (t) => {
+    const user = new User({ name: 'Asha', email: 'asha@example.com', password: 'Secret123', isEmailVerified: true });
+    t.mock.method(User, 'findById', () => query(user));
+
+    assert.equal((await callHandler(resendVerification, { user })).statusCode, 400);
+  });
+});
+
+describe('verify_email template', () => {
+  test('links to the verification URL and cannot be turned off', () => {
+    const message = render('verify_email', { name: 'Asha', verifyUrl: 'http://localhost:5000/api/auth/verify-email/abc' });
+    const user = new User({
+      name: 'Asha',
+      email: 'asha@example.com',
+      notificationPreferences: { orders: false, shipping: false, payments: false, reminders: false }
+    });
+
+    assert.equal(message.subject, 'Verify your email address');
+    assert.match(message.text, /Verify email: http:\/\/localhost:5000\/api\/auth\/verify-email\/abc/);
+    assert.match(message.html, /href="http:\/\/localhost:5000\/api\/auth\/verify-email\/abc"/);
+    assert.equal(user.wantsNotification(message.category), true);
+  });
+});
@@ -0,0 +1,161 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { oid, query, matches, callHandler, buildProduct } = require('./helpers');
+const Product = require('../src/models/Product.model');
+const Category = require('../src/models/Category.model');
+const { getAllProducts } = require('../src/controllers/product.controller');
+
+/**
+ * Small catalogue to run the facet filters against
+ * @returns {Object[]} Plain products
+ */
+const catalogue = () => [
+  buildProduct({ name: 'Silk Saree', brand: 'Nalli', material: 'Silk', price: 4500, discountPercent: 30 }),
+  buildProduct({
+    name: 'Cotton Kurta',
+    brand: 'Fabindia',
+    material: 'Cotton',
+    price: 900,
+    variants: [{ size: 'S', color: 'Blue', stock: 3 }, { size: 'M', color: 'Navy Blue', stock: 2 }]
+  }),
+  buildProduct({ name: 'Linen Shirt', brand: 'Fabindia', material: 'Linen', price: 1500, discountPercent: 10 }),
+  buildProduct({ name: 'Old Kurta', brand: 'Fabindia', status: 'archived' })
+].map((product) => product.toObject());
+
+/**
+ * Names of the products a filter matches
+ * @param {Object[]} products - Plain products
+ * @param {...Object} filters - Filters that all apply
+ * @returns {string[]}
+ */
+const namesMatching = (products, ...filters) => products
+  .filter((product) => filters.every((filter) => matches(product, filter)))
+  .map((product) => product.name);
+
+/**
+ * List products, capturing what the controller asks of the database
+ * @param {Object} t - Test context
+ * @param {Object} requestQuery - Query string
+ * @returns {Promise<Object>} { response, filter, facetArgs }
+ */
+const listProducts = async (t, requestQuery) => {
+  const products = catalogue();
+  const facets = { sizes: [], colors: [], brands: [], materials: [], discounts: [], prices: [] };
+  const count = t.mock.method(Product, 'countDocuments', async (filter) => namesMatching(products, filter).length);
+  t.mock.method(Product, 'find', (filter) => query(products.filter((product) => matches(product, filter))));
+  const getFacets = t.mock.method(Product, 'getFacets', async () => facets);
+
+  const response = await callHandler(getAllProducts, { query: requestQuery });
+
+  return {
+    products,
+    response,
+    filter: count.mock.calls[0].arguments[0],
+    facetArgs: getFacets.mock.calls[0].arguments
+  };
+};
+
+describe('getAllProducts', () => {
+  test('lists products matching every sidebar filter and returns the facet counts', async (t) => {
+    const { products, response, filter, facetArgs } = await listProducts(t, { brand: 'fabindia', size: 'M' });
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.body.data.map((p) => p.name), ['Cotton Kurta', 'Linen Shirt']);
+    assert.equal(response.body.pagination.totalItems, 2);
+    assert.deepEqual(Object.keys(response.body.facets), ['sizes', 'colors', 'brands', 'materials', 'discounts', 'prices']);
+
+    // The counts get the selections apart from the filters that always apply
+    const [baseFilter, facetFilters] = facetArgs;
+    assert.deepEqual(baseFilter, { status: 'active' });
+    assert.deepEqual(Object.keys(facetFilters), ['brand', 'size']);
+    assert.deepEqual(namesMatching(products, filter), namesMatching(products, baseFilter, ...Object.values(facetFilters)));
+  });
+
+  test('matches any of several values for one facet', async (t) => {
+    const { products, facetArgs: [, facetFilters] } = await listProducts(t, { material: 'silk, LINEN', color: 'blue' });
+
+    assert.deepEqual(namesMatching(products, facetFilters.material), ['Silk Saree', 'Linen Shirt']);
+    // Colours match in part, so "blue" includes navy blue
+    assert.deepEqual(namesMatching(products, facetFilters.color), ['Cotton Kurta']);
+  });
+
+  test('reads price ranges and discount bands', async (t) => {
+    const { products, facetArgs: [, facetFilters] } = await listProducts(t, { minPrice: '1000', maxPrice: '5000', discount: '20' });
+
+    assert.deepEqual(namesMatching(products, facetFilters.price), ['Silk Saree', 'Linen Shirt', 'Old Kurta']);
+    assert.deepEqual(namesMatching(products, facetFilters.discount), ['Silk Saree']);
+  });
+
+  test('treats filter values as text, not patterns', async (t) => {
+    const { products, facetArgs: [, facetFilters] } = await listProducts(t, { brand: '.*' });
+
+    assert.deepEqual(namesMatching(products, facetFilters.brand), []);
+  });
+
+  test('keeps the category out of the selections', async (t) => {
+    const category = { _id: oid(), slug: 'sarees' };
+    t.mock.method(Category, 'findOne', () => query(category));
+
+    const { facetArgs: [baseFilter, facetFilters] } = await listProducts(t, { category: 'sarees', inStock: 'true' });
+
+    assert.deepEqual(baseFilter, { status: 'active', category: category._id, totalStock: { $gt: 0 } });
+    assert.deepEqual(facetFilters, {});
+  });
+});
+
+describe('Product.getFacets', () => {
+  /**
+   * Run getFacets against a canned aggregation result
+   * @param {Object} t - Test context
+   * @param {Object} result - What $facet would return
+   * @param {Object} [facetFilters] - Selected facet clauses
+   * @returns {Promise<Object>} { facets, pipeline }
+   */
+  const getFacets = async (t, result, facetFilters = {}) => {
+    const aggregate = t.mock.method(Product, 'aggregate', async () => [
+      { sizes: [], colors: [], brands: [], materials: [], discounts: [], prices: [], ...result }
+    ]);
+    const facets = await Product.getFacets({ status: 'active' }, facetFilters);
+    return { facets, pipeline: aggregate.mock.calls[0].arguments[0] };
+  };
+
+  test('counts each facet with every selection but its own', async (t) => {
+    const products = catalogue();
+    const facetFilters = {
+      size: { 'variants.size': { $in: ['S'] } },
+      brand: { brand: { $in: [/Fabindia/i] } }
+    };
+
+    const { pipeline } = await getFacets(t, {}, facetFilters);
+
+    const [baseMatch, { $facet: stages }] = pipeline;
+    const countedFor = (facet) => namesMatching(products, baseMatch.$match, stages[facet][0].$match);
+    // Picking size S still counts the Fabindia products in other sizes...
+    assert.deepEqual(countedFor('sizes'), ['Cotton Kurta', 'Linen Shirt']);
+    // ...and picking Fabindia still counts the other brands in size S
+    assert.deepEqual(countedFor('brands'), ['Cotton Kurta']);
+    assert.deepEqual(countedFor('colors'), ['Cotton Kurta']);
+  });
+
+  test('orders sizes by fit, drops empty discount bands and labels price buckets', async (t) => {
+    const { facets } = await getFacets(t, {
+      sizes: [{ value: 'XL', count: 1 }, { value: 'S', count: 4 }, { value: 'M', count: 2 }],
+      discounts: [{ _id: null, d10: 3, d20: 1, d30: 1 }],
+      prices: [{ _id: 500, count: 2 }, { _id: 'above', count: 1 }]
+    });
+
+    assert.deepEqual(facets.sizes.map((s) => s.value), ['S', 'M', 'XL']);
+    assert.deepEqual(facets.discounts, [
+      { min: 10, label: '10% and above', count: 3 },
+      { min: 20, label: '20% and above', count: 1 },
+      { min: 30, label: '30% and above', count: 1 }
+    ]);
+    assert.deepEqual(facets.prices, [{ min: 500, max: 1000, count: 2 }, { min: 10000, max: null, count: 1 }]);
+  });
+
+  test('returns empty lists when nothing matches', async (t) => {
+    const { facets } = await getFacets(t, {});
+
+    assert.deepEqual(facets, { sizes: [], colors: [], brands: [], materials: [], discounts: [], prices: [] });
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const gstCalculator = require('../src/services/tax/gst.calculator');
+
+/**
+ * Apparel line
+ * @param {string} key
+ * @param {number} unitPrice
+ * @param {Object} [fields] - Other line fields
+ * @returns {Object}
+ */
+const line = (key, unitPrice, fields = {}) => ({ key, hsnCode: '6211', unitPrice, quantity: 1, ...fields });
+
+describe('gstCalculator.calculate', () => {
+  test('splits intra-state tax into CGST and SGST, SGST taking the odd paisa', () => {
+    const result = gstCalculator.calculate({ lines: [line('a', 999)], shipToState: 'maharashtra ' });
+    const [taxed] = result.lines;
+
+    assert.equal(result.interState, false);
+    assert.equal(taxed.rate, 5);
+    assert.equal(taxed.amount, 49.95);
+    assert.equal(taxed.cgst, 24.97);
+    assert.equal(taxed.sgst, 24.98);
+    assert.equal(taxed.igst, 0);
+    assert.deepEqual(result.totals, { taxableValue: 999, cgst: 24.97, sgst: 24.98, igst: 0, tax: 49.95 });
+  });
+
+  test('charges IGST on inter-state supplies', () => {
+    const result = gstCalculator.calculate({ lines: [line('a', 999)], shipToState: 'Karnataka' });
+    const [taxed] = result.lines;
+
+    assert.equal(result.interState, true);
+    assert.equal(result.placeOfSupply, 'Karnataka');
+    assert.equal(result.sellerState, 'Maharashtra');
+    assert.equal(taxed.igst, 49.95);
+    assert.equal(taxed.cgst + taxed.sgst, 0);
+  });
+
+  test('treats a missing place of supply as intra-state', () => {
+    const result = gstCalculator.calculate({ lines: [line('a', 500)] });
+
+    assert.equal(result.interState, false);
+    assert.equal(result.placeOfSupply, 'Maharashtra');
+  });
+
+  test('picks the slab from the per-piece value after discount', () => {
+    const full = gstCalculator.calculate({ lines: [line('a', 1100)] });
+    assert.equal(full.lines[0].rate, 12);
+    assert.equal(full.lines[0].amount, 132);
+
+    // ₹200 off brings the piece under ₹1000
+    const discounted = gstCalculator.calculate({ lines: [line('a', 1100)], discount: 200 });
+    assert.equal(discounted.lines[0].taxableValue, 900);
+    assert.equal(discounted.lines[0].rate, 5);
+    assert.equal(discounted.lines[0].amount, 45);
+
+    // ₹950 a piece over two pieces
+    const twoPieces = gstCalculator.calculate({ lines: [line('a', 1050, { quantity: 2 })], discount: 200 });
+    assert.equal(twoPieces.lines[0].rate, 5);
+    assert.equal(twoPieces.lines[0].amount, 95);
+
+    assert.equal(gstCalculator.calculate({ lines: [line('a', 1000)] }).lines[0].rate, 5);
+    assert.equal(gstCalculator.calculate({ lines: [line('a', 1000.01)] }).lines[0].rate, 12);
+  });
+
+  test('uses the footwear slabs and falls back to the default rate', (t) => {
+    assert.equal(gstCalculator.calculate({ lines: [line('a', 1500, { hsnCode: '6403' })] }).lines[0].rate, 18);
+    assert.equal(gstCalculator.calculate({ lines: [line('a', 800, { hsnCode: '6403' })] }).lines[0].rate, 5);
+    assert.equal(gstCalculator.calculate({ lines: [line('a', 800, { hsnCode: '7113' })] }).lines[0].rate, 18);
+    assert.equal(gstCalculator.calculate({ lines: [line('a', 800, { hsnCode: undefined })] }).lines[0].rate, 18);
+
+    process.env.GST_DEFAULT_RATE = '3';
+    t.after(() => {
+      delete process.env.GST_DEFAULT_RATE;
+    });
+    assert.equal(gstCalculator.calculate({ lines: [line('a', 800, { hsnCode: '7113' })] }).lines[0].rate, 3);
+  });
+});
+
+describe('discount allocation', () => {
+  test('spreads the discount by line value', () => {
+    const { lines } = gstCalculator.calculate({
+      lines: [line('a', 100), line('b', 300, { quantity: 2 })],
+      discount: 70
+    });
+
+    assert.deepEqual(lines.map((l) => l.discount), [10, 60]);
+    assert.deepEqual(lines.map((l) => l.taxableValue), [90, 540]);
+  });
+
+  test('puts the rounding remainder on the last eligible line', () => {
+    const { lines } = gstCalculator.calculate({
+      lines: [line('a', 100), line('b', 100), line('c', 100), line('d', 500, { discountable: false })],
+      discount: 100
+    });
+
+    assert.deepEqual(lines.map((l) => l.discount), [33.33, 33.33, 33.34, 0]);
+    assert.equal(lines.reduce((sum, l) => sum + l.discount, 0).toFixed(2), '100.00');
+    assert.equal(lines[3].taxableValue, 500);
+  });
+
+  test('leaves every line alone when nothing is discountable', () => {
+    const { lines } = gstCalculator.calculate({
+      lines: [line('a', 100, { discountable: false })],
+      discount: 50
+    });
+
+    assert.equal(lines[0].discount, 0);
+    assert.equal(lines[0].taxableValue, 100);
+  });
+
+  test('never taxes a negative value', () => {
+    const { lines, totals } = gstCalculator.calculate({ lines: [line('a', 100)], discount: 150 });
+
+    assert.equal(lines[0].taxableValue, 0);
+    assert.equal(totals.tax, 0);
+  });
+});
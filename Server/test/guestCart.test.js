@@ -0,0 +1,186 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { oid, query, mockCartPricing, mockProducts, mockCarts, callHandler, buildProduct } = require('./helpers');
+const Cart = require('../src/models/Cart.model');
+const User = require('../src/models/User.model');
+const Session = require('../src/models/Session.model');
+const { generateGuestCartToken, generateToken } = require('../src/utils/jwt');
+const { addToCart, getCart } = require('../src/controllers/cart.controller');
+const { login } = require('../src/controllers/auth.controller');
+
+/**
+ * Guest cart cookie as the browser sends it back
+ * @param {Cart} cart
+ * @returns {Object} Request cookies
+ */
+const guestCookie = (cart) => ({ guestCart: generateGuestCartToken(cart._id) });
+
+/**
+ * Cart line for a product variant
+ * @param {Product} product
+ * @param {number} quantity
+ * @param {string} [size]
+ * @returns {Object}
+ */
+const line = (product, quantity, size = 'M') => ({
+  product: product._id,
+  variant: { size, color: 'Red', sku: `${product.name}-${size}-Red` },
+  quantity,
+  price: product.price
+});
+
+describe('guest carts', () => {
+  test('the first add creates a guest cart and a signed cookie naming it', async (t) => {
+    const saree = buildProduct();
+    mockProducts(t, [saree]);
+    mockCartPricing(t);
+    const carts = mockCarts(t);
+
+    const { statusCode, cookies } = await callHandler(addToCart, {
+      body: { productId: saree._id.toString(), quantity: 2, variant: { size: 'M', color: 'Red' } }
+    });
+
+    assert.equal(statusCode, 200);
+    assert.equal(carts.length, 1);
+    assert.equal(carts[0].user, undefined);
+    assert.equal(carts[0].items[0].quantity, 2);
+    assert.equal(cookies.guestCart.options.httpOnly, true);
+
+    // The cookie brings the shopper back to the same cart
+    const again = await callHandler(addToCart, {
+      body: { productId: saree._id.toString(), quantity: 1, variant: { size: 'M', color: 'Red' } },
+      cookies: { guestCart: cookies.guestCart.value }
+    });
+    assert.equal(again.statusCode, 200);
+    assert.equal(carts.length, 1);
+    assert.equal(carts[0].items[0].quantity, 3);
+  });
+
+  test('a visit without a cart shows an empty one without storing it', async (t) => {
+    const carts = mockCarts(t);
+
+    const { statusCode, body, cookies } = await callHandler(getCart, {});
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.data.cart.items.length, 0);
+    assert.equal(carts.length, 0);
+    assert.equal(cookies.guestCart, undefined);
+  });
+
+  test('the cookie cannot open a user\'s cart or be forged from another token', async (t) => {
+    const userCart = new Cart({ user: oid(), items: [] });
+    mockCarts(t, [userCart]);
+
+    const viaCookie = await callHandler(getCart, { cookies: guestCookie(userCart) });
+    const forged = await callHandler(getCart, {
+      cookies: { guestCart: generateToken({ cartId: userCart._id, purpose: 'auth' }) }
+    });
+
+    assert.notEqual(viaCookie.body.data.cart._id.toString(), userCart._id.toString());
+    assert.notEqual(forged.body.data.cart._id.toString(), userCart._id.toString());
+  });
+});
+
+describe('login', () => {
+  /**
+   * Shopper with a password that checks out and a new device session
+   * @param {Object} t - Test context
+   * @returns {User}
+   */
+  const mockAccount = (t) => {
+    const user = new User({ name: 'Asha', email: 'asha@example.com', password: 'Secret123' });
+    t.mock.method(User, 'findOne', () => query(user));
+    t.mock.method(user, 'comparePassword', async () => true);
+    t.mock.method(user, 'save', async () => user);
+    t.mock.method(Session, 'createForUser', async (userId) => ({
+      session: new Session({ user: userId, refreshTokenHash: 'hash', expiresAt: new Date(Date.now() + 60000) }),
+      refreshToken: 'refresh'
+    }));
+    return user;
+  };
+
+  const logIn = (cookies = {}) => callHandler(login, {
+    body: { email: 'asha@example.com', password: 'Secret123' },
+    headers: { 'user-agent': 'test' },
+    cookies
+  });
+
+  test('merges the guest cart, capping combined quantities at the stock left', async (t) => {
+    const user = mockAccount(t);
+    const saree = buildProduct();
+    const kurta = buildProduct({ name: 'Cotton Kurta', price: 800, variants: [{ size: 'M', color: 'Red', stock: 3 }] });
+    const gone = buildProduct({ name: 'Old Dupatta', status: 'archived' });
+    mockProducts(t, [saree, kurta, gone]);
+    mockCartPricing(t);
+
+    const userCart = new Cart({ user: user._id, items: [line(kurta, 2)] });
+    const guestCart = new Cart({
+      items: [line(kurta, 2), line(saree, 1, 'L'), line(gone, 1)],
+      savedItems: [{ product: saree._id, variant: { size: 'M', color: 'Red' }, quantity: 1 }],
+      couponCode: 'FESTIVE10',
+      shippingSelection: { zipCode: '411001', state: 'Maharashtra' }
+    });
+    const carts = mockCarts(t, [userCart, guestCart]);
+    t.mock.method(userCart, 'revalidateCoupon', async () => null);
+
+    const { statusCode, body, cookies } = await logIn(guestCookie(guestCart));
+
+    assert.equal(statusCode, 200);
+    assert.deepEqual(carts, [userCart]);
+    assert.deepEqual(
+      userCart.items.map((item) => [item.variant.sku, item.quantity, item.price]),
+      [['Cotton Kurta-M-Red', 3, 800], ['Silk Saree-L-Red', 1, 2000]]
+    );
+    assert.equal(userCart.savedItems.length, 1);
+    assert.equal(userCart.couponCode, 'FESTIVE10');
+    assert.equal(userCart.shippingSelection.zipCode, '411001');
+
+    const { merged, adjusted, skipped } = body.data.cartMerge;
+    assert.deepEqual(merged.map((m) => m.name), ['Silk Saree']);
+    assert.deepEqual(adjusted.map((a) => [a.name, a.requested, a.added, a.reason]), [['Cotton Kurta', 2, 1, 'Only 3 in stock']]);
+    assert.deepEqual(skipped.map((s) => [s.name, s.reason]), [['Old Dupatta', 'This item is no longer available']]);
+    assert.equal(cookies.guestCart.value, '');
+  });
+
+  test('turns the guest cart into the user\'s first cart', async (t) => {
+    const user = mockAccount(t);
+    const saree = buildProduct();
+    mockProducts(t, [saree]);
+    mockCartPricing(t);
+    const guestCart = new Cart({ items: [line(saree, 2)] });
+    const carts = mockCarts(t, [guestCart]);
+
+    const { body } = await logIn(guestCookie(guestCart));
+
+    assert.equal(carts.length, 1);
+    assert.equal(carts[0].user, user._id);
+    assert.equal(carts[0].items[0].quantity, 2);
+    assert.equal(body.data.cartMerge.merged.length, 1);
+  });
+
+  test('logs in without a merge when there is no guest cart', async (t) => {
+    mockAccount(t);
+    mockCarts(t);
+
+    const { statusCode, body } = await logIn();
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.data.cartMerge, null);
+  });
+
+  test('still logs in when the merge fails, keeping the guest cart', async (t) => {
+    mockAccount(t);
+    const guestCart = new Cart({ items: [line(buildProduct(), 1)] });
+    const carts = mockCarts(t, [guestCart]);
+    t.mock.method(Cart, 'getOrCreateCart', async () => {
+      throw new Error('connection lost');
+    });
+    t.mock.method(console, 'error', () => {});
+
+    const { statusCode, body } = await logIn(guestCookie(guestCart));
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.data.cartMerge, null);
+    assert.deepEqual(carts, [guestCart]);
+  });
+});
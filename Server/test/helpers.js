@@ -0,0 +1,412 @@
+/**
+ * Shared helpers for the test suite.
+ *
+ * Tests run without a database: model methods that would reach MongoDB
+ * are mocked per test (t.mock.method), and commands are not buffered,
+ * so anything left unmocked fails straight away instead of hanging.
+ */
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+// Tokens are signed and verified for real
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+require('../src/models');
+const errorHandler = require('../src/middlewares/errorHandler');
+
+/**
+ * New ObjectId
+ * @returns {mongoose.Types.ObjectId}
+ */
+const oid = () => new mongoose.Types.ObjectId();
+
+/**
+ * Chainable stand-in for a Mongoose query that resolves to a value
+ * @param {*} value - Query result
+ * @returns {Promise} Thenable with the usual query builder methods
+ */
+const query = (value) => {
+  const result = Promise.resolve(value);
+  ['populate', 'select', 'session', 'sort', 'skip', 'limit', 'lean'].forEach((method) => {
+    result[method] = () => result;
+  });
+  return result;
+};
+
+/**
+ * Stand-in for a client session. withTransaction runs the body once and
+ * records whether it committed or aborted.
+ * @returns {Object} Session with committed/aborted flags
+ */
+const fakeSession = () => {
+  const session = {
+    committed: false,
+    aborted: false,
+    async withTransaction(body) {
+      try {
+        await body();
+        session.committed = true;
+      } catch (error) {
+        session.aborted = true;
+        throw error;
+      }
+    },
+    async endSession() {}
+  };
+  return session;
+};
+
+/**
+ * Evaluate the aggregation expressions the models use in $expr:
+ * field paths, $$this inside $filter, $eq, $lt, $size and $filter
+ * @param {*} expression
+ * @param {Object} doc - Plain document
+ * @param {Object} [vars] - Variables, e.g. { this: element }
+ * @returns {*}
+ */
+const evaluate = (expression, doc, vars = {}) => {
+  const path = (root, parts) => parts.reduce((current, part) => (current == null ? undefined : current[part]), root);
+
+  if (typeof expression === 'string' && expression.startsWith('$$')) {
+    const [name, ...parts] = expression.slice(2).split('.');
+    return path(vars[name], parts);
+  }
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return path(doc, expression.slice(1).split('.'));
+  }
+  if (!expression || typeof expression !== 'object' || Array.isArray(expression)) return expression;
+
+  const [[operator, operand]] = Object.entries(expression);
+  const args = () => operand.map((arg) => evaluate(arg, doc, vars));
+  if (operator === '$eq') {
+    const [a, b] = args();
+    return String(a) === String(b);
+  }
+  if (operator === '$lt') {
+    const [a, b] = args();
+    return a < b;
+  }
+  if (operator === '$size') return evaluate(operand, doc, vars).length;
+  if (operator === '$filter') {
+    return (evaluate(operand.input, doc, vars) || [])
+      .filter((element) => evaluate(operand.cond, doc, { ...vars, this: element }));
+  }
+  throw new Error(`evaluate() does not support ${operator}`);
+};
+
+/**
+ * Whether a plain document matches a query filter. Covers the operators
+ * the models use for conditional updates: equality (ids compared as
+ * strings, null for missing, regular expressions tested), $in, $ne, $gt,
+ * $gte, $lte, $not, $exists, $elemMatch, $or, $and and $expr. Paths into
+ * arrays of subdocuments (e.g. steps.step) match if any element does.
+ * @param {Object} doc - Plain document
+ * @param {Object} filter - Query filter
+ * @returns {boolean}
+ */
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$and') return condition.every((part) => matches(doc, part));
+  if (key === '$or') return condition.some((part) => matches(doc, part));
+  if (key === '$expr') return Boolean(evaluate(condition, doc));
+
+  const value = key.split('.').reduce((current, part) => {
+    if (current == null) return undefined;
+    if (Array.isArray(current) && !/^\d+$/.test(part)) return current.map((element) => element && element[part]);
+    return current[part];
+  }, doc);
+  const equals = (expected) => {
+    if (expected == null) return value == null;
+    const same = expected instanceof RegExp
+      ? (actual) => actual != null && expected.test(actual)
+      : (actual) => actual != null && String(actual) === String(expected);
+    return Array.isArray(value) ? value.some(same) : same(value);
+  };
+  const compare = (check) => (Array.isArray(value) ? value : [value]).some((actual) => actual != null && check(actual));
+
+  const satisfies = (operators) => Object.entries(operators).every(([operator, operand]) => {
+    if (operator === '$in') return operand.some(equals);
+    if (operator === '$ne') return !equals(operand);
+    if (operator === '$gt') return compare((actual) => actual > operand);
+    if (operator === '$gte') return compare((actual) => actual >= operand);
+    if (operator === '$lte') return compare((actual) => actual <= operand);
+    if (operator === '$not') return !satisfies(operand);
+    if (operator === '$exists') return (value !== undefined) === operand;
+    if (operator === '$elemMatch') return Array.isArray(value) && value.some((element) => matches(element, operand));
+    throw new Error(`matches() does not support ${operator}`);
+  });
+
+  const isOperator = condition && typeof condition === 'object' && Object.keys(condition).some((k) => k.startsWith('$'));
+  return isOperator ? satisfies(condition) : equals(condition);
+});
+
+/**
+ * Keep an order "in the database" for Order.claim. A claim matches the
+ * stored copy against its filter and holds the order until its
+ * transaction ends, as a write conflict would; saves made in the
+ * transaction are stored when it commits.
+ * @param {Object} t - Test context
+ * @param {Order} order - Stored order
+ * @returns {Object} { stored } stored() returns the stored copy as an Order
+ */
+const mockOrderClaims = (t, order) => {
+  const Order = mongoose.model('Order');
+  let stored = order.toObject({ virtuals: false });
+  let lock = Promise.resolve();
+
+  t.mock.method(mongoose, 'startSession', async () => {
+    const session = fakeSession();
+    const { withTransaction } = session;
+    let release = null;
+
+    session.hold = async () => {
+      if (release) return;
+      const previous = lock;
+      lock = new Promise((resolve) => {
+        release = resolve;
+      });
+      await previous;
+    };
+    session.withTransaction = async (body) => {
+      try {
+        await withTransaction(body);
+        if (session.pending) stored = session.pending;
+      } finally {
+        if (release) release();
+      }
+    };
+    return session;
+  });
+
+  t.mock.method(Order, 'claim', async (filter, { session }) => {
+    await session.hold();
+    if (!matches(JSON.parse(JSON.stringify(stored)), JSON.parse(JSON.stringify(filter)))) return null;
+
+    const claimed = Order.hydrate(JSON.parse(JSON.stringify(stored)));
+    t.mock.method(claimed, 'save', async function () {
+      session.pending = this.toObject({ virtuals: false });
+      return this;
+    });
+    return claimed;
+  });
+  t.mock.method(Order, 'findOne', () => query(Order.hydrate(JSON.parse(JSON.stringify(stored)))));
+  t.mock.method(Order, 'findById', () => query(Order.hydrate(JSON.parse(JSON.stringify(stored)))));
+
+  return { stored: () => Order.hydrate(JSON.parse(JSON.stringify(stored))) };
+};
+
+/**
+ * Mock the counter collection with an in-memory map
+ * @param {Object} t - Test context
+ * @returns {Map<string, number>}
+ */
+const mockCounters = (t) => {
+  const Counter = mongoose.model('Counter');
+  const counters = new Map();
+
+  t.mock.method(Counter, 'updateOne', async ({ _id }) => {
+    if (!counters.has(_id)) counters.set(_id, 0);
+    return { acknowledged: true };
+  });
+  t.mock.method(Counter, 'findOneAndUpdate', async ({ _id }) => {
+    const seq = (counters.get(_id) || 0) + 1;
+    counters.set(_id, seq);
+    return { _id, seq };
+  });
+
+  return counters;
+};
+
+/**
+ * Mock what cart totals read from the database: line attributes for
+ * GST and weight, and the shipping zones (none configured means the
+ * fallback rate). Zone lookups match the zones against their filter
+ * and pick the highest priority.
+ * @param {Object} t - Test context
+ * @param {Object} [options] - { zones: ShippingZone fields, attributes: Map of product ID -> { hsnCode, weight } }
+ * @returns {ShippingZone[]} Zones
+ */
+const mockCartPricing = (t, { zones = [], attributes = new Map() } = {}) => {
+  const Product = mongoose.model('Product');
+  const ShippingZone = mongoose.model('ShippingZone');
+  const stored = zones.map((fields) => new ShippingZone(fields));
+  const active = () => stored.filter((zone) => zone.isActive);
+
+  t.mock.method(Product, 'getLineAttributes', async () => attributes);
+  t.mock.method(ShippingZone, 'exists', async () => (active().length > 0 ? { _id: active()[0]._id } : null));
+  t.mock.method(ShippingZone, 'findOne', (filter) => {
+    const found = stored
+      .filter((zone) => matches(zone.toObject(), filter))
+      .sort((a, b) => b.priority - a.priority);
+    return query(found[0] || null);
+  });
+
+  return stored;
+};
+
+/**
+ * Serve products to lookups by ID and by filter
+ * @param {Object} t - Test context
+ * @param {Product[]} products - Catalogue
+ */
+const mockProducts = (t, products) => {
+  const Product = mongoose.model('Product');
+  const find = (id) => products.find((product) => product._id.equals(id)) || null;
+
+  t.mock.method(Product, 'findById', (id) => query(find(id)));
+  t.mock.method(Product, 'find', (filter) => query(products.filter((product) => matches(product.toObject(), filter))));
+};
+
+/**
+ * Keep carts in memory: lookups match the stored carts against their
+ * filter, saves store new carts (no longer isNew, as after a real save)
+ * and populate leaves product IDs as they are
+ * @param {Object} t - Test context
+ * @param {Cart[]} [carts] - Stored carts
+ * @returns {Cart[]} Stored carts
+ */
+const mockCarts = (t, carts = []) => {
+  const Cart = mongoose.model('Cart');
+  const store = (cart) => {
+    if (!carts.includes(cart)) carts.push(cart);
+    cart.isNew = false;
+    return cart;
+  };
+  carts.forEach(store);
+
+  t.mock.method(Cart, 'findOne', (filter) => query(carts.find((cart) => matches(cart.toObject(), filter)) || null));
+  t.mock.method(Cart, 'create', async (fields) => store(new Cart(fields)));
+  t.mock.method(Cart.prototype, 'save', async function () {
+    return store(this);
+  });
+  t.mock.method(Cart.prototype, 'populate', async function () {
+    return this;
+  });
+  t.mock.method(Cart.prototype, 'deleteOne', async function () {
+    carts.splice(carts.indexOf(this), 1);
+    return { deletedCount: 1 };
+  });
+
+  return carts;
+};
+
+/**
+ * Run an Express handler and collect the response; errors passed to
+ * next() go through the app's error handler
+ * @param {Function} handler - (req, res, next)
+ * @param {Object} req - Request fields (params, body, query, user, headers...)
+ * @returns {Promise<Object>} { statusCode, body, headers, cookies }
+ */
+const callHandler = (handler, req) => new Promise((resolve, reject) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    cookies: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+    cookie(name, value, options) {
+      this.cookies[name] = { value, options };
+      return this;
+    },
+    clearCookie() {
+      return this;
+    },
+    json(body) {
+      resolve({ statusCode: this.statusCode, body, headers: this.headers, cookies: this.cookies });
+      return this;
+    }
+  };
+
+  const request = { params: {}, query: {}, body: {}, headers: {}, cookies: {}, signedCookies: {}, ...req };
+  request.get = (name) => request.headers[name.toLowerCase()];
+
+  Promise.resolve(handler(request, res, (error) => {
+    if (!error) return reject(new Error('Handler called next() without an error'));
+    try {
+      errorHandler(error, request, res);
+    } catch (handlerError) {
+      reject(handlerError);
+    }
+  })).catch(reject);
+});
+
+/**
+ * Unsaved order with three lines, ready for status and cancel tests
+ * @param {Object} [overrides] - Order fields to override
+ * @returns {Order}
+ */
+const buildOrder = (overrides = {}) => {
+  const Order = mongoose.model('Order');
+
+  return new Order({
+    orderNumber: 'ORD-20260101-000001',
+    user: oid(),
+    status: 'confirmed',
+    items: [1, 2, 3].map((n) => ({
+      product: oid(),
+      name: `Kurta ${n}`,
+      variant: { size: 'M', color: 'Red' },
+      quantity: n,
+      price: 100,
+      total: 100 * n,
+      status: 'confirmed'
+    })),
+    shippingAddress: {
+      name: 'Asha',
+      phone: '9999999999',
+      street: '1 MG Road',
+      city: 'Pune',
+      state: 'Maharashtra',
+      zipCode: '411001'
+    },
+    payment: { method: 'cod' },
+    pricing: { subtotal: 600, discount: 0, tax: 0, shipping: 0, total: 600 },
+    ...overrides
+  });
+};
+
+/**
+ * Unsaved active product. Variants default to Red in M and L with
+ * 5 units each; totalStock follows the variants.
+ * @param {Object} [overrides] - Product fields to override
+ * @returns {Product}
+ */
+const buildProduct = (overrides = {}) => {
+  const Product = mongoose.model('Product');
+  const name = overrides.name || 'Silk Saree';
+  const variants = overrides.variants || ['M', 'L'].map((size) => ({ size, color: 'Red', stock: 5 }));
+
+  return new Product({
+    name,
+    slug: name.toLowerCase().replace(/\s+/g, '-'),
+    description: `${name} for the festive season`,
+    price: 2000,
+    category: oid(),
+    status: 'active',
+    ...overrides,
+    variants: variants.map((variant) => ({ sku: `${name}-${variant.size}-${variant.color}`, ...variant })),
+    totalStock: variants.reduce((sum, variant) => sum + variant.stock, 0)
+  });
+};
+
+module.exports = {
+  oid,
+  query,
+  fakeSession,
+  matches,
+  mockOrderClaims,
+  mockCounters,
+  mockCartPricing,
+  mockProducts,
+  mockCarts,
+  callHandler,
+  buildOrder,
+  buildProduct
+};
@@ -0,0 +1,232 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { oid } = require('./helpers');
+const IdempotencyKey = require('../src/models/IdempotencyKey.model');
+const { idempotent } = require('../src/middlewares/idempotency.middleware');
+const errorHandler = require('../src/middlewares/errorHandler');
+const { CartChangedError } = require('../src/utils/errors');
+
+/**
+ * Keep idempotency keys in memory, with the unique index on keyHash
+ * @param {Object} t - Test context
+ * @returns {Map<string, Object>}
+ */
+const mockKeys = (t) => {
+  const keys = new Map();
+
+  t.mock.method(IdempotencyKey, 'create', async (fields) => {
+    if (keys.has(fields.keyHash)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    keys.set(fields.keyHash, { status: 'processing', ...fields });
+  });
+  t.mock.method(IdempotencyKey, 'findOne', async ({ keyHash }) => keys.get(keyHash) || null);
+  t.mock.method(IdempotencyKey, 'updateOne', async ({ keyHash }, { $set }) => {
+    Object.assign(keys.get(keyHash), $set);
+  });
+  t.mock.method(IdempotencyKey, 'deleteOne', async ({ keyHash }) => {
+    keys.delete(keyHash);
+  });
+
+  return keys;
+};
+
+/**
+ * Start an app with one idempotent route on a free port
+ * @param {Object} t - Test context
+ * @param {Function} handler - Route handler
+ * @returns {Promise<number>} Port
+ */
+const startApp = (t, handler) => new Promise((resolve) => {
+  const user = { _id: oid() };
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.post('/api/orders', idempotent(), handler);
+  app.use(errorHandler);
+
+  const server = app.listen(0, () => resolve(server.address().port));
+  t.after(() => new Promise((done) => server.close(done)));
+});
+
+/**
+ * POST JSON to the app
+ * @param {number} port
+ * @param {Object} body
+ * @param {Object} [options] - { key, abortAfter } abortAfter drops the connection after n ms
+ * @returns {Promise<Object>} { statusCode, headers, body } or { aborted: true }
+ */
+const post = (port, body, { key = 'checkout-1', abortAfter } = {}) => new Promise((resolve) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (key) headers['Idempotency-Key'] = key;
+
+  const request = http.request({ port, path: '/api/orders', method: 'POST', headers }, (res) => {
+    let data = '';
+    res.on('data', (chunk) => {
+      data += chunk;
+    });
+    res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: JSON.parse(data) }));
+  });
+  request.on('error', () => resolve({ aborted: true }));
+  request.end(JSON.stringify(body));
+
+  if (abortAfter !== undefined) {
+    setTimeout(() => request.destroy(), abortAfter);
+  }
+});
+
+/**
+ * Wait for the next turns of the event loop
+ * @param {number} [ms]
+ * @returns {Promise<void>}
+ */
+const wait = (ms = 10) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('idempotent', () => {
+  test('replays the stored response for a retry with the same body', async (t) => {
+    mockKeys(t);
+    let orders = 0;
+    const port = await startApp(t, (req, res) => {
+      orders++;
+      res.status(201).json({ success: true, data: { order: orders } });
+    });
+
+    const first = await post(port, { paymentMethod: 'cod' });
+    await wait();
+    const retry = await post(port, { paymentMethod: 'cod' });
+
+    assert.equal(first.statusCode, 201);
+    assert.equal(retry.statusCode, 201);
+    assert.deepEqual(retry.body, first.body);
+    assert.equal(retry.headers['idempotent-replayed'], 'true');
+    assert.equal(orders, 1);
+  });
+
+  test('rejects a reused key with a different body', async (t) => {
+    mockKeys(t);
+    const port = await startApp(t, (req, res) => res.status(201).json({ success: true }));
+
+    await post(port, { paymentMethod: 'cod' });
+    await wait();
+    const conflict = await post(port, { paymentMethod: 'upi' });
+
+    assert.equal(conflict.statusCode, 409);
+    assert.match(conflict.body.message, /different request body/);
+  });
+
+  test('rejects a retry while the first request is still running', async (t) => {
+    mockKeys(t);
+    let finish;
+    const port = await startApp(t, (req, res) => {
+      finish = () => res.status(201).json({ success: true });
+    });
+
+    const first = post(port, { paymentMethod: 'cod' });
+    await wait();
+    const retry = await post(port, { paymentMethod: 'cod' });
+    finish();
+
+    assert.equal(retry.statusCode, 409);
+    assert.match(retry.body.message, /still being processed/);
+    assert.equal((await first).statusCode, 201);
+  });
+
+  test('releases the key after a server error so the client can retry', async (t) => {
+    const keys = mockKeys(t);
+    let calls = 0;
+    const port = await startApp(t, (req, res) => {
+      calls++;
+      if (calls === 1) return res.status(500).json({ success: false });
+      return res.status(201).json({ success: true });
+    });
+
+    assert.equal((await post(port, { paymentMethod: 'cod' })).statusCode, 500);
+    await wait();
+    assert.equal(keys.size, 0);
+
+    const retry = await post(port, { paymentMethod: 'cod' });
+    assert.equal(retry.statusCode, 201);
+    assert.equal(retry.headers['idempotent-replayed'], undefined);
+    assert.equal(calls, 2);
+  });
+
+  test('lets the same key through again after the shopper acknowledges cart changes', async (t) => {
+    const keys = mockKeys(t);
+    let acknowledged = false;
+    let orders = 0;
+    const port = await startApp(t, (req, res, next) => {
+      if (!acknowledged) {
+        return next(new CartChangedError([{ type: 'price_changed', name: 'Kurta 1', oldPrice: 100, newPrice: 120 }]));
+      }
+      orders++;
+      return res.status(201).json({ success: true, data: { order: orders } });
+    });
+
+    const first = await post(port, { paymentMethod: 'cod' });
+    await wait();
+    assert.equal(first.statusCode, 409);
+    assert.equal(keys.size, 0);
+
+    acknowledged = true;
+    const retry = await post(port, { paymentMethod: 'cod' });
+    await wait();
+    const replay = await post(port, { paymentMethod: 'cod' });
+
+    assert.equal(retry.statusCode, 201);
+    assert.equal(retry.headers['idempotent-replayed'], undefined);
+    assert.equal(replay.headers['idempotent-replayed'], 'true');
+    assert.equal(orders, 1);
+  });
+
+  test('does not store client errors', async (t) => {
+    const keys = mockKeys(t);
+    let calls = 0;
+    const port = await startApp(t, (req, res) => {
+      calls++;
+      return res.status(400).json({ success: false, message: 'Insufficient stock' });
+    });
+
+    await post(port, { paymentMethod: 'cod' });
+    await wait();
+    const retry = await post(port, { paymentMethod: 'cod' });
+
+    assert.equal(retry.statusCode, 400);
+    assert.equal(retry.headers['idempotent-replayed'], undefined);
+    assert.equal(calls, 2);
+    await wait();
+    assert.equal(keys.size, 0);
+  });
+
+  test('stores the result when the client drops the connection before it is sent', async (t) => {
+    const keys = mockKeys(t);
+    let orders = 0;
+    const port = await startApp(t, async (req, res) => {
+      await wait(100);
+      orders++;
+      res.status(201).json({ success: true, data: { order: orders } });
+    });
+
+    assert.deepEqual(await post(port, { paymentMethod: 'cod' }, { abortAfter: 20 }), { aborted: true });
+    await wait(150);
+    assert.equal([...keys.values()][0].status, 'completed');
+
+    const retry = await post(port, { paymentMethod: 'cod' });
+    assert.equal(retry.statusCode, 201);
+    assert.equal(retry.headers['idempotent-replayed'], 'true');
+    assert.equal(orders, 1);
+  });
+
+  test('passes requests without a key straight through', async (t) => {
+    const keys = mockKeys(t);
+    const port = await startApp(t, (req, res) => res.status(201).json({ success: true }));
+
+    assert.equal((await post(port, {}, { key: null })).statusCode, 201);
+    assert.equal((await post(port, {}, { key: null })).statusCode, 201);
+    assert.equal(keys.size, 0);
+  });
+});
@@ -0,0 +1,190 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { oid, query, fakeSession, mockCounters, buildOrder } = require('./helpers');
+const Counter = require('../src/models/Counter.model');
+const Invoice = require('../src/models/Invoice.model');
+const { getOrIssueInvoice, issueCreditNotes } = require('../src/services/invoices');
+
+/**
+ * Unsaved invoice for an order
+ * @param {Object} [fields] - Invoice fields
+ * @returns {Invoice}
+ */
+const buildInvoice = (fields = {}) => new Invoice({ order: oid(), user: oid(), ...fields });
+
+describe('Invoice numbering', () => {
+  test('numbers invoices and credit notes in separate series', async (t) => {
+    mockCounters(t);
+    const issuedAt = new Date('2026-01-14T06:00:00Z');
+
+    const invoices = [buildInvoice({ issuedAt }), buildInvoice({ issuedAt })];
+    const creditNote = buildInvoice({ type: 'credit_note', issuedAt });
+    for (const doc of [...invoices, creditNote]) {
+      await doc.validate();
+    }
+
+    assert.deepEqual(invoices.map((doc) => doc.invoiceNumber), ['INV/2025-26/000001', 'INV/2025-26/000002']);
+    assert.equal(creditNote.invoiceNumber, 'CN/2025-26/000001');
+    assert.equal(creditNote.fileName, 'CN-2025-26-000001.pdf');
+  });
+
+  test('starts a new series with the financial year', async (t) => {
+    mockCounters(t);
+
+    const march = buildInvoice({ issuedAt: new Date('2026-03-31T18:00:00Z') });
+    const april = buildInvoice({ issuedAt: new Date('2026-03-31T18:30:00Z') });
+    await march.validate();
+    await april.validate();
+
+    // 18:30 UTC on 31 March is midnight in India
+    assert.equal(march.invoiceNumber, 'INV/2025-26/000001');
+    assert.equal(april.invoiceNumber, 'INV/2026-27/000001');
+  });
+
+  test('keeps an issued number', async (t) => {
+    const counters = mockCounters(t);
+    const invoice = buildInvoice({ invoiceNumber: 'INV/2025-26/000042' });
+
+    await invoice.validate();
+
+    assert.equal(invoice.invoiceNumber, 'INV/2025-26/000042');
+    assert.equal(counters.size, 0);
+  });
+
+  test('draws the number inside the saving transaction', async (t) => {
+    mockCounters(t);
+    const next = t.mock.method(Counter, 'next');
+    const session = fakeSession();
+    const invoice = buildInvoice();
+    t.mock.method(invoice, '$session', () => session);
+
+    await invoice.validate();
+
+    assert.equal(next.mock.calls[0].arguments[1].session, session);
+  });
+});
+
+describe('Invoice.getFinancialYear', () => {
+  test('runs April to March in the store time zone', () => {
+    assert.equal(Invoice.getFinancialYear(new Date('2026-03-31T18:29:59Z')), '2025-26');
+    assert.equal(Invoice.getFinancialYear(new Date('2026-03-31T18:30:00Z')), '2026-27');
+    assert.equal(Invoice.getFinancialYear(new Date('2026-12-31T12:00:00Z')), '2026-27');
+    assert.equal(Invoice.getFinancialYear(new Date('2099-06-01T00:00:00Z')), '2099-00');
+  });
+
+  test('defaults to today', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-04-01T00:00:00Z') });
+
+    assert.equal(Invoice.getFinancialYear(), '2026-27');
+  });
+});
+
+describe('getOrIssueInvoice', () => {
+  /**
+   * Order whose every line has shipped
+   * @returns {Order}
+   */
+  const buildShippedOrder = () => {
+    const order = buildOrder({ status: 'shipped', shipping: { shippedAt: new Date('2026-01-14T06:00:00Z') } });
+    order.items.forEach((item) => {
+      item.status = 'shipped';
+    });
+    return order;
+  };
+
+  /**
+   * Counters that roll back with the transaction that drew from them,
+   * and an invoice collection that starts empty
+   * @param {Object} t - Test context
+   * @returns {Object} { counters, save }
+   */
+  const mockIssue = (t) => {
+    const counters = mockCounters(t);
+    t.mock.method(mongoose, 'startSession', async () => {
+      const session = fakeSession();
+      const { withTransaction } = session;
+      session.withTransaction = async (body) => {
+        const before = new Map(counters);
+        try {
+          await withTransaction(body);
+        } catch (error) {
+          counters.clear();
+          before.forEach((seq, key) => counters.set(key, seq));
+          throw error;
+        }
+      };
+      return session;
+    });
+    t.mock.method(Invoice, 'findOne', () => query(null));
+    const save = t.mock.method(Invoice.prototype, 'save', async function () {
+      return this;
+    });
+    return { counters, save };
+  };
+
+  test('numbers, renders and stores the invoice in one transaction', async (t) => {
+    const { save } = mockIssue(t);
+
+    const invoice = await getOrIssueInvoice(buildShippedOrder());
+
+    assert.match(invoice.invoiceNumber, /^INV\/\d{4}-\d{2}\/000001$/);
+    assert.ok(invoice.pdf.length > 0);
+    assert.ok(save.mock.calls[0].arguments[0].session);
+    assert.equal(invoice.$session(), null);
+  });
+
+  test('hands the number back when the insert fails', async (t) => {
+    const { save } = mockIssue(t);
+    save.mock.mockImplementationOnce(async () => {
+      throw new Error('connection lost');
+    });
+
+    await assert.rejects(getOrIssueInvoice(buildShippedOrder()), /connection lost/);
+    const invoice = await getOrIssueInvoice(buildShippedOrder());
+
+    assert.match(invoice.invoiceNumber, /\/000001$/);
+  });
+
+  test('returns the invoice a concurrent request issued, without using up a number', async (t) => {
+    const { save } = mockIssue(t);
+    const order = buildShippedOrder();
+    const existing = new Invoice({ order: order._id, user: order.user, invoiceNumber: 'INV/2025-26/000007' });
+    save.mock.mockImplementationOnce(async () => {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    });
+    Invoice.findOne.mock.mockImplementation(() => query(save.mock.callCount() > 0 ? existing : null));
+
+    const invoice = await getOrIssueInvoice(order);
+
+    assert.equal(invoice, existing);
+    Invoice.findOne.mock.mockImplementation(() => query(null));
+    assert.match((await getOrIssueInvoice(buildShippedOrder())).invoiceNumber, /\/000001$/);
+  });
+
+  test('is not issued before the order ships', async (t) => {
+    const { counters } = mockIssue(t);
+
+    await assert.rejects(getOrIssueInvoice(buildOrder()), /issued once the order has shipped/);
+    await assert.rejects(getOrIssueInvoice(buildOrder({ status: 'cancelled' })), /No invoice is issued for cancelled orders/);
+    assert.equal(counters.size, 0);
+  });
+});
+
+describe('issueCreditNotes', () => {
+  test('issues nothing for an order cancelled before it shipped', async (t) => {
+    const counters = mockCounters(t);
+    t.mock.method(Invoice, 'findOne', () => query(null));
+    const order = buildOrder({
+      status: 'cancelled',
+      payment: {
+        method: 'upi',
+        status: 'refunded',
+        refunds: [{ refundId: 'rfnd_1', amount: 600, status: 'processed' }]
+      }
+    });
+
+    assert.deepEqual(await issueCreditNotes(order), []);
+    assert.equal(counters.size, 0);
+  });
+});
@@ -0,0 +1,45 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { oid } = require('./helpers');
+const { generateUserToken, verifyToken, setTokenCookie } = require('../src/utils/jwt');
+
+/**
+ * Response stand-in recording cookies
+ * @returns {Object}
+ */
+const cookieJar = () => {
+  const cookies = {};
+  return {
+    cookies,
+    cookie(name, value, options) {
+      cookies[name] = { value, options };
+      return this;
+    }
+  };
+};
+
+describe('setTokenCookie', () => {
+  test('expires the access cookie with the access token', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-19T10:00:00Z') });
+    const res = cookieJar();
+    const token = generateUserToken({ _id: oid(), email: 'asha@example.com', role: 'customer' }, oid());
+
+    setTokenCookie(res, token);
+
+    const { exp } = verifyToken(token);
+    assert.equal(res.cookies.token.options.expires.getTime(), exp * 1000);
+    assert.equal(res.cookies.token.options.expires.toISOString(), '2026-10-19T10:15:00.000Z');
+    assert.equal(res.cookies.token.options.httpOnly, true);
+  });
+
+  test('follows ACCESS_TOKEN_EXPIRES_IN', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-19T10:00:00Z') });
+    process.env.ACCESS_TOKEN_EXPIRES_IN = '5m';
+    t.after(() => delete process.env.ACCESS_TOKEN_EXPIRES_IN);
+    const res = cookieJar();
+
+    setTokenCookie(res, generateUserToken({ _id: oid(), email: 'asha@example.com', role: 'customer' }, oid()));
+
+    assert.equal(res.cookies.token.options.expires.toISOString(), '2026-10-19T10:05:00.000Z');
+  });
+});
@@ -0,0 +1,246 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { oid, query, matches, buildOrder } = require('./helpers');
+const User = require('../src/models/User.model');
+const Notification = require('../src/models/Notification.model');
+const { setTransport } = require('../src/utils/email');
+const { notify, notifyOrderEvent, processQueue } = require('../src/services/notifications');
+const { render } = require('../src/services/notifications/templates');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Recipient served by User.findById
+ * @param {Object} t - Test context
+ * @param {Object} [fields] - User fields
+ * @returns {User}
+ */
+const mockRecipient = (t, fields = {}) => {
+  const user = new User({ name: 'Asha', email: 'asha@example.com', password: 'Secret123', ...fields });
+  t.mock.method(User, 'findById', () => query(user));
+  return user;
+};
+
+/**
+ * Keep the queue in memory. Claims match the stored messages against
+ * their filter, oldest nextAttemptAt first, and apply $set/$inc.
+ * @param {Object} t - Test context
+ * @returns {Notification[]} Stored messages
+ */
+const mockQueue = (t) => {
+  const stored = [];
+
+  t.mock.method(Notification, 'create', async (fields) => {
+    if (fields.dedupeKey && stored.some((n) => n.dedupeKey === fields.dedupeKey)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const notification = new Notification(fields);
+    stored.push(notification);
+    return notification;
+  });
+  t.mock.method(Notification, 'findOneAndUpdate', async (filter, { $set, $inc }) => {
+    const [notification] = stored
+      .filter((n) => matches(n.toObject(), filter))
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+    if (!notification) return null;
+    notification.set($set);
+    notification.attempts += $inc.attempts;
+    return notification;
+  });
+  t.mock.method(Notification.prototype, 'save', async function () {
+    return this;
+  });
+
+  return stored;
+};
+
+let transport;
+
+beforeEach(() => {
+  transport = {
+    sent: [],
+    failures: 0,
+    async sendMail(message) {
+      if (transport.failures > 0) {
+        transport.failures -= 1;
+        throw new Error('421 Service not available');
+      }
+      transport.sent.push(message);
+      return { messageId: `<${transport.sent.length}@test>` };
+    }
+  };
+  setTransport(transport);
+});
+
+describe('notify', () => {
+  test('queues the rendered email for the recipient', async (t) => {
+    const stored = mockQueue(t);
+    const user = mockRecipient(t);
+    const order = buildOrder({ user: user._id });
+
+    const notification = await notifyOrderEvent(order, 'order_placed');
+
+    assert.equal(stored.length, 1);
+    assert.equal(notification.to, 'asha@example.com');
+    assert.equal(notification.category, 'orders');
+    assert.equal(notification.subject, `Order ${order.orderNumber} placed`);
+    assert.equal(notification.status, 'queued');
+    assert.equal(notification.order, order._id);
+    assert.equal(transport.sent.length, 0);
+  });
+
+  test('honours the recipient\'s category opt-outs', async (t) => {
+    const stored = mockQueue(t);
+    const user = mockRecipient(t, { notificationPreferences: { shipping: false } });
+    const order = buildOrder({ user: user._id });
+
+    assert.equal(await notifyOrderEvent(order, 'order_shipped'), null);
+    assert.ok(await notifyOrderEvent(order, 'order_cancelled'));
+    assert.deepEqual(stored.map((n) => n.template), ['order_cancelled']);
+  });
+
+  test('skips deactivated accounts', async (t) => {
+    const stored = mockQueue(t);
+    mockRecipient(t, { isActive: false });
+
+    assert.equal(await notify('payment_received', { user: oid(), data: { orderNumber: 'X', amount: 1 } }), null);
+    assert.equal(stored.length, 0);
+  });
+
+  test('queues a once-only order email a single time', async (t) => {
+    const stored = mockQueue(t);
+    const user = mockRecipient(t);
+    const order = buildOrder({ user: user._id });
+
+    await notifyOrderEvent(order, 'order_shipped', {}, { once: true });
+    const again = await notifyOrderEvent(order, 'order_shipped', {}, { once: true });
+
+    assert.equal(again, null);
+    assert.equal(stored.length, 1);
+    assert.equal(stored[0].dedupeKey, `order_shipped:${order._id}`);
+  });
+
+  test('lists only the lines still on the order', async (t) => {
+    mockQueue(t);
+    const user = mockRecipient(t);
+    const order = buildOrder({ user: user._id });
+    order.items[0].status = 'cancelled';
+
+    const notification = await notifyOrderEvent(order, 'order_placed');
+
+    assert.doesNotMatch(notification.text, /Kurta 1/);
+    assert.match(notification.text, /Kurta 2 \(M \/ Red\) x 2/);
+  });
+});
+
+describe('Order.updateStatus', () => {
+  test('queues lifecycle emails once per order, to send after the save', async () => {
+    const order = buildOrder({ status: 'processing' });
+
+    await order.updateStatus('shipped');
+
+    assert.deepEqual(order.$locals.notifications, [
+      { template: 'order_shipped', extra: { reason: undefined }, options: { once: true } }
+    ]);
+  });
+});
+
+describe('processQueue', () => {
+  /**
+   * Queue one message for asha@example.com
+   * @param {Object} t - Test context
+   * @param {Object} [fields] - Notification fields
+   * @returns {Promise<Object>} { stored, notification }
+   */
+  const queueOne = async (t, fields = {}) => {
+    const stored = mockQueue(t);
+    mockRecipient(t);
+    const notification = await notify('payment_received', { user: oid(), data: { orderNumber: 'ORD-1', amount: 500 } });
+    // Due now, by the clock the test controls
+    notification.set({ nextAttemptAt: new Date(), ...fields });
+    return { stored, notification };
+  };
+
+  test('sends due messages and marks them sent', async (t) => {
+    const { notification } = await queueOne(t);
+
+    assert.deepEqual(await processQueue(), { sent: 1, failed: 0 });
+    assert.equal(notification.status, 'sent');
+    assert.equal(notification.attempts, 1);
+    assert.ok(notification.sentAt);
+    assert.equal(transport.sent[0].subject, 'Payment received for order ORD-1');
+
+    assert.deepEqual(await processQueue(), { sent: 0, failed: 0 });
+    assert.equal(transport.sent.length, 1);
+  });
+
+  test('retries failed sends after 1, then 5 minutes', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-19T10:00:00Z') });
+    const { notification } = await queueOne(t);
+    transport.failures = 2;
+
+    assert.deepEqual(await processQueue(), { sent: 0, failed: 1 });
+    assert.equal(notification.status, 'queued');
+    assert.equal(notification.lastError, '421 Service not available');
+    assert.equal(notification.nextAttemptAt - Date.now(), MINUTE);
+
+    // Not due yet
+    assert.deepEqual(await processQueue(), { sent: 0, failed: 0 });
+
+    t.mock.timers.tick(MINUTE);
+    await processQueue();
+    assert.equal(notification.nextAttemptAt - Date.now(), 5 * MINUTE);
+
+    t.mock.timers.tick(5 * MINUTE);
+    assert.deepEqual(await processQueue(), { sent: 1, failed: 0 });
+    assert.equal(notification.attempts, 3);
+    assert.equal(notification.lastError, undefined);
+  });
+
+  test('gives up after the last attempt', async (t) => {
+    const { notification } = await queueOne(t, { maxAttempts: 1 });
+    transport.failures = 1;
+
+    await processQueue();
+
+    assert.equal(notification.status, 'failed');
+    assert.deepEqual(await processQueue(), { sent: 0, failed: 0 });
+  });
+
+  test('takes over messages left sending by a worker that died', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-19T10:00:00Z') });
+    const { notification } = await queueOne(t, { status: 'sending', attempts: 1, lockedAt: new Date() });
+
+    assert.deepEqual(await processQueue(), { sent: 0, failed: 0 });
+
+    t.mock.timers.tick(10 * MINUTE);
+    assert.deepEqual(await processQueue(), { sent: 1, failed: 0 });
+    assert.equal(notification.attempts, 2);
+  });
+});
+
+describe('render', () => {
+  test('escapes names in the HTML part', () => {
+    const message = render('order_delivered', {
+      name: '<b>Asha</b>',
+      orderNumber: 'ORD-1',
+      orderUrl: 'http://localhost:3000/orders/1',
+      returnWindowDays: 7
+    });
+
+    assert.match(message.text, /^Hi <b>Asha<\/b>,/);
+    assert.match(message.html, /Hi &lt;b&gt;Asha&lt;\/b&gt;,/);
+    assert.match(message.text, /within 7 days/);
+  });
+
+  test('reminds cash-on-delivery customers to keep the amount ready', () => {
+    const data = { name: 'Asha', orderNumber: 'ORD-1', total: 1250 };
+
+    assert.match(render('order_out_for_delivery', { ...data, paymentMethod: 'cod' }).text, /keep ₹1,250\.00 ready/);
+    assert.doesNotMatch(render('order_out_for_delivery', { ...data, paymentMethod: 'upi' }).text, /ready/);
+  });
+
+  test('refuses unknown templates', () => {
+    assert.throws(() => render('order_lost', {}), /Unknown notification template: order_lost/);
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeSession, mockCounters } = require('./helpers');
+const Counter = require('../src/models/Counter.model');
+const Order = require('../src/models/Order.model');
+
+/**
+ * Duplicate key error as raised by MongoDB
+ * @returns {Error}
+ */
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+describe('Counter.next', () => {
+  test('issues consecutive numbers per key', async (t) => {
+    mockCounters(t);
+
+    assert.equal(await Counter.next('a'), 1);
+    assert.equal(await Counter.next('a'), 2);
+    assert.equal(await Counter.next('b'), 1);
+  });
+
+  test('retries once when two first-time upserts collide', async (t) => {
+    let calls = 0;
+    t.mock.method(Counter, 'findOneAndUpdate', async () => {
+      calls++;
+      if (calls === 1) throw duplicateKeyError();
+      return { seq: 7 };
+    });
+
+    assert.equal(await Counter.next('a'), 7);
+    assert.equal(calls, 2);
+  });
+
+  test('inside a transaction, creates the counter outside it and never upserts in it', async (t) => {
+    const session = fakeSession();
+    const create = t.mock.method(Counter, 'updateOne', async () => {
+      throw duplicateKeyError(); // another transaction created it first
+    });
+    const increment = t.mock.method(Counter, 'findOneAndUpdate', async () => ({ seq: 3 }));
+
+    assert.equal(await Counter.next('a', { session }), 3);
+
+    const [, , createOptions] = create.mock.calls[0].arguments;
+    assert.equal(createOptions.session, undefined);
+    assert.equal(increment.mock.calls[0].arguments[2].session, session);
+    assert.equal(increment.mock.callCount(), 1);
+  });
+
+  test('inside a transaction, other errors are passed on', async (t) => {
+    t.mock.method(Counter, 'updateOne', async () => {
+      throw new Error('connection lost');
+    });
+    const increment = t.mock.method(Counter, 'findOneAndUpdate', async () => ({ seq: 1 }));
+
+    await assert.rejects(Counter.next('a', { session: fakeSession() }), /connection lost/);
+    assert.equal(increment.mock.callCount(), 0);
+  });
+});
+
+describe('Order.generateOrderNumber', () => {
+  test('numbers orders per day in the store time zone', async (t) => {
+    mockCounters(t);
+    // 31 March 20:00 UTC is already 1 April in India
+    t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-31T20:00:00Z') });
+
+    assert.equal(await Order.generateOrderNumber(), 'ORD-20260401-000001');
+    assert.equal(await Order.generateOrderNumber(), 'ORD-20260401-000002');
+  });
+
+  test('uses ORDER_NUMBER_PREFIX with its own sequence', async (t) => {
+    mockCounters(t);
+    t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-01-14T06:00:00Z') });
+    t.after(() => {
+      delete process.env.ORDER_NUMBER_PREFIX;
+    });
+
+    assert.equal(await Order.generateOrderNumber(), 'ORD-20260114-000001');
+    process.env.ORDER_NUMBER_PREFIX = 'DC';
+    assert.equal(await Order.generateOrderNumber(), 'DC-20260114-000001');
+  });
+
+  test('passes the session on to the counter', async (t) => {
+    mockCounters(t);
+    const next = t.mock.method(Counter, 'next');
+    const session = fakeSession();
+
+    await Order.generateOrderNumber({ session });
+
+    assert.equal(next.mock.calls[0].arguments[1].session, session);
+  });
+});
@@ -0,0 +1,170 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { oid, mockOrderClaims, callHandler, buildOrder } = require('./helpers');
+const Product = require('../src/models/Product.model');
+const { updateOrderStatus } = require('../src/controllers/admin.controller');
+
+/**
+ * Pack every line into its own parcel with a tracking number
+ * @param {Order} order
+ * @returns {Object[]} Shipment subdocuments
+ */
+const packEachLine = (order) => order.items.map((item, index) => (
+  order.createShipment({ itemIds: [item._id], trackingNumber: `AWB${index + 1}` })
+));
+
+describe('Order.refreshStatus', () => {
+  test('steps through the transition table when a confirmed order ships', async () => {
+    const order = buildOrder();
+    const shipment = order.createShipment({ itemIds: order.items.map((item) => item._id), trackingNumber: 'AWB1' });
+
+    await order.updateShipmentStatus(shipment._id, 'shipped', { note: 'Picked up' });
+
+    assert.equal(order.status, 'shipped');
+    const steps = order.statusHistory.filter((entry) => !entry.status.startsWith('shipment_'));
+    assert.deepEqual(steps.map((entry) => entry.status), ['processing', 'shipped']);
+    assert.equal(steps[1].note, 'Picked up');
+  });
+
+  test('stays confirmed while some lines have not shipped', async () => {
+    const order = buildOrder();
+    const [first] = packEachLine(order);
+
+    await order.updateShipmentStatus(first._id, 'shipped');
+
+    assert.equal(order.status, 'confirmed');
+    assert.equal(order.items[0].status, 'shipped');
+  });
+
+  test('follows the least advanced parcel', async () => {
+    const order = buildOrder();
+    const shipments = packEachLine(order);
+
+    for (const shipment of shipments) {
+      await order.updateShipmentStatus(shipment._id, 'shipped');
+    }
+    assert.equal(order.status, 'shipped');
+    assert.ok(order.shipping.shippedAt);
+    assert.equal(order.$locals.notifications.at(-1).template, 'order_shipped');
+
+    await order.updateShipmentStatus(shipments[0]._id, 'delivered');
+    await order.updateShipmentStatus(shipments[1]._id, 'delivered');
+    assert.equal(order.status, 'shipped');
+
+    await order.updateShipmentStatus(shipments[2]._id, 'delivered');
+    assert.equal(order.status, 'delivered');
+    assert.ok(order.shipping.deliveredAt);
+  });
+
+  test('marks the order returned when every parcel comes back', async () => {
+    const order = buildOrder();
+    const shipments = packEachLine(order);
+
+    for (const shipment of shipments) {
+      await order.updateShipmentStatus(shipment._id, 'shipped');
+      await order.updateShipmentStatus(shipment._id, 'rto');
+    }
+
+    assert.equal(order.status, 'returned');
+    assert.ok(order.items.every((item) => item.status === 'returned'));
+  });
+
+  test('stays put when one parcel came back and the rest were delivered', async () => {
+    const order = buildOrder();
+    const shipments = packEachLine(order);
+
+    for (const shipment of shipments) {
+      await order.updateShipmentStatus(shipment._id, 'shipped');
+    }
+    await order.updateShipmentStatus(shipments[0]._id, 'rto');
+    await order.updateShipmentStatus(shipments[1]._id, 'delivered');
+    await order.updateShipmentStatus(shipments[2]._id, 'delivered');
+
+    assert.equal(order.status, 'delivered');
+  });
+
+  test('returns false when nothing changed', async () => {
+    const order = buildOrder();
+
+    assert.equal(await order.refreshStatus(), false);
+    assert.equal(order.statusHistory.length, 0);
+  });
+});
+
+describe('Order.updateStatus', () => {
+  test('refuses to mark an undelivered order returned by hand', async () => {
+    const order = buildOrder({ status: 'shipped' });
+
+    await assert.rejects(order.updateStatus('returned'), /Only delivered orders/);
+    assert.equal(order.status, 'shipped');
+  });
+
+  test('refuses transitions the table does not allow', async () => {
+    const order = buildOrder();
+
+    await assert.rejects(order.updateStatus('delivered'), /Cannot change order status from confirmed to delivered/);
+  });
+
+  test('does not ship an unpaid online order', async () => {
+    const order = buildOrder({ status: 'processing', payment: { method: 'upi', status: 'pending' } });
+
+    await assert.rejects(order.updateStatus('shipped'), /BadRequestError|payment/i);
+    assert.equal(order.canTransitionTo('shipped'), false);
+
+    order.payment.status = 'completed';
+    await order.updateStatus('shipped', 'Handed to carrier');
+    assert.equal(order.status, 'shipped');
+    assert.ok(order.shipping.shippedAt);
+    assert.equal(order.statusHistory.at(-1).note, 'Handed to carrier');
+  });
+
+  test('lists the statuses an order can move to', () => {
+    assert.deepEqual(buildOrder().nextStatuses, ['processing', 'cancelled']);
+    assert.deepEqual(buildOrder({ status: 'cancelled' }).nextStatuses, []);
+    assert.deepEqual(buildOrder({ status: 'cancelled', payment: { status: 'refunded' } }).nextStatuses, ['refunded']);
+  });
+});
+
+describe('updateOrderStatus', () => {
+  const update = (order, body) => callHandler(updateOrderStatus, {
+    params: { id: order._id.toString() },
+    body,
+    user: { _id: oid(), role: 'admin' }
+  });
+
+  test('moves the order and stores it in one transaction', async (t) => {
+    const order = buildOrder();
+    const { stored } = mockOrderClaims(t, order);
+
+    const { statusCode } = await update(order, { status: 'processing', note: 'Packing' });
+
+    assert.equal(statusCode, 200);
+    assert.equal(stored().status, 'processing');
+  });
+
+  test('runs the cancel effects once when two admins cancel at the same time', async (t) => {
+    const restock = t.mock.method(Product, 'adjustVariantStock', async () => true);
+    const order = buildOrder();
+    const { stored } = mockOrderClaims(t, order);
+
+    const results = await Promise.all([
+      update(order, { status: 'cancelled', note: 'Out of stock' }),
+      update(order, { status: 'cancelled', note: 'Out of stock' })
+    ]);
+
+    assert.deepEqual(results.map((r) => r.statusCode).sort(), [200, 409]);
+    assert.equal(restock.mock.callCount(), 3);
+    assert.equal(stored().status, 'cancelled');
+  });
+
+  test('rejects illegal transitions without storing anything', async (t) => {
+    const order = buildOrder();
+    const { stored } = mockOrderClaims(t, order);
+
+    const { statusCode, body } = await update(order, { status: 'delivered' });
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.message, 'Cannot change order status from confirmed to delivered');
+    assert.equal(stored().status, 'confirmed');
+  });
+});
@@ -0,0 +1,159 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { query, matches, callHandler } = require('./helpers');
+const User = require('../src/models/User.model');
+const Session = require('../src/models/Session.model');
+const { setTransport } = require('../src/utils/email');
+const { forgotPassword, resetPassword } = require('../src/controllers/auth.controller');
+
+const GENERIC_MESSAGE = 'If an account exists for this email, a password reset link has been sent';
+
+/**
+ * Transport that records messages instead of sending them
+ * @returns {Object} { sendMail, sent }
+ */
+const recordingTransport = () => {
+  const transport = {
+    sent: [],
+    async sendMail(message) {
+      transport.sent.push(message);
+      return { messageId: `<${transport.sent.length}@test>` };
+    }
+  };
+  return transport;
+};
+
+/**
+ * Keep one user "in the database"; lookups match it against their filter
+ * @param {Object} t - Test context
+ * @returns {User}
+ */
+const mockUserStore = (t) => {
+  const user = new User({ name: 'Asha', email: 'asha@example.com', password: 'OldSecret1' });
+  const find = (filter) => (matches(user.toObject(), filter) ? user : null);
+
+  t.mock.method(User, 'findOne', (filter) => query(find(filter)));
+  t.mock.method(user, 'save', async () => user);
+  t.mock.method(Session, 'revokeAllForUser', async () => ({ modifiedCount: 2 }));
+  t.mock.method(Session, 'createForUser', async (userId) => ({
+    session: new Session({ user: userId, refreshTokenHash: 'hash', expiresAt: new Date(Date.now() + 60000) }),
+    refreshToken: 'refresh'
+  }));
+  return user;
+};
+
+/**
+ * Raw token from the reset link in a message
+ * @param {Object} message
+ * @returns {string}
+ */
+const tokenFrom = (message) => message.text.match(/reset-password\/([a-f0-9]+)/)[1];
+
+let transport;
+
+beforeEach(() => {
+  transport = recordingTransport();
+  setTransport(transport);
+});
+
+describe('forgotPassword', () => {
+  test('emails a reset link and stores only the hash of its token', async (t) => {
+    const user = mockUserStore(t);
+
+    const { statusCode, body } = await callHandler(forgotPassword, { body: { email: 'ASHA@example.com' } });
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.message, GENERIC_MESSAGE);
+    assert.equal(transport.sent.length, 1);
+    assert.equal(transport.sent[0].to, 'asha@example.com');
+
+    const token = tokenFrom(transport.sent[0]);
+    assert.equal(user.passwordResetToken, crypto.createHash('sha256').update(token).digest('hex'));
+    assert.ok(!JSON.stringify(user.toObject()).includes(token));
+    assert.ok(Math.abs(user.passwordResetExpires - Date.now() - 30 * 60 * 1000) < 5000);
+  });
+
+  test('answers the same for unknown addresses without sending anything', async (t) => {
+    mockUserStore(t);
+
+    const { statusCode, body } = await callHandler(forgotPassword, { body: { email: 'nobody@example.com' } });
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.message, GENERIC_MESSAGE);
+    assert.equal(transport.sent.length, 0);
+  });
+
+  test('drops the token when the email cannot be sent', async (t) => {
+    const user = mockUserStore(t);
+    transport.sendMail = async () => {
+      throw new Error('ECONNREFUSED');
+    };
+
+    const { statusCode } = await callHandler(forgotPassword, { body: { email: 'asha@example.com' } });
+
+    assert.equal(statusCode, 500);
+    assert.equal(user.passwordResetToken, undefined);
+    assert.equal(user.passwordResetExpires, undefined);
+  });
+});
+
+describe('resetPassword', () => {
+  /**
+   * Request a reset and return the emailed token
+   * @returns {Promise<string>}
+   */
+  const requestReset = async () => {
+    await callHandler(forgotPassword, { body: { email: 'asha@example.com' } });
+    return tokenFrom(transport.sent.at(-1));
+  };
+
+  const reset = (token, password = 'NewSecret1') => callHandler(resetPassword, {
+    params: { token },
+    body: { password },
+    headers: { 'user-agent': 'test' }
+  });
+
+  test('sets the new password, signs out every device and logs this one in', async (t) => {
+    const user = mockUserStore(t);
+    const token = await requestReset();
+
+    const { statusCode, body } = await reset(token);
+
+    assert.equal(statusCode, 200);
+    assert.equal(user.password, 'NewSecret1');
+    assert.equal(user.passwordResetToken, undefined);
+    assert.deepEqual(Session.revokeAllForUser.mock.calls[0].arguments, [user._id, 'password_changed']);
+    assert.equal(Session.createForUser.mock.callCount(), 1);
+    assert.ok(body.data.token);
+  });
+
+  test('accepts each token once', async (t) => {
+    mockUserStore(t);
+    const token = await requestReset();
+
+    assert.equal((await reset(token)).statusCode, 200);
+    const { statusCode, body } = await reset(token, 'Another1');
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.message, 'Password reset link is invalid or has expired');
+  });
+
+  test('refuses expired tokens', async (t) => {
+    const user = mockUserStore(t);
+    const token = await requestReset();
+    user.passwordResetExpires = new Date(Date.now() - 1000);
+
+    assert.equal((await reset(token)).statusCode, 400);
+    assert.equal(user.password, 'OldSecret1');
+  });
+
+  test('refuses a token superseded by a newer request', async (t) => {
+    mockUserStore(t);
+    const first = await requestReset();
+    const second = await requestReset();
+
+    assert.equal((await reset(first)).statusCode, 400);
+    assert.equal((await reset(second)).statusCode, 200);
+  });
+});
@@ -0,0 +1,216 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { oid, query, callHandler, buildOrder } = require('./helpers');
+const Order = require('../src/models/Order.model');
+const WebhookEvent = require('../src/models/WebhookEvent.model');
+const mockProvider = require('../src/services/payments/mock.provider');
+const { getProvider } = require('../src/services/payments');
+const { safeEqual } = require('../src/services/payments/utils');
+const { handleWebhook } = require('../src/controllers/payment.controller');
+
+before(() => {
+  process.env.MOCK_PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+});
+
+after(() => {
+  delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+});
+
+/**
+ * Online order awaiting payment through the mock gateway
+ * @returns {Order}
+ */
+const buildPaidOrder = () => buildOrder({
+  status: 'pending',
+  payment: { method: 'upi', status: 'pending', provider: 'mock', providerOrderId: 'mock_order_1' }
+});
+
+/**
+ * Mock the webhook event log (unique on source + eventId) and the order lookup
+ * @param {Object} t - Test context
+ * @param {Order} [order] - Order the event matches
+ * @returns {Object} { events, save } events maps eventId to its note
+ */
+const mockWebhookStore = (t, order) => {
+  const events = new Map();
+
+  t.mock.method(WebhookEvent, 'create', async ({ eventId }) => {
+    if (events.has(eventId)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const event = {
+      _id: eventId,
+      async save() {
+        events.set(eventId, event.note);
+      }
+    };
+    events.set(eventId, undefined);
+    return event;
+  });
+  t.mock.method(WebhookEvent, 'deleteOne', async ({ _id }) => {
+    events.delete(_id);
+  });
+
+  t.mock.method(Order, 'findOne', () => query(order || null));
+  const save = order ? t.mock.method(order, 'save', async () => order) : null;
+
+  return { events, save };
+};
+
+/**
+ * Deliver a webhook request to the controller
+ * @param {{ body: string, headers: Object }} webhook - Raw body and headers
+ * @returns {Promise<Object>} { statusCode, body }
+ */
+const deliver = ({ body, headers }) => callHandler(handleWebhook, {
+  params: { provider: 'mock' },
+  rawBody: Buffer.from(body),
+  body: JSON.parse(body),
+  headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]))
+});
+
+describe('handleWebhook', () => {
+  test('rejects a tampered body', async (t) => {
+    const { events } = mockWebhookStore(t, buildPaidOrder());
+    const webhook = mockProvider.buildWebhook('payment.captured', {
+      providerOrderId: 'mock_order_1',
+      paymentId: 'pay_1',
+      amount: 600
+    });
+
+    const { statusCode } = await deliver({ ...webhook, body: webhook.body.replace('600', '1') });
+
+    assert.equal(statusCode, 401);
+    assert.equal(events.size, 0);
+  });
+
+  test('rejects webhooks when no secret is configured', async (t) => {
+    mockWebhookStore(t, buildPaidOrder());
+    const webhook = mockProvider.buildWebhook('payment.captured', { providerOrderId: 'mock_order_1', paymentId: 'pay_1' });
+    delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+    t.after(() => {
+      process.env.MOCK_PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+    });
+
+    assert.equal((await deliver(webhook)).statusCode, 401);
+  });
+
+  test('completes the payment once and acknowledges redeliveries', async (t) => {
+    const order = buildPaidOrder();
+    const { events, save } = mockWebhookStore(t, order);
+    const webhook = mockProvider.buildWebhook('payment.captured', {
+      providerOrderId: 'mock_order_1',
+      paymentId: 'pay_1',
+      amount: 600
+    });
+
+    const first = await deliver(webhook);
+    const redelivery = await deliver(webhook);
+
+    assert.equal(first.body.message, 'Event processed');
+    assert.equal(redelivery.statusCode, 200);
+    assert.equal(redelivery.body.message, 'Event already processed');
+    assert.equal(order.payment.status, 'completed');
+    assert.equal(order.payment.amountPaid, 600);
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal([...events.values()][0], 'Payment completed');
+  });
+
+  test('does not complete a payment for the wrong amount', async (t) => {
+    const order = buildPaidOrder();
+    mockWebhookStore(t, order);
+
+    await deliver(mockProvider.buildWebhook('payment.captured', {
+      providerOrderId: 'mock_order_1',
+      paymentId: 'pay_1',
+      amount: 1
+    }));
+
+    assert.equal(order.payment.status, 'pending');
+    assert.match(order.payment.failureReason, /Amount mismatch/);
+  });
+
+  test('releases the event when capture fails so the retry captures', async (t) => {
+    const order = buildPaidOrder();
+    const { events } = mockWebhookStore(t, order);
+    let attempts = 0;
+    const capture = t.mock.method(mockProvider, 'capture', async ({ paymentId }) => {
+      attempts++;
+      if (attempts === 1) throw new Error('Gateway timeout');
+      return { paymentId, status: 'captured' };
+    });
+    const webhook = mockProvider.buildWebhook('payment.authorized', {
+      providerOrderId: 'mock_order_1',
+      paymentId: 'pay_1'
+    });
+
+    const failed = await deliver(webhook);
+    assert.equal(failed.statusCode, 500);
+    assert.equal(events.size, 0);
+    assert.equal(order.payment.status, 'processing');
+
+    const retry = await deliver(webhook);
+    assert.equal(retry.body.message, 'Event processed');
+    assert.equal(capture.mock.callCount(), 2);
+    assert.equal(order.payment.captureRequestedFor, 'pay_1');
+
+    // A fresh delivery of the same authorization does not capture again
+    const again = await deliver(mockProvider.buildWebhook('payment.authorized', {
+      providerOrderId: 'mock_order_1',
+      paymentId: 'pay_1'
+    }));
+    assert.equal(again.body.message, 'Event processed');
+    assert.equal(capture.mock.callCount(), 2);
+  });
+
+  test('ignores events for unknown orders', async (t) => {
+    const { events } = mockWebhookStore(t, null);
+
+    const { body } = await deliver(mockProvider.buildWebhook('payment.captured', {
+      providerOrderId: 'mock_order_unknown',
+      paymentId: 'pay_1'
+    }));
+
+    assert.equal(body.message, 'Event ignored');
+    assert.equal([...events.values()][0], 'No order matches this payment');
+  });
+
+  test('answers 404 for inherited property names', async () => {
+    const { statusCode } = await callHandler(handleWebhook, {
+      params: { provider: 'constructor' },
+      rawBody: Buffer.from('{}'),
+      body: {},
+      headers: {}
+    });
+
+    assert.equal(statusCode, 404);
+  });
+});
+
+describe('payment providers', () => {
+  test('only own provider names resolve', () => {
+    assert.equal(getProvider('mock'), mockProvider);
+    assert.equal(getProvider('constructor'), null);
+    assert.equal(getProvider('toString'), null);
+    assert.equal(getProvider('__proto__'), null);
+  });
+
+  test('safeEqual compares bytes', () => {
+    assert.equal(safeEqual('abc', 'abc'), true);
+    assert.equal(safeEqual('abd', 'abc'), false);
+    assert.equal(safeEqual('ab', 'abc'), false);
+    // Same length in characters, different in bytes
+    assert.equal(safeEqual('abé', 'abc'), false);
+    assert.equal(safeEqual(undefined, 'abc'), false);
+  });
+
+  test('the mock gateway refuses to sign without a secret', (t) => {
+    delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+    t.after(() => {
+      process.env.MOCK_PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+    });
+
+    assert.throws(() => mockProvider.buildWebhook('payment.captured', {}), /MOCK_PAYMENT_WEBHOOK_SECRET is not set/);
+    assert.equal(mockProvider.verifySignature(Buffer.from('{}'), { 'x-mock-signature': oid().toString() }), false);
+  });
+});
@@ -0,0 +1,304 @@
+const { describe, test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { oid, query, fakeSession, callHandler, buildOrder } = require('./helpers');
+
+// The controller keeps its own reference, so stub credit notes first
+const invoices = require('../src/services/invoices');
+mock.method(invoices, 'issueCreditNotes', async () => []);
+
+const Product = require('../src/models/Product.model');
+const Order = require('../src/models/Order.model');
+const ReturnRequest = require('../src/models/ReturnRequest.model');
+const mockProvider = require('../src/services/payments/mock.provider');
+const { receiveReturn } = require('../src/controllers/admin.controller');
+const { createReturnRequest } = require('../src/controllers/return.controller');
+
+/**
+ * Delivered order paid online through the mock gateway
+ * @returns {Order}
+ */
+const buildDeliveredOrder = () => {
+  const order = buildOrder({
+    status: 'delivered',
+    payment: { method: 'upi', status: 'completed', provider: 'mock', transactionId: 'pay_1', amountPaid: 600 },
+    shipping: { deliveredAt: new Date() }
+  });
+  order.items.forEach((item) => {
+    item.status = 'delivered';
+  });
+  return order;
+};
+
+/**
+ * Approved return of the second line (2 x ₹100) for a refund
+ * @param {Order} order
+ * @returns {ReturnRequest}
+ */
+const buildApprovedReturn = (order) => {
+  const line = order.items[1];
+  const returnRequest = new ReturnRequest({
+    rmaNumber: 'RMA-20260101-000001',
+    order: order._id,
+    user: order.user,
+    items: [{
+      orderItem: line._id,
+      product: line.product,
+      name: line.name,
+      variant: line.variant,
+      quantity: line.quantity,
+      price: line.price,
+      reason: 'size_issue'
+    }],
+    status: 'approved'
+  });
+  returnRequest.updatedAt = new Date();
+  return returnRequest;
+};
+
+/**
+ * Mock the return and order collections around one return request.
+ * The claim honours the status filter, like the real conditional update.
+ * @param {Object} t - Test context
+ * @param {Order} order
+ * @param {ReturnRequest} returnRequest
+ * @returns {Object} { refund, restock, session }
+ */
+const mockReturnStore = (t, order, returnRequest) => {
+  const session = fakeSession();
+
+  t.mock.method(ReturnRequest, 'findOneAndUpdate', async (filter, update) => {
+    const [approved, stale] = filter.$or;
+    const claimable = returnRequest.status === approved.status || (
+      returnRequest.status === stale.status && returnRequest.updatedAt < stale.updatedAt.$lt
+    );
+    if (!claimable) return null;
+
+    returnRequest.status = update.$set.status;
+    returnRequest.updatedAt = new Date();
+    return returnRequest;
+  });
+  t.mock.method(ReturnRequest, 'exists', async () => ({ _id: returnRequest._id }));
+  t.mock.method(ReturnRequest, 'updateOne', async (filter, update) => {
+    if (returnRequest.status === filter.status) {
+      returnRequest.status = update.$set.status;
+    }
+  });
+  t.mock.method(ReturnRequest, 'findById', () => query(returnRequest));
+  t.mock.method(ReturnRequest, 'find', () => query([returnRequest]));
+  t.mock.method(returnRequest, 'save', async () => returnRequest);
+
+  t.mock.method(Order, 'findById', () => query(order));
+  t.mock.method(order, 'save', async () => order);
+  t.mock.method(mongoose, 'startSession', async () => session);
+
+  const refund = t.mock.method(mockProvider, 'refund', async ({ amount }) => ({
+    refundId: 'mock_refund_1',
+    amount,
+    status: 'processed'
+  }));
+  const restock = t.mock.method(Product, 'adjustVariantStock', async () => true);
+
+  return { refund, restock, session };
+};
+
+const receive = (returnRequest, body = {}) => callHandler(receiveReturn, {
+  params: { id: returnRequest._id.toString() },
+  body,
+  user: { _id: oid(), role: 'admin' }
+});
+
+describe('receiveReturn', () => {
+  test('refunds the return once, keyed by its RMA, and restocks it in a transaction', async (t) => {
+    const order = buildDeliveredOrder();
+    const returnRequest = buildApprovedReturn(order);
+    const { refund, restock, session } = mockReturnStore(t, order, returnRequest);
+
+    const { statusCode } = await receive(returnRequest);
+
+    assert.equal(statusCode, 200);
+    assert.equal(refund.mock.callCount(), 1);
+    const [params] = refund.mock.calls[0].arguments;
+    assert.equal(params.amount, 200);
+    assert.equal(params.paymentId, 'pay_1');
+    assert.equal(params.idempotencyKey, 'RMA-20260101-000001');
+
+    assert.equal(restock.mock.calls[0].arguments[2], 2);
+    assert.equal(restock.mock.calls[0].arguments[3].session, session);
+    assert.equal(session.committed, true);
+
+    assert.equal(returnRequest.status, 'completed');
+    assert.equal(returnRequest.refund.refundId, 'mock_refund_1');
+    assert.equal(order.payment.refundedAmount, 200);
+    assert.equal(order.items[1].status, 'returned');
+    assert.equal(order.status, 'delivered');
+  });
+
+  test('lets only one of two concurrent calls through', async (t) => {
+    const order = buildDeliveredOrder();
+    const returnRequest = buildApprovedReturn(order);
+    const { refund, restock } = mockReturnStore(t, order, returnRequest);
+
+    const results = await Promise.all([receive(returnRequest), receive(returnRequest)]);
+
+    assert.deepEqual(results.map((r) => r.statusCode).sort(), [200, 400]);
+    assert.equal(refund.mock.callCount(), 1);
+    assert.equal(restock.mock.callCount(), 1);
+  });
+
+  test('refuses returns that are not approved', async (t) => {
+    const order = buildDeliveredOrder();
+    const returnRequest = buildApprovedReturn(order);
+    returnRequest.status = 'requested';
+    const { refund } = mockReturnStore(t, order, returnRequest);
+
+    const { statusCode, body } = await receive(returnRequest);
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.message, 'Only approved returns can be received');
+    assert.equal(refund.mock.callCount(), 0);
+  });
+
+  test('answers 404 for unknown returns', async (t) => {
+    const order = buildDeliveredOrder();
+    const returnRequest = buildApprovedReturn(order);
+    returnRequest.status = 'completed';
+    mockReturnStore(t, order, returnRequest);
+    ReturnRequest.exists.mock.mockImplementation(async () => null);
+
+    assert.equal((await receive(returnRequest)).statusCode, 404);
+  });
+
+  test('takes over a claim left behind by a request that died', async (t) => {
+    const order = buildDeliveredOrder();
+    const returnRequest = buildApprovedReturn(order);
+    returnRequest.status = 'receiving';
+    returnRequest.updatedAt = new Date(Date.now() - 60 * 60 * 1000);
+    mockReturnStore(t, order, returnRequest);
+
+    assert.equal((await receive(returnRequest)).statusCode, 200);
+    assert.equal(returnRequest.status, 'completed');
+  });
+
+  test('releases the claim when restocking fails, and the retry does not refund again', async (t) => {
+    const order = buildDeliveredOrder();
+    const returnRequest = buildApprovedReturn(order);
+    const { refund, restock } = mockReturnStore(t, order, returnRequest);
+    restock.mock.mockImplementationOnce(async () => {
+      throw new Error('connection lost');
+    });
+
+    const failed = await receive(returnRequest);
+    assert.equal(failed.statusCode, 500);
+    assert.equal(returnRequest.status, 'approved');
+    assert.equal(returnRequest.refund.refundId, 'mock_refund_1');
+
+    const retry = await receive(returnRequest);
+    assert.equal(retry.statusCode, 200);
+    assert.equal(returnRequest.status, 'completed');
+    assert.equal(refund.mock.callCount(), 1);
+    assert.equal(order.payment.refundedAmount, 200);
+  });
+
+  test('leaves a failed gateway refund for the admin to retry', async (t) => {
+    const order = buildDeliveredOrder();
+    const returnRequest = buildApprovedReturn(order);
+    const { refund } = mockReturnStore(t, order, returnRequest);
+    refund.mock.mockImplementation(async () => {
+      throw new Error('Gateway timeout');
+    });
+
+    assert.equal((await receive(returnRequest)).statusCode, 200);
+    assert.equal(returnRequest.status, 'received');
+    assert.equal(returnRequest.refund.status, 'failed');
+    assert.equal(order.payment.refunds.length, 0);
+  });
+});
+
+describe('mock gateway refunds', () => {
+  test('return the first refund for a repeated idempotency key', async () => {
+    const first = await mockProvider.refund({ paymentId: 'pay_1', amount: 200, idempotencyKey: 'RMA-1' });
+    const repeat = await mockProvider.refund({ paymentId: 'pay_1', amount: 200, idempotencyKey: 'RMA-1' });
+    const other = await mockProvider.refund({ paymentId: 'pay_1', amount: 200, idempotencyKey: 'RMA-2' });
+
+    assert.equal(repeat.refundId, first.refundId);
+    assert.notEqual(other.refundId, first.refundId);
+  });
+});
+
+describe('createReturnRequest', () => {
+  /**
+   * Serve the order to the controller
+   * @param {Object} t - Test context
+   * @param {Order} order
+   * @param {Map<string, number>} [returned] - Quantities already under return
+   */
+  const mockOrder = (t, order, returned = new Map()) => {
+    t.mock.method(Order, 'findOne', () => query(order));
+    t.mock.method(order, 'save', async () => order);
+    t.mock.method(ReturnRequest, 'getReturnedQuantities', async () => returned);
+    return t.mock.method(ReturnRequest.prototype, 'save', async function () {
+      this.rmaNumber = 'RMA-20260101-000002';
+      return this;
+    });
+  };
+
+  const request = (order, body) => callHandler(createReturnRequest, {
+    params: { id: order._id.toString() },
+    body,
+    user: { _id: order.user }
+  });
+
+  test('opens a return for delivered lines', async (t) => {
+    const order = buildDeliveredOrder();
+    const save = mockOrder(t, order);
+
+    const { statusCode, body } = await request(order, {
+      items: [{ itemId: order.items[2]._id.toString(), quantity: 2, reason: 'size_issue' }]
+    });
+
+    assert.equal(statusCode, 201);
+    assert.equal(body.data.returnRequest.status, 'requested');
+    assert.equal(body.data.returnRequest.items[0].quantity, 2);
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(order.statusHistory.at(-1).status, 'return_requested');
+  });
+
+  test('refuses more than is left to return', async (t) => {
+    const order = buildDeliveredOrder();
+    const line = order.items[2];
+    mockOrder(t, order, new Map([[line._id.toString(), 2]]));
+
+    const { statusCode, body } = await request(order, {
+      items: [{ itemId: line._id.toString(), quantity: 2, reason: 'size_issue' }]
+    });
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.message, 'Only 1 of Kurta 3 can be returned');
+  });
+
+  test('refuses orders that were not delivered', async (t) => {
+    const order = buildOrder();
+    mockOrder(t, order);
+
+    const { statusCode, body } = await request(order, {
+      items: [{ itemId: order.items[0]._id.toString(), reason: 'size_issue' }]
+    });
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.message, 'Only delivered orders can be returned');
+  });
+
+  test('refuses returns after the window', async (t) => {
+    const order = buildDeliveredOrder();
+    order.shipping.deliveredAt = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
+    mockOrder(t, order);
+
+    const { statusCode, body } = await request(order, {
+      items: [{ itemId: order.items[0]._id.toString(), reason: 'size_issue' }]
+    });
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.message, 'Returns are accepted within 7 days of delivery');
+  });
+});
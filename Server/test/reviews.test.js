@@ -0,0 +1,216 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { oid, query, matches, callHandler, buildOrder } = require('./helpers');
+const Review = require('../src/models/Review.model');
+const Product = require('../src/models/Product.model');
+const Order = require('../src/models/Order.model');
+const { createReview, toggleHelpfulVote } = require('../src/controllers/review.controller');
+const { moderateReview } = require('../src/controllers/admin.controller');
+
+/**
+ * Active product served by Product.findById
+ * @param {Object} t - Test context
+ * @param {Object} [fields]
+ * @returns {Object} Product stand-in
+ */
+const mockProduct = (t, fields = {}) => {
+  const product = { _id: oid(), status: 'active', ...fields };
+  t.mock.method(Product, 'findById', async () => product);
+  return product;
+};
+
+describe('createReview', () => {
+  /**
+   * Serve the shopper's earlier review and latest delivered order
+   * @param {Object} t - Test context
+   * @param {Object} options - { existing, delivered }
+   * @returns {Object} { create }
+   */
+  const mockReviewer = (t, { existing = null, delivered = null } = {}) => {
+    t.mock.method(Review, 'findOne', async () => existing);
+    t.mock.method(Order, 'findOne', () => query(delivered));
+    const create = t.mock.method(Review, 'create', async (fields) => new Review(fields));
+    return { create };
+  };
+
+  const review = (product, userId, extra = {}) => callHandler(createReview, {
+    params: { id: product._id.toString() },
+    body: { rating: 5, title: 'Lovely fabric', comment: 'Fits well' },
+    user: { _id: userId },
+    ...extra
+  });
+
+  test('marks buyers of a delivered order as verified and links the line', async (t) => {
+    const product = mockProduct(t);
+    const order = buildOrder({ status: 'delivered' });
+    order.items[1].product = product._id;
+    mockReviewer(t, { delivered: order });
+
+    const { statusCode, body } = await review(product, order.user, { files: [{ filename: 'a.jpg' }] });
+
+    assert.equal(statusCode, 201);
+    assert.equal(body.message, 'Review submitted and awaiting moderation');
+    assert.equal(body.data.review.isVerifiedBuyer, true);
+    assert.equal(body.data.review.order.toString(), order._id.toString());
+    assert.equal(body.data.review.orderItem.toString(), order.items[1]._id.toString());
+    assert.deepEqual(body.data.review.photos, ['/uploads/reviews/a.jpg']);
+    assert.equal(body.data.review.status, 'pending');
+  });
+
+  test('accepts reviews from shoppers who have not bought the product, unverified', async (t) => {
+    const product = mockProduct(t);
+    mockReviewer(t);
+
+    const { statusCode, body } = await review(product, oid());
+
+    assert.equal(statusCode, 201);
+    assert.equal(body.data.review.isVerifiedBuyer, false);
+    assert.equal(body.data.review.order, undefined);
+  });
+
+  test('allows one review per shopper and product', async (t) => {
+    const product = mockProduct(t);
+    const { create } = mockReviewer(t, { existing: new Review({ product: product._id, user: oid(), rating: 4 }) });
+
+    const { statusCode, body } = await review(product, oid());
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.message, 'You have already reviewed this product');
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  test('refuses products that are not on sale', async (t) => {
+    const product = mockProduct(t, { status: 'archived' });
+    mockReviewer(t);
+
+    assert.equal((await review(product, oid())).statusCode, 404);
+  });
+});
+
+describe('moderateReview', () => {
+  /**
+   * Serve a review to the moderation endpoint
+   * @param {Object} t - Test context
+   * @param {string} status - Current status
+   * @returns {Object} { review, recalculate }
+   */
+  const mockModeration = (t, status) => {
+    const review = new Review({ product: oid(), user: oid(), rating: 4, status });
+    t.mock.method(Review, 'findById', async () => review);
+    t.mock.method(review, 'save', async () => review);
+    const recalculate = t.mock.method(Review, 'recalculateProductRating', async () => ({ rating: 4, numReviews: 1 }));
+    return { review, recalculate };
+  };
+
+  const moderate = (review, status) => callHandler(moderateReview, {
+    params: { id: review._id.toString() },
+    body: { status, note: 'Checked' },
+    user: { _id: oid(), role: 'admin' }
+  });
+
+  test('recomputes the product rating when a review is approved', async (t) => {
+    const { review, recalculate } = mockModeration(t, 'pending');
+
+    const { statusCode, body } = await moderate(review, 'approved');
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.message, 'Review approved');
+    assert.equal(review.moderation.note, 'Checked');
+    assert.deepEqual(recalculate.mock.calls[0].arguments, [review.product]);
+  });
+
+  test('recomputes it when an approved review is taken down', async (t) => {
+    const { review, recalculate } = mockModeration(t, 'approved');
+
+    await moderate(review, 'rejected');
+
+    assert.equal(recalculate.mock.callCount(), 1);
+  });
+
+  test('leaves it alone when a pending review is rejected', async (t) => {
+    const { review, recalculate } = mockModeration(t, 'pending');
+
+    await moderate(review, 'rejected');
+
+    assert.equal(review.status, 'rejected');
+    assert.equal(recalculate.mock.callCount(), 0);
+  });
+});
+
+describe('Review.recalculateProductRating', () => {
+  test('writes the rounded average of approved reviews to the product', async (t) => {
+    const productId = oid();
+    const aggregate = t.mock.method(Review, 'aggregate', async () => [{ _id: productId, avgRating: 4.333, numReviews: 3 }]);
+    const update = t.mock.method(Product, 'updateOne', async () => ({}));
+
+    const result = await Review.recalculateProductRating(productId.toString());
+
+    assert.deepEqual(result, { rating: 4.3, numReviews: 3 });
+    assert.equal(aggregate.mock.calls[0].arguments[0][0].$match.status, 'approved');
+    assert.deepEqual(update.mock.calls[0].arguments[1], { $set: { rating: 4.3, numReviews: 3 } });
+  });
+
+  test('resets the product once no approved review is left', async (t) => {
+    t.mock.method(Review, 'aggregate', async () => []);
+    const update = t.mock.method(Product, 'updateOne', async () => ({}));
+
+    assert.deepEqual(await Review.recalculateProductRating(oid().toString()), { rating: 0, numReviews: 0 });
+    assert.deepEqual(update.mock.calls[0].arguments[1], { $set: { rating: 0, numReviews: 0 } });
+  });
+});
+
+describe('toggleHelpfulVote', () => {
+  /**
+   * Keep one approved review "in the database" for the conditional updates
+   * @param {Object} t - Test context
+   * @returns {Review}
+   */
+  const mockReviewStore = (t) => {
+    const review = new Review({ product: oid(), user: oid(), rating: 5, status: 'approved' });
+    t.mock.method(Review, 'findOne', async () => review);
+    t.mock.method(Review, 'findOneAndUpdate', async (filter, update) => {
+      if (!matches(review.toObject(), filter)) return null;
+      if (update.$push) review.helpfulVotes.push(update.$push.helpfulVotes);
+      if (update.$pull) review.helpfulVotes.pull(update.$pull.helpfulVotes);
+      review.helpfulCount += update.$inc.helpfulCount;
+      return review;
+    });
+    return review;
+  };
+
+  const vote = (review, userId) => callHandler(toggleHelpfulVote, {
+    params: { id: review.product.toString(), reviewId: review._id.toString() },
+    user: { _id: userId }
+  });
+
+  test('adds a vote, and takes it back on the second call', async (t) => {
+    const review = mockReviewStore(t);
+    const voter = oid();
+
+    const first = await vote(review, voter);
+    assert.equal(first.body.data.review.helpfulCount, 1);
+    assert.equal(first.body.data.review.votedHelpful, true);
+
+    const second = await vote(review, voter);
+    assert.equal(second.body.data.review.helpfulCount, 0);
+    assert.equal(second.body.data.review.votedHelpful, false);
+  });
+
+  test('counts each shopper once', async (t) => {
+    const review = mockReviewStore(t);
+
+    await vote(review, oid());
+    await vote(review, oid());
+
+    assert.equal(review.helpfulCount, 2);
+  });
+
+  test('refuses votes on your own review', async (t) => {
+    const review = mockReviewStore(t);
+
+    const { statusCode, body } = await vote(review, review.user);
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.message, 'You cannot vote on your own review');
+  });
+});
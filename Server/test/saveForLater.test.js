@@ -0,0 +1,163 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { oid, mockCartPricing, mockProducts, mockCarts, callHandler, buildProduct } = require('./helpers');
+const Cart = require('../src/models/Cart.model');
+const { saveForLater, moveToCart, removeSavedItem, clearCart } = require('../src/controllers/cart.controller');
+
+/**
+ * User cart with a line for each product, M / Red at the product price
+ * @param {Object[]} lines - [product, quantity]
+ * @returns {Cart}
+ */
+const cartWith = (lines) => new Cart({
+  user: oid(),
+  items: lines.map(([product, quantity]) => ({
+    product: product._id,
+    variant: { size: 'M', color: 'Red', sku: `${product.name}-M-Red` },
+    quantity,
+    price: product.price
+  }))
+});
+
+const call = (handler, cart, itemId) => callHandler(handler, {
+  user: { _id: cart.user },
+  params: itemId ? { itemId: itemId.toString() } : {}
+});
+
+describe('saveForLater', () => {
+  test('moves the line out of the cart totals', async (t) => {
+    const saree = buildProduct();
+    const kurta = buildProduct({ name: 'Cotton Kurta', price: 800 });
+    mockProducts(t, [saree, kurta]);
+    mockCartPricing(t);
+    const cart = cartWith([[saree, 2], [kurta, 1]]);
+    mockCarts(t, [cart]);
+
+    const { statusCode, body } = await call(saveForLater, cart, cart.items[0]._id);
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.message, 'Item saved for later');
+    assert.deepEqual(cart.items.map((item) => item.product), [kurta._id]);
+    assert.equal(cart.savedItems.length, 1);
+    assert.equal(cart.savedItems[0].quantity, 2);
+    assert.equal(cart.savedItems[0].variant.sku, 'Silk Saree-M-Red');
+    assert.equal(cart.subtotal, 800);
+    assert.equal(cart.itemCount, 1);
+  });
+
+  test('combines with a saved item for the same variant', async (t) => {
+    const saree = buildProduct();
+    mockProducts(t, [saree]);
+    mockCartPricing(t);
+    const cart = cartWith([[saree, 2]]);
+    cart.savedItems.push({ product: saree._id, variant: { size: 'M', color: 'Red' }, quantity: 1 });
+    mockCarts(t, [cart]);
+
+    await call(saveForLater, cart, cart.items[0]._id);
+
+    assert.equal(cart.savedItems.length, 1);
+    assert.equal(cart.savedItems[0].quantity, 3);
+    assert.equal(cart.total, 0);
+  });
+
+  test('answers 404 for lines that are not in the cart', async (t) => {
+    const cart = cartWith([]);
+    mockCarts(t, [cart]);
+
+    assert.equal((await call(saveForLater, cart, oid())).statusCode, 404);
+  });
+});
+
+describe('moveToCart', () => {
+  test('brings the item back at today\'s price', async (t) => {
+    const saree = buildProduct({ salePrice: 1600 });
+    mockProducts(t, [saree]);
+    mockCartPricing(t);
+    const cart = cartWith([]);
+    cart.savedItems.push({ product: saree._id, variant: { size: 'M', color: 'Red' }, quantity: 2 });
+    mockCarts(t, [cart]);
+
+    const { statusCode } = await call(moveToCart, cart, cart.savedItems[0]._id);
+
+    assert.equal(statusCode, 200);
+    assert.equal(cart.savedItems.length, 0);
+    assert.equal(cart.items[0].price, 1600);
+    assert.equal(cart.items[0].quantity, 2);
+    assert.equal(cart.subtotal, 3200);
+  });
+
+  test('checks stock against what is already in the cart', async (t) => {
+    const saree = buildProduct({ variants: [{ size: 'M', color: 'Red', stock: 3 }] });
+    mockProducts(t, [saree]);
+    mockCartPricing(t);
+    const cart = cartWith([[saree, 2]]);
+    cart.savedItems.push({ product: saree._id, variant: { size: 'M', color: 'Red' }, quantity: 2 });
+    mockCarts(t, [cart]);
+
+    const { statusCode, body } = await call(moveToCart, cart, cart.savedItems[0]._id);
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.message, 'Only 3 items available in stock; 2 already in your cart');
+    assert.equal(cart.savedItems.length, 1);
+    assert.equal(cart.items[0].quantity, 2);
+  });
+
+  test('keeps items whose product was taken off sale on the saved list', async (t) => {
+    const saree = buildProduct({ status: 'archived' });
+    mockProducts(t, [saree]);
+    const cart = cartWith([]);
+    cart.savedItems.push({ product: saree._id, variant: { size: 'M', color: 'Red' }, quantity: 1 });
+    mockCarts(t, [cart]);
+
+    const { statusCode, body } = await call(moveToCart, cart, cart.savedItems[0]._id);
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.message, 'This product is no longer available');
+    assert.equal(cart.savedItems.length, 1);
+  });
+});
+
+describe('saved items', () => {
+  test('survive clearing the cart', async (t) => {
+    const saree = buildProduct();
+    const kurta = buildProduct({ name: 'Cotton Kurta', price: 800 });
+    mockProducts(t, [saree, kurta]);
+    mockCartPricing(t);
+    const cart = cartWith([[saree, 1], [kurta, 1]]);
+    mockCarts(t, [cart]);
+    await call(saveForLater, cart, cart.items[0]._id);
+
+    const { statusCode } = await call(clearCart, cart);
+
+    assert.equal(statusCode, 200);
+    assert.equal(cart.items.length, 0);
+    assert.equal(cart.total, 0);
+    assert.deepEqual(cart.savedItems.map((item) => item.product), [saree._id]);
+  });
+
+  test('show their current price and stock once populated', () => {
+    const saree = buildProduct({ salePrice: 1700, variants: [{ size: 'M', color: 'Red', stock: 1 }] });
+    const cart = cartWith([]);
+    cart.savedItems.push({ product: saree._id, variant: { size: 'M', color: 'Red' }, quantity: 2 });
+    cart.savedItems[0].product = saree;
+
+    const [saved] = cart.toJSON().savedItems;
+
+    assert.equal(saved.currentPrice, 1700);
+    assert.equal(saved.stock, 1);
+    assert.equal(saved.isAvailable, false);
+  });
+
+  test('can be removed', async (t) => {
+    const saree = buildProduct();
+    const cart = cartWith([]);
+    cart.savedItems.push({ product: saree._id, variant: { size: 'M', color: 'Red' }, quantity: 1 });
+    mockCarts(t, [cart]);
+
+    const { statusCode, body } = await call(removeSavedItem, cart, cart.savedItems[0]._id);
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.message, 'Saved item removed');
+    assert.equal(cart.savedItems.length, 0);
+  });
+});
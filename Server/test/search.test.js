@@ -0,0 +1,158 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { oid, query, callHandler } = require('./helpers');
+const Product = require('../src/models/Product.model');
+const Category = require('../src/models/Category.model');
+const { suggest, correctQuery, invalidateSearchIndex } = require('../src/services/search');
+const { searchQueryValidation } = require('../src/middlewares/validation.middleware');
+const { searchProducts, getSuggestions } = require('../src/controllers/product.controller');
+
+/**
+ * Serve the catalogue the search index is built from
+ * @param {Object} t - Test context
+ * @param {Object[]} products - Lean products
+ * @param {Object[]} [categories] - Lean categories
+ */
+const mockCatalogue = (t, products, categories = []) => {
+  const cursor = {
+    async *[Symbol.asyncIterator]() {
+      yield* products;
+    }
+  };
+  const chain = {};
+  ['select', 'populate', 'sort', 'limit', 'lean'].forEach((method) => {
+    chain[method] = () => chain;
+  });
+  chain.cursor = () => cursor;
+
+  t.mock.method(Product, 'find', () => chain);
+  t.mock.method(Category, 'find', () => query(categories));
+};
+
+/**
+ * Lean product as the index loads it
+ * @param {string} name
+ * @param {Object} [fields]
+ * @returns {Object}
+ */
+const product = (name, fields = {}) => ({
+  _id: oid(),
+  name,
+  slug: name.toLowerCase().replace(/\s+/g, '-'),
+  price: 1000,
+  totalStock: 5,
+  tags: [],
+  ...fields
+});
+
+/**
+ * Run a route's handlers in order, as Express would
+ * @param {Function[]} handlers
+ * @returns {Function} Handler
+ */
+const chain = (handlers) => (req, res, next) => {
+  const run = (index) => (error) => {
+    if (error) return next(error);
+    return handlers[index](req, res, run(index + 1));
+  };
+  return run(0)();
+};
+
+beforeEach(() => invalidateSearchIndex());
+
+describe('suggest', () => {
+  test('ranks exact and prefix matches above fuzzy ones, and in-stock products first', async (t) => {
+    mockCatalogue(t, [
+      product('Embroidered Kurta'),
+      product('Embroidered Kurta Set', { totalStock: 0 }),
+      product('Embossed Clutch')
+    ], [{ name: 'Embroidery', slug: 'embroidery' }]);
+
+    const { products, categories } = await suggest('embro');
+
+    assert.deepEqual(products.map((p) => p.name), ['Embroidered Kurta', 'Embroidered Kurta Set']);
+    assert.deepEqual(categories.map((c) => c.slug), ['embroidery']);
+  });
+
+  test('searches synonyms together', async (t) => {
+    mockCatalogue(t, [product('Cotton Kurti'), product('Silk Kurta'), product('Silk Saree')]);
+
+    const { products } = await suggest('kurta');
+
+    assert.deepEqual(products.map((p) => p.name).sort(), ['Cotton Kurti', 'Silk Kurta']);
+  });
+
+  test('corrects misspelt words and suggests for the correction', async (t) => {
+    mockCatalogue(t, [product('Bridal Lehenga', { brand: 'Sabyasachi', tags: ['wedding'] })]);
+
+    const result = await suggest('bridal lehnga');
+
+    assert.equal(result.didYouMean, 'bridal lehenga');
+    assert.deepEqual(result.products.map((p) => p.name), ['Bridal Lehenga']);
+    assert.equal(await correctQuery('lehnga'), 'lehenga');
+  });
+
+  test('returns brands and tags with their product counts', async (t) => {
+    mockCatalogue(t, [
+      product('Wedding Saree', { brand: 'Sabyasachi', tags: ['wedding'] }),
+      product('Wedding Lehenga', { brand: 'Sabyasachi', tags: ['wedding'] })
+    ]);
+
+    const { brands, tags } = await suggest('sabya');
+    assert.deepEqual(brands, [{ name: 'Sabyasachi', count: 2 }]);
+    assert.deepEqual(tags, []);
+
+    assert.deepEqual((await suggest('wedd')).tags, [{ name: 'wedding', count: 2 }]);
+  });
+
+  test('limits each suggestion type', async (t) => {
+    mockCatalogue(t, [1, 2, 3, 4].map((n) => product(`Silk Saree ${n}`)));
+
+    assert.equal((await suggest('silk', { limit: 2 })).products.length, 2);
+  });
+});
+
+describe('searchQueryValidation', () => {
+  const getSuggestionsRoute = chain([...searchQueryValidation, getSuggestions]);
+  const searchRoute = chain([...searchQueryValidation, searchProducts]);
+
+  test('refuses suggestion queries over 100 characters', async (t) => {
+    mockCatalogue(t, []);
+
+    const { statusCode, body } = await callHandler(getSuggestionsRoute, { query: { q: 'a'.repeat(101) } });
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.errors[0].message, 'Search query must be at most 100 characters');
+    assert.equal(Product.find.mock.callCount(), 0);
+  });
+
+  test('refuses queries of more than 8 words before the search or its correction runs', async (t) => {
+    mockCatalogue(t, []);
+    const count = t.mock.method(Product, 'countDocuments', async () => 0);
+
+    const { statusCode, body } = await callHandler(searchRoute, { query: { q: 'red silk saree with zari border and gold blouse' } });
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.errors[0].message, 'Search query must be at most 8 words');
+    assert.equal(count.mock.callCount(), 0);
+    assert.equal(Product.find.mock.callCount(), 0);
+  });
+
+  test('refuses repeated q parameters', async (t) => {
+    mockCatalogue(t, []);
+
+    const { statusCode } = await callHandler(getSuggestionsRoute, { query: { q: ['silk', 'saree'] } });
+
+    assert.equal(statusCode, 400);
+  });
+
+  test('passes short queries on to the suggestions', async (t) => {
+    mockCatalogue(t, [product('Silk Saree')]);
+
+    const { statusCode, body } = await callHandler(getSuggestionsRoute, { query: { q: '  silk  ' } });
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.data.query, 'silk');
+    assert.deepEqual(body.data.products.map((p) => p.name), ['Silk Saree']);
+  });
+});
@@ -0,0 +1,209 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { oid, query, matches, callHandler } = require('./helpers');
+const Session = require('../src/models/Session.model');
+const User = require('../src/models/User.model');
+const { generateUserToken, generateToken } = require('../src/utils/jwt');
+const { protect } = require('../src/middlewares/auth.middleware');
+const { logout, refreshToken, revokeSession } = require('../src/controllers/auth.controller');
+
+/**
+ * Keep sessions in memory; queries match stored sessions against their filter
+ * @param {Object} t - Test context
+ * @returns {Session[]} Stored sessions
+ */
+const mockSessionStore = (t) => {
+  const sessions = [];
+  const find = (filter) => sessions.find((session) => matches(session.toObject(), filter)) || null;
+  const update = (filter, { $set }) => {
+    const matched = sessions.filter((session) => matches(session.toObject(), filter));
+    matched.forEach((session) => session.set($set));
+    return { matchedCount: matched.length, modifiedCount: matched.length };
+  };
+
+  t.mock.method(Session, 'create', async (fields) => {
+    const session = new Session(fields);
+    sessions.push(session);
+    return session;
+  });
+  t.mock.method(Session, 'exists', async (filter) => {
+    const session = find(filter);
+    return session && { _id: session._id };
+  });
+  t.mock.method(Session, 'findOne', (filter) => query(find(filter)));
+  t.mock.method(Session, 'findOneAndUpdate', async (filter, changes) => {
+    const session = find(filter);
+    if (session) session.set(changes.$set);
+    return session;
+  });
+  t.mock.method(Session, 'updateOne', async (filter, changes) => update(filter, changes));
+  t.mock.method(Session, 'updateMany', async (filter, changes) => update(filter, changes));
+  t.mock.method(Session.prototype, 'save', async function () {
+    return this;
+  });
+
+  return sessions;
+};
+
+/**
+ * Active user served by User.findById
+ * @param {Object} t - Test context
+ * @returns {User}
+ */
+const mockUser = (t) => {
+  const user = new User({ name: 'Asha', email: 'asha@example.com', password: 'Secret123', role: 'customer' });
+  t.mock.method(User, 'findById', () => query(user));
+  return user;
+};
+
+/**
+ * Log a user in on a new device
+ * @param {User} user
+ * @returns {Promise<Object>} { session, token, refreshToken }
+ */
+const login = async (user) => {
+  const { session, refreshToken: refresh } = await Session.createForUser(user._id, { userAgent: 'test' });
+  return { session, token: generateUserToken(user, session._id), refreshToken: refresh };
+};
+
+/**
+ * Run protect for a bearer token
+ * @param {string} token
+ * @returns {Promise<Object>} { error, req }
+ */
+const authenticate = (token) => new Promise((resolve) => {
+  const req = { headers: { authorization: `Bearer ${token}` }, cookies: {} };
+  protect(req, {}, (error) => resolve({ error, req }));
+});
+
+describe('protect', () => {
+  test('lets a request from an active session through', async (t) => {
+    mockSessionStore(t);
+    const user = mockUser(t);
+    const { session, token } = await login(user);
+
+    const { error, req } = await authenticate(token);
+
+    assert.equal(error, undefined);
+    assert.equal(req.user, user);
+    assert.equal(req.sessionId, session._id.toString());
+  });
+
+  test('refuses the access token once its session logs out', async (t) => {
+    mockSessionStore(t);
+    const user = mockUser(t);
+    const { session, token } = await login(user);
+
+    const { statusCode } = await callHandler(logout, { user, sessionId: session._id });
+    const { error } = await authenticate(token);
+
+    assert.equal(statusCode, 200);
+    assert.equal(session.revokedReason, 'logout');
+    assert.equal(error.statusCode, 401);
+    assert.equal(error.message, 'Your session has expired. Please log in again.');
+  });
+
+  test('refuses the access token of a device signed out from another', async (t) => {
+    mockSessionStore(t);
+    const user = mockUser(t);
+    const phone = await login(user);
+    const laptop = await login(user);
+
+    const { statusCode } = await callHandler(revokeSession, {
+      params: { id: phone.session._id.toString() },
+      user,
+      sessionId: laptop.session._id
+    });
+
+    assert.equal(statusCode, 200);
+    assert.equal((await authenticate(phone.token)).error.statusCode, 401);
+    assert.equal((await authenticate(laptop.token)).error, undefined);
+  });
+
+  test('refuses tokens issued without a session', async (t) => {
+    mockSessionStore(t);
+    const user = mockUser(t);
+
+    const { error } = await authenticate(generateToken({ id: user._id, role: 'customer' }));
+
+    assert.equal(error.statusCode, 401);
+  });
+
+  test('refuses expired and tampered tokens', async (t) => {
+    mockSessionStore(t);
+    const user = mockUser(t);
+    const { token } = await login(user);
+
+    assert.equal((await authenticate(`${token}x`)).error.message, 'Invalid token. Please log in again.');
+
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 16 * 60 * 1000 });
+    assert.equal((await authenticate(token)).error.message, 'Your session has expired. Please log in again.');
+  });
+
+  test('refuses deactivated users', async (t) => {
+    mockSessionStore(t);
+    const user = mockUser(t);
+    user.isActive = false;
+    const { token } = await login(user);
+
+    const { error } = await authenticate(token);
+
+    assert.equal(error.statusCode, 401);
+    assert.match(error.message, /deactivated/);
+  });
+});
+
+describe('refreshToken', () => {
+  const refresh = (token) => callHandler(refreshToken, { body: { refreshToken: token }, headers: {} });
+
+  test('rotates the refresh token and issues an access token for the same session', async (t) => {
+    mockSessionStore(t);
+    const user = mockUser(t);
+    const { session, refreshToken: first } = await login(user);
+
+    const { statusCode, body } = await refresh(first);
+
+    assert.equal(statusCode, 200);
+    assert.notEqual(body.data.refreshToken, first);
+    assert.ok(body.data.refreshToken.startsWith(`${session._id}.`));
+    assert.equal((await authenticate(body.data.token)).error, undefined);
+  });
+
+  test('revokes the session when a rotated refresh token is reused', async (t) => {
+    mockSessionStore(t);
+    const user = mockUser(t);
+    const { session, token, refreshToken: first } = await login(user);
+    const { body } = await refresh(first);
+
+    const reuse = await refresh(first);
+
+    assert.equal(reuse.statusCode, 401);
+    assert.match(reuse.body.message, /already been used/);
+    assert.equal(session.revokedReason, 'token_reuse');
+    assert.equal((await refresh(body.data.refreshToken)).statusCode, 401);
+    assert.equal((await authenticate(token)).error.statusCode, 401);
+  });
+
+  test('refuses malformed refresh tokens', async (t) => {
+    mockSessionStore(t);
+    mockUser(t);
+
+    assert.equal((await refresh('not-a-token')).statusCode, 401);
+    assert.equal((await callHandler(refreshToken, { body: {}, headers: {} })).statusCode, 401);
+  });
+});
+
+describe('Session.revokeAllForUser', () => {
+  test('signs out every other device', async (t) => {
+    const sessions = mockSessionStore(t);
+    const user = mockUser(t);
+    const current = await login(user);
+    await login(user);
+    await login(user);
+
+    await Session.revokeAllForUser(user._id, 'password_changed', current.session._id);
+
+    assert.deepEqual(sessions.map((session) => session.isActive), [true, false, false]);
+    assert.equal(sessions[1].revokedReason, 'password_changed');
+  });
+});
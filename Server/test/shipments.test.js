@@ -0,0 +1,189 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { oid, query, callHandler, buildOrder } = require('./helpers');
+const Order = require('../src/models/Order.model');
+const { trackOrder } = require('../src/controllers/order.controller');
+const { updateShipmentStatus } = require('../src/controllers/admin.controller');
+
+/**
+ * Order with its first two lines in one parcel and the third in another
+ * @param {Object} [overrides] - Order fields to override
+ * @returns {Object} { order, first, second }
+ */
+const splitOrder = (overrides = {}) => {
+  const order = buildOrder(overrides);
+  const [a, b, c] = order.items;
+  const first = order.createShipment({ itemIds: [a._id, b._id], carrier: 'Delhivery', trackingNumber: 'DL1' });
+  const second = order.createShipment({ itemIds: [c._id], carrier: 'Shiprocket', trackingNumber: 'SR1' });
+  return { order, first, second };
+};
+
+describe('Order.createShipment', () => {
+  test('packs lines into a parcel with a first tracking event', () => {
+    const order = buildOrder();
+
+    const shipment = order.createShipment({ itemIds: [order.items[0]._id, order.items[0]._id], note: 'Packed' });
+
+    assert.equal(shipment.status, 'created');
+    assert.equal(shipment.items.length, 1);
+    assert.deepEqual(shipment.events.map((event) => [event.status, event.note]), [['created', 'Packed']]);
+    assert.equal(order.getShipmentForItem(order.items[0]._id), shipment);
+  });
+
+  test('puts each line in one parcel only', () => {
+    const order = buildOrder();
+    order.createShipment({ itemIds: [order.items[0]._id] });
+
+    assert.throws(
+      () => order.createShipment({ itemIds: [order.items[0]._id, order.items[1]._id] }),
+      { statusCode: 400, message: 'Kurta 1 is already in a shipment' }
+    );
+    assert.equal(order.shipments.length, 1);
+  });
+
+  test('refuses cancelled lines, unknown lines and closed orders', () => {
+    const order = buildOrder();
+    order.items[1].status = 'cancelled';
+
+    assert.throws(() => order.createShipment({ itemIds: [order.items[1]._id] }), { message: 'Kurta 2 has been cancelled' });
+    assert.throws(() => order.createShipment({ itemIds: [oid()] }), { statusCode: 400 });
+    assert.throws(
+      () => buildOrder({ status: 'delivered' }).createShipment({ itemIds: [] }),
+      { message: 'Cannot create a shipment for a delivered order' }
+    );
+  });
+});
+
+describe('Order.updateShipmentStatus', () => {
+  test('moves the order along with its least advanced parcel', async () => {
+    const { order, first, second } = splitOrder();
+
+    await order.updateShipmentStatus(first._id, 'shipped');
+    assert.equal(order.status, 'confirmed');
+    assert.deepEqual(order.items.map((item) => item.status), ['shipped', 'shipped', 'confirmed']);
+
+    await order.updateShipmentStatus(second._id, 'shipped');
+    assert.equal(order.status, 'shipped');
+    assert.ok(order.shipping.shippedAt);
+
+    await order.updateShipmentStatus(first._id, 'delivered');
+    assert.equal(order.status, 'shipped');
+    assert.equal(order.canTransitionTo('delivered'), false);
+    await assert.rejects(
+      order.updateStatus('delivered'),
+      { message: 'Every shipment must be delivered before the order is marked delivered' }
+    );
+
+    await order.updateShipmentStatus(second._id, 'delivered');
+    assert.equal(order.status, 'delivered');
+    assert.deepEqual(order.items.map((item) => item.status), ['delivered', 'delivered', 'delivered']);
+    assert.ok(order.shipping.deliveredAt);
+  });
+
+  test('delivers the order when the other parcel came back to origin', async () => {
+    const { order, first, second } = splitOrder();
+    await order.updateShipmentStatus(first._id, 'shipped');
+    await order.updateShipmentStatus(second._id, 'shipped');
+
+    await order.updateShipmentStatus(second._id, 'rto');
+    await order.updateShipmentStatus(first._id, 'delivered');
+
+    assert.equal(order.status, 'delivered');
+    assert.equal(order.items[2].status, 'returned');
+  });
+
+  test('keeps a timeline per parcel and records the order history', async () => {
+    const { order, first } = splitOrder();
+
+    await order.updateShipmentStatus(first._id, 'shipped', { location: 'Pune hub' });
+    await order.updateShipmentStatus(first._id, 'in_transit', { location: 'Mumbai hub' });
+    await order.updateShipmentStatus(first._id, 'in_transit', { location: 'Thane hub' });
+
+    assert.equal(first.status, 'in_transit');
+    assert.deepEqual(
+      first.events.map((event) => [event.status, event.location]),
+      [['created', undefined], ['shipped', 'Pune hub'], ['in_transit', 'Mumbai hub'], ['in_transit', 'Thane hub']]
+    );
+    assert.deepEqual(
+      order.statusHistory.map((entry) => entry.status),
+      ['shipment_shipped', 'shipment_in_transit']
+    );
+    assert.equal(order.statusHistory[0].note, 'Delhivery DL1 at Pune hub');
+  });
+
+  test('refuses to ship without a tracking number or before online payment', async () => {
+    const order = buildOrder();
+    const untracked = order.createShipment({ itemIds: [order.items[0]._id] });
+    await assert.rejects(order.updateShipmentStatus(untracked._id, 'shipped'), { message: 'Add a tracking number before shipping' });
+
+    const unpaid = splitOrder({ payment: { method: 'razorpay', status: 'pending' } });
+    await assert.rejects(
+      unpaid.order.updateShipmentStatus(unpaid.first._id, 'shipped'),
+      { message: 'Payment must be completed before the order is shipped' }
+    );
+    assert.equal(unpaid.first.status, 'created');
+  });
+
+  test('refuses moves the carrier cannot make', async () => {
+    const { order, first } = splitOrder();
+
+    await assert.rejects(
+      order.updateShipmentStatus(first._id, 'delivered'),
+      { message: 'Cannot change shipment status from created to delivered' }
+    );
+    await assert.rejects(order.updateShipmentStatus(oid(), 'shipped'), { message: 'Shipment not found on this order' });
+  });
+});
+
+describe('updateShipmentStatus', () => {
+  test('saves the order with the parcel update', async (t) => {
+    const { order, first } = splitOrder();
+    t.mock.method(Order, 'findById', async () => order);
+    const save = t.mock.method(order, 'save', async () => order);
+
+    const { statusCode, body } = await callHandler(updateShipmentStatus, {
+      params: { id: order._id.toString(), shipmentId: first._id.toString() },
+      body: { status: 'shipped', location: 'Pune hub' }
+    });
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.data.shipment.status, 'shipped');
+    assert.equal(save.mock.callCount(), 1);
+  });
+
+  test('answers 400 for an illegal move without saving', async (t) => {
+    const { order, first } = splitOrder();
+    t.mock.method(Order, 'findById', async () => order);
+    const save = t.mock.method(order, 'save', async () => order);
+
+    const { statusCode } = await callHandler(updateShipmentStatus, {
+      params: { id: order._id.toString(), shipmentId: first._id.toString() },
+      body: { status: 'rto' }
+    });
+
+    assert.equal(statusCode, 400);
+    assert.equal(save.mock.callCount(), 0);
+  });
+});
+
+describe('trackOrder', () => {
+  test('returns one timeline per parcel with the lines it carries', async (t) => {
+    const { order, first, second } = splitOrder();
+    await order.updateShipmentStatus(first._id, 'shipped', { location: 'Pune hub' });
+    t.mock.method(Order, 'findOne', () => query(order));
+
+    const { statusCode, body } = await callHandler(trackOrder, {
+      params: { id: order._id.toString() },
+      user: { _id: order.user }
+    });
+
+    assert.equal(statusCode, 200);
+    const [parcel, other] = body.data.shipments;
+    assert.equal(parcel.trackingNumber, 'DL1');
+    assert.deepEqual(parcel.items.map((item) => item.name), ['Kurta 1', 'Kurta 2']);
+    assert.deepEqual(parcel.timeline.map((event) => event.status), ['created', 'shipped']);
+    assert.equal(other._id, second._id);
+    assert.deepEqual(other.timeline.map((event) => event.status), ['created']);
+    assert.equal(body.data.status, 'confirmed');
+  });
+});
@@ -0,0 +1,229 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { oid, mockCartPricing, callHandler } = require('./helpers');
+const Cart = require('../src/models/Cart.model');
+const { getShippingOptions, quoteShipping } = require('../src/services/shipping/rates');
+const { checkServiceability } = require('../src/controllers/shipping.controller');
+const { setShippingMethod } = require('../src/controllers/cart.controller');
+
+const MUMBAI = {
+  name: 'Mumbai',
+  pinRanges: [{ from: 400001, to: 400104 }],
+  priority: 10,
+  methods: [
+    { code: 'standard', name: 'Standard Delivery', rates: [{ upTo: 499, price: 49 }, { price: 29 }], freeAbove: 1499 },
+    {
+      code: 'express',
+      name: 'Express Delivery',
+      rateBasis: 'weight',
+      rates: [{ upTo: 500, price: 99 }, { upTo: 2000, price: 149 }],
+      estimatedDays: { min: 1, max: 2 },
+      codAvailable: false
+    }
+  ],
+  codSurcharge: { flat: 20, percent: 2 },
+  codMaxOrderValue: 5000
+};
+
+const MAHARASHTRA = {
+  name: 'Rest of Maharashtra',
+  states: ['Maharashtra'],
+  methods: [{ code: 'standard', name: 'Standard Delivery', rates: [{ price: 79 }] }]
+};
+
+const REST_OF_INDIA = {
+  name: 'Rest of India',
+  isDefault: true,
+  methods: [{ code: 'standard', name: 'Standard Delivery', rates: [{ price: 129 }], estimatedDays: { min: 5, max: 9 } }]
+};
+
+describe('getShippingOptions', () => {
+  test('charges the fallback rate until any zone is configured', async (t) => {
+    mockCartPricing(t);
+
+    const small = await getShippingOptions({ zipCode: '110001', subtotal: 500 });
+    const large = await getShippingOptions({ zipCode: '110001', subtotal: 999 });
+
+    assert.equal(small.zone, 'Default');
+    assert.equal(small.methods[0].price, 99);
+    assert.equal(large.methods[0].price, 0);
+  });
+
+  test('matches the PIN range first, then the state, then the default zone', async (t) => {
+    mockCartPricing(t, { zones: [MUMBAI, MAHARASHTRA, REST_OF_INDIA] });
+
+    assert.equal((await getShippingOptions({ zipCode: '400050', state: 'Maharashtra' })).zone, 'Mumbai');
+    assert.equal((await getShippingOptions({ zipCode: '411001', state: ' maharashtra ' })).zone, 'Rest of Maharashtra');
+    assert.equal((await getShippingOptions({ zipCode: '110001', state: 'Delhi' })).zone, 'Rest of India');
+  });
+
+  test('does not deliver where no zone applies', async (t) => {
+    mockCartPricing(t, { zones: [MUMBAI] });
+
+    assert.deepEqual(
+      await getShippingOptions({ zipCode: '110001', state: 'Delhi' }),
+      { serviceable: false, zone: null, methods: [] }
+    );
+  });
+
+  test('prices each method from its rate table, cheapest first', async (t) => {
+    mockCartPricing(t, { zones: [MUMBAI] });
+
+    const light = await getShippingOptions({ zipCode: '400050', subtotal: 400, weight: 300 });
+    assert.deepEqual(light.methods.map((m) => [m.code, m.price]), [['standard', 49], ['express', 99]]);
+
+    // Past the last bracket the last price applies; freeAbove only for standard
+    const heavy = await getShippingOptions({ zipCode: '400050', subtotal: 1500, weight: 5000 });
+    assert.deepEqual(heavy.methods.map((m) => [m.code, m.price]), [['standard', 0], ['express', 149]]);
+    assert.deepEqual(heavy.methods[1].estimatedDays, { min: 1, max: 2 });
+  });
+
+  test('adds the COD surcharge and refuses COD above the zone limit', async (t) => {
+    mockCartPricing(t, { zones: [MUMBAI] });
+
+    const options = await getShippingOptions({ zipCode: '400050', subtotal: 1000 });
+    assert.equal(options.methods[0].codCharge, 40);
+    assert.deepEqual(options.methods.map((m) => m.codAvailable), [true, false]);
+
+    const expensive = await getShippingOptions({ zipCode: '400050', subtotal: 6000 });
+    assert.deepEqual(expensive.methods.map((m) => m.codAvailable), [false, false]);
+  });
+
+  test('leaves out inactive zones and methods', async (t) => {
+    mockCartPricing(t, {
+      zones: [
+        { ...MUMBAI, isActive: false },
+        { ...REST_OF_INDIA, methods: [...REST_OF_INDIA.methods, { ...MUMBAI.methods[1], isActive: false }] }
+      ]
+    });
+
+    const options = await getShippingOptions({ zipCode: '400050' });
+
+    assert.equal(options.zone, 'Rest of India');
+    assert.deepEqual(options.methods.map((m) => m.code), ['standard']);
+  });
+});
+
+describe('quoteShipping', () => {
+  test('prices the chosen method and the COD surcharge', async (t) => {
+    mockCartPricing(t, { zones: [MUMBAI] });
+
+    const quote = await quoteShipping({ zipCode: '400050', subtotal: 1000, weight: 300, method: 'express', paymentMethod: 'upi' });
+
+    assert.equal(quote.selected.code, 'express');
+    assert.equal(quote.shipping, 99);
+    assert.equal(quote.codCharge, 0);
+    assert.equal(quote.message, undefined);
+  });
+
+  test('falls back to the cheapest method that allows COD, and says so', async (t) => {
+    mockCartPricing(t, { zones: [MUMBAI] });
+
+    const quote = await quoteShipping({ zipCode: '400050', subtotal: 1000, weight: 300, method: 'express', paymentMethod: 'cod' });
+
+    assert.equal(quote.selected.code, 'standard');
+    assert.equal(quote.shipping, 29);
+    assert.equal(quote.codCharge, 40);
+    assert.equal(quote.message, 'express delivery is not available; using Standard Delivery');
+  });
+
+  test('explains why an address cannot be served', async (t) => {
+    mockCartPricing(t, { zones: [MUMBAI] });
+
+    const noCod = await quoteShipping({ zipCode: '400050', subtotal: 6000, paymentMethod: 'cod' });
+    const nowhere = await quoteShipping({ zipCode: '110001', subtotal: 1000 });
+
+    assert.equal(noCod.serviceable, false);
+    assert.equal(noCod.message, 'Cash on delivery is not available for this address');
+    assert.equal(nowhere.message, 'We do not deliver to this PIN code yet');
+  });
+});
+
+describe('Cart.calculateTotals', () => {
+  test('adds delivery by parcel weight and the COD surcharge to the total', async (t) => {
+    const productId = oid();
+    mockCartPricing(t, { zones: [MUMBAI], attributes: new Map([[productId.toString(), { weight: 400 }]]) });
+    const cart = new Cart({
+      user: oid(),
+      items: [{ product: productId, variant: { size: 'M', color: 'Red' }, quantity: 2, price: 450 }],
+      shippingSelection: { zipCode: '400050', method: 'express', paymentMethod: 'cod' }
+    });
+
+    await cart.calculateTotals();
+
+    // express is not COD; 800 g on standard over ₹499 is ₹29, COD ₹20 + 2%
+    assert.equal(cart.shippingSelection.method, 'standard');
+    assert.equal(cart.shipping, 29);
+    assert.equal(cart.codCharge, 38);
+    assert.equal(cart.total, cart.subtotal + cart.tax + 29 + 38);
+  });
+});
+
+describe('checkServiceability', () => {
+  test('lists the delivery methods for a PIN code', async (t) => {
+    mockCartPricing(t, { zones: [MUMBAI] });
+
+    const { statusCode, body } = await callHandler(checkServiceability, { query: { zipCode: '400050', subtotal: '2000' } });
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.message, 'Delivery available to 400050');
+    assert.equal(body.data.zone, 'Mumbai');
+  });
+
+  test('says when a PIN code is not served', async (t) => {
+    mockCartPricing(t, { zones: [MUMBAI] });
+
+    const { body } = await callHandler(checkServiceability, { query: { zipCode: '110001' } });
+
+    assert.equal(body.message, 'We do not deliver to this PIN code yet');
+    assert.equal(body.data.serviceable, false);
+  });
+});
+
+describe('setShippingMethod', () => {
+  /**
+   * Serve a one-line cart to the shipping endpoint
+   * @param {Object} t - Test context
+   * @returns {Cart}
+   */
+  const mockCart = (t) => {
+    const cart = new Cart({
+      user: oid(),
+      items: [{ product: oid(), variant: { size: 'M', color: 'Red' }, quantity: 1, price: 1000 }]
+    });
+    t.mock.method(Cart, 'findOne', async () => cart);
+    t.mock.method(cart, 'save', async () => cart);
+    t.mock.method(cart, 'populate', async () => cart);
+    return cart;
+  };
+
+  test('stores the address and method with the cart', async (t) => {
+    mockCartPricing(t, { zones: [MUMBAI] });
+    const cart = mockCart(t);
+
+    const { statusCode, body } = await callHandler(setShippingMethod, {
+      user: { _id: cart.user },
+      body: { zipCode: '400050', method: 'express' }
+    });
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.message, 'Shipping method updated');
+    assert.equal(cart.shippingSelection.method, 'express');
+    assert.equal(cart.shipping, 99);
+    assert.equal(cart.save.mock.callCount(), 1);
+  });
+
+  test('refuses addresses that are not served, without saving', async (t) => {
+    mockCartPricing(t, { zones: [MUMBAI] });
+    const cart = mockCart(t);
+
+    const { statusCode, body } = await callHandler(setShippingMethod, {
+      user: { _id: cart.user },
+      body: { zipCode: '110001' }
+    });
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.message, 'We do not deliver to this PIN code yet');
+    assert.equal(cart.save.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,216 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, mockCartPricing, callHandler, buildProduct } = require('./helpers');
+const User = require('../src/models/User.model');
+const Product = require('../src/models/Product.model');
+const Cart = require('../src/models/Cart.model');
+const {
+  getWishlist,
+  addToWishlist,
+  moveWishlistItemToCart
+} = require('../src/controllers/user.controller');
+
+/**
+ * Serve a shopper and the catalogue to the wishlist endpoints
+ * @param {Object} t - Test context
+ * @param {Product[]} products - Catalogue
+ * @returns {User}
+ */
+const mockShopper = (t, products) => {
+  const user = new User({ name: 'Asha', email: 'asha@example.com', password: 'Secret123' });
+  t.mock.method(User, 'findById', () => query(user));
+  t.mock.method(user, 'save', async () => user);
+  t.mock.method(user, 'populate', async () => {
+    user.wishlist.forEach((item) => {
+      item.product = products.find((product) => product._id.equals(item.product));
+    });
+    return user;
+  });
+  t.mock.method(Product, 'findById', (id) => query(products.find((product) => product._id.equals(id)) || null));
+  return user;
+};
+
+/**
+ * Wishlist entry for a product, saved with the given price and stock
+ * @param {Product} product
+ * @param {Object} [fields] - { variant, priceAtAdd, inStockAtAdd }
+ * @returns {Object}
+ */
+const savedItem = (product, fields = {}) => ({
+  product: product._id,
+  priceAtAdd: product.effectivePrice,
+  inStockAtAdd: true,
+  ...fields
+});
+
+describe('getWishlist', () => {
+  test('flags price drops and items back in stock since they were saved', async (t) => {
+    const saree = buildProduct({ salePrice: 1500 });
+    const kurta = buildProduct({ name: 'Cotton Kurta', price: 800 });
+    const user = mockShopper(t, [saree, kurta]);
+    user.wishlist.push(
+      savedItem(saree, { priceAtAdd: 2000 }),
+      savedItem(kurta, { variant: { size: 'M', color: 'Red' }, inStockAtAdd: false })
+    );
+    await user.populate();
+
+    const { statusCode, body } = await callHandler(getWishlist, { user });
+
+    assert.equal(statusCode, 200);
+    const [first, second] = body.data.items;
+    assert.equal(first.currentPrice, 1500);
+    assert.equal(first.priceDropped, true);
+    assert.equal(first.priceDrop, 500);
+    assert.equal(first.backInStock, false);
+    assert.equal(second.priceDropped, false);
+    assert.equal(second.inStock, true);
+    assert.equal(second.backInStock, true);
+  });
+
+  test('checks the stock of the saved size and color', async (t) => {
+    const saree = buildProduct({ variants: [{ size: 'M', color: 'Red', stock: 0 }, { size: 'L', color: 'Red', stock: 4 }] });
+    const user = mockShopper(t, [saree]);
+    user.wishlist.push(savedItem(saree, { variant: { size: 'M', color: 'Red' } }));
+    await user.populate();
+
+    const { body } = await callHandler(getWishlist, { user });
+
+    assert.equal(body.data.items[0].inStock, false);
+  });
+
+  test('keeps items whose product was taken off sale, marked unavailable', async (t) => {
+    const saree = buildProduct({ status: 'archived' });
+    const user = mockShopper(t, [saree]);
+    user.wishlist.push(savedItem(saree));
+    await user.populate();
+
+    const { body } = await callHandler(getWishlist, { user });
+
+    assert.equal(body.data.count, 1);
+    assert.equal(body.data.items[0].isAvailable, false);
+    assert.equal(body.data.items[0].product, null);
+    assert.equal(body.data.items[0].priceDropped, false);
+  });
+});
+
+describe('addToWishlist', () => {
+  const add = (user, body) => callHandler(addToWishlist, { user, body });
+
+  test('remembers the price and stock seen when saving', async (t) => {
+    const saree = buildProduct({ salePrice: 1800, variants: [{ size: 'M', color: 'Red', stock: 0 }] });
+    const user = mockShopper(t, [saree]);
+
+    const { statusCode } = await add(user, { productId: saree._id.toString(), variant: { size: 'M', color: 'Red' } });
+
+    assert.equal(statusCode, 201);
+    assert.equal(user.wishlist[0].priceAtAdd, 1800);
+    assert.equal(user.wishlist[0].inStockAtAdd, false);
+  });
+
+  test('saves each product and variant once', async (t) => {
+    const saree = buildProduct();
+    const user = mockShopper(t, [saree]);
+    user.wishlist.push(savedItem(saree, { variant: { size: 'M', color: 'Red' } }));
+
+    const duplicate = await add(user, { productId: saree._id.toString(), variant: { size: 'M', color: 'Red' } });
+    const otherSize = await add(user, { productId: saree._id.toString(), variant: { size: 'L', color: 'Red' } });
+
+    assert.equal(duplicate.statusCode, 400);
+    assert.equal(duplicate.body.message, 'Product is already in your wishlist');
+    assert.equal(otherSize.statusCode, 201);
+    assert.equal(user.wishlist.length, 2);
+  });
+
+  test('refuses sizes and colors the product does not come in', async (t) => {
+    const saree = buildProduct();
+    const user = mockShopper(t, [saree]);
+
+    const { statusCode } = await add(user, { productId: saree._id.toString(), variant: { size: 'XS', color: 'Red' } });
+
+    assert.equal(statusCode, 400);
+    assert.equal(user.wishlist.length, 0);
+  });
+});
+
+describe('moveWishlistItemToCart', () => {
+  /**
+   * Serve the shopper's cart
+   * @param {Object} t - Test context
+   * @param {User} user
+   * @returns {Cart}
+   */
+  const mockCart = (t, user) => {
+    const cart = new Cart({ user: user._id, items: [] });
+    mockCartPricing(t);
+    t.mock.method(Cart, 'findOne', async () => cart);
+    t.mock.method(cart, 'save', async () => cart);
+    t.mock.method(cart, 'populate', async () => cart);
+    return cart;
+  };
+
+  const move = (user, item, body = {}) => callHandler(moveWishlistItemToCart, {
+    user,
+    params: { itemId: item._id.toString() },
+    body
+  });
+
+  test('adds the item at today\'s price and takes it off the wishlist', async (t) => {
+    const saree = buildProduct({ salePrice: 1500 });
+    const user = mockShopper(t, [saree]);
+    user.wishlist.push(savedItem(saree, { variant: { size: 'M', color: 'Red' }, priceAtAdd: 2000 }));
+    const cart = mockCart(t, user);
+
+    const { statusCode, body } = await move(user, user.wishlist[0], { quantity: 2 });
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.message, 'Moved to cart');
+    assert.equal(cart.items.length, 1);
+    assert.equal(cart.items[0].price, 1500);
+    assert.equal(cart.items[0].quantity, 2);
+    assert.equal(cart.items[0].variant.sku, 'Silk Saree-M-Red');
+    assert.equal(cart.subtotal, 3000);
+    assert.equal(user.wishlist.length, 0);
+  });
+
+  test('combines with the same variant already in the cart', async (t) => {
+    const saree = buildProduct();
+    const user = mockShopper(t, [saree]);
+    user.wishlist.push(savedItem(saree, { variant: { size: 'M', color: 'Red' } }));
+    const cart = mockCart(t, user);
+    cart.items.push({ product: saree._id, variant: { size: 'M', color: 'Red' }, quantity: 1, price: 2000 });
+
+    await move(user, user.wishlist[0]);
+
+    assert.equal(cart.items.length, 1);
+    assert.equal(cart.items[0].quantity, 2);
+  });
+
+  test('asks for a size and color when none was saved', async (t) => {
+    const saree = buildProduct();
+    const user = mockShopper(t, [saree]);
+    user.wishlist.push(savedItem(saree));
+    const cart = mockCart(t, user);
+
+    const missing = await move(user, user.wishlist[0]);
+    assert.equal(missing.statusCode, 400);
+    assert.equal(missing.body.message, 'Please select a size and color');
+
+    const picked = await move(user, user.wishlist[0], { variant: { size: 'L', color: 'Red' } });
+    assert.equal(picked.statusCode, 200);
+    assert.equal(cart.items[0].variant.size, 'L');
+  });
+
+  test('keeps the item on the wishlist when there is not enough stock', async (t) => {
+    const saree = buildProduct({ variants: [{ size: 'M', color: 'Red', stock: 1 }] });
+    const user = mockShopper(t, [saree]);
+    user.wishlist.push(savedItem(saree, { variant: { size: 'M', color: 'Red' } }));
+    const cart = mockCart(t, user);
+
+    const { statusCode, body } = await move(user, user.wishlist[0], { quantity: 3 });
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.message, 'Only 1 items available in stock');
+    assert.equal(cart.items.length, 0);
+    assert.equal(user.wishlist.length, 1);
+  });
+});